@@ -23,21 +23,61 @@ declare global {
 
 
 // --- TYPES AND INTERFACES ---
+interface TradeLeg {
+    price: number;
+    quantity: number;
+    time?: string; // HH:MM
+}
+
 interface Trade {
     id: number;
+    accountId: string; // Account the trade belongs to
     asset: string;
     tradeNumber: number;
     side: 'Compra' | 'Venda';
     date: string; // Stored as YYYY-MM-DD
-    lots: number;
-    entryPrice: number;
-    exitPrice: number;
+    lots: number; // Total quantity of the entry legs
+    entryPrice: number; // Average of the entry legs
+    exitPrice: number; // Average of the exit legs
+    entries: TradeLeg[];
+    exits: TradeLeg[];
+    entryTime?: string; // HH:MM of the first entry leg
+    exitTime?: string; // HH:MM of the last exit leg
+    durationMinutes?: number;
+    stopPrice?: number; // Planned stop
+    targetPrice?: number; // Planned target
+    riskPoints?: number; // Distance from the average entry to the stop
+    riskAmount?: number; // Initial risk in R$
+    rMultiple?: number; // Realized gross result in multiples of the initial risk
+    plannedRMultiple?: number; // Target distance in multiples of the initial risk
+    stopViolated?: boolean; // Loss larger than the planned stop
+    ruleOverride?: RuleOverride; // Registered after a risk rule limit was reached
+    pendingClassification?: boolean; // Imported without Região/Estrutura/Gatilho
     points: number;
-    result: number;
+    result: number; // Gross result, same as grossResult
+    grossResult: number;
+    costs: number;
+    netResult: number;
+    costsOverridden?: boolean; // Costs typed by the user instead of computed from the cost profile
     notes?: string;
     region: string;
     structure: string;
     trigger: string;
+    updatedAt?: string; // ISO timestamp of the last change
+    revision?: number; // Number of changes made to the trade, on any device
+    deleted?: boolean; // Tombstone, kept until the deletion reaches the sheet
+    screenshotsFolderUrl?: string; // Drive folder with copies of the trade's images
+    tags?: string[]; // Free-form tags, such as mistakes made in the trade
+}
+
+interface Screenshot {
+    id: string;
+    tradeId: number;
+    blob: Blob; // JPEG, compressed when attached
+    width: number;
+    height: number;
+    createdAt: string;
+    driveFileId?: string; // set once the copy is on Drive
 }
 
 interface RegOptions {
@@ -46,6 +86,272 @@ interface RegOptions {
     triggers: string[];
 }
 
+// What a journal's backend keeps besides the trades.
+interface JournalOptions extends RegOptions {
+    accounts?: Account[]; // absent on backends written before the account registry was synced
+    tags?: Tag[]; // absent on backends written before the tag registry was synced
+}
+
+interface Instrument {
+    symbol: string;
+    name: string;
+    patterns: string[]; // Wildcards: '*' any sequence, '?' any character, '#' a digit
+    pointValue: number; // Money per point per contract, in `currency`
+    tickSize: number;
+    currency: string; // always JOURNAL_CURRENCY
+}
+
+interface CostProfile {
+    id: string;
+    name: string;
+    brokerageType: 'per-contract' | 'per-order' | 'percentage';
+    brokerage: number;
+    exchangeFeeType: 'per-contract' | 'percentage'; // B3 emolumentos + taxa de registro
+    exchangeFee: number;
+    issRate: number; // % charged over the brokerage
+}
+
+interface Account {
+    id: string;
+    name: string;
+    broker: string;
+    type: 'real' | 'simulator' | 'prop';
+    initialCapital: number;
+    currency: string; // always JOURNAL_CURRENCY
+    updatedAt?: string; // ISO timestamp of the last edit, so the registry synced between devices keeps the latest
+}
+
+interface CashMovement {
+    id: string;
+    accountId: string;
+    date: string; // YYYY-MM-DD
+    type: 'deposit' | 'withdrawal' | 'fee'; // fee: platform, market data and other charges outside the trades
+    amount: number; // always positive; the type gives the direction
+    notes?: string;
+}
+
+interface Tag {
+    name: string;
+    isMistake: boolean; // counted in the cost of mistakes report
+    updatedAt?: string; // ISO timestamp of the last edit, so the registry synced between devices keeps the latest
+}
+
+interface Execution {
+    date: string;
+    time?: string; // HH:MM, or HH:MM:SS when the source has seconds; legs keep HH:MM
+    side: 'C' | 'V';
+    asset: string; // full contract code, e.g. WDOF24
+    quantity: number;
+    price: number;
+    fees?: number; // costs charged on this fill, when the source reports them
+}
+
+interface NoteExecution extends Execution {
+    dayTrade: boolean;
+}
+
+interface RoundTrip {
+    asset: string;
+    date: string;
+    side: 'Compra' | 'Venda';
+    entries: TradeLeg[];
+    exits: TradeLeg[];
+    fees?: number;
+    sequence: number; // order among the round trips of the same contract on the same day
+}
+
+interface ImportAdapter {
+    name: string;
+    columns: { [key: string]: string[] }; // accepted header names, compared without accents or case
+    required: string[];
+    toExecution: (record: { [key: string]: string }) => Execution | null;
+}
+
+interface ImportProfile {
+    id: string;
+    name: string;
+    mapping: { [sourceColumn: string]: string }; // normalized source header -> CSV column key, '' to ignore
+}
+
+interface ImportSummary {
+    imported: number;
+    overwritten: number;
+    skipped: number; // duplicates left as they were
+    invalid: number;
+    excluded: number; // valid rows the user unchecked
+}
+
+interface ImportWizard {
+    fileName: string;
+    header: string[];
+    rows: string[][];
+    step: 'mapping' | 'preview' | 'summary';
+    mapping: string[]; // CSV column key of each source column, '' to ignore
+    profileId: string | null;
+    duplicateMode: 'skip' | 'overwrite' | 'new';
+    excludedRows: number[];
+    summary: ImportSummary | null;
+}
+
+interface BackupSettings {
+    regOptions: RegOptions;
+    instruments: Instrument[];
+    costProfiles: CostProfile[];
+    activeCostProfileId: string;
+    resultMode: 'gross' | 'net';
+    equityGranularity: 'day' | 'week' | 'month';
+    csvDelimiter: ';' | ',';
+    importProfiles: ImportProfile[];
+    riskRules: RiskRules;
+    accounts: Account[];
+    cashMovements: CashMovement[];
+    tags: Tag[];
+}
+
+interface JournalBackup {
+    format: 'diario-trader-backup';
+    version: number; // BACKUP_VERSION of the envelope
+    tradeSchemaVersion: number; // TRADE_SCHEMA_VERSION of the trades inside
+    exportedAt: string; // ISO timestamp
+    checksums: { trades: string; settings: string; screenshots?: string }; // SHA-256 (hex) of JSON.stringify of each part of data
+    data: { trades: Trade[]; settings: Partial<BackupSettings>; screenshots?: BackupScreenshot[] }; // screenshots since version 2
+}
+
+interface BackupScreenshot {
+    id: string;
+    tradeId: number;
+    type: string; // MIME type of the image
+    data: string; // the image, base64
+    width: number;
+    height: number;
+    createdAt: string;
+}
+
+interface PendingRestore {
+    fileName: string;
+    exportedAt: string;
+    trades: Trade[]; // already migrated to TRADE_SCHEMA_VERSION
+    settings: Partial<BackupSettings>;
+    screenshots: Screenshot[]; // decoded, without Drive ids
+    mode: 'merge' | 'replace';
+}
+
+interface BackupDiff {
+    added: Trade[];
+    changed: Trade[];
+    removed: Trade[];
+}
+
+interface ImportRowPreview {
+    index: number;
+    trade: Trade | null;
+    errors: string[];
+    isDuplicate: boolean;
+}
+
+interface BrokerNote {
+    number: string;
+    date: string;
+    layout: string;
+    executions: NoteExecution[];
+    fees: number; // total operational costs charged on the note
+}
+
+interface MonthlyTax {
+    month: string; // YYYY-MM
+    tradeCount: number;
+    grossResult: number;
+    costs: number;
+    netResult: number;
+    lossCarryIn: number;
+    taxableBase: number;
+    taxDue: number;
+    irrf: number;
+    irrfUsed: number;
+    carriedFromPrevious: number; // DARF amounts below the minimum rolled from earlier months
+    darfAmount: number;
+    carriedToNext: number;
+    lossCarryOut: number;
+    dueDate: string;
+}
+
+interface DailyResult {
+    date: string;
+    result: number; // follows the gross/net toggle
+    points: number;
+    tradeCount: number;
+}
+
+interface EquityPoint {
+    period: string; // YYYY-MM-DD (day or the Monday of the week) or YYYY-MM
+    label: string;
+    result: number;
+    equity: number;
+    drawdown: number; // distance below the running peak, zero or negative
+}
+
+interface BalancePoint {
+    date: string;
+    flow: number; // deposits minus withdrawals of the day
+    fees: number;
+    result: number; // net result of the day's trades
+    balance: number; // at the end of the day
+    returnPercent: number | null; // of the day, over the balance after the flows; null without capital
+    cumulativeReturnPercent: number; // time-weighted, since the start of the window
+    drawdownPercent: number; // below the peak of the time-weighted growth, zero or negative
+}
+
+interface DrawdownMarkers {
+    deepestIndex: number | null;
+    recoveryStart: number | null; // peak that preceded the longest drawdown
+    recoveryEnd: number | null; // new peak, or the last point while still under water
+    recoveryDays: number;
+    recovered: boolean;
+}
+
+interface RegCombination {
+    values: { region?: string; structure?: string; trigger?: string };
+    count: number;
+    winRate: number;
+    total: number;
+    averagePoints: number;
+    expectancy: number; // R$ per trade
+}
+
+interface RegPivot {
+    rowDimensions: ('region' | 'structure' | 'trigger')[];
+    columnDimension: 'region' | 'structure' | 'trigger';
+    columns: string[]; // values of the column dimension, in alphabetical order
+    rows: { total: RegCombination; cells: (RegCombination | null)[] }[]; // a cell per column, null without trades
+    columnTotals: RegCombination[]; // in the order of `columns`
+    total: RegCombination | null; // null without trades
+}
+
+interface PerformanceStats {
+    tradeCount: number;
+    winCount: number;
+    lossCount: number;
+    totalResult: number;
+    grossProfit: number;
+    grossLoss: number; // positive amount
+    profitFactor: number | null; // null without losses
+    payoffRatio: number | null;
+    expectancy: number; // R$ per trade
+    averageGain: number;
+    averageLoss: number; // negative amount
+    largestWin: number;
+    largestLoss: number;
+    maxConsecutiveWins: number;
+    maxConsecutiveLosses: number;
+    maxDrawdown: number; // R$, from the peak of the accumulated result
+    maxDrawdownPercent: number | null; // % of that peak; null while the peak is zero
+    recoveryFactor: number | null;
+    sharpeRatio: number | null; // daily results, annualized
+    sortinoRatio: number | null;
+    tradingDays: number;
+    positiveDaysPercent: number;
+}
+
 interface Filters {
     asset: string;
     side: 'Todos' | 'Compra' | 'Venda';
@@ -55,6 +361,34 @@ interface Filters {
     region: string;
     structure: string;
     trigger: string;
+    session: string; // 'Todos' or a B3Session id
+    weekday: string; // 'Todos' or Date.getDay() as text
+    startTime: string;
+    endTime: string;
+    stop: 'Todos' | 'violated' | 'respected' | 'none';
+    classification: 'Todos' | 'pending';
+    tags: string[];
+    tagMode: 'any' | 'all' | 'none'; // trades with any of the tags, with all of them or with none
+}
+
+interface B3Session {
+    id: string;
+    label: string;
+    start: string; // HH:MM, inclusive
+    end: string; // HH:MM, exclusive
+}
+
+interface RiskRules {
+    dailyMaxLoss: number | null; // null disables the rule
+    dailyMaxLossUnit: 'money' | 'points';
+    maxTradesPerDay: number | null;
+    maxConsecutiveLosses: number | null;
+}
+
+interface RuleOverride {
+    violations: string[];
+    justification: string;
+    overriddenAt: string; // ISO timestamp
 }
 
 interface GoogleAuthState {
@@ -62,6 +396,72 @@ interface GoogleAuthState {
     user: string;
 }
 
+// One value per SYNC_FIELDS key, as text, so versions compare the same way they read on the sheet.
+type SyncSnapshot = { [field: string]: string };
+
+interface SyncField {
+    key: string;
+    label: string;
+    read: (trade: Trade) => string;
+    keys: (keyof Trade)[]; // copied from the chosen version when merging
+}
+
+interface SyncConflict {
+    id: number;
+    local: Trade;
+    remote: Trade;
+    base: SyncSnapshot;
+    fields: string[]; // fields that differ between the two versions
+    remoteChanged: string[]; // of those, the ones changed on the sheet since the last sync
+}
+
+interface OutboxEntry {
+    tradeId: number;
+    queuedAt: string; // ISO timestamp of the latest change waiting for the sheet
+}
+
+type SyncOutcome =
+    | { action: 'none' | 'push' | 'pull' }
+    | { action: 'merge'; trade: Trade }
+    | { action: 'conflict'; conflict: SyncConflict };
+
+type StorageBackend = 'sheets' | 'server' | 'local';
+
+interface Journal {
+    id: string;
+    name: string;
+    backend: StorageBackend;
+    spreadsheetId: string; // '' while no spreadsheet is linked
+    tradesSheetName: string;
+    configSheetName: string;
+    serverUrl: string; // base URL of a sync server (see server/README.md)
+    serverJournal: string; // name of the journal on that server
+    serverToken: string; // sent as a Bearer token; '' when the server has none
+    driveScreenshots: boolean; // copy the trades' images to Google Drive (sheets backend only)
+    driveFolderId: string; // Drive folder holding one folder per trade; '' until the first upload
+}
+
+// A complete feed lists every trade the backend holds; an incremental one leaves out the
+// trades that did not change since the cursor it was asked for.
+interface StorageChanges {
+    trades: Trade[]; // deleted trades come as tombstones
+    cursor: string;
+    complete: boolean;
+}
+
+interface StorageAdapter {
+    label: string; // where the trades go, as in "Falha ao sincronizar com {label}"
+    isRemote: boolean; // false when the adapter is the app's own state: there is nothing to sync
+    unavailableReason: () => string; // '' when the backend can be reached
+    listTrades: () => Promise<Trade[]>; // deleted trades come as tombstones
+    getTrade: (id: number) => Promise<Trade | null>;
+    putTrades: (trades: Trade[]) => Promise<void>; // deleted trades are sent as tombstones
+    deleteTrade: (id: number) => Promise<void>; // leaves a tombstone, so the deletion reaches every device
+    getOptions: () => Promise<JournalOptions | null>; // null while the backend has no options stored
+    putOptions: (options: JournalOptions) => Promise<void>;
+    changesSince: (cursor: string | null) => Promise<StorageChanges>;
+}
+
 
 // --- UTILITIES ---
 const debounce = <F extends (...args: any[]) => any>(func: F, waitFor: number) => {
@@ -74,6 +474,10 @@ const debounce = <F extends (...args: any[]) => any>(func: F, waitFor: number) =
     };
 };
 
+// For text that comes from imported files and is shown in the page.
+const escapeHtml = (value: string): string =>
+    value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
 const parseLocaleNumber = (value: string | null): number => {
     if (typeof value !== 'string' || !value) {
         return NaN;
@@ -103,6 +507,81 @@ const parseLocaleNumber = (value: string | null): number => {
     return parseFloat(sanitized);
 };
 
+// RFC 4180: fields holding the delimiter, quotes, line breaks or edge spaces are quoted,
+// with inner quotes doubled.
+const formatCsvField = (value: string, delimiter: string): string =>
+    value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value;
+
+const toCsv = (rows: string[][], delimiter: string): string =>
+    rows.map(row => row.map(value => formatCsvField(value, delimiter)).join(delimiter)).join('\r\n');
+
+// The candidate found most often outside quotes in the first lines wins.
+const detectCsvDelimiter = (text: string): string => {
+    const counts: { [delimiter: string]: number } = { ';': 0, ',': 0, '\t': 0 };
+    let inQuotes = false;
+    let lines = 0;
+    for (let i = 0; i < text.length && lines < 20; i++) {
+        const char = text[i];
+        if (char === '"') inQuotes = !inQuotes;
+        else if (inQuotes) continue;
+        else if (char === '\n') lines++;
+        else if (char in counts) counts[char]++;
+    }
+    return Object.keys(counts).reduce((best, d) => counts[d] > counts[best] ? d : best, ',');
+};
+
+// Quoted fields may hold delimiters, doubled quotes and line breaks. The UTF-8 BOM
+// Excel adds is dropped and blank lines are skipped.
+const parseCsv = (text: string, delimiter = detectCsvDelimiter(text)): string[][] => {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let inQuotes = false;
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim()) rows.push(row);
+        row = [];
+        field = '';
+    };
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char !== '"') field += char;
+            else if (input[i + 1] === '"') field += input[++i];
+            else inQuotes = false;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    endRow();
+    return rows;
+};
+
+// Blob URLs, unlike data URIs, need no escaping and have no size limit.
+const downloadFile = (content: string, filename: string, type: string) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.setAttribute("href", url);
+    link.setAttribute("download", filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// The BOM makes Excel pt-BR read the file as UTF-8.
+const downloadCsv = (content: string, filename: string) =>
+    downloadFile(`\uFEFF${content}`, filename, 'text/csv;charset=utf-8');
+
 
 // --- INITIALIZATION & CONFIG ---
 Chart.register(...registerables);
@@ -113,1218 +592,4947 @@ let trades: Trade[] = [];
 let editingTrade: Trade | null = null;
 let deletingTradeId: number | null = null;
 let managingOptionsFor: 'regions' | 'structures' | 'triggers' | null = null;
-let filters: Filters = { asset: '', side: 'Todos', startDate: '', endDate: '', result: 'Todos', region: 'Todos', structure: 'Todos', trigger: 'Todos' };
+let isManagingInstruments = false;
+let isManagingCostProfiles = false;
+let isManagingAccounts = false;
+let isManagingCashLedger = false;
+let isManagingRiskRules = false;
+let pendingRuleOverride: { trade: Trade; violations: string[] } | null = null;
+let importWizard: ImportWizard | null = null;
+let importProfiles: ImportProfile[] = [];
+let pendingRestore: PendingRestore | null = null;
+const DEFAULT_FILTERS: Filters = { asset: '', side: 'Todos', startDate: '', endDate: '', result: 'Todos', region: 'Todos', structure: 'Todos', trigger: 'Todos', session: 'Todos', weekday: 'Todos', startTime: '', endTime: '', stop: 'Todos', classification: 'Todos', tags: [], tagMode: 'any' };
+let filters: Filters = { ...DEFAULT_FILTERS };
 let regOptions: RegOptions = {
     regions: ['Região Barata', 'Região Cara', 'Consolidação'],
     structures: ['A-B-C de Alta', 'A-B-C de Baixa'],
     triggers: ['Cadeado de Alta', 'Cadeado de Baixa', '2-2-1', 'Pivot Disfarçado']
 };
+// Results, costs and the DARF are all computed in reais, so every instrument is quoted in them and
+// every account keeps its capital in them: anything in another currency would be summed as reais.
+const JOURNAL_CURRENCY = 'BRL';
+// The first instrument whose pattern matches the asset symbol wins.
+const DEFAULT_INSTRUMENTS: Instrument[] = [
+    { symbol: 'WDO', name: 'Mini Dólar', patterns: ['WDO*'], pointValue: 10, tickSize: 0.5, currency: 'BRL' },
+    { symbol: 'DOL', name: 'Dólar Cheio', patterns: ['DOL*'], pointValue: 50, tickSize: 0.5, currency: 'BRL' },
+    { symbol: 'WIN', name: 'Mini Índice', patterns: ['WIN*'], pointValue: 0.2, tickSize: 5, currency: 'BRL' },
+    { symbol: 'IND', name: 'Índice Cheio', patterns: ['IND*'], pointValue: 1, tickSize: 5, currency: 'BRL' },
+    { symbol: 'BIT', name: 'Bitcoin Futuro', patterns: ['BIT*'], pointValue: 0.1, tickSize: 5, currency: 'BRL' },
+    { symbol: 'ACOES', name: 'Ações', patterns: ['????#', '????##', '????#F', '????##F'], pointValue: 1, tickSize: 0.01, currency: 'BRL' },
+    { symbol: 'CRIPTO', name: 'Criptomoedas', patterns: ['BTC*', 'ETH*', 'SOL*'], pointValue: 1, tickSize: 0.01, currency: 'BRL' },
+];
+let instruments: Instrument[] = DEFAULT_INSTRUMENTS.map(i => ({ ...i, patterns: [...i.patterns] }));
+// Instruments and accounts saved before the currency was checked may name another one; their
+// amounts were always summed as reais, which is what they are relabeled as.
+const inJournalCurrency = <T extends { currency: string },>(list: T[]): T[] =>
+    list.map(i => i.currency === JOURNAL_CURRENCY ? i : { ...i, currency: JOURNAL_CURRENCY });
+// Fee values are typical B3 day-trade figures; traders should adjust them to their broker.
+const DEFAULT_COST_PROFILES: CostProfile[] = [
+    { id: 'zero', name: 'Corretagem zero (mini contratos)', brokerageType: 'per-contract', brokerage: 0, exchangeFeeType: 'per-contract', exchangeFee: 0.25, issRate: 0 },
+    { id: 'por-ordem', name: 'Corretagem por ordem', brokerageType: 'per-order', brokerage: 4.9, exchangeFeeType: 'per-contract', exchangeFee: 0.25, issRate: 5 },
+    { id: 'acoes', name: 'Ações (percentual)', brokerageType: 'percentage', brokerage: 0, exchangeFeeType: 'percentage', exchangeFee: 0.03, issRate: 0 },
+];
+let costProfiles: CostProfile[] = DEFAULT_COST_PROFILES.map(p => ({ ...p }));
+let activeCostProfileId = DEFAULT_COST_PROFILES[0].id;
+// Every journal starts with one account, which can be renamed but not deleted.
+const DEFAULT_ACCOUNT_ID = 'principal';
+const ALL_ACCOUNTS = 'all'; // selectedAccountId of the consolidated view
+const DEFAULT_ACCOUNTS: Account[] = [
+    { id: DEFAULT_ACCOUNT_ID, name: 'Conta Principal', broker: '', type: 'real', initialCapital: 0, currency: 'BRL' },
+];
+const ACCOUNT_TYPE_LABELS: { [type: string]: string } = { real: 'Real', simulator: 'Simulador', prop: 'Mesa proprietária' };
+let accounts: Account[] = DEFAULT_ACCOUNTS.map(a => ({ ...a }));
+let selectedAccountId = ALL_ACCOUNTS;
+const CASH_MOVEMENT_LABELS: { [type: string]: string } = { deposit: 'Aporte', withdrawal: 'Retirada', fee: 'Taxa da plataforma' };
+let cashMovements: CashMovement[] = [];
+const DEFAULT_TAGS: Tag[] = [
+    { name: 'FOMO', isMistake: true },
+    { name: 'Entrada antecipada', isMistake: true },
+    { name: 'Notícia', isMistake: false },
+    { name: 'Seguiu o plano', isMistake: false },
+];
+let tags: Tag[] = DEFAULT_TAGS.map(t => ({ ...t }));
+let isManagingTags = false;
+let isTagFilterExpanded = false;
+const SCREENSHOT_MAX_SIDE = 1600;
+const SCREENSHOT_QUALITY = 0.8;
+let screenshots: Screenshot[] = [];
+let formScreenshots: Screenshot[] = []; // attached in the trade form, saved with the trade
+let screenshotLightbox: { tradeId: number; index: number } | null = null;
+const screenshotUrls: { [screenshotId: string]: string } = {}; // object URLs of the images shown
+let riskRules: RiskRules = { dailyMaxLoss: null, dailyMaxLossUnit: 'money', maxTradesPerDay: null, maxConsecutiveLosses: null };
+// Session buckets by entry time, following the B3 mini index/dollar futures hours:
+// opening auction until 09:00 (plus the first minutes after the uncross) and close after 16:30.
+const B3_SESSIONS: B3Session[] = [
+    { id: 'abertura', label: 'Leilão de abertura', start: '00:00', end: '09:05' },
+    { id: 'manha', label: 'Manhã', start: '09:05', end: '12:00' },
+    { id: 'almoco', label: 'Almoço', start: '12:00', end: '13:30' },
+    { id: 'tarde', label: 'Tarde', start: '13:30', end: '16:30' },
+    { id: 'fechamento', label: 'Fechamento', start: '16:30', end: '24:00' },
+];
+const WEEKDAY_LABELS = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+let resultMode: 'gross' | 'net' = 'gross';
+let equityGranularity: 'day' | 'week' | 'month' = 'day';
+let csvDelimiter: ';' | ',' = ';'; // Excel pt-BR expects semicolons
+let activeView: 'journal' | 'taxes' = 'journal';
+let isStatsTableExpanded = false;
+let calendarMonth: string | null = null; // YYYY-MM; null follows the selected day or the latest trade
+let regMatrixDimensions: ('region' | 'structure' | 'trigger')[] = ['region', 'trigger'];
+let regMatrixSort: { key: 'count' | 'winRate' | 'total' | 'averagePoints' | 'expectancy'; direction: 'asc' | 'desc' } = { key: 'expectancy', direction: 'desc' };
 let charts: { [key: string]: Chart } = {};
 const debouncedRender = debounce(render, 300);
 
 // Google Sheets Config
 const GOOGLE_CLIENT_ID = '312225788265-5akif4pd2ebspjuui79m6qe1807an145.apps.googleusercontent.com';
-const GOOGLE_SCOPES = 'https://www.googleapis.com/auth/spreadsheets';
-const CONFIG_SHEET_NAME = 'Config';
+const GOOGLE_SCOPES = 'https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/drive.file';
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id';
+const DEFAULT_TRADES_SHEET_NAME = 'Trades';
+const DEFAULT_CONFIG_SHEET_NAME = 'Config';
+const SHEET_HEADER_ROW = [
+    'ID', 'Ativo', '# Operação', 'Lado', 'Data', 'Lotes', 'Preço Entrada',
+    'Preço Saída', 'Pontos', 'Resultado R$', 'Região', 'Estrutura', 'Gatilho', 'Notas',
+    'Custos R$', 'Resultado Líquido R$', 'Pernas', 'Hora Entrada', 'Hora Saída', 'Duração (min)',
+    'Stop', 'Alvo', 'Risco (pts)', 'Risco R$', 'R Múltiplo', 'Stop Violado',
+    'Limites Ignorados', 'Justificativa', 'Excluída', 'Atualizada em', 'Revisão', 'Conta', 'ID da Conta', 'Imagens', 'Tags'
+];
+// The spreadsheet every install synced to before journals were configurable. Only the
+// first journal of a browser that already has trades keeps it, so upgrading changes nothing.
+const LEGACY_SPREADSHEET_ID = '1E8Is9CKoipS2sdw0o-WLtYecMXoRlZRIrM2aLI4VhAk';
 let isGapiReady = false;
 let isGisReady = false;
 let googleAuthState: GoogleAuthState = { isSignedIn: false, user: '' };
-const spreadsheetId = '1E8Is9CKoipS2sdw0o-WLtYecMXoRlZRIrM2aLI4VhAk';
 let tokenClient: any;
 let isAuthorizingInteractively = false;
+let isUploadingScreenshots = false;
+
+// Journals: each one has its own local database and syncs with its own backend (a spreadsheet,
+// a sync server or nothing). The list lives in localStorage because it is needed before the
+// journal's database can be opened.
+const JOURNALS_STORAGE_KEY = 'journals';
+const ACTIVE_JOURNAL_STORAGE_KEY = 'activeJournalId';
+const DEFAULT_JOURNAL_ID = 'principal';
+const DEFAULT_JOURNAL_STORAGE: Omit<Journal, 'id' | 'name'> = {
+    backend: 'sheets',
+    spreadsheetId: '',
+    tradesSheetName: DEFAULT_TRADES_SHEET_NAME,
+    configSheetName: DEFAULT_CONFIG_SHEET_NAME,
+    serverUrl: '',
+    serverJournal: '',
+    serverToken: '',
+    driveScreenshots: false,
+    driveFolderId: '',
+};
+let journals: Journal[] = [];
+let activeJournalId = DEFAULT_JOURNAL_ID;
+let isManagingJournals = false;
+
+// Two-way sync state of the active journal: trades deleted here that the sheet has not seen
+// yet, and each trade as it was after the last sync (the base of the three-way merge).
+let deletedTrades: Trade[] = [];
+let syncBase: { [tradeId: string]: SyncSnapshot } = {};
+let syncConflicts: SyncConflict[] | null = null;
+// Outbox of local changes not yet on the sheet, persisted so they survive a reload.
+// A failed flush is retried with exponential backoff, from OUTBOX_RETRY_BASE_MS up to OUTBOX_RETRY_MAX_MS.
+const OUTBOX_RETRY_BASE_MS = 5000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+let syncOutbox: OutboxEntry[] = [];
+let lastSyncAt: string | null = null;
+// Where the backend's change feed stood at the last sync, and which backend that was
+// (getStorageTarget), so a journal pointed somewhere else reads the new feed from the start.
+let syncCursor: { target: string; cursor: string } | null = null;
+let isSyncing = false;
+let syncError = '';
+let outboxRetry: { attempts: number; timer: ReturnType<typeof setTimeout> | null; nextAttemptAt: number | null } = { attempts: 0, timer: null, nextAttemptAt: null };
+// Images waiting for Drive (see uploadPendingScreenshots) fail and retry apart from the trades.
+let screenshotUploadError = '';
+let screenshotUploadRetry: { attempts: number; timer: ReturnType<typeof setTimeout> | null; nextAttemptAt: number | null } = { attempts: 0, timer: null, nextAttemptAt: null };
 
 
 // --- STATE MANAGEMENT & PERSISTENCE ---
-const saveState = () => {
-    localStorage.setItem('regOptions', JSON.stringify(regOptions));
-};
-
-const loadState = () => {
-    const savedRegOptions = localStorage.getItem('regOptions');
-    if (savedRegOptions) regOptions = JSON.parse(savedRegOptions);
+const DB_NAME = 'diario-trader';
+const DB_VERSION = 2;
+const TRADES_STORE = 'trades';
+const SETTINGS_STORE = 'settings';
+const SCREENSHOTS_STORE = 'screenshots';
+// Version of the persisted Trade shape. When a field is added or renamed, bump it
+// and register the step in `tradeMigrations` so older journals are upgraded on load.
+const TRADE_SCHEMA_VERSION = 5;
+const tradeMigrations: { [toVersion: number]: (trade: any) => any } = {
+    // v2: gross/net split. Costs are estimated with the active cost profile.
+    2: (trade) => {
+        const costs = calculateTradeCosts(trade.asset, singleLeg(trade.entryPrice, trade.lots), singleLeg(trade.exitPrice, trade.lots));
+        return { ...trade, grossResult: trade.result, costs, netResult: parseFloat((trade.result - costs).toFixed(2)) };
+    },
+    // v3: multi-fill trades. Existing trades become one entry and one exit leg.
+    3: (trade) => ({ ...trade, entries: singleLeg(trade.entryPrice, trade.lots), exits: singleLeg(trade.exitPrice, trade.lots) }),
+    // v4: trading accounts. Existing trades belong to the default account.
+    4: (trade) => ({ ...trade, accountId: trade.accountId || DEFAULT_ACCOUNT_ID }),
+    // v5: times derived from the legs, so trades saved without them join the time analytics.
+    5: (trade) => trade.entryTime ? trade : { ...trade, ...getTradeTimes(trade.entries || [], trade.exits || []) },
 };
-
-// --- GOOGLE SHEETS INTEGRATION ---
-const rowToTrade = (row: any[]): Trade | null => {
-    try {
-        // Column mapping based on headerRow in syncToSheet
-        // 0: ID, 1: Ativo, 2: # Operação, 3: Lado, 4: Data, 5: Lotes, 6: Preço Entrada,
-        // 7: Preço Saída, 8: Pontos, 9: Resultado R$, 10: Região, 11: Estrutura, 12: Gatilho, 13: Notas
-        const trade: Trade = {
-            id: parseInt(row[0], 10),
-            asset: row[1],
-            tradeNumber: parseInt(row[2], 10),
-            side: row[3] as 'Compra' | 'Venda',
-            date: row[4],
-            lots: parseLocaleNumber(row[5]),
-            entryPrice: parseLocaleNumber(row[6]),
-            exitPrice: parseLocaleNumber(row[7]),
-            points: parseLocaleNumber(row[8]),
-            result: parseLocaleNumber(row[9]),
-            region: row[10],
-            structure: row[11],
-            trigger: row[12],
-            notes: row[13] || '',
-        };
-        // Basic validation: ensure essential fields are valid numbers/strings
-        if (isNaN(trade.id) || isNaN(trade.tradeNumber) || !trade.asset || !trade.date) {
-            console.warn('Skipping invalid row from sheet:', row);
-            return null;
+let db: IDBDatabase | null = null;
+
+const requestToPromise = <T,>(request: IDBRequest<T>): Promise<T> => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (name: string): Promise<IDBDatabase> => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const database = request.result;
+        // Each block upgrades the object stores from the previous DB_VERSION.
+        if (event.oldVersion < 1) {
+            database.createObjectStore(TRADES_STORE, { keyPath: 'id' });
+            database.createObjectStore(SETTINGS_STORE);
         }
-        return trade;
-    } catch (e) {
-        console.error('Error parsing row from sheet:', row, e);
-        return null;
+        if (event.oldVersion < 2) {
+            database.createObjectStore(SCREENSHOTS_STORE, { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('O banco de dados local está aberto em outra aba com uma versão antiga.'));
+});
+
+const migrateTrades = (storedTrades: any[], fromVersion: number): Trade[] => {
+    let migrated = storedTrades;
+    for (let version = fromVersion + 1; version <= TRADE_SCHEMA_VERSION; version++) {
+        const migration = tradeMigrations[version];
+        if (migration) migrated = migrated.map(migration);
     }
+    return migrated;
 };
 
-const loadTradesFromSheet = async () => {
-    if (!googleAuthState.isSignedIn) {
-        alert("Você precisa estar conectado ao Google para carregar o histórico.");
+const saveState = () => {
+    if (!db) {
+        // IndexedDB unavailable (e.g. private browsing): keep at least the REG options.
+        localStorage.setItem('regOptions', JSON.stringify(regOptions));
         return;
     }
-    if (!spreadsheetId) {
-        alert('ID da Planilha não configurado.');
-        return;
+
+    try {
+        const tx = db.transaction([TRADES_STORE, SETTINGS_STORE], 'readwrite');
+        const tradeStore = tx.objectStore(TRADES_STORE);
+        tradeStore.clear();
+        trades.forEach(trade => tradeStore.put(trade));
+
+        const settingsStore = tx.objectStore(SETTINGS_STORE);
+        settingsStore.put(TRADE_SCHEMA_VERSION, 'schemaVersion');
+        settingsStore.put(regOptions, 'regOptions');
+        settingsStore.put(instruments, 'instruments');
+        settingsStore.put(costProfiles, 'costProfiles');
+        settingsStore.put(activeCostProfileId, 'activeCostProfileId');
+        settingsStore.put(resultMode, 'resultMode');
+        settingsStore.put(equityGranularity, 'equityGranularity');
+        settingsStore.put(csvDelimiter, 'csvDelimiter');
+        settingsStore.put(importProfiles, 'importProfiles');
+        settingsStore.put(riskRules, 'riskRules');
+        settingsStore.put(accounts, 'accounts');
+        settingsStore.put(selectedAccountId, 'selectedAccountId');
+        settingsStore.put(cashMovements, 'cashMovements');
+        settingsStore.put(tags, 'tags');
+        settingsStore.put(deletedTrades, 'deletedTrades');
+        settingsStore.put(syncBase, 'syncBase');
+        settingsStore.put(syncOutbox, 'syncOutbox');
+        settingsStore.put(lastSyncAt, 'lastSyncAt');
+        settingsStore.put(syncCursor, 'syncCursor');
+
+        tx.onerror = () => console.error('Falha ao salvar os dados locais:', tx.error);
+    } catch (error) {
+        console.error('Falha ao salvar os dados locais:', error);
     }
+};
 
-    const loadButton = document.getElementById('load-sheets');
-    if (loadButton) {
-        loadButton.textContent = 'Carregando...';
-        loadButton.setAttribute('disabled', 'true');
+const loadState = async () => {
+    const isFirstRun = loadJournals();
+    const legacyRegOptions = localStorage.getItem('regOptions');
+    if (legacyRegOptions) regOptions = JSON.parse(legacyRegOptions);
+
+    try {
+        db = await openDatabase(getJournalDatabaseName(activeJournalId));
+    } catch (error) {
+        console.warn('IndexedDB indisponível, os dados ficarão apenas em memória:', error);
+        db = null;
+        return;
     }
 
     try {
-        const sheetName = 'Trades';
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: sheetName,
-        });
+        const tx = db.transaction([TRADES_STORE, SETTINGS_STORE, SCREENSHOTS_STORE], 'readonly');
+        const settingsStore = tx.objectStore(SETTINGS_STORE);
+        const [
+            storedTrades, storedVersion, storedRegOptions, storedInstruments,
+            storedCostProfiles, storedActiveCostProfileId, storedResultMode, storedRiskRules,
+            storedEquityGranularity, storedCsvDelimiter, storedImportProfiles,
+            storedDeletedTrades, storedSyncBase, storedSyncOutbox, storedLastSyncAt, storedSyncCursor,
+            storedAccounts, storedSelectedAccountId, storedCashMovements, storedTags, storedScreenshots,
+        ] = await Promise.all([
+            requestToPromise(tx.objectStore(TRADES_STORE).getAll()),
+            requestToPromise(settingsStore.get('schemaVersion')),
+            requestToPromise(settingsStore.get('regOptions')),
+            requestToPromise(settingsStore.get('instruments')),
+            requestToPromise(settingsStore.get('costProfiles')),
+            requestToPromise(settingsStore.get('activeCostProfileId')),
+            requestToPromise(settingsStore.get('resultMode')),
+            requestToPromise(settingsStore.get('riskRules')),
+            requestToPromise(settingsStore.get('equityGranularity')),
+            requestToPromise(settingsStore.get('csvDelimiter')),
+            requestToPromise(settingsStore.get('importProfiles')),
+            requestToPromise(settingsStore.get('deletedTrades')),
+            requestToPromise(settingsStore.get('syncBase')),
+            requestToPromise(settingsStore.get('syncOutbox')),
+            requestToPromise(settingsStore.get('lastSyncAt')),
+            requestToPromise(settingsStore.get('syncCursor')),
+            requestToPromise(settingsStore.get('accounts')),
+            requestToPromise(settingsStore.get('selectedAccountId')),
+            requestToPromise(settingsStore.get('cashMovements')),
+            requestToPromise(settingsStore.get('tags')),
+            requestToPromise(tx.objectStore(SCREENSHOTS_STORE).getAll()),
+        ]);
+
+        if (storedRegOptions) regOptions = storedRegOptions;
+        if (storedInstruments) instruments = inJournalCurrency(storedInstruments);
+        if (storedCostProfiles) costProfiles = storedCostProfiles;
+        if (storedActiveCostProfileId) activeCostProfileId = storedActiveCostProfileId;
+        if (storedResultMode) resultMode = storedResultMode;
+        if (storedRiskRules) riskRules = storedRiskRules;
+        if (storedEquityGranularity) equityGranularity = storedEquityGranularity;
+        if (storedCsvDelimiter) csvDelimiter = storedCsvDelimiter;
+        if (storedImportProfiles) importProfiles = storedImportProfiles;
+        if (storedAccounts) accounts = inJournalCurrency(storedAccounts);
+        if (storedSelectedAccountId) selectedAccountId = storedSelectedAccountId;
+        if (storedCashMovements) cashMovements = storedCashMovements;
+        if (storedTags) tags = storedTags;
+        const fromVersion = typeof storedVersion === 'number' ? storedVersion : TRADE_SCHEMA_VERSION;
+        trades = migrateTrades(storedTrades, fromVersion);
+        // Unlike the settings, the sync state never carries over to another journal.
+        deletedTrades = migrateTrades(storedDeletedTrades || [], fromVersion);
+        syncBase = storedSyncBase || {};
+        syncOutbox = storedSyncOutbox || [];
+        lastSyncAt = storedLastSyncAt || null;
+        syncCursor = storedSyncCursor || null;
+        screenshots = storedScreenshots;
+        ensureTradeAccounts();
+
+        if (isFirstRun) {
+            if (trades.length > 0) getActiveJournal().spreadsheetId = LEGACY_SPREADSHEET_ID;
+            saveJournals();
+        }
 
-        const values = response.result.values || [];
-        if (values.length <= 1) { // No data rows, only header or empty
-            alert("Nenhuma operação encontrada na planilha para carregar.");
-            trades = [];
-            render();
-            return;
+        // A journal opened for the first time has no settings yet and keeps the ones of the
+        // journal that was open before; they are persisted here.
+        if (fromVersion !== TRADE_SCHEMA_VERSION || legacyRegOptions || storedVersion === undefined) {
+            saveState();
+            localStorage.removeItem('regOptions');
         }
-        
-        const dataRows = values.slice(1); 
-        const loadedTrades = dataRows.map(rowToTrade).filter((t): t is Trade => t !== null);
+    } catch (error) {
+        console.error('Falha ao carregar os dados locais:', error);
+    }
+};
 
-        trades = loadedTrades;
-        
-        render();
-        alert(`${loadedTrades.length} operação(ões) carregada(s) com sucesso da planilha!`);
+// --- JOURNALS ---
+const getActiveJournal = (): Journal => journals.find(j => j.id === activeJournalId) || journals[0];
 
-    } catch (err: any) {
-        console.error('Erro ao carregar dados da planilha:', err);
-        let errorMessage = 'Falha ao carregar dados da planilha.';
-        if (err.result?.error?.message) {
-            errorMessage += `\nDetalhes: ${err.result.error.message}`;
-        } else if (err.message) {
-            errorMessage += `\nDetalhes: ${err.message}`;
-        }
-        alert(errorMessage);
-    } finally {
-        if (loadButton) {
-            loadButton.textContent = 'Carregar Histórico';
-            loadButton.removeAttribute('disabled');
-        }
+// The first journal keeps the database the app used before journals existed.
+const getJournalDatabaseName = (journalId: string) => journalId === DEFAULT_JOURNAL_ID ? DB_NAME : `${DB_NAME}-${journalId}`;
+
+const saveJournals = () => {
+    localStorage.setItem(JOURNALS_STORAGE_KEY, JSON.stringify(journals));
+    localStorage.setItem(ACTIVE_JOURNAL_STORAGE_KEY, activeJournalId);
+};
+
+// Returns true when there was no journal list yet and the default journal was created.
+const loadJournals = (): boolean => {
+    const storedJournals = localStorage.getItem(JOURNALS_STORAGE_KEY);
+    // Journals saved before the storage backends existed all sync with Google Sheets.
+    if (storedJournals) journals = JSON.parse(storedJournals).map((j: Journal) => ({ ...DEFAULT_JOURNAL_STORAGE, ...j }));
+    if (journals.length > 0) {
+        activeJournalId = localStorage.getItem(ACTIVE_JOURNAL_STORAGE_KEY) || journals[0].id;
+        if (!journals.some(j => j.id === activeJournalId)) activeJournalId = journals[0].id;
+        return false;
     }
+    journals = [{ id: DEFAULT_JOURNAL_ID, name: 'Diário Principal', ...DEFAULT_JOURNAL_STORAGE }];
+    activeJournalId = DEFAULT_JOURNAL_ID;
+    return true;
 };
 
-const gapiLoaded = () => {
-    gapi.load('client', initializeGapiClient);
+// Where a journal's trades are synced. The sync state of the journal only holds for that place.
+const getStorageTarget = (journal: Journal) => {
+    if (journal.backend === 'server') return `server:${journal.serverUrl}/${journal.serverJournal}`;
+    if (journal.backend === 'sheets') return `sheets:${journal.spreadsheetId}/${journal.tradesSheetName}`;
+    return 'local';
 };
 
-const gisLoaded = () => {
-    tokenClient = google.accounts.oauth2.initTokenClient({
-        client_id: GOOGLE_CLIENT_ID,
-        scope: GOOGLE_SCOPES,
-        callback: (tokenResponse: any) => {
-            const wasInteractive = isAuthorizingInteractively;
-            isAuthorizingInteractively = false; // Reset flag on any callback
-            if (tokenResponse && tokenResponse.access_token) {
-                gapi.client.setToken(tokenResponse);
-                googleAuthState.isSignedIn = true;
-                googleAuthState.user = 'Conectado';
-                fetchRegOptionsFromSheet();
-                render();
-            } else {
-                console.error('Authentication failed: No access token in response.', tokenResponse);
-                if (wasInteractive) {
-                     googleAuthState.isSignedIn = false;
-                     googleAuthState.user = 'Falha';
-                     render();
-                     alert('Falha na autenticação: Resposta inválida do Google.');
-                }
-            }
-        },
-        error_callback: (error: { type: string; [key: string]: any }) => {
-            const wasInteractive = isAuthorizingInteractively;
-            isAuthorizingInteractively = false; // Reset flag for next attempt
+// Accepts the spreadsheet URL as copied from the address bar or the bare ID.
+const parseSpreadsheetId = (input: string): string | null => {
+    const value = input.trim();
+    const urlMatch = value.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+    if (urlMatch) return urlMatch[1];
+    return /^[a-zA-Z0-9_-]{20,}$/.test(value) ? value : null;
+};
 
-            // Handle only interactive errors with user-facing messages
-            if (wasInteractive) {
-                googleAuthState.isSignedIn = false;
+const switchJournal = async (journalId: string) => {
+    if (journalId === activeJournalId || !journals.some(j => j.id === journalId)) return;
+    if (!db) {
+        alert('O banco de dados local está indisponível neste navegador, então só é possível usar um diário.');
+        render();
+        return;
+    }
 
-                // Check for specific OAuth configuration errors first.
-                const errorString = JSON.stringify(error);
-                if (errorString.includes('invalid_client') || errorString.includes('unauthorized_client')) {
-                     console.error('Fatal Google Auth Configuration Error:', error);
-                     googleAuthState.user = 'Erro de Configuração';
-                     render();
-                     alert(`Erro Crítico na Configuração da Integração: Cliente inválido. Verifique se o Client ID está correto e autorizado no Google Cloud Console.`);
-                     return; // Stop further processing.
-                }
+    saveState();
+    db.close();
+    db = null;
+    activeJournalId = journalId;
+    saveJournals();
+    editingTrade = null;
+    deletingTradeId = null;
+    pendingRuleOverride = null;
+    importWizard = null;
+    pendingRestore = null;
+    syncConflicts = null;
+    screenshotLightbox = null;
+    formScreenshots = [];
+    releaseScreenshotUrls(Object.keys(screenshotUrls));
+    screenshots = [];
+    filters = { ...DEFAULT_FILTERS };
+    calendarMonth = null;
+
+    resetOutboxRetry();
+    resetScreenshotUploadRetry();
+    await loadState();
+    render();
+    fetchRegOptions();
+    flushOutbox();
+};
 
-                // Handle other known interactive errors.
-                if (error.type === 'popup_failed_to_open') {
-                    console.error('Authentication error: The browser blocked the popup.', error);
-                    googleAuthState.user = 'Pop-up Bloqueado';
-                    render();
-                    alert("A janela de login do Google foi bloqueada pelo seu navegador. Por favor, procure por um ícone de pop-up bloqueado na barra de endereço e permita pop-ups para este site.");
-                } else if (error.type === 'popup_closed') {
-                    // This is a user action, not a critical error.
-                    console.log('Authentication flow was cancelled by the user.');
-                    googleAuthState.user = 'Autorização Cancelada';
-                    render();
-                } else {
-                    // Catch-all for other unexpected errors.
-                    console.error('Authentication error: An unexpected error occurred.', error);
-                    googleAuthState.user = 'Erro de Autenticação';
-                    render();
-                    alert(`Ocorreu um erro inesperado durante a autenticação: ${error.message || 'Verifique o console.'}`);
-                }
-            } else {
-                // Silent auth failed, this is normal for new users, no need to do anything.
-                console.log("Silent auth failed, which is expected for users needing to grant consent.", error);
-            }
-        }
-    });
-    isGisReady = true;
+const openManageJournalsModal = () => {
+    isManagingJournals = true;
     render();
 };
 
-const initializeGapiClient = async () => {
-    await gapi.client.init({
-        discoveryDocs: ['https://sheets.googleapis.com/$discovery/rest?version=v4'],
-    });
-    isGapiReady = true;
+const closeManageJournalsModal = () => {
+    isManagingJournals = false;
     render();
 };
 
-const handleAuthClick = () => {
-    isAuthorizingInteractively = true;
-    // An empty prompt is usually best. 'consent' forces re-approval every time.
-    tokenClient.requestAccessToken({ prompt: '' });
+const refreshManageJournalsModal = () => {
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderManageJournalsModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-journals-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
 };
 
-const handleSignoutClick = () => {
-    const token = gapi.client.getToken();
-    if (token !== null) {
-        google.accounts.oauth2.revoke(token.access_token, () => {
-            gapi.client.setToken('');
-            googleAuthState.isSignedIn = false;
-            googleAuthState.user = '';
-            render();
-        });
+const readJournalForm = (form: HTMLFormElement): Journal | null => {
+    const formData = new FormData(form);
+    const errorEl = document.getElementById('journal-form-error');
+
+    const name = (formData.get('journal-name') as string).trim();
+    const backend = formData.get('journal-backend') as StorageBackend;
+    const spreadsheetInput = (formData.get('journal-spreadsheet') as string).trim();
+    const spreadsheetId = spreadsheetInput ? parseSpreadsheetId(spreadsheetInput) : '';
+    const tradesSheetName = (formData.get('journal-trades-sheet') as string).trim() || DEFAULT_TRADES_SHEET_NAME;
+    const configSheetName = (formData.get('journal-config-sheet') as string).trim() || DEFAULT_CONFIG_SHEET_NAME;
+    const serverUrl = (formData.get('journal-server-url') as string).trim().replace(/\/+$/, '');
+    const serverJournal = (formData.get('journal-server-journal') as string).trim();
+    const serverToken = (formData.get('journal-server-token') as string).trim();
+    const id = (formData.get('journal-id') as string) || Date.now().toString(36);
+
+    if (!name) {
+        if (errorEl) errorEl.textContent = 'Informe um nome para o diário.';
+        return null;
+    }
+    if (backend === 'sheets' && spreadsheetId === null) {
+        if (errorEl) errorEl.textContent = 'Cole a URL da planilha (https://docs.google.com/spreadsheets/d/...) ou apenas o ID dela.';
+        return null;
+    }
+    if (backend === 'sheets' && tradesSheetName === configSheetName) {
+        if (errorEl) errorEl.textContent = 'As abas de operações e de configuração precisam ter nomes diferentes.';
+        return null;
+    }
+    if (backend === 'server' && !/^https?:\/\/[^\s/]+/.test(serverUrl)) {
+        if (errorEl) errorEl.textContent = 'Informe o endereço do servidor, por exemplo http://localhost:8787.';
+        return null;
+    }
+    if (backend === 'server' && !/^[a-zA-Z0-9_-]{1,64}$/.test(serverJournal)) {
+        if (errorEl) errorEl.textContent = 'O nome do diário no servidor aceita apenas letras sem acento, números, "-" e "_".';
+        return null;
     }
-};
 
-const fetchRegOptionsFromSheet = async () => {
-    if (!googleAuthState.isSignedIn || !spreadsheetId) return;
+    return {
+        id,
+        name,
+        backend,
+        spreadsheetId: spreadsheetId || '',
+        tradesSheetName,
+        configSheetName,
+        serverUrl,
+        serverJournal,
+        serverToken,
+        driveScreenshots: formData.get('journal-drive-screenshots') === 'on',
+        // The images folder outlives edits of the journal.
+        driveFolderId: journals.find(j => j.id === id)?.driveFolderId || '',
+    };
+};
 
-    try {
-        const spreadsheet = await gapi.client.sheets.spreadsheets.get({ spreadsheetId });
-        const sheetExists = spreadsheet.result.sheets.some((s: any) => s.properties.title === CONFIG_SHEET_NAME);
-        if (!sheetExists) {
-            await syncRegOptionsToSheet({ silent: true, createSheet: true });
-            return;
+const storeJournal = (journal: Journal) => {
+    const existingIndex = journals.findIndex(j => j.id === journal.id);
+    const isRetargeted = existingIndex !== -1 && getStorageTarget(journals[existingIndex]) !== getStorageTarget(journal);
+    if (existingIndex !== -1) {
+        journals[existingIndex] = journal;
+    } else {
+        journals.push(journal);
+    }
+    saveJournals();
+    if (journal.id === activeJournalId) {
+        // A new place starts without a merge base, so every trade of the app is sent to it.
+        if (isRetargeted) {
+            syncBase = {};
+            syncCursor = null;
+            syncOutbox = [];
+            saveState();
+            queueTradeSync([...trades, ...deletedTrades].map(t => t.id));
         }
+        fetchRegOptions();
+        flushOutbox();
+        uploadPendingScreenshots();
+    }
+    refreshManageJournalsModal();
+};
 
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: `${CONFIG_SHEET_NAME}!A:C`,
-        });
+const saveJournal = (event: SubmitEvent) => {
+    event.preventDefault();
+    const journal = readJournalForm(event.target as HTMLFormElement);
+    if (journal) storeJournal(journal);
+};
 
-        const values = response.result.values || [];
-        const sheetRegions = new Set<string>();
-        const sheetStructures = new Set<string>();
-        const sheetTriggers = new Set<string>();
+const createJournalFromTemplate = async () => {
+    const form = document.getElementById('journal-form') as HTMLFormElement | null;
+    if (!form) return;
+    if (!googleAuthState.isSignedIn) {
+        alert('Conecte-se ao Google para criar a planilha.');
+        return;
+    }
+    const journal = readJournalForm(form);
+    if (!journal) return;
 
-        if (values.length > 1) { // A1,B1,C1 are headers
-            for (let i = 1; i < values.length; i++) {
-                if (values[i][0]) sheetRegions.add(values[i][0]);
-                if (values[i][1]) sheetStructures.add(values[i][1]);
-                if (values[i][2]) sheetTriggers.add(values[i][2]);
-            }
-        }
+    const createButton = document.getElementById('create-journal-spreadsheet');
+    if (createButton) {
+        createButton.textContent = 'Criando...';
+        createButton.setAttribute('disabled', 'true');
+    }
 
-        let updated = false;
-        const mergedRegions = [...new Set([...regOptions.regions, ...sheetRegions])].sort();
-        if (mergedRegions.length !== regOptions.regions.length || !mergedRegions.every((v, i) => v === regOptions.regions[i])) {
-            regOptions.regions = mergedRegions;
-            updated = true;
+    try {
+        journal.spreadsheetId = await createJournalSpreadsheet(journal);
+        storeJournal(journal);
+    } catch (err: any) {
+        console.error('Erro ao criar a planilha:', err);
+        alert(`Falha ao criar a planilha.\nDetalhes: ${err.result?.error?.message || err.message || 'verifique o console.'}`);
+        if (createButton) {
+            createButton.textContent = 'Criar Planilha Nova';
+            createButton.removeAttribute('disabled');
         }
+    }
+};
 
-        const mergedStructures = [...new Set([...regOptions.structures, ...sheetStructures])].sort();
-         if (mergedStructures.length !== regOptions.structures.length || !mergedStructures.every((v, i) => v === regOptions.structures[i])) {
-            regOptions.structures = mergedStructures;
-            updated = true;
-        }
-        
-        const mergedTriggers = [...new Set([...regOptions.triggers, ...sheetTriggers])].sort();
-        if (mergedTriggers.length !== regOptions.triggers.length || !mergedTriggers.every((v, i) => v === regOptions.triggers[i])) {
-            regOptions.triggers = mergedTriggers;
-            updated = true;
-        }
+// Shows only the fields of the backend picked in the journal form.
+const toggleJournalBackendFields = (form: HTMLFormElement) => {
+    const backend = (form.elements.namedItem('journal-backend') as HTMLSelectElement).value;
+    form.querySelectorAll<HTMLElement>('[data-backend-fields]').forEach(el => {
+        el.hidden = el.dataset.backendFields !== backend;
+    });
+};
 
-        if (updated) {
-            saveState();
-            syncRegOptionsToSheet({ silent: true });
-        }
+const fillJournalForm = (id: string) => {
+    const journal = journals.find(j => j.id === id);
+    const form = document.getElementById('journal-form') as HTMLFormElement | null;
+    if (!journal || !form) return;
+
+    (form.elements.namedItem('journal-id') as HTMLInputElement).value = journal.id;
+    (form.elements.namedItem('journal-name') as HTMLInputElement).value = journal.name;
+    (form.elements.namedItem('journal-backend') as HTMLSelectElement).value = journal.backend;
+    (form.elements.namedItem('journal-spreadsheet') as HTMLInputElement).value = journal.spreadsheetId;
+    (form.elements.namedItem('journal-trades-sheet') as HTMLInputElement).value = journal.tradesSheetName;
+    (form.elements.namedItem('journal-config-sheet') as HTMLInputElement).value = journal.configSheetName;
+    (form.elements.namedItem('journal-server-url') as HTMLInputElement).value = journal.serverUrl;
+    (form.elements.namedItem('journal-server-journal') as HTMLInputElement).value = journal.serverJournal;
+    (form.elements.namedItem('journal-server-token') as HTMLInputElement).value = journal.serverToken;
+    (form.elements.namedItem('journal-drive-screenshots') as HTMLInputElement).checked = journal.driveScreenshots;
+    toggleJournalBackendFields(form);
+    (form.elements.namedItem('journal-name') as HTMLInputElement).focus();
+};
 
-    } catch (error) {
-        console.error("Failed to fetch regOptions from Google Sheet:", error);
+// Deleting removes the trades kept in this browser; the spreadsheet itself is left untouched.
+const deleteJournal = (id: string) => {
+    const journal = journals.find(j => j.id === id);
+    if (!journal) return;
+    if (id === activeJournalId) {
+        alert('Ative outro diário antes de excluir este.');
+        return;
     }
+    if (!confirm(`Excluir o diário "${journal.name}"? As operações dele salvas neste navegador serão apagadas. A planilha do Google não é alterada.`)) return;
+
+    journals = journals.filter(j => j.id !== id);
+    saveJournals();
+    indexedDB.deleteDatabase(getJournalDatabaseName(id));
+    refreshManageJournalsModal();
 };
 
-const syncRegOptionsToSheet = async (options: { silent?: boolean, createSheet?: boolean } = {}) => {
-    if (!googleAuthState.isSignedIn || !spreadsheetId) return;
+// --- ACCOUNTS ---
+// Every trade belongs to one account of the journal: real money, a simulator or a prop desk.
+// The header switcher scopes the dashboard, the history and the risk rules to one account,
+// or consolidates all of them.
+const getAccount = (id: string): Account | undefined => accounts.find(a => a.id === id);
 
-    try {
-        if (options.createSheet) {
-            await gapi.client.sheets.spreadsheets.batchUpdate({
-                spreadsheetId: spreadsheetId,
-                resource: { requests: [{ addSheet: { properties: { title: CONFIG_SHEET_NAME } } }] },
-            });
-        }
+// New trades go to the selected account; with all accounts selected, to the first one.
+const getDefaultAccountId = (): string => getAccount(selectedAccountId) ? selectedAccountId : accounts[0].id;
 
-        await gapi.client.sheets.spreadsheets.values.clear({
-            spreadsheetId: spreadsheetId,
-            range: `${CONFIG_SHEET_NAME}!A1:C`,
-        });
+const getAccountsInView = (): Account[] => accounts.filter(a => selectedAccountId === ALL_ACCOUNTS || a.id === selectedAccountId);
 
-        const header = [['Regiões', 'Estruturas', 'Gatilhos']];
-        const maxLength = Math.max(regOptions.regions.length, regOptions.structures.length, regOptions.triggers.length);
-        const values = [];
-        for (let i = 0; i < maxLength; i++) {
-            values.push([
-                regOptions.regions[i] || '',
-                regOptions.structures[i] || '',
-                regOptions.triggers[i] || '',
-            ]);
-        }
+const isInSelectedAccount = (trade: Trade) => selectedAccountId === ALL_ACCOUNTS || trade.accountId === selectedAccountId;
 
-        await gapi.client.sheets.spreadsheets.values.update({
-            spreadsheetId: spreadsheetId,
-            range: `${CONFIG_SHEET_NAME}!A1`,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: [...header, ...values] },
-        });
+// Simulator results are not real gains or losses, so they stay out of the income tax.
+const getTaxableTrades = (): Trade[] => trades.filter(t => getAccount(t.accountId)?.type !== 'simulator');
 
-    } catch (error) {
-        console.error("Failed to sync regOptions to Google Sheet:", error);
-        if (!options.silent) {
-            alert("Falha ao sincronizar as opções de REG com a planilha. Verifique o console.");
+// Trades synced, imported or restored may belong to an account created on another device;
+// it is added with its id as the name, for the user to complete.
+const ensureTradeAccounts = () => {
+    trades.forEach(trade => {
+        if (!trade.accountId) trade.accountId = DEFAULT_ACCOUNT_ID;
+        if (!getAccount(trade.accountId)) {
+            accounts.push({ ...DEFAULT_ACCOUNTS[0], id: trade.accountId, name: trade.accountId });
         }
-    }
+    });
+    if (selectedAccountId !== ALL_ACCOUNTS && !getAccount(selectedAccountId)) selectedAccountId = ALL_ACCOUNTS;
 };
 
-const appendRegOptionToSheet = async (optionType: 'regions' | 'structures' | 'triggers', optionValue: string) => {
-    if (!googleAuthState.isSignedIn || !spreadsheetId) return;
-
-    const columnMap = {
-        regions: 0,
-        structures: 1,
-        triggers: 2,
-    };
-    const columnIndex = columnMap[optionType];
-    const rowValues = ['', '', ''];
-    rowValues[columnIndex] = optionValue;
-    
-    try {
-        await gapi.client.sheets.spreadsheets.values.append({
-            spreadsheetId: spreadsheetId,
-            range: `${CONFIG_SHEET_NAME}!A:C`,
-            valueInputOption: 'USER_ENTERED',
-            insertDataOption: 'INSERT_ROWS',
-            resource: {
-                values: [rowValues],
-            },
-        });
-    } catch (error) {
-        console.error(`Failed to append option "${optionValue}" to Google Sheet:`, error);
-    }
+const selectAccount = (id: string) => {
+    selectedAccountId = id;
+    saveState();
+    render();
 };
 
-const deleteRegOptionFromSheet = async (optionType: 'regions' | 'structures' | 'triggers', optionValue: string) => {
-    if (!googleAuthState.isSignedIn || !spreadsheetId) return;
-
-    const columnMap = {
-        regions: 0,
-        structures: 1,
-        triggers: 2,
-    };
-    const columnIndex = columnMap[optionType];
+const openManageAccountsModal = () => {
+    isManagingAccounts = true;
+    render();
+};
 
-    try {
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: `${CONFIG_SHEET_NAME}!A:C`,
-        });
+const closeManageAccountsModal = () => {
+    isManagingAccounts = false;
+    render();
+};
 
-        const values = response.result.values || [];
-        let cellToClear = '';
+const saveAccount = (event: SubmitEvent) => {
+    event.preventDefault();
+    const formData = new FormData(event.target as HTMLFormElement);
+    const errorEl = document.getElementById('account-form-error');
 
-        // Find the cell coordinates (e.g., "A5")
-        for (let i = 1; i < values.length; i++) { // Start at 1 to skip header
-            if (values[i][columnIndex] === optionValue) {
-                const columnLetter = String.fromCharCode(65 + columnIndex);
-                const rowNumber = i + 1;
-                cellToClear = `${CONFIG_SHEET_NAME}!${columnLetter}${rowNumber}`;
-                break;
-            }
-        }
+    const name = (formData.get('account-name') as string).trim();
+    const initialCapitalInput = ((formData.get('account-initial-capital') as string) || '').trim();
+    const initialCapital = initialCapitalInput ? parseLocaleNumber(initialCapitalInput) : 0;
+    const currency = (formData.get('account-currency') as string).trim().toUpperCase();
 
-        if (cellToClear) {
-            await gapi.client.sheets.spreadsheets.values.clear({
-                spreadsheetId: spreadsheetId,
-                range: cellToClear,
-            });
-        } else {
-            console.warn(`Option "${optionValue}" not found in sheet to clear.`);
-        }
+    if (!name || !(initialCapital >= 0)) {
+        if (errorEl) errorEl.textContent = 'Informe um nome e um capital inicial não negativo.';
+        return;
+    }
+    if (currency !== JOURNAL_CURRENCY) {
+        if (errorEl) errorEl.textContent = 'Os resultados do diário são calculados em reais: informe o capital em BRL.';
+        return;
+    }
 
-    } catch (error) {
-        console.error(`Failed to clear option "${optionValue}" from Google Sheet:`, error);
+    const account: Account = {
+        id: (formData.get('account-id') as string) || Date.now().toString(36),
+        name,
+        broker: (formData.get('account-broker') as string).trim(),
+        type: formData.get('account-type') as Account['type'],
+        initialCapital,
+        currency,
+        updatedAt: new Date().toISOString(),
+    };
+    const existingIndex = accounts.findIndex(a => a.id === account.id);
+    if (existingIndex !== -1) {
+        accounts[existingIndex] = account;
+    } else {
+        accounts.push(account);
     }
+    saveState();
+    pushRegOptions();
+    // The switcher and the history show the account names too.
+    render();
+};
+
+const fillAccountForm = (id: string) => {
+    const account = getAccount(id);
+    const form = document.getElementById('account-form') as HTMLFormElement | null;
+    if (!account || !form) return;
+
+    (form.elements.namedItem('account-id') as HTMLInputElement).value = account.id;
+    (form.elements.namedItem('account-name') as HTMLInputElement).value = account.name;
+    (form.elements.namedItem('account-broker') as HTMLInputElement).value = account.broker;
+    (form.elements.namedItem('account-type') as HTMLSelectElement).value = account.type;
+    (form.elements.namedItem('account-initial-capital') as HTMLInputElement).value = String(account.initialCapital).replace('.', ',');
+    (form.elements.namedItem('account-currency') as HTMLInputElement).value = account.currency;
+    (form.elements.namedItem('account-name') as HTMLInputElement).focus();
 };
 
-const syncToSheet = async (options: { silent?: boolean } = {}) => {
-    if (!spreadsheetId) {
-        if (!options.silent) alert('ID da Planilha não configurado.');
+// Accounts with trades or cash movements are kept, so nothing is left without an account.
+const deleteAccount = (id: string) => {
+    if (id === DEFAULT_ACCOUNT_ID) {
+        alert('A conta principal não pode ser excluída, apenas renomeada.');
         return;
     }
-
-    const syncButton = document.getElementById('sync-sheets');
-    if (syncButton) {
-        syncButton.textContent = 'Sincronizando...';
-        syncButton.setAttribute('disabled', 'true');
+    const tradeCount = trades.filter(t => t.accountId === id).length;
+    if (tradeCount > 0) {
+        alert(`A conta tem ${tradeCount} operação(ões). Exclua-as ou mova-as para outra conta antes de excluir a conta.`);
+        return;
     }
+    if (cashMovements.some(m => m.accountId === id)) {
+        alert('A conta tem movimentações de caixa. Exclua-as antes de excluir a conta.');
+        return;
+    }
+    accounts = accounts.filter(a => a.id !== id);
+    if (selectedAccountId === id) selectedAccountId = ALL_ACCOUNTS;
+    saveState();
+    pushRegOptions();
+    render();
+};
 
-    const sheetName = 'Trades';
-    const headerRow = [
-        'ID', 'Ativo', '# Operação', 'Lado', 'Data', 'Lotes', 'Preço Entrada',
-        'Preço Saída', 'Pontos', 'Resultado R$', 'Região', 'Estrutura', 'Gatilho', 'Notas'
-    ];
-    const tradeToRow = (t: Trade) => [
-        t.id, t.asset, t.tradeNumber, t.side, t.date, t.lots, t.entryPrice,
-        t.exitPrice, t.points, t.result, t.region, t.structure, t.trigger, t.notes || ''
-    ];
-
-    try {
-        // Step 1: Ensure the sheet exists, create if not.
-        try {
-            const spreadsheet = await gapi.client.sheets.spreadsheets.get({
-                spreadsheetId: spreadsheetId,
-            });
-            const sheetExists = spreadsheet.result.sheets.some((s: any) => s.properties.title === sheetName);
-            if (!sheetExists) {
-                await gapi.client.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: spreadsheetId,
-                    resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
-                });
-            }
-        } catch (err: any) {
-            if (err.result?.error?.code === 404) {
-                throw new Error('Planilha não encontrada. Verifique o ID da planilha.');
-            }
-            throw err;
-        }
+const openCashLedgerModal = () => {
+    isManagingCashLedger = true;
+    render();
+};
 
-        // Step 2: Get current data from the sheet to map existing trades.
-        const getResponse = await gapi.client.sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: sheetName,
-        });
+const closeCashLedgerModal = () => {
+    isManagingCashLedger = false;
+    render();
+};
 
-        const sheetValues = getResponse.result.values || [];
-        const sheetHeader = sheetValues[0] || [];
-        const headerIsMissingOrInvalid = headerRow.some((h, i) => h !== sheetHeader[i]);
-        
-        const sheetTradesMap = new Map<string, number>(); // Map<id_string, row_index_1_based>
-        if (!headerIsMissingOrInvalid) {
-            sheetValues.slice(1).forEach((row, index) => {
-                const id = row[0];
-                if (id) {
-                    // index is 0-based for the sliced array (data rows).
-                    // Sheet row index is index + 2.
-                    sheetTradesMap.set(String(id), index + 2);
-                }
-            });
-        }
+const saveCashMovement = (event: SubmitEvent) => {
+    event.preventDefault();
+    const formData = new FormData(event.target as HTMLFormElement);
+    const errorEl = document.getElementById('cash-movement-form-error');
 
-        // Step 3: Categorize local trades into updates (exist in sheet) and appends (new)
-        const dataForBatchUpdate: { range: string; values: (string | number)[][]; }[] = [];
-        const valuesToAppend: (string | number)[][] = [];
+    const date = formData.get('cash-movement-date') as string;
+    const amount = parseLocaleNumber(formData.get('cash-movement-amount') as string);
+    if (!date || !(amount > 0)) {
+        if (errorEl) errorEl.textContent = 'Informe a data e um valor maior que zero.';
+        return;
+    }
 
-        for (const trade of trades) {
-            const rowIndex = sheetTradesMap.get(String(trade.id));
-            if (rowIndex) { // Trade exists -> UPDATE
-                dataForBatchUpdate.push({
-                    range: `${sheetName}!A${rowIndex}`,
-                    values: [tradeToRow(trade)],
-                });
-            } else { // Trade is new -> APPEND
-                valuesToAppend.push(tradeToRow(trade));
-            }
-        }
+    cashMovements.push({
+        id: Date.now().toString(36),
+        accountId: (formData.get('cash-movement-account') as string) || getDefaultAccountId(),
+        date,
+        type: formData.get('cash-movement-type') as CashMovement['type'],
+        amount,
+        notes: ((formData.get('cash-movement-notes') as string) || '').trim(),
+    });
+    cashMovements.sort((a, b) => a.date.localeCompare(b.date));
+    saveState();
+    // The balance and the returns on the dashboard change with it.
+    render();
+};
 
-        // Step 4: Execute sheet modifications
-        
-        // Ensure header is present and correct before proceeding
-        if (headerIsMissingOrInvalid) {
-            await gapi.client.sheets.spreadsheets.values.update({
-                spreadsheetId: spreadsheetId,
-                range: `${sheetName}!A1`,
-                valueInputOption: 'USER_ENTERED',
-                resource: { values: [headerRow] },
-            });
-        }
-        
-        // Perform batch update for existing trades
-        if (dataForBatchUpdate.length > 0) {
-            await gapi.client.sheets.spreadsheets.values.batchUpdate({
-                spreadsheetId: spreadsheetId,
-                resource: {
-                    valueInputOption: 'USER_ENTERED',
-                    data: dataForBatchUpdate,
-                },
-            });
-        }
+const deleteCashMovement = (id: string) => {
+    cashMovements = cashMovements.filter(m => m.id !== id);
+    saveState();
+    render();
+};
 
-        // Append all new trades in a single call
-        if (valuesToAppend.length > 0) {
-            await gapi.client.sheets.spreadsheets.values.append({
-                spreadsheetId: spreadsheetId,
-                range: sheetName, // Appending to the table will find the first empty row
-                valueInputOption: 'USER_ENTERED',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: valuesToAppend },
-            });
-        }
-        
-        if (!options.silent) {
-            const updatedCount = dataForBatchUpdate.length;
-            const appendedCount = valuesToAppend.length;
-            alert(`Sincronização concluída!\n- ${updatedCount} operação(ões) atualizada(s).\n- ${appendedCount} nova(s) operação(ões) adicionada(s).`);
-        }
+// --- TAGS ---
+// Free-form tags, many per trade, on top of the REG classification. The registry holds the
+// tags created in the manager and which ones are mistakes; tags typed in the form or synced
+// from another device are valid too and count as regular tags until marked.
+const normalizeTagName = (name: string) => name.trim().replace(/\s+/g, ' ');
+
+// Tags are written comma-separated in the sheet, the CSV and the form, so a name has no commas.
+const parseTags = (text: string): string[] => {
+    const names: string[] = [];
+    text.split(',').map(normalizeTagName).filter(Boolean).forEach(name => {
+        if (!names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+    });
+    return names;
+};
 
-    } catch (err: any) {
-        console.error('Erro na sincronização:', err);
-        let errorMessage = 'Falha ao sincronizar com a planilha.';
-        if (err.result?.error?.message) {
-            errorMessage += `\nDetalhes: ${err.result.error.message}`;
-        } else if (err.message) {
-            errorMessage += `\nDetalhes: ${err.message}`;
-        } else {
-            errorMessage += '\nVerifique a conexão e as permissões da planilha.';
-        }
-        
-        const alertPrefix = options.silent 
-            ? 'Erro na sincronização automática em segundo plano.' 
-            : 'Ocorreu um erro ao sincronizar.';
-            
-        alert(`${alertPrefix}\n\n${errorMessage}`);
+const formatTags = (names: string[] = []) => names.join(', ');
 
-    } finally {
-        if (syncButton) {
-            syncButton.textContent = 'Sincronizar';
-            if (googleAuthState.isSignedIn) {
-                syncButton.removeAttribute('disabled');
-            }
-        }
-    }
+const getAllTags = (): Tag[] => {
+    const allTags = [...tags];
+    trades.forEach(trade => (trade.tags || []).forEach(name => {
+        if (!allTags.some(t => t.name.toLowerCase() === name.toLowerCase())) allTags.push({ name, isMistake: false });
+    }));
+    return allTags.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
 };
 
+// Typed tags take the spelling of the tag already known.
+const findTag = (name: string): Tag | undefined => getAllTags().find(t => t.name.toLowerCase() === name.toLowerCase());
 
-// --- CORE LOGIC ---
-const openManageOptionsModal = (optionType: 'regions' | 'structures' | 'triggers') => {
-    managingOptionsFor = optionType;
+const isMistakeTag = (name: string) => findTag(name)?.isMistake === true;
+
+// Tags synced or imported may differ in case from the known spelling.
+const isSameTag = (a: string, b: string) => a.toLowerCase() === b.toLowerCase();
+
+const hasTag = (trade: Trade, name: string) => (trade.tags || []).some(n => isSameTag(n, name));
+
+const readTagsFromForm = (formData: FormData): string[] =>
+    parseTags([...(formData.getAll('tags') as string[]), (formData.get('tag-input') as string) || ''].join(','))
+        .map(name => findTag(name)?.name || name);
+
+const openManageTagsModal = () => {
+    isManagingTags = true;
     render();
 };
 
-const closeManageOptionsModal = () => {
-    managingOptionsFor = null;
+const closeManageTagsModal = () => {
+    isManagingTags = false;
     render();
 };
 
-const addRegOption = (event: SubmitEvent) => {
+const saveTag = (event: SubmitEvent) => {
     event.preventDefault();
-    if (!managingOptionsFor) return;
+    const formData = new FormData(event.target as HTMLFormElement);
+    const errorEl = document.getElementById('tag-form-error');
+    const name = normalizeTagName(formData.get('tag-name') as string);
 
-    const form = event.target as HTMLFormElement;
-    const input = form.elements.namedItem('new-option-input') as HTMLInputElement;
-    const newOption = input.value.trim();
-
-    if (newOption && !regOptions[managingOptionsFor].includes(newOption)) {
-        regOptions[managingOptionsFor].push(newOption);
-        regOptions[managingOptionsFor].sort();
-        saveState();
-        if (googleAuthState.isSignedIn) {
-            appendRegOptionToSheet(managingOptionsFor, newOption);
-        }
+    if (!name || name.includes(',')) {
+        if (errorEl) errorEl.textContent = 'Informe um nome sem vírgulas para a tag.';
+        return;
     }
-    // Re-render the modal content, not the whole app
-    const modalContainer = document.getElementById('modal-container');
-    if (modalContainer) {
-        modalContainer.innerHTML = renderManageOptionsModal();
-        // Re-attach listeners for the new modal content
-        const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-options-title)');
-        if (newModal) {
-            attachModalEventListeners(newModal);
-            (newModal.querySelector('#new-option-input') as HTMLInputElement)?.focus();
-        }
+    if (findTag(name)) {
+        if (errorEl) errorEl.textContent = `A tag "${findTag(name)!.name}" já existe.`;
+        return;
     }
+
+    tags.push({ name, isMistake: formData.get('tag-mistake') === 'on', updatedAt: new Date().toISOString() });
+    saveState();
+    pushRegOptions();
+    render();
 };
 
-const deleteRegOption = (optionType: 'regions' | 'structures' | 'triggers', optionToDelete: string) => {
-    regOptions[optionType] = regOptions[optionType].filter(opt => opt !== optionToDelete);
+// Tags only used by trades join the registry once marked.
+const setTagMistake = (name: string, isMistake: boolean) => {
+    const tag = tags.find(t => t.name === name);
+    const updatedAt = new Date().toISOString();
+    if (tag) Object.assign(tag, { isMistake, updatedAt });
+    else tags.push({ name, isMistake, updatedAt });
     saveState();
-    if (googleAuthState.isSignedIn) {
-        deleteRegOptionFromSheet(optionType, optionToDelete);
-    }
-    // Re-render just the modal content
-    const modalContainer = document.getElementById('modal-container');
-    if (modalContainer) {
-        modalContainer.innerHTML = renderManageOptionsModal();
-         const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-options-title)');
-        if (newModal) {
-            attachModalEventListeners(newModal);
+    pushRegOptions();
+    render();
+};
+
+// The tag is also removed from the trades that have it, which then sync like any edit.
+const deleteTag = (name: string) => {
+    const taggedTrades = trades.filter(t => hasTag(t, name));
+    if (taggedTrades.length > 0 && !confirm(`Remover a tag "${name}" de ${taggedTrades.length} operação(ões)?`)) return;
+
+    tags = tags.filter(t => t.name !== name);
+    trades = trades.map(t => hasTag(t, name) ? touchTrade({ ...t, tags: t.tags!.filter(n => n.toLowerCase() !== name.toLowerCase()) }) : t);
+    filters.tags = filters.tags.filter(n => n !== name);
+    saveState();
+    queueTradeSync(taggedTrades.map(t => t.id));
+    pushRegOptions();
+    render();
+};
+
+const toggleTagFilter = (name: string) => {
+    filters.tags = filters.tags.includes(name) ? filters.tags.filter(n => n !== name) : [...filters.tags, name];
+    render();
+};
+
+// Adds the typed tags as chips, so the field is free for the next one.
+const addFormTags = (input: HTMLInputElement) => {
+    const chips = document.getElementById('form-tags');
+    if (!chips) return;
+    const current = Array.from(chips.querySelectorAll<HTMLInputElement>('input[name="tags"]')).map(i => i.value.toLowerCase());
+    parseTags(input.value)
+        .map(name => findTag(name)?.name || name)
+        .filter(name => !current.includes(name.toLowerCase()))
+        .forEach(name => chips.insertAdjacentHTML('beforeend', renderTagChip(name)));
+    input.value = '';
+};
+
+// Losses of the trades marked with each mistake, in total and per month. A losing trade with
+// two mistakes counts in both.
+const getMistakeCosts = (data: Trade[]) => {
+    const mistakeTags = getAllTags().filter(t => t.isMistake);
+    const months = [...new Set(data.map(t => getPeriodKey(t.date, 'month')))].sort();
+    const rows = mistakeTags.map(tag => {
+        const tagged = data.filter(t => hasTag(t, tag.name));
+        const losing = tagged.filter(t => getTradeResult(t) < 0);
+        const byMonth: { [month: string]: number } = {};
+        losing.forEach(t => {
+            const month = getPeriodKey(t.date, 'month');
+            byMonth[month] = (byMonth[month] || 0) + getTradeResult(t);
+        });
+        return {
+            tag: tag.name,
+            count: tagged.length,
+            losingCount: losing.length,
+            cost: losing.reduce((acc, t) => acc + getTradeResult(t), 0),
+            byMonth: months.map(month => parseFloat((byMonth[month] || 0).toFixed(2))),
+        };
+    }).filter(row => row.count > 0).sort((a, b) => a.cost - b.cost);
+    return { months, rows };
+};
+
+
+// --- SCREENSHOTS ---
+// Chart images attached to trades. They are re-encoded as JPEG and kept in the journal's
+// database, in a store of their own so saveState does not rewrite them. With the option on in
+// the journal, a copy also goes to a Drive folder per trade, linked from the sheet row.
+const getTradeScreenshots = (tradeId: number): Screenshot[] => screenshots.filter(s => s.tradeId === tradeId);
+
+const getScreenshotUrl = (screenshot: Screenshot): string =>
+    screenshotUrls[screenshot.id] = screenshotUrls[screenshot.id] || URL.createObjectURL(screenshot.blob);
+
+const releaseScreenshotUrls = (ids: string[]) => {
+    ids.forEach(id => {
+        if (screenshotUrls[id]) URL.revokeObjectURL(screenshotUrls[id]);
+        delete screenshotUrls[id];
+    });
+};
+
+// Large captures are scaled down until the longest side has SCREENSHOT_MAX_SIDE pixels.
+const compressScreenshot = async (image: Blob): Promise<Screenshot> => {
+    const bitmap = await createImageBitmap(image);
+    const scale = Math.min(1, SCREENSHOT_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d')!.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/jpeg', SCREENSHOT_QUALITY));
+    if (!blob) throw new Error('O navegador não conseguiu comprimir a imagem.');
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        tradeId: 0, // set when the trade is saved
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        createdAt: new Date().toISOString(),
+    };
+};
+
+const addFormScreenshots = async (files: File[]) => {
+    for (const file of files.filter(f => f.type.startsWith('image/'))) {
+        try {
+            formScreenshots.push(await compressScreenshot(file));
+        } catch (error) {
+            console.error('Falha ao ler a imagem:', error);
+            alert(`Não foi possível ler a imagem "${file.name}".`);
         }
     }
+    refreshFormScreenshots();
 };
 
+const removeFormScreenshot = (id: string) => {
+    formScreenshots = formScreenshots.filter(s => s.id !== id);
+    // Images not saved with the trade yet are gone for good.
+    if (!screenshots.some(s => s.id === id)) releaseScreenshotUrls([id]);
+    refreshFormScreenshots();
+};
 
-const handleApiKeySubmit = async (event: SubmitEvent) => {
+// Updates the thumbnails only, so what was typed in the form is kept.
+const refreshFormScreenshots = () => {
+    const container = document.getElementById('form-screenshots');
+    if (container) container.innerHTML = renderFormScreenshots();
+};
+
+// Ctrl+V anywhere on the page attaches the copied image to the trade form on screen.
+const handleScreenshotPaste = (event: ClipboardEvent) => {
+    const form = document.getElementById('trade-form') || document.getElementById('edit-trade-form');
+    const files = Array.from(event.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (!form || files.length === 0 || document.querySelector('.modal-overlay')) return;
     event.preventDefault();
-    const form = event.target as HTMLFormElement;
-    const apiKeyInput = form.elements.namedItem('api-key-input') as HTMLInputElement;
-    const apiKey = apiKeyInput.value.trim();
-    const statusEl = document.getElementById('api-key-status');
+    addFormScreenshots(files);
+};
 
-    if (!apiKey) {
-        if (statusEl) {
-            statusEl.textContent = 'Por favor, insira uma chave de API.';
-            statusEl.className = 'api-key-status error';
-        }
-        return;
+const persistScreenshots = (changed: Screenshot[], deletedIds: string[]) => {
+    if (!db) return;
+    try {
+        const tx = db.transaction(SCREENSHOTS_STORE, 'readwrite');
+        const store = tx.objectStore(SCREENSHOTS_STORE);
+        changed.forEach(screenshot => store.put(screenshot));
+        deletedIds.forEach(id => store.delete(id));
+        tx.onerror = () => console.error('Falha ao salvar as imagens:', tx.error);
+    } catch (error) {
+        console.error('Falha ao salvar as imagens:', error);
     }
+};
 
-    if (statusEl) {
-        statusEl.textContent = 'Validando chave...';
-        statusEl.className = 'api-key-status loading';
-    }
-    
-    // Temporarily create an AI instance to validate the key
-    try {
-        const tempAi = new GoogleGenAI({ apiKey });
-        // Use a lightweight, fast model call for validation
-        await tempAi.models.generateContent({ model: 'gemini-2.5-flash', contents: 'test' });
+// The images in the form become the trade's; the ones removed in the form are deleted.
+const saveTradeScreenshots = (tradeId: number) => {
+    const kept = formScreenshots.map(s => ({ ...s, tradeId }));
+    const removedIds = getTradeScreenshots(tradeId).filter(s => !kept.some(k => k.id === s.id)).map(s => s.id);
+    screenshots = [...screenshots.filter(s => s.tradeId !== tradeId), ...kept];
+    formScreenshots = [];
+    persistScreenshots(kept, removedIds);
+    releaseScreenshotUrls(removedIds);
+    uploadPendingScreenshots();
+};
 
-        // If validation is successful, save to session storage and re-initialize globally
-        sessionStorage.setItem('userApiKey', apiKey);
-        await attemptAiInitialization(); // This will set the global `ai` instance
-        render(); // Re-render the entire app to reflect the new state
+// Copies already on Drive are left there.
+const deleteTradeScreenshots = (tradeId: number) => {
+    const ids = getTradeScreenshots(tradeId).map(s => s.id);
+    screenshots = screenshots.filter(s => s.tradeId !== tradeId);
+    persistScreenshots([], ids);
+    releaseScreenshotUrls(ids);
+};
 
-    } catch (error) {
-        console.error("API Key validation failed:", error);
-        if (statusEl) {
-            statusEl.textContent = 'Chave de API inválida ou erro de rede. Tente novamente.';
-            statusEl.className = 'api-key-status error';
+const openScreenshotLightbox = (tradeId: number, index: number) => {
+    screenshotLightbox = { tradeId, index };
+    refreshScreenshotLightbox();
+};
+
+const stepScreenshotLightbox = (step: number) => {
+    if (!screenshotLightbox) return;
+    const count = getTradeScreenshots(screenshotLightbox.tradeId).length;
+    screenshotLightbox.index = (screenshotLightbox.index + step + count) % count;
+    refreshScreenshotLightbox();
+};
+
+const closeScreenshotLightbox = () => {
+    screenshotLightbox = null;
+    refreshScreenshotLightbox();
+    document.querySelector('main')?.removeAttribute('aria-hidden');
+};
+
+const refreshScreenshotLightbox = () => {
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderScreenshotLightbox();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#screenshot-lightbox-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+            (newModal.querySelector('.btn-close-modal') as HTMLElement | null)?.focus();
         }
-        sessionStorage.removeItem('userApiKey');
-        ai = null;
     }
 };
 
-const attemptAiInitialization = async () => {
-    ai = null;
-    aiInitializationError = null;
-    
-    // Priority: Session Storage (user-provided) > Environment Variable
-    const userApiKey = sessionStorage.getItem('userApiKey');
-    const envApiKey = (typeof process !== 'undefined' && process.env?.API_KEY) ? process.env.API_KEY : null;
-    const apiKey = userApiKey || envApiKey;
+// Drive copies use the drive.file scope, which only reaches the files the app created.
+const getDriveFolderUrl = (folderId: string) => `https://drive.google.com/drive/folders/${folderId}`;
 
-    if (!apiKey) {
-        aiInitializationError = new Error("A chave da API não está configurada no ambiente.");
-        console.warn("AI Initialization Failed: API_KEY is not configured.");
+const parseDriveFolderId = (url: string): string | null => url.match(/\/folders\/([a-zA-Z0-9_-]+)/)?.[1] || null;
+
+const createDriveFolder = async (name: string, parentId?: string): Promise<string> => {
+    const response = await gapi.client.request({
+        path: DRIVE_FILES_URL,
+        method: 'POST',
+        params: { fields: 'id' },
+        body: { name, mimeType: 'application/vnd.google-apps.folder', parents: parentId ? [parentId] : undefined },
+    });
+    return response.result.id;
+};
+
+// gapi.client.request cannot send binary bodies, so the multipart upload goes through fetch.
+const uploadDriveImage = async (screenshot: Screenshot, name: string, folderId: string): Promise<string> => {
+    const boundary = `screenshot-${screenshot.id}`;
+    const body = new Blob([
+        `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify({ name, parents: [folderId] })}\r\n`,
+        `--${boundary}\r\nContent-Type: ${screenshot.blob.type || 'image/jpeg'}\r\n\r\n`,
+        screenshot.blob,
+        `\r\n--${boundary}--`,
+    ]);
+    const response = await fetch(DRIVE_UPLOAD_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
+            'Content-Type': `multipart/related; boundary=${boundary}`,
+        },
+        body,
+    });
+    if (!response.ok) {
+        const details = await response.json().catch(() => null);
+        throw new Error(details?.error?.message || `O Google Drive respondeu ${response.status}.`);
+    }
+    return (await response.json()).id;
+};
+
+// Sends the images not on Drive yet, trade by trade. A trade's folder is created with its first
+// image and its link is saved in the trade, so it reaches the sheet row like any other edit.
+// A failed upload is retried with the same backoff as the outbox.
+const uploadPendingScreenshots = async () => {
+    const journal = getActiveJournal();
+    if (screenshotUploadRetry.timer) {
+        clearTimeout(screenshotUploadRetry.timer);
+        screenshotUploadRetry.timer = null;
+        screenshotUploadRetry.nextAttemptAt = null;
+    }
+    if (isUploadingScreenshots || !journal.driveScreenshots || journal.backend !== 'sheets' || !googleAuthState.isSignedIn || !navigator.onLine) return;
+    const getPendingTradeIds = () => [...new Set(screenshots.filter(s => !s.driveFileId).map(s => s.tradeId))]
+        .filter(tradeId => trades.some(t => t.id === tradeId));
+    let pendingTradeIds = getPendingTradeIds();
+    if (pendingTradeIds.length === 0) {
+        resetScreenshotUploadRetry();
         return;
     }
 
+    isUploadingScreenshots = true;
     try {
-        const genAI = new GoogleGenAI({ apiKey });
-        // Quick validation to ensure the key is functional
-        await genAI.models.generateContent({ model: 'gemini-2.5-flash', contents: 'ping' });
-        ai = genAI;
-    } catch (error) {
-        aiInitializationError = new Error("A chave de API fornecida é inválida ou a conexão falhou.");
-        console.error("AI Initialization Failed:", (error as Error).message);
-        // If the key from session storage is bad, remove it.
-        if (userApiKey) {
-            sessionStorage.removeItem('userApiKey');
+        if (!journal.driveFolderId) {
+            journal.driveFolderId = await createDriveFolder(`Diário de Trades - ${journal.name} - Imagens`);
+            saveJournals();
         }
+        // A call made while this one uploads returns at once, so the images saved meanwhile are
+        // picked up here, in another round.
+        while (pendingTradeIds.length > 0) {
+            for (const tradeId of pendingTradeIds) {
+                const trade = trades.find(t => t.id === tradeId);
+                if (!trade) continue;
+                const tradeLabel = `${trade.date} #${trade.tradeNumber} ${trade.asset}`;
+                let folderId = trade.screenshotsFolderUrl ? parseDriveFolderId(trade.screenshotsFolderUrl) : null;
+                if (!folderId) {
+                    folderId = await createDriveFolder(tradeLabel, journal.driveFolderId);
+                    const linkedTrade = touchTrade({ ...trade, screenshotsFolderUrl: getDriveFolderUrl(folderId) });
+                    trades = trades.map(t => t.id === tradeId ? linkedTrade : t);
+                    saveState();
+                    queueTradeSync([tradeId]);
+                }
+                for (const screenshot of getTradeScreenshots(tradeId).filter(s => !s.driveFileId)) {
+                    screenshot.driveFileId = await uploadDriveImage(screenshot, `${tradeLabel} - ${screenshot.id}.jpg`, folderId);
+                    persistScreenshots([screenshot], []);
+                }
+            }
+            pendingTradeIds = getPendingTradeIds();
+        }
+        resetScreenshotUploadRetry();
+    } catch (err: any) {
+        console.error('Erro ao enviar as imagens para o Google Drive:', err);
+        // Uploads run in the background, so like the outbox they only report in the header status.
+        screenshotUploadError = `Falha ao enviar as imagens para o Google Drive. Elas continuam salvas neste navegador.\nDetalhes: ${err.result?.error?.message || err.message || 'verifique o console.'}`;
+        screenshotUploadRetry.attempts++;
+        const delay = getRetryDelay(screenshotUploadRetry.attempts);
+        screenshotUploadRetry.nextAttemptAt = Date.now() + delay;
+        screenshotUploadRetry.timer = setTimeout(uploadPendingScreenshots, delay);
+    } finally {
+        isUploadingScreenshots = false;
+        updateSyncStatus();
     }
 };
 
-const getAIInsight = async (trade: Trade) => {
-    if (!ai) {
-        alert("Cliente de IA não inicializado.");
+// --- GOOGLE SHEETS INTEGRATION ---
+// A1 notation with the tab name quoted, so names with spaces or accents work.
+const sheetRange = (sheetName: string, range?: string) => `'${sheetName.replace(/'/g, "''")}'${range ? `!${range}` : ''}`;
+
+const rowToTrade = (row: any[]): Trade | null => {
+    try {
+        // Column mapping based on SHEET_HEADER_ROW
+        // 0: ID, 1: Ativo, 2: # Operação, 3: Lado, 4: Data, 5: Lotes, 6: Preço Entrada,
+        // 7: Preço Saída, 8: Pontos, 9: Resultado R$, 10: Região, 11: Estrutura, 12: Gatilho, 13: Notas,
+        // 14: Custos R$, 15: Resultado Líquido R$, 16: Pernas, 17: Hora Entrada, 18: Hora Saída, 19: Duração (min),
+        // 20: Stop, 21: Alvo, 22: Risco (pts), 23: Risco R$, 24: R Múltiplo, 25: Stop Violado,
+        // 26: Limites Ignorados, 27: Justificativa, 28: Excluída, 29: Atualizada em, 30: Revisão,
+        // 31: Conta (name, for whoever reads the sheet; the app goes by the id), 32: ID da Conta,
+        // 33: Imagens (link to the trade's Drive folder), 34: Tags (comma-separated)
+        const result = parseLocaleNumber(row[9]);
+        const sheetCosts = parseLocaleNumber(row[14]);
+        const trade: Trade = {
+            id: parseInt(row[0], 10),
+            // Rows written before accounts existed belong to the default account.
+            accountId: row[32] || DEFAULT_ACCOUNT_ID,
+            asset: row[1],
+            tradeNumber: parseInt(row[2], 10),
+            side: row[3] as 'Compra' | 'Venda',
+            // Sheets shows the ISO dates it parsed in the spreadsheet's locale.
+            date: parseImportDateTime(row[4] || '')?.date || row[4],
+            lots: parseLocaleNumber(row[5]),
+            entryPrice: parseLocaleNumber(row[6]),
+            exitPrice: parseLocaleNumber(row[7]),
+            entries: [],
+            exits: [],
+            points: parseLocaleNumber(row[8]),
+            result,
+            grossResult: result,
+            costs: isNaN(sheetCosts) ? 0 : sheetCosts,
+            netResult: isNaN(sheetCosts) ? result : parseFloat((result - sheetCosts).toFixed(2)),
+            region: row[10],
+            structure: row[11],
+            trigger: row[12],
+            notes: row[13] || '',
+        };
+        // Basic validation: ensure essential fields are valid numbers/strings
+        if (isNaN(trade.id) || isNaN(trade.tradeNumber) || !trade.asset || !trade.date) {
+            console.warn('Skipping invalid row from sheet:', row);
+            return null;
+        }
+        // Recompute points and result from the prices so the instrument registry
+        // is the single source of truth, fixing rows saved with a wrong point value.
+        // Costs written to the sheet are kept; missing ones come from the cost profile.
+        // Rows without a legs column (written before multi-fill trades or typed by hand)
+        // become one leg per side, timed by the entry/exit time columns.
+        const legs = parseLegs(row[16] || '');
+        if (legs || (!isNaN(trade.lots) && !isNaN(trade.entryPrice) && !isNaN(trade.exitPrice))) {
+            Object.assign(trade, calculateTradeMetrics(
+                trade.asset, trade.side,
+                legs ? legs.entries : singleLeg(trade.entryPrice, trade.lots, normalizeTime(row[17])),
+                legs ? legs.exits : singleLeg(trade.exitPrice, trade.lots, normalizeTime(row[18])),
+                isNaN(sheetCosts) ? undefined : sheetCosts,
+            ));
+        }
+        // Only the planned stop and target are read; the risk columns are derived from them.
+        Object.assign(trade, calculateRiskMetrics(
+            trade.asset, trade.side, trade.lots, trade.entryPrice, trade.points,
+            parseLocaleNumber(row[20]), parseLocaleNumber(row[21]),
+        ));
+        // The sheet has no override timestamp; the trade date stands in for it.
+        if (row[27]) {
+            trade.ruleOverride = {
+                violations: (row[26] || '').split(' | ').filter(Boolean),
+                justification: row[27],
+                overriddenAt: trade.date,
+            };
+        }
+        if (!trade.region || !trade.structure || !trade.trigger) {
+            trade.pendingClassification = true;
+        }
+        if (row[28] === 'Sim') trade.deleted = true;
+        if (row[29]) trade.updatedAt = row[29];
+        const revision = parseInt(row[30], 10);
+        if (!isNaN(revision)) trade.revision = revision;
+        if (row[33]) trade.screenshotsFolderUrl = row[33];
+        if (row[34]) trade.tags = parseTags(row[34]);
+        return trade;
+    } catch (e) {
+        console.error('Error parsing row from sheet:', row, e);
+        return null;
+    }
+};
+
+const loadTradesFromStorage = async () => {
+    const adapter = getStorageAdapter();
+    if (!adapter.isRemote) return;
+    const unavailableReason = adapter.unavailableReason();
+    if (unavailableReason) {
+        alert(`Não é possível carregar o histórico deste diário: ${unavailableReason}.`);
         return;
     }
-    const insightContainer = document.getElementById('ai-insight-content')!;
-    insightContainer.parentElement!.classList.add('loading');
-    insightContainer.innerHTML = 'Analisando sua operação...';
 
-    const prompt = `
-        Análise de Trade Rápida:
-        - Ativo: ${trade.asset}
-        - Lado: ${trade.side}
-        - Resultado: ${trade.result > 0 ? 'Gain' : 'Loss'} de R$ ${Math.abs(trade.result).toFixed(2)} (${trade.points} pontos)
-        - Estratégia REG: Região (${trade.region}), Estrutura (${trade.structure}), Gatilho (${trade.trigger})
+    const loadButton = document.getElementById('load-history');
+    if (loadButton) {
+        loadButton.textContent = 'Carregando...';
+        loadButton.setAttribute('disabled', 'true');
+    }
 
-        Com base nesses dados, gere dois outputs separados por '---RESUMO---':
-        1.  **Insight Amigável:** Um insight para o trader. Seja amigável, direto e ajude-o a refletir. Foque em um ponto positivo se foi gain, ou um ponto de atenção se foi loss. Use markdown para formatação.
-        2.  **Resumo em Tópicos:** Um resumo conciso da análise em 2 ou 3 tópicos curtos (bullet points), ideal para anotações.
-    `;
-    
     try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-        });
-        
-        const responseText = response.text;
-        const parts = responseText.split('---RESUMO---');
-        const friendlyInsight = parts[0] || 'Não foi possível gerar o insight detalhado.';
-        const summaryNotes = parts[1] || '';
+        const { trades: storedTrades, cursor } = await adapter.changesSince(null);
+        const loadedTrades = storedTrades.filter(t => !t.deleted);
 
-        insightContainer.innerHTML = await marked.parse(friendlyInsight.trim());
+        trades = loadedTrades;
+        ensureTradeAccounts();
+        // Local changes not yet synced are dropped; the backend becomes the base of the next sync.
+        deletedTrades = [];
+        syncOutbox = [];
+        syncBase = Object.fromEntries(storedTrades.map(t => [String(t.id), toSyncSnapshot(t)]));
+        syncCursor = { target: getStorageTarget(getActiveJournal()), cursor };
+        saveState();
 
-        if (summaryNotes) {
-            const tradeIndex = trades.findIndex(t => t.id === trade.id);
-            if (tradeIndex !== -1) {
-                trades[tradeIndex].notes = summaryNotes.trim();
-                saveState();
-            }
-        }
+        render();
+        alert(loadedTrades.length > 0
+            ? `${loadedTrades.length} operação(ões) carregada(s) com sucesso!`
+            : 'Nenhuma operação encontrada para carregar.');
 
-    } catch (error) {
-        console.error("Error fetching AI insight:", error);
-        insightContainer.innerHTML = 'Não foi possível obter o insight. Verifique o console para mais detalhes.';
+    } catch (err: any) {
+        console.error('Erro ao carregar o histórico:', err);
+        let errorMessage = 'Falha ao carregar o histórico.';
+        if (err.result?.error?.message) {
+            errorMessage += `\nDetalhes: ${err.result.error.message}`;
+        } else if (err.message) {
+            errorMessage += `\nDetalhes: ${err.message}`;
+        }
+        alert(errorMessage);
     } finally {
-        insightContainer.parentElement!.classList.remove('loading');
+        if (loadButton) {
+            loadButton.textContent = 'Carregar Histórico';
+            loadButton.removeAttribute('disabled');
+        }
     }
 };
 
-const calculateTradeMetrics = (side: 'Compra' | 'Venda', lots: number, entryPrice: number, exitPrice: number) => {
-    const points = side === 'Compra' ? exitPrice - entryPrice : entryPrice - exitPrice;
-    const result = points * 10 * lots; // Assuming WDOFUT logic for simplicity
-    return { points: parseFloat(points.toFixed(2)), result: parseFloat(result.toFixed(2)) };
-}
+const gapiLoaded = () => {
+    gapi.load('client', initializeGapiClient);
+};
 
-const validateTradeForm = (form: HTMLFormElement): boolean => {
-    let isFormValid = true;
-    
-    const fields = [
-        { id: 'asset', required: true },
-        { id: 'date', required: true },
-        { id: 'lots', required: true, isNumeric: true },
-        { id: 'entry-price', required: true, isNumeric: true },
-        { id: 'exit-price', required: true, isNumeric: true },
-        { id: 'region', required: true },
-        { id: 'structure', required: true },
-        { id: 'trigger', required: true }
-    ];
+const gisLoaded = () => {
+    tokenClient = google.accounts.oauth2.initTokenClient({
+        client_id: GOOGLE_CLIENT_ID,
+        scope: GOOGLE_SCOPES,
+        callback: (tokenResponse: any) => {
+            const wasInteractive = isAuthorizingInteractively;
+            isAuthorizingInteractively = false; // Reset flag on any callback
+            if (tokenResponse && tokenResponse.access_token) {
+                gapi.client.setToken(tokenResponse);
+                googleAuthState.isSignedIn = true;
+                googleAuthState.user = 'Conectado';
+                fetchRegOptions();
+                render();
+                flushOutbox();
+                uploadPendingScreenshots();
+            } else {
+                console.error('Authentication failed: No access token in response.', tokenResponse);
+                if (wasInteractive) {
+                     googleAuthState.isSignedIn = false;
+                     googleAuthState.user = 'Falha';
+                     render();
+                     alert('Falha na autenticação: Resposta inválida do Google.');
+                }
+            }
+        },
+        error_callback: (error: { type: string; [key: string]: any }) => {
+            const wasInteractive = isAuthorizingInteractively;
+            isAuthorizingInteractively = false; // Reset flag for next attempt
 
-    fields.forEach(field => {
-        const input = document.getElementById(field.id) as HTMLInputElement | HTMLSelectElement;
-        const errorEl = document.getElementById(`${field.id}-error`);
-        if (!input) return;
+            // Handle only interactive errors with user-facing messages
+            if (wasInteractive) {
+                googleAuthState.isSignedIn = false;
 
-        input.classList.remove('is-invalid');
-        if (errorEl) errorEl.textContent = '';
+                // Check for specific OAuth configuration errors first.
+                const errorString = JSON.stringify(error);
+                if (errorString.includes('invalid_client') || errorString.includes('unauthorized_client')) {
+                     console.error('Fatal Google Auth Configuration Error:', error);
+                     googleAuthState.user = 'Erro de Configuração';
+                     render();
+                     alert(`Erro Crítico na Configuração da Integração: Cliente inválido. Verifique se o Client ID está correto e autorizado no Google Cloud Console.`);
+                     return; // Stop further processing.
+                }
+
+                // Handle other known interactive errors.
+                if (error.type === 'popup_failed_to_open') {
+                    console.error('Authentication error: The browser blocked the popup.', error);
+                    googleAuthState.user = 'Pop-up Bloqueado';
+                    render();
+                    alert("A janela de login do Google foi bloqueada pelo seu navegador. Por favor, procure por um ícone de pop-up bloqueado na barra de endereço e permita pop-ups para este site.");
+                } else if (error.type === 'popup_closed') {
+                    // This is a user action, not a critical error.
+                    console.log('Authentication flow was cancelled by the user.');
+                    googleAuthState.user = 'Autorização Cancelada';
+                    render();
+                } else {
+                    // Catch-all for other unexpected errors.
+                    console.error('Authentication error: An unexpected error occurred.', error);
+                    googleAuthState.user = 'Erro de Autenticação';
+                    render();
+                    alert(`Ocorreu um erro inesperado durante a autenticação: ${error.message || 'Verifique o console.'}`);
+                }
+            } else {
+                // Silent auth failed, this is normal for new users, no need to do anything.
+                console.log("Silent auth failed, which is expected for users needing to grant consent.", error);
+            }
+        }
+    });
+    isGisReady = true;
+    render();
+};
+
+const initializeGapiClient = async () => {
+    await gapi.client.init({
+        discoveryDocs: ['https://sheets.googleapis.com/$discovery/rest?version=v4'],
+    });
+    isGapiReady = true;
+    render();
+};
+
+const handleAuthClick = () => {
+    isAuthorizingInteractively = true;
+    // An empty prompt is usually best. 'consent' forces re-approval every time.
+    tokenClient.requestAccessToken({ prompt: '' });
+};
+
+const handleSignoutClick = () => {
+    const token = gapi.client.getToken();
+    if (token !== null) {
+        google.accounts.oauth2.revoke(token.access_token, () => {
+            gapi.client.setToken('');
+            googleAuthState.isSignedIn = false;
+            googleAuthState.user = '';
+            render();
+        });
+    }
+};
+
+// The backend's options are merged into the local ones, so an option added on another device
+// is not lost; the merged list is written back when it changed.
+const fetchRegOptions = async () => {
+    const adapter = getStorageAdapter();
+    if (!adapter.isRemote || adapter.unavailableReason()) return;
+
+    try {
+        const storedOptions = await adapter.getOptions();
+        if (!storedOptions) {
+            await adapter.putOptions(getSyncedOptions());
+            return;
+        }
+
+        let updated = false;
+        const mergedRegions = [...new Set([...regOptions.regions, ...storedOptions.regions])].sort();
+        if (mergedRegions.length !== regOptions.regions.length || !mergedRegions.every((v, i) => v === regOptions.regions[i])) {
+            regOptions.regions = mergedRegions;
+            updated = true;
+        }
+
+        const mergedStructures = [...new Set([...regOptions.structures, ...storedOptions.structures])].sort();
+         if (mergedStructures.length !== regOptions.structures.length || !mergedStructures.every((v, i) => v === regOptions.structures[i])) {
+            regOptions.structures = mergedStructures;
+            updated = true;
+        }
+        
+        const mergedTriggers = [...new Set([...regOptions.triggers, ...storedOptions.triggers])].sort();
+        if (mergedTriggers.length !== regOptions.triggers.length || !mergedTriggers.every((v, i) => v === regOptions.triggers[i])) {
+            regOptions.triggers = mergedTriggers;
+            updated = true;
+        }
+
+        const accountsChanged = mergeSyncedAccounts(storedOptions.accounts || []);
+        if (accountsChanged) ensureTradeAccounts();
+        const tagsChanged = mergeSyncedTags(storedOptions.tags || []);
+        if (accountsChanged || tagsChanged) render();
+        const isMissingAccounts = getSyncedOptions().accounts!.some(a => !storedOptions.accounts?.some(stored => stored.id === a.id && (stored.updatedAt || '') === (a.updatedAt || '')));
+        const isMissingTags = tags.some(t => !storedOptions.tags?.some(stored => isSameTag(stored.name, t.name) && (stored.updatedAt || '') === (t.updatedAt || '')));
+
+        if (updated || accountsChanged || tagsChanged) saveState();
+        if (updated || isMissingAccounts || isMissingTags) await adapter.putOptions(getSyncedOptions());
+
+    } catch (error) {
+        console.error("Failed to fetch regOptions from the journal's backend:", error);
+    }
+};
+
+const isStandInAccount = (account: Account) => !account.updatedAt && account.name === account.id;
+
+// The account registry travels with the options, so every device knows the name, type and
+// currency of the accounts its trades belong to. Accounts are matched by id and the copy edited
+// last wins; a stand-in created here for pulled trades (ensureTradeAccounts) always gives way.
+// Returns whether the local registry changed.
+const mergeSyncedAccounts = (storedAccounts: Account[]): boolean => {
+    let changed = false;
+    inJournalCurrency(storedAccounts).forEach(stored => {
+        const index = accounts.findIndex(a => a.id === stored.id);
+        const local = accounts[index];
+        if (!local) {
+            accounts.push(stored);
+        } else if (isStandInAccount(local) || (stored.updatedAt || '') > (local.updatedAt || '')) {
+            accounts[index] = stored;
+        } else {
+            return;
+        }
+        changed = true;
+    });
+    return changed;
+};
+
+// The tag registry travels with the options too, so every device counts the same tags as
+// mistakes. Tags are matched by name, ignoring case, and the copy edited last wins.
+// Returns whether the local registry changed.
+const mergeSyncedTags = (storedTags: Tag[]): boolean => {
+    let changed = false;
+    storedTags.forEach(stored => {
+        const index = tags.findIndex(t => isSameTag(t.name, stored.name));
+        const local = tags[index];
+        if (!local) {
+            tags.push(stored);
+        } else if ((stored.updatedAt || '') > (local.updatedAt || '')) {
+            tags[index] = stored;
+        } else {
+            return;
+        }
+        changed = true;
+    });
+    return changed;
+};
+
+// Stand-ins stay on this device, so they never hide the real account from the others.
+const getSyncedOptions = (): JournalOptions => ({ ...regOptions, accounts: accounts.filter(a => !isStandInAccount(a)), tags });
+
+// Sends the local options after one was added or removed here, or an account or tag was edited.
+const pushRegOptions = async () => {
+    const adapter = getStorageAdapter();
+    if (!adapter.isRemote || adapter.unavailableReason()) return;
+
+    try {
+        await adapter.putOptions(getSyncedOptions());
+    } catch (error) {
+        console.error("Failed to sync regOptions to the journal's backend:", error);
+    }
+};
+
+// Layout of the config tab: a header row, then one column per REG dimension and, each after a
+// blank column, one row per account in columns E to K and one row per tag in columns M to O.
+const CONFIG_SHEET_COLUMNS = 'A:O';
+const getConfigSheetRows = (options: JournalOptions): (string | number)[][] => {
+    const header = ['Regiões', 'Estruturas', 'Gatilhos', '', 'ID da Conta', 'Conta', 'Corretora', 'Tipo', 'Capital Inicial', 'Moeda', 'Atualizada em',
+        '', 'Tag', 'Erro', 'Tag atualizada em'];
+    const accountRows = (options.accounts || []).map(a => [a.id, a.name, a.broker, ACCOUNT_TYPE_LABELS[a.type], a.initialCapital, a.currency, a.updatedAt || '']);
+    const tagRows = (options.tags || []).map(t => [t.name, t.isMistake ? 'Sim' : '', t.updatedAt || '']);
+    const maxLength = Math.max(options.regions.length, options.structures.length, options.triggers.length, accountRows.length, tagRows.length);
+    const values = [];
+    for (let i = 0; i < maxLength; i++) {
+        values.push([
+            options.regions[i] || '',
+            options.structures[i] || '',
+            options.triggers[i] || '',
+            '',
+            ...(accountRows[i] || ['', '', '', '', '', '', '']),
+            '',
+            ...(tagRows[i] || ['', '', '']),
+        ]);
+    }
+    return [header, ...values];
+};
+
+// Reads back an account row of the config tab (getConfigSheetRows), or null when the row has none.
+const configRowToAccount = (row: any[]): Account | null => {
+    if (!row[4]) return null;
+    const type = Object.keys(ACCOUNT_TYPE_LABELS).find(key => key === row[7] || ACCOUNT_TYPE_LABELS[key] === row[7]) as Account['type'] | undefined;
+    const initialCapital = parseLocaleNumber(String(row[8] ?? ''));
+    return {
+        id: String(row[4]),
+        name: row[5] || String(row[4]),
+        broker: row[6] || '',
+        type: type || 'real',
+        initialCapital: isNaN(initialCapital) ? 0 : initialCapital,
+        currency: JOURNAL_CURRENCY,
+        ...(row[10] ? { updatedAt: row[10] } : {}),
+    };
+};
+
+// Template of a new journal spreadsheet: the trades tab with its header row frozen and
+// the config tab with the current REG options.
+const createJournalSpreadsheet = async (journal: Journal): Promise<string> => {
+    const toRowData = (rows: (string | number)[][]) => rows.map(row => ({
+        values: row.map(value => ({ userEnteredValue: { stringValue: String(value) } })),
+    }));
+    const response = await gapi.client.sheets.spreadsheets.create({
+        resource: {
+            properties: { title: `Diário de Trades - ${journal.name}`, locale: 'pt_BR' },
+            sheets: [
+                {
+                    properties: { title: journal.tradesSheetName, gridProperties: { frozenRowCount: 1 } },
+                    data: [{ startRow: 0, startColumn: 0, rowData: toRowData([SHEET_HEADER_ROW]) }],
+                },
+                {
+                    properties: { title: journal.configSheetName, gridProperties: { frozenRowCount: 1 } },
+                    data: [{ startRow: 0, startColumn: 0, rowData: toRowData(getConfigSheetRows(getSyncedOptions())) }],
+                },
+            ],
+        },
+    });
+    return response.result.spreadsheetId;
+};
+
+const tradeToSheetRow = (t: Trade) => [
+    t.id, t.asset, t.tradeNumber, t.side, t.date, t.lots, t.entryPrice,
+    t.exitPrice, t.points, t.result, t.region, t.structure, t.trigger, t.notes || '',
+    t.costs, t.netResult, formatLegs(t.entries, t.exits), t.entryTime || '', t.exitTime || '', t.durationMinutes ?? '',
+    t.stopPrice ?? '', t.targetPrice ?? '', t.riskPoints ?? '', t.riskAmount ?? '', t.rMultiple ?? '',
+    t.stopViolated === undefined ? '' : (t.stopViolated ? 'Sim' : 'Não'),
+    t.ruleOverride ? t.ruleOverride.violations.join(' | ') : '', t.ruleOverride?.justification || '',
+    t.deleted ? 'Sim' : '', t.updatedAt || '', t.revision ?? '', getAccount(t.accountId)?.name || '', t.accountId,
+    t.screenshotsFolderUrl || '', formatTags(t.tags)
+];
+
+// Marks a local change so the sheet and the conflict modal can tell the versions apart.
+const touchTrade = (trade: Trade): Trade => ({ ...trade, updatedAt: new Date().toISOString(), revision: (trade.revision || 0) + 1 });
+
+const formatSyncNumber = (value?: number) => value === undefined || isNaN(value) ? '' : String(parseFloat(value.toFixed(6)));
+
+// The fields the sheet stores. Everything else (points, results, risk) is derived from them.
+const SYNC_FIELDS: SyncField[] = [
+    { key: 'accountId', label: 'Conta', read: t => t.accountId || DEFAULT_ACCOUNT_ID, keys: ['accountId'] },
+    { key: 'asset', label: 'Ativo', read: t => t.asset || '', keys: ['asset'] },
+    { key: 'tradeNumber', label: 'Nº', read: t => formatSyncNumber(t.tradeNumber), keys: ['tradeNumber'] },
+    { key: 'side', label: 'Lado', read: t => t.side || '', keys: ['side'] },
+    { key: 'date', label: 'Data', read: t => t.date || '', keys: ['date'] },
+    { key: 'legs', label: 'Pernas', read: t => formatLegs(t.entries || [], t.exits || []), keys: ['entries', 'exits'] },
+    { key: 'stopPrice', label: 'Stop', read: t => formatSyncNumber(t.stopPrice), keys: ['stopPrice'] },
+    { key: 'targetPrice', label: 'Alvo', read: t => formatSyncNumber(t.targetPrice), keys: ['targetPrice'] },
+    { key: 'costs', label: 'Custos R$', read: t => formatSyncNumber(parseFloat((t.costs || 0).toFixed(2))), keys: ['costs', 'costsOverridden'] },
+    { key: 'region', label: 'Região', read: t => t.region || '', keys: ['region', 'pendingClassification'] },
+    { key: 'structure', label: 'Estrutura', read: t => t.structure || '', keys: ['structure', 'pendingClassification'] },
+    { key: 'trigger', label: 'Gatilho', read: t => t.trigger || '', keys: ['trigger', 'pendingClassification'] },
+    { key: 'notes', label: 'Notas', read: t => (t.notes || '').trim(), keys: ['notes'] },
+    { key: 'tags', label: 'Tags', read: t => formatTags(t.tags), keys: ['tags'] },
+    { key: 'ruleOverride', label: 'Justificativa', read: t => t.ruleOverride?.justification || '', keys: ['ruleOverride'] },
+    { key: 'screenshotsFolderUrl', label: 'Imagens', read: t => t.screenshotsFolderUrl || '', keys: ['screenshotsFolderUrl'] },
+    { key: 'deleted', label: 'Excluída', read: t => t.deleted ? 'Sim' : 'Não', keys: ['deleted'] },
+];
+
+const toSyncSnapshot = (trade: Trade): SyncSnapshot =>
+    Object.fromEntries(SYNC_FIELDS.map(field => [field.key, field.read(trade)]));
+
+// Starts from the local version, copies the fields picked from the sheet and derives the rest again.
+const composeSyncedTrade = (local: Trade, remote: Trade, pick: (fieldKey: string) => 'local' | 'remote'): Trade => {
+    const trade: Trade = { ...local };
+    SYNC_FIELDS.filter(field => pick(field.key) === 'remote').forEach(field => {
+        field.keys.forEach(key => {
+            (trade as any)[key] = remote[key];
+        });
+        // Costs read from the sheet are kept as typed, not recomputed from the cost profile.
+        if (field.key === 'costs') trade.costsOverridden = true;
+    });
+    if (!trade.deleted) delete trade.deleted;
+    Object.assign(trade, calculateTradeMetrics(trade.asset, trade.side, trade.entries, trade.exits, trade.costsOverridden ? trade.costs : undefined));
+    Object.assign(trade, calculateRiskMetrics(trade.asset, trade.side, trade.lots, trade.entryPrice, trade.points, trade.stopPrice, trade.targetPrice));
+    return { ...trade, updatedAt: new Date().toISOString(), revision: Math.max(local.revision || 0, remote.revision || 0) + 1 };
+};
+
+// Three-way merge of one trade. Without a base (first sync of the journal) the app wins,
+// as it always did. A field changed on both sides, or a deletion on one side while the other
+// side changed the trade, is a conflict left to the user.
+const mergeTradeVersions = (local: Trade | undefined, remote: Trade | undefined, base: SyncSnapshot | undefined): SyncOutcome => {
+    if (!remote) return { action: local ? 'push' : 'none' };
+    if (!local) return { action: remote.deleted ? 'none' : 'pull' };
+
+    const localSnapshot = toSyncSnapshot(local);
+    const remoteSnapshot = toSyncSnapshot(remote);
+    const fields = SYNC_FIELDS.map(field => field.key).filter(key => localSnapshot[key] !== remoteSnapshot[key]);
+    if (fields.length === 0) return { action: 'none' };
+    if (!base) return { action: 'push' };
+
+    const localChanged = fields.filter(key => localSnapshot[key] !== base[key]);
+    const remoteChanged = fields.filter(key => remoteSnapshot[key] !== base[key]);
+    if (remoteChanged.length === 0) return { action: 'push' };
+    if (localChanged.length === 0) return { action: 'pull' };
+
+    const changedOnBothSides = localChanged.some(key => remoteChanged.includes(key));
+    if (changedOnBothSides || !!local.deleted !== !!remote.deleted) {
+        return { action: 'conflict', conflict: { id: local.id, local, remote, base, fields, remoteChanged } };
+    }
+    return { action: 'merge', trade: composeSyncedTrade(local, remote, key => remoteChanged.includes(key) ? 'remote' : 'local') };
+};
+
+// Replaces the local version of a trade: live trades go to `trades`, tombstones to `deletedTrades`.
+const storeSyncedTrade = (trade: Trade) => {
+    trades = trades.filter(t => t.id !== trade.id);
+    deletedTrades = deletedTrades.filter(t => t.id !== trade.id);
+    if (trade.deleted) {
+        deletedTrades.push(trade);
+        // A trade deleted on another device takes its images along, as confirmDelete does here.
+        if (getTradeScreenshots(trade.id).length > 0) deleteTradeScreenshots(trade.id);
+    } else {
+        trades.push(trade);
+    }
+};
+
+// Resolves to false when the backend could not be reached; the outbox then retries later.
+const syncJournal = async (options: { silent?: boolean } = {}): Promise<boolean> => {
+    const adapter = getStorageAdapter();
+    if (!adapter.isRemote) return true;
+    const unavailableReason = adapter.unavailableReason();
+    if (unavailableReason) {
+        if (!options.silent) alert(`Não é possível sincronizar este diário: ${unavailableReason}.`);
+        return false;
+    }
+
+    const syncButton = document.getElementById('sync-journal');
+    if (syncButton) {
+        syncButton.textContent = 'Sincronizando...';
+        syncButton.setAttribute('disabled', 'true');
+    }
+    // Changes queued after this point were not read by this sync and stay in the outbox.
+    const startedAt = new Date().toISOString();
+    isSyncing = true;
+    updateSyncStatus();
+
+    try {
+        // Step 1: Read what changed on the backend since the last sync.
+        const target = getStorageTarget(getActiveJournal());
+        const changes = await adapter.changesSince(syncCursor?.target === target ? syncCursor.cursor : null);
+        const remoteTrades = new Map<number, Trade>(changes.trades.map(t => [t.id, t]));
+
+        // Step 2: Three-way merge of every trade known locally, on the backend or at the last sync.
+        // An incremental feed leaves out the trades that did not change on the backend: their
+        // version there is still the base.
+        const localTrades = new Map<number, Trade>([...trades, ...deletedTrades].map(t => [t.id, t]));
+        const baseIds = changes.complete ? Object.keys(syncBase).map(Number) : [];
+        const ids = new Set<number>([...localTrades.keys(), ...remoteTrades.keys(), ...baseIds]);
+        const isAtBase = (trade: Trade, base?: SyncSnapshot) => {
+            const snapshot = toSyncSnapshot(trade);
+            return !!base && SYNC_FIELDS.every(field => snapshot[field.key] === base[field.key]);
+        };
+        const toPush: Trade[] = [];
+        const toPull: Trade[] = [];
+        const conflicts: SyncConflict[] = [];
+        const settled = new Map<number, Trade>(); // the version both sides hold after this sync
+
+        ids.forEach(id => {
+            const local = localTrades.get(id);
+            const remote = remoteTrades.get(id);
+            const base = syncBase[String(id)];
+            const outcome: SyncOutcome = !remote && !changes.complete && local && isAtBase(local, base)
+                ? { action: 'none' }
+                : mergeTradeVersions(local, remote, base);
+            if (outcome.action === 'push') {
+                toPush.push(local!);
+                settled.set(id, local!);
+            } else if (outcome.action === 'pull') {
+                toPull.push(remote!);
+                settled.set(id, remote!);
+            } else if (outcome.action === 'merge') {
+                toPush.push(outcome.trade);
+                toPull.push(outcome.trade);
+                settled.set(id, outcome.trade);
+            } else if (outcome.action === 'conflict') {
+                conflicts.push(outcome.conflict);
+            } else if (local || remote) {
+                settled.set(id, (local || remote)!);
+            }
+        });
+
+        // Step 3: Write the backend. Deleted trades are sent as tombstones.
+        await adapter.putTrades(toPush);
+
+        // Step 4: Only now that the backend holds the settled versions, apply them locally and
+        // move the merge base forward. Conflicted trades keep their old base.
+        toPull.forEach(storeSyncedTrade);
+        const nextBase: { [tradeId: string]: SyncSnapshot } = changes.complete ? {} : { ...syncBase };
+        settled.forEach((trade, id) => {
+            nextBase[String(id)] = toSyncSnapshot(trade);
+        });
+        conflicts.forEach(conflict => {
+            nextBase[String(conflict.id)] = conflict.base;
+        });
+        syncBase = nextBase;
+        syncCursor = { target, cursor: changes.cursor };
+        const conflictIds = new Set(conflicts.map(c => c.id));
+        deletedTrades = deletedTrades.filter(t => conflictIds.has(t.id));
+        syncOutbox = syncOutbox.filter(entry => entry.queuedAt > startedAt || conflictIds.has(entry.tradeId));
+        lastSyncAt = new Date().toISOString();
+        syncError = '';
+        trades.sort((a, b) => a.id - b.id);
+        ensureTradeAccounts();
+        saveState();
+
+        if (toPull.length > 0 || conflicts.length > 0) {
+            syncConflicts = conflicts.length > 0 ? conflicts : null;
+            render();
+        }
+        return true;
+
+    } catch (err: any) {
+        console.error('Erro na sincronização:', err);
+        let errorMessage = `Falha ao sincronizar com ${adapter.label}.`;
+        if (err.result?.error?.message) {
+            errorMessage += `\nDetalhes: ${err.result.error.message}`;
+        } else if (err.message) {
+            errorMessage += `\nDetalhes: ${err.message}`;
+        } else {
+            errorMessage += '\nVerifique a conexão e as permissões de acesso.';
+        }
+        
+        // Background syncs only report in the header status; the outbox retries them.
+        syncError = errorMessage;
+        if (!options.silent) {
+            alert(`Ocorreu um erro ao sincronizar.\n\n${errorMessage}`);
+        }
+        return false;
+
+    } finally {
+        isSyncing = false;
+        updateSyncStatus();
+        if (syncButton) {
+            syncButton.textContent = 'Sincronizar';
+            syncButton.removeAttribute('disabled');
+        }
+    }
+};
+
+// Leaves the conflicts for later; the next sync finds them again.
+const closeSyncConflicts = () => {
+    syncConflicts = null;
+    render();
+};
+
+const resolveSyncConflicts = (event: SubmitEvent) => {
+    event.preventDefault();
+    if (!syncConflicts) return;
+    const formData = new FormData(event.target as HTMLFormElement);
+
+    const resolvedIds = syncConflicts.map(conflict => conflict.id);
+    syncConflicts.forEach(conflict => {
+        storeSyncedTrade(composeSyncedTrade(conflict.local, conflict.remote, key =>
+            conflict.fields.includes(key) && formData.get(`conflict-${conflict.id}-${key}`) === 'remote' ? 'remote' : 'local'));
+        // The sheet's version was seen: as the new base, the next sync sends the choice made here.
+        syncBase[String(conflict.id)] = toSyncSnapshot(conflict.remote);
+    });
+    trades.sort((a, b) => a.id - b.id);
+    ensureTradeAccounts();
+    syncConflicts = null;
+    saveState();
+    render();
+
+    queueTradeSync(resolvedIds);
+};
+
+
+// --- STORAGE ADAPTERS ---
+// Every backend a journal can sync with is reached through a StorageAdapter. Adapters are
+// created per use for the active journal; a sync uses a single one from start to end.
+const getStorageAdapter = (journal: Journal = getActiveJournal()): StorageAdapter => {
+    if (journal.backend === 'server') return createServerAdapter(journal);
+    if (journal.backend === 'local') return createLocalAdapter();
+    return createSheetsAdapter(journal);
+};
+
+// Journals kept only in this browser: the local database is the only copy, so the adapter
+// reads and writes the app's own state and there is never anything to sync.
+const createLocalAdapter = (): StorageAdapter => ({
+    label: 'este navegador',
+    isRemote: false,
+    unavailableReason: () => '',
+    listTrades: async () => [...trades, ...deletedTrades],
+    getTrade: async id => [...trades, ...deletedTrades].find(t => t.id === id) || null,
+    putTrades: async changedTrades => {
+        changedTrades.forEach(storeSyncedTrade);
+        trades.sort((a, b) => a.id - b.id);
+        saveState();
+    },
+    deleteTrade: async id => {
+        const trade = trades.find(t => t.id === id);
+        if (!trade) return;
+        storeSyncedTrade(touchTrade({ ...trade, deleted: true }));
+        saveState();
+    },
+    getOptions: async () => ({ ...regOptions, accounts, tags }),
+    putOptions: async ({ accounts: storedAccounts, tags: storedTags, ...options }) => {
+        regOptions = options;
+        if (storedAccounts) accounts = inJournalCurrency(storedAccounts);
+        if (storedTags) tags = storedTags;
+        saveState();
+    },
+    changesSince: async () => ({ trades: [...trades, ...deletedTrades], cursor: new Date().toISOString(), complete: true }),
+});
+
+// The trades tab holds one row per trade, the config tab one column per REG dimension. A sheet
+// has no change feed, so changesSince always reads it whole.
+const createSheetsAdapter = (journal: Journal): StorageAdapter => {
+    const { spreadsheetId, tradesSheetName, configSheetName } = journal;
+    let sheetRows: Map<number, number[]> | null = null; // trade id -> 1-based row numbers, as last read
+    let headerIsMissingOrInvalid = false;
+
+    // Resolves to whether the tab exists; with `create` a missing tab is added.
+    const ensureSheet = async (title: string, create: boolean): Promise<boolean> => {
+        let spreadsheet;
+        try {
+            spreadsheet = await gapi.client.sheets.spreadsheets.get({ spreadsheetId });
+        } catch (err: any) {
+            if (err.result?.error?.code === 404) {
+                throw new Error('Planilha não encontrada. Verifique o ID da planilha.');
+            }
+            throw err;
+        }
+        if (spreadsheet.result.sheets.some((s: any) => s.properties.title === title)) return true;
+        if (!create) return false;
+        await gapi.client.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] },
+        });
+        return true;
+    };
+
+    // Rows are matched by the ID column, so a header from an older version of the app is simply
+    // rewritten. Repeated IDs (rows appended twice) are all updated together; the last one is
+    // taken as the sheet's version.
+    const listTrades = async (): Promise<Trade[]> => {
+        await ensureSheet(tradesSheetName, true);
+        const response = await gapi.client.sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: sheetRange(tradesSheetName),
+        });
+
+        const sheetValues: any[][] = response.result.values || [];
+        const sheetHeader = sheetValues[0] || [];
+        headerIsMissingOrInvalid = SHEET_HEADER_ROW.some((h, i) => h !== sheetHeader[i]);
+
+        const rows = new Map<number, number[]>();
+        const sheetTrades = new Map<number, Trade>();
+        sheetValues.slice(1).forEach((row, index) => {
+            const trade = rowToTrade(row);
+            if (!trade) return;
+            rows.set(trade.id, [...(rows.get(trade.id) || []), index + 2]);
+            sheetTrades.set(trade.id, trade);
+        });
+        sheetRows = rows;
+        return [...sheetTrades.values()];
+    };
+
+    // Deleted trades stay on the sheet, flagged in the "Excluída" column.
+    const putTrades = async (changedTrades: Trade[]) => {
+        if (!sheetRows) await listTrades();
+        if (headerIsMissingOrInvalid) {
+            await gapi.client.sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: sheetRange(tradesSheetName, 'A1'),
+                valueInputOption: 'USER_ENTERED',
+                resource: { values: [SHEET_HEADER_ROW] },
+            });
+            headerIsMissingOrInvalid = false;
+        }
+
+        const dataForBatchUpdate: { range: string; values: (string | number)[][]; }[] = [];
+        const valuesToAppend: (string | number)[][] = [];
+        changedTrades.forEach(trade => {
+            const rowNumbers = sheetRows!.get(trade.id);
+            if (rowNumbers) {
+                rowNumbers.forEach(rowNumber => dataForBatchUpdate.push({
+                    range: sheetRange(tradesSheetName, `A${rowNumber}`),
+                    values: [tradeToSheetRow(trade)],
+                }));
+            } else {
+                valuesToAppend.push(tradeToSheetRow(trade));
+            }
+        });
+
+        if (dataForBatchUpdate.length > 0) {
+            await gapi.client.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    valueInputOption: 'USER_ENTERED',
+                    data: dataForBatchUpdate,
+                },
+            });
+        }
+
+        if (valuesToAppend.length > 0) {
+            await gapi.client.sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range: sheetRange(tradesSheetName), // Appending to the table will find the first empty row
+                valueInputOption: 'USER_ENTERED',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: valuesToAppend },
+            });
+            sheetRows = null; // the rows of the appended trades are only known after a new read
+        }
+    };
+
+    const getTrade = async (id: number) => (await listTrades()).find(t => t.id === id) || null;
+
+    return {
+        label: 'a planilha',
+        isRemote: true,
+        unavailableReason: () => {
+            if (!spreadsheetId) return 'sem planilha';
+            return googleAuthState.isSignedIn ? '' : 'desconectado do Google';
+        },
+        listTrades,
+        getTrade,
+        putTrades,
+        deleteTrade: async id => {
+            const trade = await getTrade(id);
+            if (trade && !trade.deleted) await putTrades([touchTrade({ ...trade, deleted: true })]);
+        },
+        getOptions: async () => {
+            if (!(await ensureSheet(configSheetName, false))) return null;
+            const response = await gapi.client.sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: sheetRange(configSheetName, CONFIG_SHEET_COLUMNS),
+            });
+            const values: string[][] = response.result.values || [];
+            const options: JournalOptions = { regions: [], structures: [], triggers: [], accounts: [], tags: [] };
+            values.slice(1).forEach(row => { // the first row holds the headers
+                if (row[0]) options.regions.push(row[0]);
+                if (row[1]) options.structures.push(row[1]);
+                if (row[2]) options.triggers.push(row[2]);
+                const account = configRowToAccount(row);
+                if (account) options.accounts!.push(account);
+                if (row[12]) options.tags!.push({ name: String(row[12]), isMistake: row[13] === 'Sim', ...(row[14] ? { updatedAt: row[14] } : {}) });
+            });
+            return options;
+        },
+        putOptions: async options => {
+            await ensureSheet(configSheetName, true);
+            await gapi.client.sheets.spreadsheets.values.clear({
+                spreadsheetId,
+                range: sheetRange(configSheetName, `A1:${CONFIG_SHEET_COLUMNS.split(':')[1]}`),
+            });
+            await gapi.client.sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: sheetRange(configSheetName, 'A1'),
+                valueInputOption: 'USER_ENTERED',
+                resource: { values: getConfigSheetRows(options) },
+            });
+        },
+        changesSince: async () => ({ trades: await listTrades(), cursor: new Date().toISOString(), complete: true }),
+    };
+};
+
+// A sync server speaking the HTTP/JSON API of the reference server in server/ (documented in
+// server/README.md). Its change feed is incremental: the cursor is the server's sequence number.
+const createServerAdapter = (journal: Journal): StorageAdapter => {
+    const journalUrl = `${journal.serverUrl}/journals/${encodeURIComponent(journal.serverJournal)}`;
+
+    // Resolves to the parsed response; with `allowNotFound` a 404 resolves to null.
+    const request = async (path: string, init: { method?: string; body?: unknown } = {}, allowNotFound = false): Promise<any> => {
+        const headers: { [name: string]: string } = {};
+        if (init.body !== undefined) headers['Content-Type'] = 'application/json';
+        if (journal.serverToken) headers['Authorization'] = `Bearer ${journal.serverToken}`;
+
+        let response: Response;
+        try {
+            response = await fetch(`${journalUrl}${path}`, {
+                method: init.method || 'GET',
+                headers,
+                body: init.body === undefined ? undefined : JSON.stringify(init.body),
+            });
+        } catch (err) {
+            throw new Error(`Servidor ${journal.serverUrl} inacessível.`);
+        }
+        if (response.status === 404 && allowNotFound) return null;
+        if (!response.ok) {
+            const details = await response.json().catch(() => null);
+            throw new Error(details?.error || `O servidor respondeu ${response.status}.`);
+        }
+        return response.status === 204 ? null : response.json();
+    };
+
+    return {
+        label: 'o servidor',
+        isRemote: true,
+        unavailableReason: () => journal.serverUrl ? '' : 'sem servidor',
+        listTrades: async () => (await request('/trades')).trades,
+        getTrade: id => request(`/trades/${id}`, {}, true),
+        putTrades: async changedTrades => {
+            if (changedTrades.length > 0) await request('/trades', { method: 'PUT', body: { trades: changedTrades } });
+        },
+        deleteTrade: async id => {
+            await request(`/trades/${id}`, { method: 'DELETE' }, true);
+        },
+        getOptions: () => request('/options', {}, true),
+        putOptions: async options => {
+            await request('/options', { method: 'PUT', body: options });
+        },
+        changesSince: async cursor => {
+            const feed = await request(`/changes?since=${encodeURIComponent(cursor || '0')}`);
+            return { trades: feed.trades, cursor: feed.cursor, complete: !cursor };
+        },
+    };
+};
+
+
+// --- SYNC OUTBOX ---
+// Changes wait in the outbox until a sync reaches the journal's backend. Changes made in quick
+// succession are flushed together, in a single sync (for a sheet, a single values.batchUpdate).
+const queueTradeSync = (tradeIds: number[]) => {
+    // A journal kept only in this browser has nowhere to send them.
+    if (tradeIds.length === 0 || !getStorageAdapter().isRemote) return;
+    const queuedAt = new Date().toISOString();
+    syncOutbox = [
+        ...syncOutbox.filter(entry => !tradeIds.includes(entry.tradeId)),
+        ...tradeIds.map(tradeId => ({ tradeId, queuedAt })),
+    ];
+    saveState();
+    updateSyncStatus();
+    debouncedFlushOutbox();
+};
+
+const canFlushOutbox = () => navigator.onLine && !getStorageAdapter().unavailableReason();
+
+const resetOutboxRetry = () => {
+    if (outboxRetry.timer) clearTimeout(outboxRetry.timer);
+    outboxRetry = { attempts: 0, timer: null, nextAttemptAt: null };
+};
+
+const resetScreenshotUploadRetry = () => {
+    if (screenshotUploadRetry.timer) clearTimeout(screenshotUploadRetry.timer);
+    screenshotUploadRetry = { attempts: 0, timer: null, nextAttemptAt: null };
+    screenshotUploadError = '';
+};
+
+// Exponential backoff, from OUTBOX_RETRY_BASE_MS after the first failure up to OUTBOX_RETRY_MAX_MS.
+const getRetryDelay = (attempts: number) => Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_MS);
+
+// Called on every change, when the connection or the Google session comes back and by the
+// retry timer. While the backend cannot be reached the outbox just waits for one of those events.
+const flushOutbox = async () => {
+    if (outboxRetry.timer) {
+        clearTimeout(outboxRetry.timer);
+        outboxRetry.timer = null;
+        outboxRetry.nextAttemptAt = null;
+    }
+    if (syncOutbox.length === 0 || !canFlushOutbox()) {
+        updateSyncStatus();
+        return;
+    }
+    if (isSyncing) {
+        debouncedFlushOutbox();
+        return;
+    }
+
+    if (await syncJournal({ silent: true })) {
+        outboxRetry.attempts = 0;
+        // Changes made during the sync, unless they are waiting for a conflict to be resolved.
+        const conflictIds = new Set((syncConflicts || []).map(c => c.id));
+        if (syncOutbox.some(entry => !conflictIds.has(entry.tradeId))) debouncedFlushOutbox();
+    } else {
+        outboxRetry.attempts++;
+        const delay = getRetryDelay(outboxRetry.attempts);
+        outboxRetry.nextAttemptAt = Date.now() + delay;
+        outboxRetry.timer = setTimeout(flushOutbox, delay);
+    }
+    updateSyncStatus();
+};
+
+const debouncedFlushOutbox = debounce(flushOutbox, 2000);
+
+
+// --- CORE LOGIC ---
+const openManageOptionsModal = (optionType: 'regions' | 'structures' | 'triggers') => {
+    managingOptionsFor = optionType;
+    render();
+};
+
+const closeManageOptionsModal = () => {
+    managingOptionsFor = null;
+    render();
+};
+
+const addRegOption = (event: SubmitEvent) => {
+    event.preventDefault();
+    if (!managingOptionsFor) return;
+
+    const form = event.target as HTMLFormElement;
+    const input = form.elements.namedItem('new-option-input') as HTMLInputElement;
+    const newOption = input.value.trim();
+
+    if (newOption && !regOptions[managingOptionsFor].includes(newOption)) {
+        regOptions[managingOptionsFor].push(newOption);
+        regOptions[managingOptionsFor].sort();
+        saveState();
+        pushRegOptions();
+    }
+    // Re-render the modal content, not the whole app
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderManageOptionsModal();
+        // Re-attach listeners for the new modal content
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-options-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+            (newModal.querySelector('#new-option-input') as HTMLInputElement)?.focus();
+        }
+    }
+};
+
+const deleteRegOption = (optionType: 'regions' | 'structures' | 'triggers', optionToDelete: string) => {
+    regOptions[optionType] = regOptions[optionType].filter(opt => opt !== optionToDelete);
+    saveState();
+    pushRegOptions();
+    // Re-render just the modal content
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderManageOptionsModal();
+         const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-options-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
+};
+
+
+const openManageInstrumentsModal = () => {
+    isManagingInstruments = true;
+    render();
+};
+
+const closeManageInstrumentsModal = () => {
+    isManagingInstruments = false;
+    render();
+};
+
+const refreshManageInstrumentsModal = () => {
+    // Re-render just the modal content, like the REG options modal
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderManageInstrumentsModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-instruments-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
+};
+
+const saveInstrument = (event: SubmitEvent) => {
+    event.preventDefault();
+    const form = event.target as HTMLFormElement;
+    const formData = new FormData(form);
+    const errorEl = document.getElementById('instrument-form-error');
+
+    const symbol = (formData.get('instrument-symbol') as string).trim().toUpperCase();
+    const patterns = (formData.get('instrument-patterns') as string).split(',').map(p => p.trim().toUpperCase()).filter(p => p);
+    const pointValue = parseLocaleNumber(formData.get('instrument-point-value') as string);
+    const tickSize = parseLocaleNumber(formData.get('instrument-tick-size') as string);
+    const currency = (formData.get('instrument-currency') as string).trim().toUpperCase() || 'BRL';
+
+    if (!symbol || patterns.length === 0 || !(pointValue > 0) || !(tickSize > 0)) {
+        if (errorEl) errorEl.textContent = 'Informe símbolo, padrões, valor do ponto e tick.';
+        return;
+    }
+    if (currency !== JOURNAL_CURRENCY) {
+        if (errorEl) errorEl.textContent = 'Os resultados do diário são calculados em reais: informe o valor do ponto em BRL.';
+        return;
+    }
+
+    const instrument: Instrument = {
+        symbol,
+        name: (formData.get('instrument-name') as string).trim() || symbol,
+        patterns,
+        pointValue,
+        tickSize,
+        currency,
+    };
+    const existingIndex = instruments.findIndex(i => i.symbol === symbol);
+    if (existingIndex !== -1) {
+        instruments[existingIndex] = instrument;
+    } else {
+        instruments.push(instrument);
+    }
+    saveState();
+    refreshManageInstrumentsModal();
+};
+
+const fillInstrumentForm = (symbol: string) => {
+    const instrument = instruments.find(i => i.symbol === symbol);
+    const form = document.getElementById('instrument-form') as HTMLFormElement | null;
+    if (!instrument || !form) return;
+
+    (form.elements.namedItem('instrument-symbol') as HTMLInputElement).value = instrument.symbol;
+    (form.elements.namedItem('instrument-name') as HTMLInputElement).value = instrument.name;
+    (form.elements.namedItem('instrument-patterns') as HTMLInputElement).value = instrument.patterns.join(', ');
+    (form.elements.namedItem('instrument-point-value') as HTMLInputElement).value = String(instrument.pointValue).replace('.', ',');
+    (form.elements.namedItem('instrument-tick-size') as HTMLInputElement).value = String(instrument.tickSize).replace('.', ',');
+    (form.elements.namedItem('instrument-currency') as HTMLInputElement).value = instrument.currency;
+    (form.elements.namedItem('instrument-symbol') as HTMLInputElement).focus();
+};
+
+const deleteInstrument = (symbol: string) => {
+    instruments = instruments.filter(i => i.symbol !== symbol);
+    saveState();
+    refreshManageInstrumentsModal();
+};
+
+const openManageCostProfilesModal = () => {
+    isManagingCostProfiles = true;
+    render();
+};
+
+const closeManageCostProfilesModal = () => {
+    isManagingCostProfiles = false;
+    render();
+};
+
+const refreshManageCostProfilesModal = () => {
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderManageCostProfilesModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#manage-cost-profiles-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
+};
+
+const saveCostProfile = (event: SubmitEvent) => {
+    event.preventDefault();
+    const form = event.target as HTMLFormElement;
+    const formData = new FormData(form);
+    const errorEl = document.getElementById('cost-profile-form-error');
+
+    const name = (formData.get('cost-profile-name') as string).trim();
+    const brokerage = parseLocaleNumber(formData.get('cost-profile-brokerage') as string);
+    const exchangeFee = parseLocaleNumber(formData.get('cost-profile-exchange-fee') as string);
+    const issRate = parseLocaleNumber((formData.get('cost-profile-iss') as string) || '0');
+
+    if (!name || !(brokerage >= 0) || !(exchangeFee >= 0) || !(issRate >= 0)) {
+        if (errorEl) errorEl.textContent = 'Informe um nome e valores numéricos não negativos.';
+        return;
+    }
+
+    const profile: CostProfile = {
+        id: (formData.get('cost-profile-id') as string) || Date.now().toString(36),
+        name,
+        brokerageType: formData.get('cost-profile-brokerage-type') as CostProfile['brokerageType'],
+        brokerage,
+        exchangeFeeType: formData.get('cost-profile-exchange-fee-type') as CostProfile['exchangeFeeType'],
+        exchangeFee,
+        issRate,
+    };
+    const existingIndex = costProfiles.findIndex(p => p.id === profile.id);
+    if (existingIndex !== -1) {
+        costProfiles[existingIndex] = profile;
+    } else {
+        costProfiles.push(profile);
+    }
+    // New rates on the active profile apply to the trades without manual costs right away.
+    if (profile.id === activeCostProfileId) {
+        activateCostProfile(profile.id);
+        return;
+    }
+    saveState();
+    refreshManageCostProfilesModal();
+};
+
+const fillCostProfileForm = (id: string) => {
+    const profile = costProfiles.find(p => p.id === id);
+    const form = document.getElementById('cost-profile-form') as HTMLFormElement | null;
+    if (!profile || !form) return;
+
+    (form.elements.namedItem('cost-profile-id') as HTMLInputElement).value = profile.id;
+    (form.elements.namedItem('cost-profile-name') as HTMLInputElement).value = profile.name;
+    (form.elements.namedItem('cost-profile-brokerage-type') as HTMLSelectElement).value = profile.brokerageType;
+    (form.elements.namedItem('cost-profile-brokerage') as HTMLInputElement).value = String(profile.brokerage).replace('.', ',');
+    (form.elements.namedItem('cost-profile-exchange-fee-type') as HTMLSelectElement).value = profile.exchangeFeeType;
+    (form.elements.namedItem('cost-profile-exchange-fee') as HTMLInputElement).value = String(profile.exchangeFee).replace('.', ',');
+    (form.elements.namedItem('cost-profile-iss') as HTMLInputElement).value = String(profile.issRate).replace('.', ',');
+    (form.elements.namedItem('cost-profile-name') as HTMLInputElement).focus();
+};
+
+// Only trades without manually typed costs follow the newly selected profile.
+const activateCostProfile = (id: string) => {
+    activeCostProfileId = id;
+    // The recomputed costs sync like any edit; trades whose amounts come out the same are left alone.
+    const recalculatedIds: number[] = [];
+    trades = trades.map(t => {
+        if (t.costsOverridden) return t;
+        const metrics = calculateTradeMetrics(t.asset, t.side, t.entries, t.exits);
+        if (metrics.costs === t.costs && metrics.grossResult === t.grossResult && metrics.netResult === t.netResult) return t;
+        recalculatedIds.push(t.id);
+        return touchTrade({ ...t, ...metrics });
+    });
+    saveState();
+    queueTradeSync(recalculatedIds);
+    refreshManageCostProfilesModal();
+};
+
+const deleteCostProfile = (id: string) => {
+    if (costProfiles.length <= 1) {
+        alert('Mantenha pelo menos um perfil de custos.');
+        return;
+    }
+    costProfiles = costProfiles.filter(p => p.id !== id);
+    if (activeCostProfileId === id) {
+        activateCostProfile(costProfiles[0].id);
+        return;
+    }
+    saveState();
+    refreshManageCostProfilesModal();
+};
+
+const openRiskRulesModal = () => {
+    isManagingRiskRules = true;
+    render();
+};
+
+const closeRiskRulesModal = () => {
+    isManagingRiskRules = false;
+    render();
+};
+
+const saveRiskRules = (event: SubmitEvent) => {
+    event.preventDefault();
+    const formData = new FormData(event.target as HTMLFormElement);
+    const errorEl = document.getElementById('risk-rules-form-error');
+
+    // Blank fields disable the rule.
+    const readLimit = (name: string): number | null => {
+        const value = ((formData.get(name) as string) || '').trim();
+        return value ? parseLocaleNumber(value) : null;
+    };
+    const dailyMaxLoss = readLimit('daily-max-loss');
+    const maxTradesPerDay = readLimit('max-trades-per-day');
+    const maxConsecutiveLosses = readLimit('max-consecutive-losses');
+
+    if ([dailyMaxLoss, maxTradesPerDay, maxConsecutiveLosses].some(limit => limit !== null && !(limit > 0))) {
+        if (errorEl) errorEl.textContent = 'Os limites devem ser números maiores que zero (ou em branco para desativar).';
+        return;
+    }
+
+    riskRules = {
+        dailyMaxLoss,
+        dailyMaxLossUnit: formData.get('daily-max-loss-unit') as RiskRules['dailyMaxLossUnit'],
+        maxTradesPerDay: maxTradesPerDay !== null ? Math.floor(maxTradesPerDay) : null,
+        maxConsecutiveLosses: maxConsecutiveLosses !== null ? Math.floor(maxConsecutiveLosses) : null,
+    };
+    saveState();
+    closeRiskRulesModal();
+};
+
+const setResultMode = (mode: 'gross' | 'net') => {
+    resultMode = mode;
+    saveState();
+    render();
+};
+
+const setEquityGranularity = (granularity: 'day' | 'week' | 'month') => {
+    equityGranularity = granularity;
+    saveState();
+    render();
+};
+
+// Only the export uses it; imports detect the delimiter from the file.
+const setCsvDelimiter = (delimiter: ';' | ',') => {
+    csvDelimiter = delimiter;
+    saveState();
+};
+
+const getCalendarMonth = (data: Trade[]): string => {
+    if (calendarMonth) return calendarMonth;
+    if (filters.startDate && filters.startDate === filters.endDate) return filters.startDate.slice(0, 7);
+    const latest = data.reduce((max, t) => t.date > max ? t.date : max, '');
+    return (latest || new Date().toISOString()).slice(0, 7);
+};
+
+const shiftCalendarMonth = (offset: number) => {
+    const [year, month] = getCalendarMonth(applyFilters(['startDate', 'endDate'])).split('-').map(Number);
+    calendarMonth = new Date(Date.UTC(year, month - 1 + offset, 1)).toISOString().slice(0, 7);
+    render();
+};
+
+// Clicking the selected day again clears the date filter.
+const selectCalendarDay = (date: string) => {
+    const isSelected = filters.startDate === date && filters.endDate === date;
+    filters.startDate = isSelected ? '' : date;
+    filters.endDate = isSelected ? '' : date;
+    calendarMonth = date.slice(0, 7);
+    render();
+};
+
+// At least two REG dimensions stay selected; the matrix keeps them in R-E-G order.
+const toggleRegMatrixDimension = (dimension: 'region' | 'structure' | 'trigger') => {
+    if (regMatrixDimensions.includes(dimension)) {
+        if (regMatrixDimensions.length <= 2) return;
+        regMatrixDimensions = regMatrixDimensions.filter(d => d !== dimension);
+    } else {
+        regMatrixDimensions = REG_DIMENSIONS.map(d => d.key).filter(d => d === dimension || regMatrixDimensions.includes(d));
+    }
+    render();
+};
+
+const sortRegMatrix = (key: 'count' | 'winRate' | 'total' | 'averagePoints' | 'expectancy') => {
+    regMatrixSort = { key, direction: regMatrixSort.key === key && regMatrixSort.direction === 'desc' ? 'asc' : 'desc' };
+    render();
+};
+
+// Clicking the combination already filtered clears those filters.
+const applyRegCombinationFilters = (values: { region?: string; structure?: string; trigger?: string }) => {
+    const dimensions = Object.keys(values) as ('region' | 'structure' | 'trigger')[];
+    const isSelected = dimensions.every(d => filters[d] === values[d]);
+    dimensions.forEach(d => { filters[d] = isSelected ? 'Todos' : values[d]!; });
+    render();
+};
+
+const setActiveView = (view: 'journal' | 'taxes') => {
+    activeView = view;
+    render();
+};
+
+
+const handleApiKeySubmit = async (event: SubmitEvent) => {
+    event.preventDefault();
+    const form = event.target as HTMLFormElement;
+    const apiKeyInput = form.elements.namedItem('api-key-input') as HTMLInputElement;
+    const apiKey = apiKeyInput.value.trim();
+    const statusEl = document.getElementById('api-key-status');
+
+    if (!apiKey) {
+        if (statusEl) {
+            statusEl.textContent = 'Por favor, insira uma chave de API.';
+            statusEl.className = 'api-key-status error';
+        }
+        return;
+    }
+
+    if (statusEl) {
+        statusEl.textContent = 'Validando chave...';
+        statusEl.className = 'api-key-status loading';
+    }
+    
+    // Temporarily create an AI instance to validate the key
+    try {
+        const tempAi = new GoogleGenAI({ apiKey });
+        // Use a lightweight, fast model call for validation
+        await tempAi.models.generateContent({ model: 'gemini-2.5-flash', contents: 'test' });
+
+        // If validation is successful, save to session storage and re-initialize globally
+        sessionStorage.setItem('userApiKey', apiKey);
+        await attemptAiInitialization(); // This will set the global `ai` instance
+        render(); // Re-render the entire app to reflect the new state
+
+    } catch (error) {
+        console.error("API Key validation failed:", error);
+        if (statusEl) {
+            statusEl.textContent = 'Chave de API inválida ou erro de rede. Tente novamente.';
+            statusEl.className = 'api-key-status error';
+        }
+        sessionStorage.removeItem('userApiKey');
+        ai = null;
+    }
+};
+
+const attemptAiInitialization = async () => {
+    ai = null;
+    aiInitializationError = null;
+    
+    // Priority: Session Storage (user-provided) > Environment Variable
+    const userApiKey = sessionStorage.getItem('userApiKey');
+    const envApiKey = (typeof process !== 'undefined' && process.env?.API_KEY) ? process.env.API_KEY : null;
+    const apiKey = userApiKey || envApiKey;
+
+    if (!apiKey) {
+        aiInitializationError = new Error("A chave da API não está configurada no ambiente.");
+        console.warn("AI Initialization Failed: API_KEY is not configured.");
+        return;
+    }
+
+    try {
+        const genAI = new GoogleGenAI({ apiKey });
+        // Quick validation to ensure the key is functional
+        await genAI.models.generateContent({ model: 'gemini-2.5-flash', contents: 'ping' });
+        ai = genAI;
+    } catch (error) {
+        aiInitializationError = new Error("A chave de API fornecida é inválida ou a conexão falhou.");
+        console.error("AI Initialization Failed:", (error as Error).message);
+        // If the key from session storage is bad, remove it.
+        if (userApiKey) {
+            sessionStorage.removeItem('userApiKey');
+        }
+    }
+};
+
+const getAIInsight = async (trade: Trade) => {
+    if (!ai) {
+        alert("Cliente de IA não inicializado.");
+        return;
+    }
+    const insightContainer = document.getElementById('ai-insight-content')!;
+    insightContainer.parentElement!.classList.add('loading');
+    insightContainer.innerHTML = 'Analisando sua operação...';
+
+    // Execution and risk details only exist for some trades. The history is the trade's account.
+    const accountTrades = trades.filter(t => t.accountId === trade.accountId);
+    const details = [
+        isMultiLegTrade(trade) ? `- Execução em parciais: ${formatLegs(trade.entries, trade.exits)} (E = entrada, S = saída, quantidade @ preço)` : '',
+        trade.rMultiple !== undefined ? `- Risco: ${trade.rMultiple}R sobre um risco inicial de R$ ${trade.riskAmount!.toFixed(2)}${trade.stopViolated ? ' (stop planejado violado)' : ''}` : '',
+        trade.ruleOverride ? `- Registrada acima dos limites de risco do dia (${trade.ruleOverride.violations.join(' ')}). Justificativa do trader: "${trade.ruleOverride.justification}"` : '',
+        accountTrades.length > 1 ? `- Estatísticas do histórico da conta: ${getPerformanceStatsLines(calculatePerformanceStats(accountTrades)).map(([label, value]) => `${label}: ${value}`).join('; ')}` : '',
+    ].filter(Boolean).map(line => `\n        ${line}`).join('');
+
+    const prompt = `
+        Análise de Trade Rápida:
+        - Ativo: ${trade.asset}
+        - Lado: ${trade.side}
+        - Resultado: ${trade.result > 0 ? 'Gain' : 'Loss'} de R$ ${Math.abs(trade.result).toFixed(2)} (${trade.points} pontos)${details}
+        - Estratégia REG: Região (${trade.region}), Estrutura (${trade.structure}), Gatilho (${trade.trigger})
+
+        Com base nesses dados, gere dois outputs separados por '---RESUMO---':
+        1.  **Insight Amigável:** Um insight para o trader. Seja amigável, direto e ajude-o a refletir. Foque em um ponto positivo se foi gain, ou um ponto de atenção se foi loss. Use markdown para formatação.
+        2.  **Resumo em Tópicos:** Um resumo conciso da análise em 2 ou 3 tópicos curtos (bullet points), ideal para anotações.
+    `;
+    
+    try {
+        const response = await ai.models.generateContent({
+            model: 'gemini-2.5-flash',
+            contents: prompt,
+        });
+        
+        const responseText = response.text;
+        const parts = responseText.split('---RESUMO---');
+        const friendlyInsight = parts[0] || 'Não foi possível gerar o insight detalhado.';
+        const summaryNotes = parts[1] || '';
+
+        insightContainer.innerHTML = await marked.parse(friendlyInsight.trim());
+
+        if (summaryNotes) {
+            const tradeIndex = trades.findIndex(t => t.id === trade.id);
+            if (tradeIndex !== -1) {
+                trades[tradeIndex] = touchTrade({ ...trades[tradeIndex], notes: summaryNotes.trim() });
+                saveState();
+            }
+        }
+
+    } catch (error) {
+        console.error("Error fetching AI insight:", error);
+        insightContainer.innerHTML = 'Não foi possível obter o insight. Verifique o console para mais detalhes.';
+    } finally {
+        insightContainer.parentElement!.classList.remove('loading');
+    }
+};
+
+// Fallback for symbols that match no registered instrument: one unit of money per point.
+const GENERIC_INSTRUMENT: Instrument = { symbol: '', name: 'Ativo não cadastrado', patterns: [], pointValue: 1, tickSize: 0.01, currency: 'BRL' };
+
+const matchesSymbolPattern = (pattern: string, asset: string): boolean => {
+    const source = pattern.trim().toUpperCase()
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')
+        .replace(/#/g, '\\d');
+    return new RegExp(`^${source}$`).test(asset.trim().toUpperCase());
+};
+
+const resolveInstrument = (asset: string): Instrument => {
+    return instruments.find(i => i.patterns.some(p => matchesSymbolPattern(p, asset))) || GENERIC_INSTRUMENT;
+};
+
+const isMultipleOfTick = (price: number, tickSize: number): boolean => {
+    if (!tickSize) return true;
+    const ticks = price / tickSize;
+    return Math.abs(ticks - Math.round(ticks)) < 1e-6;
+};
+
+const describeInstrument = (instrument: Instrument): string => {
+    if (!instrument.symbol) {
+        return 'Ativo não cadastrado: resultado calculado a 1,00 por ponto.';
+    }
+    const pointValue = instrument.pointValue.toLocaleString('pt-BR', { style: 'currency', currency: instrument.currency, maximumFractionDigits: 4 });
+    return `${instrument.name} (${instrument.symbol}) · ${pointValue} por ponto · tick ${instrument.tickSize.toLocaleString('pt-BR')}`;
+};
+
+const getActiveCostProfile = (): CostProfile | undefined => {
+    return costProfiles.find(p => p.id === activeCostProfileId) || costProfiles[0];
+};
+
+const singleLeg = (price: number, quantity: number, time?: string): TradeLeg[] => [time ? { price, quantity, time } : { price, quantity }];
+
+const sumLegQuantity = (legs: TradeLeg[]): number => legs.reduce((acc, leg) => acc + leg.quantity, 0);
+
+const averageLegPrice = (legs: TradeLeg[]): number => {
+    const quantity = sumLegQuantity(legs);
+    if (quantity === 0) return 0;
+    return parseFloat((legs.reduce((acc, leg) => acc + leg.price * leg.quantity, 0) / quantity).toFixed(4));
+};
+
+const calculateTradeCosts = (asset: string, entries: TradeLeg[], exits: TradeLeg[]): number => {
+    const profile = getActiveCostProfile();
+    if (!profile) return 0;
+
+    // Every leg is one order; per-contract fees apply to the quantity traded on both sides.
+    const { pointValue } = resolveInstrument(asset);
+    const legs = [...entries, ...exits];
+    const contracts = sumLegQuantity(legs);
+    const notional = legs.reduce((acc, leg) => acc + Math.abs(leg.price) * leg.quantity, 0) * pointValue;
+    let brokerage = profile.brokerage * contracts;
+    if (profile.brokerageType === 'per-order') brokerage = profile.brokerage * legs.length;
+    if (profile.brokerageType === 'percentage') brokerage = notional * profile.brokerage / 100;
+    const exchangeFees = profile.exchangeFeeType === 'percentage'
+        ? notional * profile.exchangeFee / 100
+        : profile.exchangeFee * contracts;
+    const iss = brokerage * profile.issRate / 100;
+    return parseFloat((brokerage + exchangeFees + iss).toFixed(2));
+};
+
+const calculateTradeMetrics = (asset: string, side: 'Compra' | 'Venda', entries: TradeLeg[], exits: TradeLeg[], costsOverride?: number) => {
+    const { pointValue } = resolveInstrument(asset);
+    const lots = sumLegQuantity(entries);
+    const entryPrice = averageLegPrice(entries);
+    const exitPrice = averageLegPrice(exits);
+    const points = side === 'Compra' ? exitPrice - entryPrice : entryPrice - exitPrice;
+    const result = parseFloat((points * pointValue * lots).toFixed(2));
+    const costs = costsOverride ?? calculateTradeCosts(asset, entries, exits);
+    return {
+        lots,
+        entryPrice,
+        exitPrice,
+        entries,
+        exits,
+        ...getTradeTimes(entries, exits),
+        points: parseFloat(points.toFixed(2)),
+        result,
+        grossResult: result,
+        costs,
+        netResult: parseFloat((result - costs).toFixed(2)),
+    };
+}
+
+// Each entry leg is measured against the average exit and each exit leg against the
+// average entry, so the leg results of either side add up to the trade result.
+const calculateLegResults = (trade: Trade) => {
+    const { pointValue } = resolveInstrument(trade.asset);
+    const direction = trade.side === 'Compra' ? 1 : -1;
+    const measure = (leg: TradeLeg, points: number) => ({
+        ...leg,
+        points: parseFloat(points.toFixed(2)),
+        result: parseFloat((points * pointValue * leg.quantity).toFixed(2)),
+    });
+    return {
+        entries: trade.entries.map(leg => measure(leg, (trade.exitPrice - leg.price) * direction)),
+        exits: trade.exits.map(leg => measure(leg, (leg.price - trade.entryPrice) * direction)),
+    };
+};
+
+const isMultiLegTrade = (trade: Trade): boolean => trade.entries.length > 1 || trade.exits.length > 1;
+
+// Text form of the legs used by the Sheets and CSV columns, e.g.
+// "E 2 @ 5000.5 09:05 | S 1 @ 5010 | S 1 @ 5020 09:40". Numbers use a dot so the
+// cell never depends on the spreadsheet locale and has no CSV delimiter.
+const formatLegs = (entries: TradeLeg[], exits: TradeLeg[]): string => [
+    ...entries.map(leg => ['E', leg.quantity, '@', leg.price, leg.time].filter(Boolean).join(' ')),
+    ...exits.map(leg => ['S', leg.quantity, '@', leg.price, leg.time].filter(Boolean).join(' ')),
+].join(' | ');
+
+const parseLegs = (text: string): { entries: TradeLeg[]; exits: TradeLeg[] } | null => {
+    if (!text || !text.trim()) return null;
+    const entries: TradeLeg[] = [];
+    const exits: TradeLeg[] = [];
+    for (const part of text.split('|')) {
+        const match = part.trim().match(/^([ES])\s+([\d.]+)\s*@\s*(-?[\d.]+)(?:\s+(\d{1,2}:\d{2}))?$/);
+        if (!match) return null;
+        const leg: TradeLeg = { price: parseFloat(match[3]), quantity: parseFloat(match[2]) };
+        if (match[4]) leg.time = normalizeTime(match[4]);
+        (match[1] === 'E' ? entries : exits).push(leg);
+    }
+    return entries.length > 0 && exits.length > 0 ? { entries, exits } : null;
+};
+
+const describeLegs = (entries: TradeLeg[], exits: TradeLeg[]): string => {
+    const format = (value: number) => value.toLocaleString('pt-BR', { maximumFractionDigits: 4 });
+    const entryQuantity = sumLegQuantity(entries);
+    const exitQuantity = sumLegQuantity(exits);
+    let description = `Preço médio: entrada ${format(averageLegPrice(entries))} · saída ${format(averageLegPrice(exits))} · ${format(entryQuantity)} lote(s)`;
+    if (exitQuantity !== entryQuantity) description += ` · ${format(entryQuantity - exitQuantity)} lote(s) sem saída`;
+    return description;
+};
+
+// Accepts "9:05", "09:05" or a Sheets time such as "09:05:00" and returns "HH:MM".
+const normalizeTime = (value: string): string | undefined => {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})/);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : undefined;
+};
+
+const timeToMinutes = (time: string): number => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// The trade opens with its first entry leg and closes with its last exit leg.
+const getTradeTimes = (entries: TradeLeg[], exits: TradeLeg[]): { entryTime?: string; exitTime?: string; durationMinutes?: number } => {
+    const entryTime = entries.map(leg => leg.time).filter((time): time is string => !!time).sort()[0];
+    const exitTime = exits.map(leg => leg.time).filter((time): time is string => !!time).sort().pop();
+    const durationMinutes = entryTime && exitTime && exitTime >= entryTime
+        ? timeToMinutes(exitTime) - timeToMinutes(entryTime)
+        : undefined;
+    return { entryTime, exitTime, durationMinutes };
+};
+
+const getTradeSession = (trade: Trade): B3Session | undefined => {
+    if (!trade.entryTime) return undefined;
+    return B3_SESSIONS.find(s => trade.entryTime! >= s.start && trade.entryTime! < s.end);
+};
+
+const getTradeWeekday = (trade: Trade): number => new Date(`${trade.date}T00:00:00`).getDay();
+
+// Result used by the dashboard, charts and history, following the gross/net toggle.
+const getTradeResult = (trade: Trade): number => resultMode === 'net' ? trade.netResult : trade.grossResult;
+
+// Initial risk is the distance from the average entry to the planned stop. Trades without
+// a stop have no risk metrics; passing no stop clears the ones computed before.
+const calculateRiskMetrics = (asset: string, side: 'Compra' | 'Venda', lots: number, entryPrice: number, points: number, stopPrice?: number, targetPrice?: number) => {
+    const validStop = stopPrice !== undefined && !isNaN(stopPrice) ? stopPrice : undefined;
+    const validTarget = targetPrice !== undefined && !isNaN(targetPrice) ? targetPrice : undefined;
+    const riskPoints = validStop !== undefined ? Math.abs(entryPrice - validStop) : 0;
+    if (validStop === undefined || riskPoints === 0) {
+        return { stopPrice: validStop, targetPrice: validTarget, riskPoints: undefined, riskAmount: undefined, rMultiple: undefined, plannedRMultiple: undefined, stopViolated: undefined };
+    }
+
+    const { pointValue } = resolveInstrument(asset);
+    const rewardPoints = validTarget !== undefined ? (side === 'Compra' ? validTarget - entryPrice : entryPrice - validTarget) : undefined;
+    return {
+        stopPrice: validStop,
+        targetPrice: validTarget,
+        riskPoints: parseFloat(riskPoints.toFixed(2)),
+        riskAmount: parseFloat((riskPoints * pointValue * lots).toFixed(2)),
+        rMultiple: parseFloat((points / riskPoints).toFixed(2)),
+        plannedRMultiple: rewardPoints !== undefined ? parseFloat((rewardPoints / riskPoints).toFixed(2)) : undefined,
+        stopViolated: -points > riskPoints + 1e-9,
+    };
+};
+
+// R-multiple following the gross/net toggle, so costs count against the risk taken.
+const getTradeRMultiple = (trade: Trade): number | undefined => {
+    if (!trade.riskAmount) return undefined;
+    return getTradeResult(trade) / trade.riskAmount;
+};
+
+const validateTradeForm = (form: HTMLFormElement): boolean => {
+    let isFormValid = true;
+    
+    const fields = [
+        { id: 'asset', required: true },
+        { id: 'date', required: true },
+        { id: 'costs', required: false, isNumeric: true },
+        { id: 'stop-price', required: false, isNumeric: true, isPrice: true },
+        { id: 'target-price', required: false, isNumeric: true, isPrice: true },
+        { id: 'region', required: true },
+        { id: 'structure', required: true },
+        { id: 'trigger', required: true }
+    ];
+    const assetInput = document.getElementById('asset') as HTMLInputElement | null;
+    const { tickSize } = resolveInstrument(assetInput?.value || '');
+
+    fields.forEach(field => {
+        const input = document.getElementById(field.id) as HTMLInputElement | HTMLSelectElement;
+        const errorEl = document.getElementById(`${field.id}-error`);
+        if (!input) return;
+
+        input.classList.remove('is-invalid');
+        if (errorEl) errorEl.textContent = '';
+
+        const value = input.value.trim();
+        let errorMessage = '';
+
+        if (field.required && !value) {
+            errorMessage = 'Este campo é obrigatório.';
+        } else if (value && field.isNumeric && isNaN(parseLocaleNumber(value))) {
+            errorMessage = 'Por favor, insira um número válido.';
+        } else if (value && field.isPrice && !isMultipleOfTick(parseLocaleNumber(value), tickSize)) {
+            errorMessage = `O preço deve ser múltiplo do tick do ativo (${tickSize.toLocaleString('pt-BR')}).`;
+        }
+
+        if (errorMessage) {
+            isFormValid = false;
+            input.classList.add('is-invalid');
+            if (errorEl) errorEl.textContent = errorMessage;
+        }
+    });
+
+    const legQuantities = { entry: 0, exit: 0 };
+    (['entry', 'exit'] as const).forEach(type => {
+        const errorEl = document.getElementById(`${type}-legs-error`);
+        let errorMessage = '';
+
+        form.querySelectorAll(`.leg-row[data-leg-type="${type}"]`).forEach(row => {
+            const priceInput = row.querySelector(`[name="${type}-price"]`) as HTMLInputElement;
+            const quantityInput = row.querySelector(`[name="${type}-quantity"]`) as HTMLInputElement;
+            priceInput.classList.remove('is-invalid');
+            quantityInput.classList.remove('is-invalid');
+
+            const price = parseLocaleNumber(priceInput.value);
+            const quantity = parseLocaleNumber(quantityInput.value);
+            let rowError = '';
+            if (!priceInput.value.trim() || !quantityInput.value.trim()) {
+                rowError = 'Informe o preço e a quantidade de cada perna.';
+            } else if (isNaN(price) || isNaN(quantity)) {
+                rowError = 'Por favor, insira um número válido.';
+            } else if (quantity <= 0) {
+                rowError = 'A quantidade deve ser maior que zero.';
+            } else if (!isMultipleOfTick(price, tickSize)) {
+                rowError = `O preço deve ser múltiplo do tick do ativo (${tickSize.toLocaleString('pt-BR')}).`;
+            }
+
+            if (rowError) {
+                if (!errorMessage) errorMessage = rowError;
+                priceInput.classList.toggle('is-invalid', !priceInput.value.trim() || isNaN(price) || !isMultipleOfTick(price, tickSize));
+                quantityInput.classList.toggle('is-invalid', !quantityInput.value.trim() || isNaN(quantity) || quantity <= 0);
+            } else {
+                legQuantities[type] += quantity;
+            }
+        });
+
+        if (type === 'exit' && !errorMessage && legQuantities.entry > 0 && legQuantities.exit !== legQuantities.entry) {
+            errorMessage = `A quantidade das saídas (${legQuantities.exit.toLocaleString('pt-BR')}) deve ser igual à das entradas (${legQuantities.entry.toLocaleString('pt-BR')}).`;
+        }
+        if (errorMessage) isFormValid = false;
+        if (errorEl) errorEl.textContent = errorMessage;
+    });
+
+    // The stop must sit against the position and the target in its favour.
+    if (legQuantities.entry > 0) {
+        const formData = new FormData(form);
+        const direction = formData.get('side') === 'Venda' ? -1 : 1;
+        const averageEntry = averageLegPrice(readLegsFromForm(formData, 'entry'));
+        const sideLabel = direction === 1 ? 'Na compra' : 'Na venda';
+        const plannedPrices = [
+            { id: 'stop-price', sign: -1, message: `${sideLabel}, o stop deve ficar ${direction === 1 ? 'abaixo' : 'acima'} do preço médio de entrada.` },
+            { id: 'target-price', sign: 1, message: `${sideLabel}, o alvo deve ficar ${direction === 1 ? 'acima' : 'abaixo'} do preço médio de entrada.` },
+        ];
+        plannedPrices.forEach(planned => {
+            const input = document.getElementById(planned.id) as HTMLInputElement | null;
+            const value = parseLocaleNumber(input?.value || '');
+            if (!input || isNaN(value) || input.classList.contains('is-invalid')) return;
+            if ((value - averageEntry) * direction * planned.sign <= 0) {
+                isFormValid = false;
+                input.classList.add('is-invalid');
+                const errorEl = document.getElementById(`${planned.id}-error`);
+                if (errorEl) errorEl.textContent = planned.message;
+            }
+        });
+    }
+
+    return isFormValid;
+};
+
+const readLegsFromForm = (formData: FormData, type: 'entry' | 'exit'): TradeLeg[] => {
+    const prices = formData.getAll(`${type}-price`) as string[];
+    const quantities = formData.getAll(`${type}-quantity`) as string[];
+    const times = formData.getAll(`${type}-time`) as string[];
+    return prices.map((price, i) => {
+        const leg: TradeLeg = { price: parseLocaleNumber(price), quantity: parseLocaleNumber(quantities[i]) };
+        if (times[i]) leg.time = times[i];
+        return leg;
+    });
+};
+
+// Limits are checked against the trades already registered on the day in the same account:
+// once one is reached, every further trade that day needs a written override. Money uses the net
+// result, since costs are real losses, and consecutive losses reset each day.
+const evaluateRiskRules = (date: string, accountId: string): string[] => {
+    const dayTrades = trades.filter(t => t.date === date && t.accountId === accountId).sort((a, b) => a.id - b.id);
+    const { dailyMaxLoss, dailyMaxLossUnit, maxTradesPerDay, maxConsecutiveLosses } = riskRules;
+    const violations: string[] = [];
+
+    if (dailyMaxLoss !== null) {
+        const dayResult = dayTrades.reduce((acc, t) => acc + (dailyMaxLossUnit === 'points' ? t.points : t.netResult), 0);
+        if (-dayResult >= dailyMaxLoss) {
+            const format = (value: number) => dailyMaxLossUnit === 'points'
+                ? `${value.toLocaleString('pt-BR', { maximumFractionDigits: 2 })} pontos`
+                : formatCurrency(value);
+            violations.push(`Perda diária de ${format(-dayResult)} atingiu o limite de ${format(dailyMaxLoss)}.`);
+        }
+    }
+    if (maxTradesPerDay !== null && dayTrades.length >= maxTradesPerDay) {
+        violations.push(`${dayTrades.length} operações no dia atingiram o limite de ${maxTradesPerDay}.`);
+    }
+    if (maxConsecutiveLosses !== null) {
+        let lossStreak = 0;
+        dayTrades.forEach(t => { lossStreak = t.netResult < 0 ? lossStreak + 1 : 0; });
+        if (lossStreak >= maxConsecutiveLosses) {
+            violations.push(`${lossStreak} perdas consecutivas atingiram o limite de ${maxConsecutiveLosses}.`);
+        }
+    }
+    return violations;
+};
+
+const addTrade = (event: SubmitEvent) => {
+    event.preventDefault();
+    const form = event.target as HTMLFormElement;
+
+    if (!validateTradeForm(form)) {
+        return;
+    }
+    
+    const formData = new FormData(form);
+    
+    const asset = formData.get('asset') as string;
+    const side = formData.get('side') as 'Compra' | 'Venda';
+    const entries = readLegsFromForm(formData, 'entry');
+    const exits = readLegsFromForm(formData, 'exit');
+    const costsInput = ((formData.get('costs') as string) || '').trim();
+    const costsOverride = costsInput ? parseLocaleNumber(costsInput) : undefined;
+    const metrics = calculateTradeMetrics(asset, side, entries, exits, costsOverride);
+    const risk = calculateRiskMetrics(
+        asset, side, metrics.lots, metrics.entryPrice, metrics.points,
+        parseLocaleNumber(formData.get('stop-price') as string), parseLocaleNumber(formData.get('target-price') as string),
+    );
+
+    const nextTradeNumber = trades.length > 0 ? Math.max(...trades.map(t => t.tradeNumber)) + 1 : 1;
+
+    const newTrade: Trade = {
+        id: Date.now(),
+        accountId: (formData.get('account') as string) || getDefaultAccountId(),
+        asset,
+        tradeNumber: nextTradeNumber,
+        side,
+        date: formData.get('date') as string,
+        ...metrics,
+        ...risk,
+        costsOverridden: costsOverride !== undefined,
+        notes: formData.get('notes') as string,
+        region: formData.get('region') as string,
+        structure: formData.get('structure') as string,
+        trigger: formData.get('trigger') as string,
+        tags: readTagsFromForm(formData),
+    };
+
+    // A reached limit holds the trade until the user justifies it; the form is kept intact.
+    const violations = evaluateRiskRules(newTrade.date, newTrade.accountId);
+    if (violations.length > 0) {
+        pendingRuleOverride = { trade: newTrade, violations };
+        refreshRuleOverrideModal();
+        return;
+    }
+    commitNewTrade(newTrade);
+};
+
+const commitNewTrade = (newTrade: Trade) => {
+    trades.push(touchTrade(newTrade));
+    saveState();
+    queueTradeSync([newTrade.id]);
+    saveTradeScreenshots(newTrade.id);
+    
+    render();
+    const newForm = document.getElementById('trade-form') as HTMLFormElement;
+    if (newForm) {
+        (newForm.elements.namedItem('asset') as HTMLInputElement).value = newTrade.asset;
+        (newForm.elements.namedItem('date') as HTMLInputElement).value = newTrade.date;
+        const accountSelect = newForm.elements.namedItem('account') as HTMLSelectElement | null;
+        if (accountSelect) accountSelect.value = newTrade.accountId;
+        (newForm.querySelector('[name="entry-price"]') as HTMLInputElement | null)?.focus();
+    }
+
+    getAIInsight(newTrade);
+};
+
+const refreshRuleOverrideModal = () => {
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderRuleOverrideModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#rule-override-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+            (newModal.querySelector('#override-justification') as HTMLTextAreaElement | null)?.focus();
+        }
+    }
+};
+
+const cancelRuleOverride = () => {
+    pendingRuleOverride = null;
+    refreshRuleOverrideModal();
+    document.querySelector('main')?.removeAttribute('aria-hidden');
+};
+
+const confirmRuleOverride = (event: SubmitEvent) => {
+    event.preventDefault();
+    if (!pendingRuleOverride) return;
+    const justification = ((new FormData(event.target as HTMLFormElement).get('override-justification') as string) || '').trim();
+    const errorEl = document.getElementById('override-justification-error');
+
+    if (justification.length < 10) {
+        if (errorEl) errorEl.textContent = 'Escreva uma justificativa de pelo menos 10 caracteres.';
+        return;
+    }
+
+    const { trade, violations } = pendingRuleOverride;
+    pendingRuleOverride = null;
+    commitNewTrade({ ...trade, ruleOverride: { violations, justification, overriddenAt: new Date().toISOString() } });
+};
+
+const updateTrade = (event: SubmitEvent) => {
+    event.preventDefault();
+    if (!editingTrade) return;
+
+    const form = event.target as HTMLFormElement;
+    if (!validateTradeForm(form)) {
+        return;
+    }
+    
+    const formData = new FormData(form);
+
+    const asset = formData.get('asset') as string;
+    const side = formData.get('side') as 'Compra' | 'Venda';
+    const entries = readLegsFromForm(formData, 'entry');
+    const exits = readLegsFromForm(formData, 'exit');
+    const costsInput = ((formData.get('costs') as string) || '').trim();
+    const costsOverride = costsInput ? parseLocaleNumber(costsInput) : undefined;
+    const metrics = calculateTradeMetrics(asset, side, entries, exits, costsOverride);
+    const risk = calculateRiskMetrics(
+        asset, side, metrics.lots, metrics.entryPrice, metrics.points,
+        parseLocaleNumber(formData.get('stop-price') as string), parseLocaleNumber(formData.get('target-price') as string),
+    );
+
+    const updatedTrade: Trade = {
+        ...editingTrade,
+        accountId: (formData.get('account') as string) || editingTrade.accountId,
+        asset,
+        side,
+        date: formData.get('date') as string,
+        ...metrics,
+        ...risk,
+        costsOverridden: costsOverride !== undefined,
+        notes: formData.get('notes') as string,
+        region: formData.get('region') as string,
+        structure: formData.get('structure') as string,
+        trigger: formData.get('trigger') as string,
+        tags: readTagsFromForm(formData),
+    };
+    if (updatedTrade.region && updatedTrade.structure && updatedTrade.trigger) {
+        delete updatedTrade.pendingClassification;
+    }
+    
+    const tradeIndex = trades.findIndex(t => t.id === editingTrade!.id);
+    if (tradeIndex !== -1) {
+        trades[tradeIndex] = touchTrade(updatedTrade);
+    }
+    saveState();
+    queueTradeSync([updatedTrade.id]);
+    saveTradeScreenshots(updatedTrade.id);
+
+    editingTrade = null;
+    render();
+};
+
+const openDeleteModal = (id: number) => {
+    deletingTradeId = id;
+    render();
+};
+
+const closeDeleteModal = () => {
+    deletingTradeId = null;
+    render();
+};
+
+const confirmDelete = () => {
+    if (deletingTradeId === null) return;
+    const deletedTrade = trades.find(t => t.id === deletingTradeId);
+    trades = trades.filter(t => t.id !== deletingTradeId);
+    // The row is not removed from the sheet: the tombstone only flags it as "Excluída",
+    // so the sheet remains a permanent log of every trade entered.
+    if (deletedTrade) {
+        deletedTrades.push(touchTrade({ ...deletedTrade, deleted: true }));
+        queueTradeSync([deletedTrade.id]);
+        deleteTradeScreenshots(deletedTrade.id);
+    }
+    saveState();
+    closeDeleteModal();
+};
+
+const startEditingTrade = (id: number) => {
+    editingTrade = trades.find(t => t.id === id) || null;
+    formScreenshots = getTradeScreenshots(id);
+    render();
+    document.querySelector('.left-panel')?.scrollIntoView({ behavior: 'smooth' });
+};
+
+const cancelEditing = () => {
+    editingTrade = null;
+    formScreenshots = [];
+    render();
+};
+
+
+// Columns of the exported CSV, also used to read it back. The labels of the older columns
+// are kept so files exported by earlier versions still import.
+const CSV_COLUMNS: { key: string; label: string; title: string; type: 'text' | 'number' | 'boolean' }[] = [
+    { key: 'id', label: 'id', title: 'ID', type: 'number' },
+    { key: 'accountId', label: 'ID da Conta', title: 'ID da Conta', type: 'text' },
+    { key: 'accountName', label: 'Conta', title: 'Conta', type: 'text' },
+    { key: 'asset', label: 'asset', title: 'Ativo', type: 'text' },
+    { key: 'tradeNumber', label: 'tradeNumber', title: 'Nº da Operação', type: 'number' },
+    { key: 'side', label: 'side', title: 'Lado', type: 'text' },
+    { key: 'date', label: 'date', title: 'Data', type: 'text' },
+    { key: 'lots', label: 'Contratos/Quantidade', title: 'Contratos', type: 'number' },
+    { key: 'entryPrice', label: 'entryPrice', title: 'Preço de Entrada', type: 'number' },
+    { key: 'exitPrice', label: 'exitPrice', title: 'Preço de Saída', type: 'number' },
+    { key: 'points', label: 'Resultado Pontos', title: 'Resultado em Pontos', type: 'number' },
+    { key: 'result', label: 'Resultado Monetário/R$', title: 'Resultado R$', type: 'number' },
+    { key: 'grossResult', label: 'Resultado Bruto R$', title: 'Resultado Bruto R$', type: 'number' },
+    { key: 'costs', label: 'Custos R$', title: 'Custos R$', type: 'number' },
+    { key: 'costsOverridden', label: 'Custos Manuais', title: 'Custos Manuais', type: 'boolean' },
+    { key: 'netResult', label: 'Resultado Líquido R$', title: 'Resultado Líquido R$', type: 'number' },
+    { key: 'region', label: 'region', title: 'Região', type: 'text' },
+    { key: 'structure', label: 'structure', title: 'Estrutura', type: 'text' },
+    { key: 'trigger', label: 'trigger', title: 'Gatilho', type: 'text' },
+    { key: 'pendingClassification', label: 'Pendente de Classificação', title: 'Pendente de Classificação', type: 'boolean' },
+    { key: 'entries', label: 'Pernas', title: 'Pernas', type: 'text' },
+    { key: 'entryTime', label: 'Hora Entrada', title: 'Hora de Entrada', type: 'text' },
+    { key: 'exitTime', label: 'Hora Saída', title: 'Hora de Saída', type: 'text' },
+    { key: 'durationMinutes', label: 'Duração (min)', title: 'Duração (min)', type: 'number' },
+    { key: 'stopPrice', label: 'Stop', title: 'Stop', type: 'number' },
+    { key: 'targetPrice', label: 'Alvo', title: 'Alvo', type: 'number' },
+    { key: 'riskPoints', label: 'Risco (pts)', title: 'Risco (pts)', type: 'number' },
+    { key: 'riskAmount', label: 'Risco R$', title: 'Risco R$', type: 'number' },
+    { key: 'rMultiple', label: 'R Múltiplo', title: 'R Múltiplo', type: 'number' },
+    { key: 'plannedRMultiple', label: 'R Planejado', title: 'R Planejado', type: 'number' },
+    { key: 'stopViolated', label: 'Stop Violado', title: 'Stop Violado', type: 'boolean' },
+    { key: 'ruleViolations', label: 'Limites Ignorados', title: 'Limites Ignorados', type: 'text' },
+    { key: 'ruleJustification', label: 'Justificativa', title: 'Justificativa', type: 'text' },
+    { key: 'ruleOverriddenAt', label: 'Limite Ignorado Em', title: 'Limite Ignorado Em', type: 'text' },
+    { key: 'tags', label: 'Tags', title: 'Tags', type: 'text' },
+    { key: 'notes', label: 'notes', title: 'Observações', type: 'text' },
+];
+
+const getCsvValue = (trade: Trade, key: string): string | number | boolean | undefined => {
+    switch (key) {
+        case 'entries': return formatLegs(trade.entries, trade.exits);
+        case 'accountName': return getAccount(trade.accountId)?.name;
+        case 'tags': return formatTags(trade.tags);
+        case 'ruleViolations': return trade.ruleOverride?.violations.join(' | ');
+        case 'ruleJustification': return trade.ruleOverride?.justification;
+        case 'ruleOverriddenAt': return trade.ruleOverride?.overriddenAt;
+        default: return (trade as any)[key];
+    }
+};
+
+// Numbers keep full precision; with semicolons they use the decimal comma Excel pt-BR expects.
+const formatCsvValue = (value: string | number | boolean | undefined, delimiter: string): string => {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+    if (typeof value === 'number') return delimiter === ';' ? String(value).replace('.', ',') : String(value);
+    return value;
+};
+
+// Blank cells leave optional fields out. Columns missing from older files or other sources
+// are derived the way the app computes them: results and costs from the legs, legs from the
+// prices, times from the legs and risk from the stop and target. Without an account id the
+// account is looked up by name, then defaults to the one new trades go to.
+const csvRecordToTrade = (record: { [key: string]: string }): Trade | null => {
+    const values: { [key: string]: any } = {};
+    CSV_COLUMNS.forEach(({ key, type }) => {
+        const text = record[key];
+        if (text === undefined || !text.trim()) return;
+        if (type === 'number') values[key] = parseLocaleNumber(text);
+        else if (type === 'boolean') values[key] = /^(sim|true)$/i.test(text.trim());
+        // Free text keeps its spaces and line breaks.
+        else values[key] = key === 'notes' || key === 'ruleJustification' ? text : text.trim();
+    });
+    if (values.id !== undefined && !Number.isInteger(values.id)) return null;
+
+    const { entries: legsText, ruleViolations, ruleJustification, ruleOverriddenAt, accountName, tags: tagsText, ...fields } = values;
+    const legs = parseLegs(legsText || '');
+    const entries = legs ? legs.entries : singleLeg(fields.entryPrice, fields.lots, normalizeTime(fields.entryTime));
+    const exits = legs ? legs.exits : singleLeg(fields.exitPrice, fields.lots, normalizeTime(fields.exitTime));
+    const trade = { ...fields, entries, exits, region: fields.region || '', structure: fields.structure || '', trigger: fields.trigger || '' } as Trade;
+
+    if (trade.points === undefined || trade.result === undefined) {
+        Object.assign(trade, calculateTradeMetrics(trade.asset, trade.side, entries, exits, fields.costs));
+    }
+    // Without an id column the id comes from the row, inside the trade date, so importing
+    // the same file again finds the duplicates. Trade numbers are assigned on import.
+    if (trade.id === undefined) trade.id = new Date(`${trade.date}T00:00:00`).getTime() + hashString(JSON.stringify(record)) % 86400000;
+    if (trade.tradeNumber === undefined) trade.tradeNumber = 0;
+    if (trade.accountId === undefined) trade.accountId = accounts.find(a => a.name === accountName)?.id || getDefaultAccountId();
+    if (!('entryTime' in record)) Object.assign(trade, getTradeTimes(entries, exits));
+    if (!('riskAmount' in record)) {
+        Object.assign(trade, calculateRiskMetrics(trade.asset, trade.side, trade.lots, trade.entryPrice, trade.points, fields.stopPrice, fields.targetPrice));
+    }
+    if (trade.grossResult === undefined) trade.grossResult = trade.result;
+    if (!('costsOverridden' in record)) trade.costsOverridden = fields.costs !== undefined;
+    if (trade.costs === undefined) trade.costs = calculateTradeCosts(trade.asset, entries, exits);
+    if (trade.netResult === undefined) trade.netResult = parseFloat((trade.result - trade.costs).toFixed(2));
+    if ('notes' in record && trade.notes === undefined) trade.notes = '';
+    if (tagsText) trade.tags = parseTags(tagsText);
+    if (ruleJustification) {
+        trade.ruleOverride = {
+            violations: (ruleViolations || '').split(' | ').filter(Boolean),
+            justification: ruleJustification,
+            overriddenAt: ruleOverriddenAt || trade.date,
+        };
+    }
+    if (!('pendingClassification' in record) && (!trade.region || !trade.structure || !trade.trigger)) {
+        trade.pendingClassification = true;
+    }
+    return trade;
+};
+
+const exportToCSV = () => {
+    if (trades.length === 0) return;
+
+    const rows = [
+        CSV_COLUMNS.map(column => column.label),
+        ...trades.map(trade => CSV_COLUMNS.map(column => formatCsvValue(getCsvValue(trade, column.key), csvDelimiter))),
+    ];
+    downloadCsv(toCsv(rows, csvDelimiter), `trades_${new Date().toISOString().split('T')[0]}.csv`);
+};
+
+/**
+ * Renders text with support for **bold** markdown, handling word wrapping.
+ * @returns {number} The new Y coordinate after rendering the text.
+ */
+const addWrappedTextWithBold = (pdf: jsPDF, text: string, x: number, y: number, maxWidth: number, lineHeight: number): number => {
+    const parts = text.split(/(\*\*.*?\*\*)/g).filter(p => p.length > 0);
+    
+    let currentX = x;
+    const spaceWidth = pdf.getStringUnitWidth(' ') * pdf.getFontSize() / pdf.internal.scaleFactor;
 
-        const value = input.value.trim();
-        let errorMessage = '';
+    for (const part of parts) {
+        const isBold = part.startsWith('**') && part.endsWith('**');
+        const content = isBold ? part.slice(2, -2) : part;
+        pdf.setFont('helvetica', isBold ? 'bold' : 'normal');
 
-        if (field.required && !value) {
-            errorMessage = 'Este campo é obrigatório.';
-        } else if (value && field.isNumeric && isNaN(parseLocaleNumber(value))) {
-            errorMessage = 'Por favor, insira um número válido.';
+        const words = content.split(/\s+/).filter(w => w.length > 0);
+
+        for (const word of words) {
+            const wordWidth = pdf.getStringUnitWidth(word) * pdf.getFontSize() / pdf.internal.scaleFactor;
+            
+            if (currentX + wordWidth > x + maxWidth) {
+                y += lineHeight;
+                currentX = x;
+            }
+
+            pdf.text(word, currentX, y);
+            currentX += wordWidth + spaceWidth;
+        }
+    }
+    return y;
+};
+
+
+// Appends the images of the report's trades, in chronological order, at most two per page.
+const addTradeScreenshotsToPdf = async (pdf: jsPDF, reportTrades: Trade[]) => {
+    const illustratedTrades = [...reportTrades].sort(compareTradesChronologically).filter(t => getTradeScreenshots(t.id).length > 0);
+    if (illustratedTrades.length === 0) return;
+
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const margin = 15;
+    const captionHeight = 5;
+    const maxWidth = pageWidth - margin * 2;
+    const maxHeight = (pageHeight - margin * 2) / 2 - captionHeight * 2;
+
+    pdf.addPage();
+    let y = margin;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text('Imagens das Operações', margin, y);
+    y += captionHeight * 2;
+
+    pdf.setFontSize(10);
+    for (const trade of illustratedTrades) {
+        for (const screenshot of getTradeScreenshots(trade.id)) {
+            const width = Math.min(maxWidth, maxHeight * screenshot.width / screenshot.height);
+            const height = width * screenshot.height / screenshot.width;
+            if (y + captionHeight + height > pageHeight - margin) {
+                pdf.addPage();
+                y = margin;
+            }
+            pdf.setFont('helvetica', 'normal');
+            pdf.text(`Op #${trade.tradeNumber} · ${trade.asset} · ${new Date(trade.date + 'T00:00:00').toLocaleDateString('pt-BR')} · ${formatCurrency(getTradeResult(trade))}`, margin, y);
+            pdf.addImage(new Uint8Array(await screenshot.blob.arrayBuffer()), 'JPEG', margin, y + 2, width, height);
+            y += captionHeight + height + captionHeight * 2;
+        }
+    }
+};
+
+const exportToPDF = async () => {
+    if (!ai) {
+        alert("Cliente de IA não inicializado. Forneça uma chave de API válida.");
+        return;
+    }
+    // The report covers the account shown on the dashboard.
+    const reportTrades = trades.filter(isInSelectedAccount);
+    if (reportTrades.length === 0) {
+        alert("Não há operações para gerar um relatório.");
+        return;
+    }
+
+    const exportButton = document.getElementById('export-pdf');
+    if (!exportButton) {
+        console.error('Export button not found');
+        return;
+    }
+
+    exportButton.textContent = 'Gerando Relatório IA...';
+    exportButton.setAttribute('disabled', 'true');
+
+    try {
+        // --- 1. Capture Dashboard Image ---
+        const dashboardElement = document.getElementById('performance-dashboard-card');
+        if (!dashboardElement) {
+            throw new Error("Dashboard element not found for PDF export.");
+        }
+        const canvas = await html2canvas(dashboardElement, {
+            scale: 2, // Higher resolution for better PDF quality
+            backgroundColor: '#1e1e1e', // Match the card background color
+            useCORS: true,
+        });
+        const imgData = canvas.toDataURL('image/png');
+
+        // --- 2. Get AI Analysis ---
+        const tradesSummary = reportTrades.map(t =>
+            `- Op #${t.tradeNumber}: ${t.asset}, ${t.side}, Resultado: R$ ${t.result.toFixed(2)}, Gatilho: ${t.trigger}`
+        ).join('\n');
+        const statsLines = getPerformanceStatsLines(calculatePerformanceStats(reportTrades));
+        const statsSummary = statsLines.map(([label, value]) => `- ${label}: ${value}`).join('\n');
+
+        const prompt = `
+            Você é um coach de traders profissional e amigável. Analise o seguinte histórico de operações de um trader e gere um relatório de performance detalhado.
+
+            Histórico de Operações:
+            ${tradesSummary}
+
+            Estatísticas de Performance (resultado ${resultMode === 'net' ? 'líquido' : 'bruto'}):
+            ${statsSummary}
+
+            Instruções para o relatório:
+            1. **Linguagem:** Use uma linguagem amigável, encorajadora e fácil de entender, como se estivesse conversando com o trader.
+            2. **Estrutura:** Organize o conteúdo em seções claras com títulos (usando markdown). Sugestões de seções:
+                - **Análise da Performance:** Um resumo dos resultados gerais (lucro/prejuízo, taxa de acerto, fator de lucro, payoff, drawdown), explicando o que os números significam.
+                - **Seus Pontos Fortes:** Identifique padrões positivos, como os gatilhos mais lucrativos ou ativos com maior sucesso. Elogie o que está funcionando.
+                - **Pontos de Melhoria:** Identifique com cuidado os padrões que estão causando perdas. Seja construtivo.
+                - **Análise por Gatilho:** Faça uma análise breve sobre a performance dos gatilhos utilizados.
+            3. **Resumo e Próximos Passos:** Termine com um resumo conciso e forneça 2 ou 3 pontos de ação claros e práticos para o trader focar.
+
+            O relatório deve ser completo, mas direto ao ponto. Use markdown para formatação (títulos com '##', listas com '-', negrito com '**').
+        `;
+
+        const response = await ai.models.generateContent({
+            model: 'gemini-2.5-flash',
+            contents: prompt,
+        });
+        const reportText = response.text;
+
+        // --- 3. Assemble the PDF ---
+        const pdf = new jsPDF('p', 'mm', 'a4');
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const margin = 15;
+        let y = margin;
+
+        // Add the dashboard image first
+        const imgProps = pdf.getImageProperties(imgData);
+        const pdfWidth = pageWidth - margin * 2;
+        const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
+        pdf.addImage(imgData, 'PNG', margin, y, pdfWidth, pdfHeight);
+        y += pdfHeight + 15; // Update y position to be below the image with padding
+
+        const checkPageEnd = (currentY: number) => {
+            if (currentY > pageHeight - margin) {
+                pdf.addPage();
+                return margin;
+            }
+            return currentY;
+        };
+
+        y = checkPageEnd(y); // Check if we need a new page for the text
+
+        const lineHeight = 5;
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(14);
+        pdf.text(`Estatísticas de Performance (${resultMode === 'net' ? 'Líquido' : 'Bruto'})`, margin, y);
+        y += lineHeight * 2;
+        pdf.setFontSize(10);
+        for (const [label, value] of statsLines) {
+            y = checkPageEnd(y);
+            pdf.setFont('helvetica', 'normal');
+            pdf.text(label, margin, y);
+            pdf.setFont('helvetica', 'bold');
+            pdf.text(value, pageWidth - margin, y, { align: 'right' });
+            y += lineHeight;
+        }
+        pdf.setFont('helvetica', 'normal');
+        y = checkPageEnd(y + lineHeight * 2);
+
+        pdf.line(margin, y - 8, pageWidth - margin, y - 8);
+        
+        const lines = reportText.split('\n');
+        const maxWidth = pageWidth - margin * 2;
+
+        for (const line of lines) {
+            y = checkPageEnd(y);
+            // Clean emojis and trim whitespace
+            const processedLine = line.replace(/([\u2700-\u27BF]|[\uE000-\uF8FF]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]|[\u2011-\u26FF]|\uD83E[\uDD10-\uDDFF])/g, '').trim();
+
+            if (processedLine === '') {
+                y += lineHeight;
+                continue;
+            }
+
+            if (processedLine.startsWith('## ')) {
+                y += lineHeight * 1.5;
+                y = checkPageEnd(y);
+                pdf.setFontSize(14);
+                pdf.setFont('helvetica', 'bold');
+                const title = processedLine.substring(3).replace(/\*\*/g, '');
+                const splitTitle = pdf.splitTextToSize(title, maxWidth);
+                pdf.text(splitTitle, margin, y);
+                y += splitTitle.length * (lineHeight + 2);
+            } else if (processedLine.startsWith('- ')) {
+                pdf.setFontSize(11);
+                const bulletPoint = '• ';
+                const bulletWidth = pdf.getStringUnitWidth(bulletPoint) * pdf.getFontSize() / pdf.internal.scaleFactor;
+                pdf.text(bulletPoint, margin + 5, y);
+                
+                const itemText = processedLine.substring(2).trim();
+                y = addWrappedTextWithBold(pdf, itemText, margin + 5 + bulletWidth, y, maxWidth - 5 - bulletWidth, lineHeight);
+                y += lineHeight;
+            } else {
+                pdf.setFontSize(11);
+                y = addWrappedTextWithBold(pdf, processedLine, margin, y, maxWidth, lineHeight);
+                y += lineHeight;
+            }
+        }
+        
+        await addTradeScreenshotsToPdf(pdf, reportTrades);
+        pdf.save(`relatorio-ia-trades_${new Date().toISOString().split('T')[0]}.pdf`);
+
+    } catch (error) {
+        console.error("Error generating AI PDF report:", error);
+        alert('Falha ao gerar o relatório com IA. Verifique o console para mais detalhes.');
+    } finally {
+        exportButton.textContent = 'Exportar Relatório IA';
+        exportButton.removeAttribute('disabled');
+    }
+};
+
+
+// Shared by every importer: trades whose id is already in the journal are skipped,
+// so importing the same file twice is harmless. Sources without their own numbering
+// get the next trade numbers of the journal.
+const mergeImportedTrades = (importedTrades: Trade[], assignTradeNumbers = false): Trade[] => {
+    const existingIds = new Set(trades.map(t => t.id));
+    const newTrades = importedTrades.filter(t => !existingIds.has(t.id));
+    if (newTrades.length === 0) return newTrades;
+
+    if (assignTradeNumbers) {
+        let nextTradeNumber = trades.length > 0 ? Math.max(...trades.map(t => t.tradeNumber)) + 1 : 1;
+        newTrades.forEach(t => { t.tradeNumber = nextTradeNumber++; });
+    }
+    trades = [...trades, ...newTrades].sort((a, b) => a.id - b.id);
+    saveState();
+    queueTradeSync(newTrades.map(t => t.id));
+    render();
+    return newTrades;
+};
+
+const handleImport = (event: Event) => {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const buffer = e.target?.result as ArrayBuffer | null;
+        const text = buffer ? decodeTextFile(buffer) : '';
+        if (!text.trim()) {
+            alert("O arquivo está vazio ou não pôde ser lido.");
+            return;
+        }
+
+        try {
+            // Execution reports from the trading platforms are recognized by their columns;
+            // anything else is read as a CSV exported by this app.
+            if (importPlatformExecutions(text)) return;
+
+            const [header, ...rows] = parseCsv(text);
+            if (!header) throw new Error("CSV inválido: Sem cabeçalhos.");
+            openImportWizard(file.name, header.map(label => label.trim()), rows);
+        } catch (error) {
+            console.error("Erro ao importar CSV:", error);
+            alert("Falha ao importar CSV. Verifique o formato do arquivo e o console para erros.");
+        } finally {
+            input.value = '';
+        }
+    };
+    reader.onerror = () => {
+        alert("Erro ao ler o arquivo.");
+        input.value = '';
+    };
+    reader.readAsArrayBuffer(file);
+};
+
+
+// A saved profile covering every column of the file is applied; otherwise the columns are
+// matched to the fields by label, key or title.
+const findImportProfile = (header: string[]): ImportProfile | undefined => {
+    const columns = header.map(normalizeHeader);
+    return importProfiles.find(profile => columns.every(column => column in profile.mapping));
+};
+
+const guessImportMapping = (header: string[]): string[] => header.map(label => {
+    const normalized = normalizeHeader(label);
+    return CSV_COLUMNS.find(column => [column.label, column.key, column.title].some(name => normalizeHeader(name) === normalized))?.key || '';
+});
+
+const openImportWizard = (fileName: string, header: string[], rows: string[][]) => {
+    const profile = findImportProfile(header);
+    const mapping = profile ? header.map(label => profile.mapping[normalizeHeader(label)] || '') : guessImportMapping(header);
+    importWizard = {
+        fileName,
+        header,
+        rows,
+        // Files exported by this app map completely and open straight on the preview.
+        step: mapping.every(Boolean) && getImportMappingErrors(mapping).length === 0 ? 'preview' : 'mapping',
+        mapping,
+        profileId: profile?.id || null,
+        duplicateMode: 'skip',
+        excludedRows: [],
+        summary: null,
+    };
+    render();
+};
+
+const closeImportWizard = () => {
+    importWizard = null;
+    render();
+};
+
+const refreshImportWizardModal = () => {
+    // Re-render just the modal content, like the REG options modal
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderImportWizardModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#import-wizard-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
+};
+
+const setImportColumnMapping = (columnIndex: number, key: string) => {
+    if (!importWizard) return;
+    importWizard.mapping[columnIndex] = key;
+    importWizard.profileId = null;
+    refreshImportWizardModal();
+};
+
+const applyImportProfile = (id: string) => {
+    const profile = importProfiles.find(p => p.id === id);
+    if (!importWizard || !profile) return;
+    importWizard.mapping = importWizard.header.map(label => profile.mapping[normalizeHeader(label)] || '');
+    importWizard.profileId = profile.id;
+    refreshImportWizardModal();
+};
+
+// Saving under an existing name replaces that profile.
+const saveImportProfile = (name: string) => {
+    const wizard = importWizard;
+    if (!wizard || !name.trim()) return;
+    const mapping: { [sourceColumn: string]: string } = {};
+    wizard.header.forEach((label, i) => { mapping[normalizeHeader(label)] = wizard.mapping[i]; });
+    const existing = importProfiles.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    const profile: ImportProfile = { id: existing?.id || Date.now().toString(36), name: name.trim(), mapping };
+    importProfiles = existing ? importProfiles.map(p => p.id === profile.id ? profile : p) : [...importProfiles, profile];
+    wizard.profileId = profile.id;
+    saveState();
+    refreshImportWizardModal();
+};
+
+const deleteImportProfile = (id: string) => {
+    importProfiles = importProfiles.filter(p => p.id !== id);
+    if (importWizard?.profileId === id) importWizard.profileId = null;
+    saveState();
+    refreshImportWizardModal();
+};
+
+// Besides date, asset and side, a trade needs its legs or the quantity and both prices.
+const getImportMappingErrors = (mapping: string[]): string[] => {
+    const title = (key: string) => CSV_COLUMNS.find(column => column.key === key)?.title || key;
+    const errors = ['date', 'asset', 'side'].filter(key => !mapping.includes(key)).map(key => `Associe uma coluna ao campo ${title(key)}.`);
+    if (!mapping.includes('entries') && !['lots', 'entryPrice', 'exitPrice'].every(key => mapping.includes(key))) {
+        errors.push(`Associe colunas a ${title('entries')} ou a ${title('lots')}, ${title('entryPrice')} e ${title('exitPrice')}.`);
+    }
+    const repeated = new Set(mapping.filter((key, i) => key && mapping.indexOf(key) !== i));
+    repeated.forEach(key => errors.push(`O campo ${title(key)} está associado a mais de uma coluna.`));
+    return errors;
+};
+
+const showImportPreview = () => {
+    if (!importWizard) return;
+    const errors = getImportMappingErrors(importWizard.mapping);
+    if (errors.length > 0) {
+        const errorEl = document.getElementById('import-mapping-error');
+        if (errorEl) errorEl.textContent = errors.join(' ');
+        return;
+    }
+    importWizard.step = 'preview';
+    importWizard.excludedRows = [];
+    refreshImportWizardModal();
+};
+
+const showImportMapping = () => {
+    if (!importWizard) return;
+    importWizard.step = 'mapping';
+    refreshImportWizardModal();
+};
+
+const setImportDuplicateMode = (mode: ImportWizard['duplicateMode']) => {
+    if (!importWizard) return;
+    importWizard.duplicateMode = mode;
+    refreshImportWizardModal();
+};
+
+const toggleImportRow = (index: number, included: boolean) => {
+    if (!importWizard) return;
+    importWizard.excludedRows = included
+        ? importWizard.excludedRows.filter(i => i !== index)
+        : [...importWizard.excludedRows, index];
+    refreshImportWizardModal();
+};
+
+// Brings date and side to the app's format and lists what keeps the row from being imported.
+const validateImportRecord = (record: { [key: string]: string }): string[] => {
+    const errors: string[] = [];
+    const title = (key: string) => CSV_COLUMNS.find(column => column.key === key)?.title || key;
+
+    const when = parseImportDateTime(record.date || '');
+    if (when) record.date = when.date;
+    else errors.push(`Data inválida: "${record.date || ''}".`);
+
+    if (!(record.asset || '').trim()) errors.push('Ativo ausente.');
+
+    const side = normalizeHeader(record.side || '');
+    if (/^(c|compra|buy|long)$/.test(side)) record.side = 'Compra';
+    else if (/^(v|venda|sell|short)$/.test(side)) record.side = 'Venda';
+    else errors.push(`Lado inválido: "${record.side || ''}".`);
+
+    CSV_COLUMNS.filter(column => column.type === 'number').forEach(({ key }) => {
+        const text = (record[key] || '').trim();
+        if (text && isNaN(parseLocaleNumber(text))) errors.push(`${title(key)} não é um número: "${text}".`);
+    });
+    if ((record.id || '').trim() && !Number.isInteger(parseLocaleNumber(record.id))) errors.push(`ID inválido: "${record.id}".`);
+
+    if ((record.entries || '').trim()) {
+        if (!parseLegs(record.entries)) errors.push(`${title('entries')} em formato inválido: "${record.entries}".`);
+    } else {
+        ['lots', 'entryPrice', 'exitPrice'].filter(key => !(record[key] || '').trim()).forEach(key => errors.push(`${title(key)} ausente.`));
+    }
+    return errors;
+};
+
+// Duplicates are rows whose id is already in the journal or earlier in the file.
+const getImportPreview = (wizard: ImportWizard): ImportRowPreview[] => {
+    const existingIds = new Set(trades.map(t => t.id));
+    const seenIds = new Set<number>();
+    return wizard.rows.map((values, index): ImportRowPreview => {
+        if (values.length !== wizard.header.length) {
+            return { index, trade: null, errors: [`${values.length} coluna(s), o cabeçalho tem ${wizard.header.length}.`], isDuplicate: false };
         }
+        const record: { [key: string]: string } = {};
+        wizard.mapping.forEach((key, i) => { if (key) record[key] = values[i]; });
+        const errors = validateImportRecord(record);
+        const trade = errors.length === 0 ? csvRecordToTrade(record) : null;
+        if (!trade) return { index, trade: null, errors: errors.length > 0 ? errors : ['Linha inválida.'], isDuplicate: false };
+
+        const isDuplicate = existingIds.has(trade.id) || seenIds.has(trade.id);
+        seenIds.add(trade.id);
+        return { index, trade, errors: [], isDuplicate };
+    });
+};
 
-        if (errorMessage) {
-            isFormValid = false;
-            input.classList.add('is-invalid');
-            if (errorEl) errorEl.textContent = errorMessage;
+// Only the checked valid rows are committed. Rows without a trade number, and duplicates
+// imported as new, are numbered after the last trade of the journal.
+const confirmImportWizard = () => {
+    const wizard = importWizard;
+    if (!wizard) return;
+    const preview = getImportPreview(wizard);
+    const valid = preview.filter(row => row.trade !== null);
+    const confirmed = valid.filter(row => !wizard.excludedRows.includes(row.index));
+    const summary: ImportSummary = { imported: 0, overwritten: 0, skipped: 0, invalid: preview.length - valid.length, excluded: valid.length - confirmed.length };
+
+    let nextTradeNumber = trades.reduce((max, t) => Math.max(max, t.tradeNumber), 0) + 1;
+    let nextId = trades.reduce((max, t) => Math.max(max, t.id), Date.now()) + 1;
+    confirmed.forEach(row => {
+        const trade = row.trade!;
+        const existingIndex = trades.findIndex(t => t.id === trade.id);
+        if (existingIndex !== -1 && wizard.duplicateMode === 'skip') {
+            summary.skipped++;
+            return;
+        }
+        if (existingIndex !== -1 && wizard.duplicateMode === 'overwrite') {
+            trades[existingIndex] = { ...trade, tradeNumber: trade.tradeNumber || trades[existingIndex].tradeNumber };
+            summary.overwritten++;
+            return;
         }
+        if (existingIndex !== -1) {
+            trade.id = nextId++;
+            trade.tradeNumber = 0;
+        }
+        if (!trade.tradeNumber) trade.tradeNumber = nextTradeNumber++;
+        trades.push(trade);
+        summary.imported++;
     });
 
-    return isFormValid;
+    if (summary.imported + summary.overwritten > 0) {
+        trades.sort((a, b) => a.id - b.id);
+        ensureTradeAccounts();
+        saveState();
+        queueTradeSync(confirmed.map(row => row.trade!.id));
+    }
+    wizard.step = 'summary';
+    wizard.summary = summary;
+    render();
 };
 
-const addTrade = (event: SubmitEvent) => {
-    event.preventDefault();
-    const form = event.target as HTMLFormElement;
+// Drill-down views (calendar, REG matrix) ignore the filters they set themselves, so
+// picking a day or a combination doesn't hide the alternatives.
+const applyFilters = (ignore: (keyof Filters)[] = []): Trade[] => {
+    const active: Filters = { ...filters };
+    ignore.forEach(key => { (active as any)[key] = DEFAULT_FILTERS[key]; });
+    return trades.filter(trade => {
+        const accountMatch = isInSelectedAccount(trade);
+        const assetMatch = !active.asset || trade.asset.toLowerCase().includes(active.asset.toLowerCase());
+        const sideMatch = active.side === 'Todos' || trade.side === active.side;
+        const dateMatch = (!active.startDate || trade.date >= active.startDate) && (!active.endDate || trade.date <= active.endDate);
+        const tradeResult = getTradeResult(trade);
+        const resultMatch = active.result === 'Todos' || (active.result === 'Gain' && tradeResult > 0) || (active.result === 'Loss' && tradeResult <= 0);
+        const regionMatch = active.region === 'Todos' || trade.region === active.region;
+        const structureMatch = active.structure === 'Todos' || trade.structure === active.structure;
+        const triggerMatch = active.trigger === 'Todos' || trade.trigger === active.trigger;
+        const sessionMatch = active.session === 'Todos' || getTradeSession(trade)?.id === active.session;
+        const weekdayMatch = active.weekday === 'Todos' || getTradeWeekday(trade) === Number(active.weekday);
+        // Trades without an entry time never match a time window.
+        const timeMatch = (!active.startTime && !active.endTime) || (!!trade.entryTime
+            && (!active.startTime || trade.entryTime >= active.startTime)
+            && (!active.endTime || trade.entryTime <= active.endTime));
+        const stopMatch = active.stop === 'Todos'
+            || (active.stop === 'violated' && trade.stopViolated === true)
+            || (active.stop === 'respected' && trade.stopViolated === false)
+            || (active.stop === 'none' && trade.riskAmount === undefined);
+        const classificationMatch = active.classification === 'Todos' || trade.pendingClassification === true;
+        const tagMatch = active.tags.length === 0
+            || (active.tagMode === 'any' && active.tags.some(tag => hasTag(trade, tag)))
+            || (active.tagMode === 'all' && active.tags.every(tag => hasTag(trade, tag)))
+            || (active.tagMode === 'none' && !active.tags.some(tag => hasTag(trade, tag)));
+        return accountMatch && assetMatch && sideMatch && dateMatch && resultMatch && regionMatch && structureMatch && triggerMatch
+            && sessionMatch && weekdayMatch && timeMatch && stopMatch && classificationMatch && tagMatch;
+    });
+};
 
-    if (!validateTradeForm(form)) {
-        return;
-    }
-    
-    const formData = new FormData(form);
+const updateFilters = (event: Event) => {
+    const el = event.target as HTMLInputElement | HTMLSelectElement;
+    (filters as any)[el.name] = el.value;
     
-    const side = formData.get('side') as 'Compra' | 'Venda';
-    const lots = parseLocaleNumber(formData.get('lots') as string);
-    const entryPrice = parseLocaleNumber(formData.get('entry-price') as string);
-    const exitPrice = parseLocaleNumber(formData.get('exit-price') as string);
-    const { points, result } = calculateTradeMetrics(side, lots, entryPrice, exitPrice);
+    // Debounce text input to prevent re-render on every keystroke
+    if (el.type === 'text') {
+        debouncedRender();
+    } else {
+        render(); // Render immediately for selects and date picker
+    }
+};
 
-    const nextTradeNumber = trades.length > 0 ? Math.max(...trades.map(t => t.tradeNumber)) + 1 : 1;
+// --- JOURNAL BACKUP (JSON) ---
+// A backup holds the whole journal: the trades (with the notes written by the AI), the
+// REG options, the settings and the trades' images. The Gemini API key is left out. Format of
+// version 2:
+//
+//   {
+//     "format": "diario-trader-backup",
+//     "version": 2,                  // BACKUP_VERSION, changes only with the envelope
+//     "tradeSchemaVersion": 5,       // TRADE_SCHEMA_VERSION of the trades inside
+//     "exportedAt": "2024-01-02T21:00:00.000Z",
+//     "checksums": { "trades": "<sha-256>", "settings": "<sha-256>", "screenshots": "<sha-256>" },
+//     "data": {
+//       "trades": [Trade, ...],
+//       "settings": { regOptions, instruments, costProfiles, activeCostProfileId, resultMode,
+//                     equityGranularity, csvDelimiter, importProfiles, riskRules, accounts,
+//                     cashMovements, tags },
+//       "screenshots": [{ id, tradeId, type, data, width, height, createdAt }, ...]
+//     }
+//   }
+//
+// Each checksum is the hex SHA-256 of JSON.stringify of that part of "data". Images are base64
+// in "data", without their Drive ids; version 1 backups have no images. Trades of an older
+// tradeSchemaVersion go through tradeMigrations on restore, like the local database.
+const BACKUP_FORMAT = 'diario-trader-backup';
+const BACKUP_VERSION = 2;
+
+const sha256Hex = async (text: string): Promise<string> => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
 
-    const newTrade: Trade = {
-        id: Date.now(),
-        asset: formData.get('asset') as string,
-        tradeNumber: nextTradeNumber,
-        side,
-        date: formData.get('date') as string,
-        lots,
-        entryPrice,
-        exitPrice,
-        points,
-        result,
-        notes: formData.get('notes') as string,
-        region: formData.get('region') as string,
-        structure: formData.get('structure') as string,
-        trigger: formData.get('trigger') as string,
-    };
-    
-    trades.push(newTrade);
+// btoa takes a binary string; it is built in chunks so a large image does not overflow the arguments.
+const blobToBase64 = async (blob: Blob): Promise<string> => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+};
 
-    if (googleAuthState.isSignedIn) {
-        syncToSheet({ silent: true });
-    }
-    
-    const assetToKeep = (form.elements.namedItem('asset') as HTMLInputElement).value;
-    const dateToKeep = (form.elements.namedItem('date') as HTMLInputElement).value;
-    render();
-    const newForm = document.getElementById('trade-form') as HTMLFormElement;
-    if (newForm) {
-        (newForm.elements.namedItem('asset') as HTMLInputElement).value = assetToKeep;
-        (newForm.elements.namedItem('date') as HTMLInputElement).value = dateToKeep;
-        (newForm.elements.namedItem('entry-price') as HTMLInputElement).focus();
-    }
+const base64ToBlob = (data: string, type: string) => new Blob([Uint8Array.from(atob(data), char => char.charCodeAt(0))], { type });
 
-    getAIInsight(newTrade);
+const buildBackup = async (): Promise<JournalBackup> => {
+    const settings: BackupSettings = {
+        regOptions, instruments, costProfiles, activeCostProfileId, resultMode,
+        equityGranularity, csvDelimiter, importProfiles, riskRules, accounts, cashMovements, tags,
+    };
+    const backupScreenshots: BackupScreenshot[] = await Promise.all(screenshots.map(async s => ({
+        id: s.id, tradeId: s.tradeId, type: s.blob.type || 'image/jpeg', data: await blobToBase64(s.blob),
+        width: s.width, height: s.height, createdAt: s.createdAt,
+    })));
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        tradeSchemaVersion: TRADE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksums: {
+            trades: await sha256Hex(JSON.stringify(trades)),
+            settings: await sha256Hex(JSON.stringify(settings)),
+            screenshots: await sha256Hex(JSON.stringify(backupScreenshots)),
+        },
+        data: { trades, settings, screenshots: backupScreenshots },
+    };
 };
 
-const updateTrade = (event: SubmitEvent) => {
-    event.preventDefault();
-    if (!editingTrade) return;
+const exportBackup = async () => {
+    try {
+        const backup = await buildBackup();
+        downloadFile(JSON.stringify(backup, null, 2), `diario-trader-backup_${backup.exportedAt.split('T')[0]}.json`, 'application/json');
+    } catch (error) {
+        console.error('Erro ao exportar o backup:', error);
+        alert('Falha ao gerar o backup. Verifique o console para erros.');
+    }
+};
 
-    const form = event.target as HTMLFormElement;
-    if (!validateTradeForm(form)) {
-        return;
+// Throws with a message for the user when the file can't be restored.
+const readBackup = async (text: string): Promise<{ exportedAt: string; trades: Trade[]; settings: Partial<BackupSettings>; screenshots: Screenshot[] }> => {
+    let backup: JournalBackup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error('O arquivo não é um JSON válido.');
     }
-    
-    const formData = new FormData(form);
+    if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.data?.trades)) {
+        throw new Error('O arquivo não é um backup do diário.');
+    }
+    if (backup.version > BACKUP_VERSION || backup.tradeSchemaVersion > TRADE_SCHEMA_VERSION) {
+        throw new Error('O backup foi gerado por uma versão mais nova do diário. Atualize o aplicativo antes de restaurar.');
+    }
+    const settings = backup.data.settings || {};
+    const backupScreenshots = backup.version >= 2 ? backup.data.screenshots || [] : [];
+    const [tradesChecksum, settingsChecksum, screenshotsChecksum] = await Promise.all([
+        sha256Hex(JSON.stringify(backup.data.trades)), sha256Hex(JSON.stringify(settings)), sha256Hex(JSON.stringify(backupScreenshots)),
+    ]);
+    if (tradesChecksum !== backup.checksums?.trades || settingsChecksum !== backup.checksums?.settings
+        || (backup.version >= 2 && screenshotsChecksum !== backup.checksums?.screenshots)) {
+        throw new Error('O checksum não confere: o arquivo foi alterado ou está corrompido.');
+    }
+    const restoredScreenshots = backupScreenshots.map((s): Screenshot => ({
+        id: s.id, tradeId: s.tradeId, blob: base64ToBlob(s.data, s.type), width: s.width, height: s.height, createdAt: s.createdAt,
+    }));
+    return { exportedAt: backup.exportedAt, trades: migrateTrades(backup.data.trades, backup.tradeSchemaVersion), settings, screenshots: restoredScreenshots };
+};
 
-    const side = formData.get('side') as 'Compra' | 'Venda';
-    const lots = parseLocaleNumber(formData.get('lots') as string);
-    const entryPrice = parseLocaleNumber(formData.get('entry-price') as string);
-    const exitPrice = parseLocaleNumber(formData.get('exit-price') as string);
-    const { points, result } = calculateTradeMetrics(side, lots, entryPrice, exitPrice);
+const handleBackupRestore = async (event: Event) => {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
 
-    const updatedTrade: Trade = {
-        ...editingTrade,
-        asset: formData.get('asset') as string,
-        side,
-        date: formData.get('date') as string,
-        lots,
-        entryPrice,
-        exitPrice,
-        points,
-        result,
-        notes: formData.get('notes') as string,
-        region: formData.get('region') as string,
-        structure: formData.get('structure') as string,
-        trigger: formData.get('trigger') as string,
-    };
-    
-    const tradeIndex = trades.findIndex(t => t.id === editingTrade!.id);
-    if (tradeIndex !== -1) {
-        trades[tradeIndex] = updatedTrade;
+    try {
+        const { exportedAt, trades: backupTrades, settings, screenshots: backupScreenshots } = await readBackup(await file.text());
+        pendingRestore = { fileName: file.name, exportedAt, trades: backupTrades, settings, screenshots: backupScreenshots, mode: 'merge' };
+        render();
+    } catch (error) {
+        console.error('Erro ao ler o backup:', error);
+        alert(`Não foi possível restaurar o backup. ${(error as Error).message}`);
+    } finally {
+        input.value = '';
     }
-    
-    if (googleAuthState.isSignedIn) {
-        syncToSheet({ silent: true });
+};
+
+// Key order and undefined fields don't count as changes.
+const stableStringify = (value: any): string => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
     }
+    return JSON.stringify(value);
+};
 
-    editingTrade = null;
-    render();
+// In both modes the backup's trades replace local trades with the same id; replacing also
+// removes the local trades missing from the backup.
+const diffBackupTrades = (restore: PendingRestore): BackupDiff => {
+    const localById = new Map(trades.map(t => [t.id, t]));
+    const backupIds = new Set(restore.trades.map(t => t.id));
+    return {
+        added: restore.trades.filter(t => !localById.has(t.id)),
+        changed: restore.trades.filter(t => localById.has(t.id) && stableStringify(localById.get(t.id)) !== stableStringify(t)),
+        removed: restore.mode === 'replace' ? trades.filter(t => !backupIds.has(t.id)) : [],
+    };
 };
 
-const openDeleteModal = (id: number) => {
-    deletingTradeId = id;
-    render();
+// Merging keeps the local preferences and only adds the REG options, instruments, cost
+// profiles, import profiles, accounts, cash movements and tags missing locally.
+const mergeBackupSettings = (settings: Partial<BackupSettings>) => {
+    const incomingOptions = settings.regOptions;
+    if (incomingOptions) {
+        (Object.keys(regOptions) as (keyof RegOptions)[]).forEach(key => {
+            regOptions[key] = [...new Set([...regOptions[key], ...(incomingOptions[key] || [])])];
+        });
+    }
+    instruments = [...instruments, ...inJournalCurrency(settings.instruments || []).filter(i => !instruments.some(local => local.symbol === i.symbol))];
+    costProfiles = [...costProfiles, ...(settings.costProfiles || []).filter(p => !costProfiles.some(local => local.id === p.id))];
+    importProfiles = [...importProfiles, ...(settings.importProfiles || []).filter(p => !importProfiles.some(local => local.id === p.id))];
+    accounts = [...accounts, ...inJournalCurrency(settings.accounts || []).filter(a => !accounts.some(local => local.id === a.id))];
+    cashMovements = [...cashMovements, ...(settings.cashMovements || []).filter(m => !cashMovements.some(local => local.id === m.id))];
+    tags = [...tags, ...(settings.tags || []).filter(t => !tags.some(local => local.name === t.name))];
 };
 
-const closeDeleteModal = () => {
-    deletingTradeId = null;
-    render();
+const replaceWithBackupSettings = (settings: Partial<BackupSettings>) => {
+    if (settings.regOptions) regOptions = settings.regOptions;
+    if (settings.instruments) instruments = inJournalCurrency(settings.instruments);
+    if (settings.costProfiles) costProfiles = settings.costProfiles;
+    if (settings.activeCostProfileId) activeCostProfileId = settings.activeCostProfileId;
+    if (settings.resultMode) resultMode = settings.resultMode;
+    if (settings.equityGranularity) equityGranularity = settings.equityGranularity;
+    if (settings.csvDelimiter) csvDelimiter = settings.csvDelimiter;
+    if (settings.importProfiles) importProfiles = settings.importProfiles;
+    if (settings.riskRules) riskRules = settings.riskRules;
+    if (settings.accounts) accounts = inJournalCurrency(settings.accounts);
+    if (settings.cashMovements) cashMovements = settings.cashMovements;
+    if (settings.tags) tags = settings.tags;
 };
 
-const confirmDelete = () => {
-    if (deletingTradeId === null) return;
-    trades = trades.filter(t => t.id !== deletingTradeId);
-    saveState();
-    // A sincronização não é chamada aqui para garantir que nenhuma
-    // operação seja removida da planilha. A planilha funciona como um log
-    // permanente e um backup de todas as operações inseridas.
-    closeDeleteModal();
+const setRestoreMode = (mode: PendingRestore['mode']) => {
+    if (!pendingRestore) return;
+    pendingRestore.mode = mode;
+    // Re-render just the modal content, like the REG options modal
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.innerHTML = renderRestoreBackupModal();
+        const newModal = modalContainer.querySelector('.modal-overlay:has(#restore-backup-title)');
+        if (newModal) {
+            attachModalEventListeners(newModal);
+        }
+    }
 };
 
-const startEditingTrade = (id: number) => {
-    editingTrade = trades.find(t => t.id === id) || null;
+const cancelRestore = () => {
+    pendingRestore = null;
     render();
-    document.querySelector('.left-panel')?.scrollIntoView({ behavior: 'smooth' });
 };
 
-const cancelEditing = () => {
-    editingTrade = null;
+const confirmRestore = () => {
+    const restore = pendingRestore;
+    if (!restore) return;
+    const diff = diffBackupTrades(restore);
+
+    if (restore.mode === 'replace') {
+        trades = [...restore.trades];
+        // The dropped trades leave tombstones, so the next sync deletes them on the backend too
+        // instead of pulling them back.
+        deletedTrades.push(...diff.removed.map(t => touchTrade({ ...t, deleted: true })));
+        replaceWithBackupSettings(restore.settings);
+    } else {
+        const backupIds = new Set(restore.trades.map(t => t.id));
+        trades = [...trades.filter(t => !backupIds.has(t.id)), ...restore.trades];
+        mergeBackupSettings(restore.settings);
+    }
+    trades.sort((a, b) => a.id - b.id);
+    ensureTradeAccounts();
+
+    // Images follow the trades: the backup's replace the local ones with the same id, and
+    // replacing drops the rest. An image already here keeps its Drive copy.
+    const restoredScreenshots = restore.screenshots.map(s => ({ ...s, driveFileId: screenshots.find(local => local.id === s.id)?.driveFileId }));
+    const restoredIds = new Set(restoredScreenshots.map(s => s.id));
+    const removedScreenshotIds = restore.mode === 'replace' ? screenshots.filter(s => !restoredIds.has(s.id)).map(s => s.id) : [];
+    screenshots = [...screenshots.filter(s => !restoredIds.has(s.id) && !removedScreenshotIds.includes(s.id)), ...restoredScreenshots];
+    persistScreenshots(restoredScreenshots, removedScreenshotIds);
+    releaseScreenshotUrls([...restoredIds, ...removedScreenshotIds]);
+
+    pendingRestore = null;
+    saveState();
+    queueTradeSync([...restore.trades, ...diff.removed].map(t => t.id));
+    uploadPendingScreenshots();
     render();
+    alert(`Backup restaurado: ${diff.added.length} operação(ões) adicionada(s), ${diff.changed.length} alterada(s) e ${diff.removed.length} removida(s); ${restoredScreenshots.length} imagem(ns) restaurada(s).`);
 };
 
+// --- EXECUTION IMPORT (FIFO MATCHING) ---
+// Importers reduce their source to fills and share the round-trip matching below.
+// Fills are matched FIFO per contract within the same day: a sell larger than the open
+// long closes it and opens a short with the rest (and vice versa). Positions still open
+// at the end of the day are reported back instead of becoming trades.
+const matchRoundTrips = (executions: Execution[]): { roundTrips: RoundTrip[]; unmatchedContracts: number } => {
+    const roundTrips: RoundTrip[] = [];
+    let unmatchedContracts = 0;
+    const groups: { [key: string]: Execution[] } = {};
+    executions.forEach(execution => {
+        const key = `${execution.date}|${execution.asset}`;
+        (groups[key] = groups[key] || []).push(execution);
+    });
 
-const exportToCSV = () => {
-    if (trades.length === 0) return;
+    Object.keys(groups).sort().forEach(key => {
+        // Stable sort on the full time, seconds included: fills without a time, or in the same
+        // second, keep the order of the source.
+        const fills = groups[key].map((execution, index) => ({ execution, index }))
+            .sort((a, b) => (a.execution.time || '').localeCompare(b.execution.time || '') || a.index - b.index)
+            .map(({ execution }) => execution);
+        let position = 0;
+        let sequence = 0;
+        let current: RoundTrip | null = null;
+
+        fills.forEach(execution => {
+            const direction = execution.side === 'C' ? 1 : -1;
+            const feePerUnit = execution.fees !== undefined ? execution.fees / execution.quantity : undefined;
+            let remaining = execution.quantity;
+            while (remaining > 0) {
+                if (!current || position === 0) {
+                    current = { asset: execution.asset, date: execution.date, side: direction === 1 ? 'Compra' : 'Venda', entries: [], exits: [], sequence: sequence++ };
+                }
+                const opening = position === 0 || Math.sign(position) === direction;
+                const quantity = opening ? remaining : Math.min(remaining, Math.abs(position));
+                (opening ? current.entries : current.exits).push({ price: execution.price, quantity, ...(execution.time ? { time: execution.time.slice(0, 5) } : {}) });
+                if (feePerUnit !== undefined) current.fees = (current.fees || 0) + feePerUnit * quantity;
+                position += direction * quantity;
+                remaining -= quantity;
+                if (position === 0) roundTrips.push(current);
+            }
+        });
+        unmatchedContracts += Math.abs(position);
+    });
+    return { roundTrips, unmatchedContracts };
+};
 
-    const headerConfig: { key: keyof Trade; label: string }[] = [
-        { key: 'id', label: 'id' },
-        { key: 'asset', label: 'asset' },
-        { key: 'tradeNumber', label: 'tradeNumber' },
-        { key: 'side', label: 'side' },
-        { key: 'date', label: 'date' },
-        { key: 'lots', label: 'Contratos/Quantidade' },
-        { key: 'entryPrice', label: 'entryPrice' },
-        { key: 'exitPrice', label: 'exitPrice' },
-        { key: 'points', label: 'Resultado Pontos' },
-        { key: 'result', label: 'Resultado Monetário/R$' },
-        { key: 'region', label: 'region' },
-        { key: 'structure', label: 'structure' },
-        { key: 'trigger', label: 'trigger' },
-    ];
-    
-    const headerRow = headerConfig.map(h => h.label).join(',');
+const hashString = (value: string): number => {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    return Math.abs(hash);
+};
 
-    const rows = trades.map(trade => {
-        return headerConfig.map(h => trade[h.key]).join(',');
-    }).join('\n');
-    
-    const csvContent = `data:text/csv;charset=utf-8,${headerRow}\n${rows}`;
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", `trades_${new Date().toISOString().split('T')[0]}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+// Imported trades have no REG classification yet. Without fees from the source, costs
+// come from the active cost profile.
+const buildImportedTrade = (roundTrip: RoundTrip, notes: string): Trade => {
+    const { asset, side, date, entries, exits, fees, sequence } = roundTrip;
+    const costs = fees !== undefined ? parseFloat(fees.toFixed(2)) : undefined;
+    const metrics = calculateTradeMetrics(asset, side, entries, exits, costs);
+    const signature = `${date}|${asset}|${sequence}|${formatLegs(entries, exits)}`;
+    return {
+        // Deterministic id inside the trade date, so importing the same trades again is deduplicated,
+        // whether they come from a daily or a monthly note or report.
+        id: new Date(`${date}T00:00:00`).getTime() + hashString(signature) % 86400000,
+        accountId: getDefaultAccountId(),
+        asset,
+        tradeNumber: 0,
+        side,
+        date,
+        ...metrics,
+        ...calculateRiskMetrics(asset, side, metrics.lots, metrics.entryPrice, metrics.points),
+        costsOverridden: costs !== undefined,
+        notes,
+        region: '',
+        structure: '',
+        trigger: '',
+        pendingClassification: true,
+    };
 };
 
-/**
- * Renders text with support for **bold** markdown, handling word wrapping.
- * @returns {number} The new Y coordinate after rendering the text.
- */
-const addWrappedTextWithBold = (pdf: jsPDF, text: string, x: number, y: number, maxWidth: number, lineHeight: number): number => {
-    const parts = text.split(/(\*\*.*?\*\*)/g).filter(p => p.length > 0);
-    
-    let currentX = x;
-    const spaceWidth = pdf.getStringUnitWidth(' ') * pdf.getFontSize() / pdf.internal.scaleFactor;
+// --- BROKER NOTE IMPORT (NOTA DE CORRETAGEM) ---
+// SINACOR notes are read in the browser with pdf.js; the file never leaves the machine.
+// Only BM&F day-trade executions become trades: buys and sells of the same contract on
+// the same day are paired FIFO into round trips, and the note's fees are split among
+// them by traded quantity.
+// Brokers print the contract either split into commodity and series ("WDO F24", usually
+// followed by the expiry date) or as a single code ("WDOF24").
+const NOTE_LAYOUTS: { name: string; pattern: RegExp; toExecution: (m: RegExpMatchArray) => Omit<NoteExecution, 'date'> }[] = [
+    {
+        name: 'Mercadoria e série separadas',
+        pattern: /^(?:\d-BM&?F\s+)?([CV])\s+([A-Z]{3})\s+([FGHJKMNQUVXZ]\d{2})\s+(?:\d{2}\/\d{2}\/\d{4}\s+)?(\d+)\s+([\d.]+,\d+)\s+(DAY ?TRADE|NORMAL)/i,
+        toExecution: m => ({ side: m[1].toUpperCase() as 'C' | 'V', asset: `${m[2]}${m[3]}`.toUpperCase(), quantity: Number(m[4]), price: parseLocaleNumber(m[5]), dayTrade: /^DAY/i.test(m[6]) }),
+    },
+    {
+        name: 'Código do contrato completo',
+        pattern: /^(?:\d-BM&?F\s+)?([CV])\s+([A-Z]{3}[FGHJKMNQUVXZ]\d{2})\s+(?:\d{2}\/\d{2}\/\d{4}\s+)?(\d+)\s+([\d.]+,\d+)\s+(DT|DAY ?TRADE|N|NORMAL)\b/i,
+        toExecution: m => ({ side: m[1].toUpperCase() as 'C' | 'V', asset: m[2].toUpperCase(), quantity: Number(m[3]), price: parseLocaleNumber(m[4]), dayTrade: /^D/i.test(m[5]) }),
+    },
+];
+
+// Fee totals are printed either inline ("Total de custos operacionais 3,45") or as a
+// label row with the values on the next line, where the total is the last column.
+const NOTE_FEE_LABELS = [/total\s+(?:de\s+)?custos\s+operacionais/i, /total\s+(?:das\s+)?despesas/i];
+
+let pdfJsPromise: Promise<any> | null = null;
+const loadPdfJs = (): Promise<any> => {
+    if (!pdfJsPromise) {
+        // pdf.js is loaded on first use. Its worker module runs on the page itself (pdf.js finds it
+        // in globalThis.pdfjsWorker), which is enough for a few pages and needs no worker URL.
+        pdfJsPromise = import('pdfjs-dist/build/pdf.worker.min.mjs').then(() => import('pdfjs-dist'));
+        pdfJsPromise.catch(() => { pdfJsPromise = null; });
+    }
+    return pdfJsPromise;
+};
 
-    for (const part of parts) {
-        const isBold = part.startsWith('**') && part.endsWith('**');
-        const content = isBold ? part.slice(2, -2) : part;
-        pdf.setFont('helvetica', isBold ? 'bold' : 'normal');
+// Rebuilds the text lines of each page from the positioned text items.
+const extractPdfPages = async (file: File): Promise<string[][]> => {
+    const pdfjs = await loadPdfJs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages: string[][] = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const content = await (await pdf.getPage(pageNumber)).getTextContent();
+        const rows: { [y: number]: { x: number; text: string }[] } = {};
+        content.items.forEach((item: any) => {
+            if (!item.str?.trim()) return;
+            const y = Math.round(item.transform[5]);
+            (rows[y] = rows[y] || []).push({ x: item.transform[4], text: item.str.trim() });
+        });
+        pages.push(Object.keys(rows).map(Number).sort((a, b) => b - a)
+            .map(y => rows[y].sort((a, b) => a.x - b.x).map(cell => cell.text).join(' ').replace(/\s+/g, ' ')));
+    }
+    await pdf.destroy();
+    return pages;
+};
 
-        const words = content.split(/\s+/).filter(w => w.length > 0);
+const readNoteFees = (lines: string[]): number | null => {
+    const amountPattern = /-?[\d.]+,\d{2}/g;
+    for (const label of NOTE_FEE_LABELS) {
+        const index = lines.findIndex(line => label.test(line));
+        if (index === -1) continue;
+        const inline = lines[index].split(label)[1]?.match(amountPattern);
+        const amounts = inline || lines[index + 1]?.match(amountPattern);
+        if (amounts) return Math.abs(parseLocaleNumber(amounts[inline ? 0 : amounts.length - 1]));
+    }
+    return null;
+};
 
-        for (const word of words) {
-            const wordWidth = pdf.getStringUnitWidth(word) * pdf.getFontSize() / pdf.internal.scaleFactor;
-            
-            if (currentX + wordWidth > x + maxWidth) {
-                y += lineHeight;
-                currentX = x;
+// One note per page; pages continuing a note (same number and date) are merged.
+const parseBrokerNotes = (pages: string[][]): BrokerNote[] => {
+    const notes: BrokerNote[] = [];
+    pages.forEach(lines => {
+        const headerIndex = lines.findIndex(line => /data\s+preg[ãa]o/i.test(line));
+        const header = headerIndex === -1 ? '' : lines.slice(headerIndex, headerIndex + 3).join(' ');
+        const dateMatch = header.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+        if (!dateMatch) return;
+        const date = `${dateMatch[3]}-${dateMatch[2]}-${dateMatch[1]}`;
+        const number = header.match(/preg[ãa]o\s+(\d+)\s/i)?.[1] || lines.join(' ').match(/nota\D{0,20}(\d{3,})/i)?.[1] || '';
+
+        let layout = '';
+        const executions: NoteExecution[] = [];
+        lines.forEach(line => {
+            for (const candidate of NOTE_LAYOUTS) {
+                const match = line.trim().match(candidate.pattern);
+                if (match) {
+                    layout = candidate.name;
+                    executions.push({ date, ...candidate.toExecution(match) });
+                    break;
+                }
             }
+        });
 
-            pdf.text(word, currentX, y);
-            currentX += wordWidth + spaceWidth;
+        const fees = readNoteFees(lines);
+        const previous = notes.find(n => n.date === date && n.number === number);
+        if (previous) {
+            previous.executions.push(...executions);
+            if (fees !== null) previous.fees = fees;
+            previous.layout = previous.layout || layout;
+        } else if (executions.length > 0 || fees !== null) {
+            notes.push({ number, date, layout, executions, fees: fees ?? 0 });
         }
-    }
-    return y;
+    });
+    return notes.filter(note => note.executions.length > 0);
 };
 
+// Fees of each note are spread over its fills by quantity before matching.
+const noteExecutionsToTrades = (notes: BrokerNote[]): { trades: Trade[]; unmatchedContracts: number; swingExecutions: number } => {
+    const dayTrades: Execution[] = [];
+    let swingExecutions = 0;
+    notes.forEach(note => {
+        const totalQuantity = note.executions.reduce((acc, e) => acc + e.quantity, 0);
+        const feePerContract = totalQuantity > 0 ? note.fees / totalQuantity : 0;
+        note.executions.forEach(execution => {
+            if (execution.dayTrade) dayTrades.push({ ...execution, fees: feePerContract * execution.quantity });
+            else swingExecutions++;
+        });
+    });
 
-const exportToPDF = async () => {
-    if (!ai) {
-        alert("Cliente de IA não inicializado. Forneça uma chave de API válida.");
-        return;
-    }
-    if (trades.length === 0) {
-        alert("Não há operações para gerar um relatório.");
-        return;
+    const { roundTrips, unmatchedContracts } = matchRoundTrips(dayTrades);
+    const noteByDate = new Map(notes.map(note => [note.date, note]));
+    const noteTrades = roundTrips.map(roundTrip => {
+        const note = noteByDate.get(roundTrip.date);
+        return buildImportedTrade(roundTrip, `Importada da nota de corretagem${note?.number ? ` nº ${note.number}` : ''} (${note?.layout}).`);
+    });
+    return { trades: noteTrades, unmatchedContracts, swingExecutions };
+};
+
+const handleBrokerNoteImport = async (event: Event) => {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+        const notes = parseBrokerNotes(await extractPdfPages(file));
+        if (notes.length === 0) {
+            alert('Nenhuma execução BM&F encontrada. Verifique se o arquivo é uma nota de corretagem SINACOR.');
+            return;
+        }
+        const { trades: noteTrades, unmatchedContracts, swingExecutions } = noteExecutionsToTrades(notes);
+        const newTrades = mergeImportedTrades(noteTrades, true);
+
+        const warnings = [
+            unmatchedContracts > 0 ? `${unmatchedContracts} contrato(s) sem zeragem no mesmo dia foram ignorados.` : '',
+            swingExecutions > 0 ? `${swingExecutions} execução(ões) fora de day trade foram ignoradas.` : '',
+        ].filter(Boolean).join('\n');
+        alert(`${notes.length} nota(s) lida(s): ${newTrades.length} nova(s) operação(ões) importada(s), ${noteTrades.length - newTrades.length} já existente(s).${warnings ? `\n${warnings}` : ''}\nAs operações importadas ficam pendentes de classificação (Região, Estrutura e Gatilho).`);
+    } catch (error) {
+        console.error('Erro ao importar nota de corretagem:', error);
+        alert('Falha ao ler a nota de corretagem. Verifique o arquivo e o console para erros.');
+    } finally {
+        input.value = '';
     }
+};
 
-    const exportButton = document.getElementById('export-pdf');
-    if (!exportButton) {
-        console.error('Export button not found');
-        return;
+// --- PLATFORM IMPORT (PROFIT PRO, TRYD, MT5) ---
+// Execution reports exported by the trading platforms. Each adapter maps the report's
+// columns to fills; the first adapter whose required columns are all present in some
+// row of the file wins, so the header does not need to be on the first line.
+const decodeTextFile = (buffer: ArrayBuffer): string => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+    try {
+        // TextDecoder drops a UTF-8 BOM by itself.
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        // Windows platforms export in the ANSI code page.
+        return new TextDecoder('windows-1252').decode(bytes);
     }
+};
 
-    exportButton.textContent = 'Gerando Relatório IA...';
-    exportButton.setAttribute('disabled', 'true');
+const normalizeHeader = (value: string): string =>
+    value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const parseImportNumber = (value: string): number =>
+    parseLocaleNumber((value || '').replace(/R\$|\s/g, ''));
+
+// Accepts dd/mm/yyyy (Profit, Tryd) and yyyy.mm.dd or yyyy-mm-dd (MT5), with an optional time
+// whose seconds are kept, so fills within the same minute can still be put in order.
+const parseImportDateTime = (value: string): { date: string; time?: string } | null => {
+    const text = (value || '').trim();
+    const br = text.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+    const iso = text.match(/^(\d{4})[.\-](\d{2})[.\-](\d{2})/);
+    if (!br && !iso) return null;
+    const date = br ? `${br[3]}-${br[2]}-${br[1]}` : `${iso![1]}-${iso![2]}-${iso![3]}`;
+    const time = text.slice(10).trim().match(/^(\d{1,2}):(\d{2})(:\d{2})?/);
+    return time ? { date, time: `${time[1].padStart(2, '0')}:${time[2]}${time[3] || ''}` } : { date };
+};
 
-    try {
-        // --- 1. Capture Dashboard Image ---
-        const dashboardElement = document.getElementById('performance-dashboard-card');
-        if (!dashboardElement) {
-            throw new Error("Dashboard element not found for PDF export.");
+const readHtmlTableRows = (html: string): string[][] => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return Array.from(doc.querySelectorAll('tr')).map(tr =>
+        Array.from(tr.querySelectorAll('th, td')).map(cell => (cell.textContent || '').replace(/\s+/g, ' ').trim()));
+};
+
+const IMPORT_ADAPTERS: ImportAdapter[] = [
+    {
+        // Order list ("Ordens") exported from Profit Pro.
+        name: 'Profit Pro',
+        columns: {
+            asset: ['ativo'],
+            side: ['lado'],
+            quantity: ['qtd executada'],
+            price: ['preco medio'],
+            dateTime: ['ultima atualizacao', 'data'],
+        },
+        required: ['asset', 'side', 'quantity', 'price', 'dateTime'],
+        // Cancelled and rejected orders have nothing executed and are skipped.
+        toExecution: record => {
+            const when = parseImportDateTime(record.dateTime);
+            const quantity = parseImportNumber(record.quantity);
+            const side = normalizeHeader(record.side).charAt(0);
+            if (!when || !(quantity > 0) || (side !== 'c' && side !== 'v')) return null;
+            return { ...when, side: side === 'c' ? 'C' : 'V', asset: record.asset.toUpperCase(), quantity, price: parseImportNumber(record.price) };
+        },
+    },
+    {
+        // "Negócios" (deals) section of the MetaTrader 5 history report, in English or Portuguese.
+        // The report's positions and orders tables come first and also have time, symbol, type,
+        // volume and price; only the deals table has the deal and direction columns.
+        name: 'MetaTrader 5',
+        columns: {
+            dateTime: ['time', 'horario', 'hora'],
+            deal: ['deal', 'negocio'],
+            asset: ['symbol', 'simbolo', 'ativo'],
+            type: ['type', 'tipo'],
+            direction: ['direction', 'direcao'],
+            volume: ['volume'],
+            price: ['price', 'preco'],
+            commission: ['commission', 'comissao'],
+            fee: ['fee', 'taxa'],
+        },
+        required: ['dateTime', 'deal', 'asset', 'type', 'direction', 'volume', 'price'],
+        toExecution: record => {
+            const when = parseImportDateTime(record.dateTime);
+            const type = normalizeHeader(record.type);
+            const side = /^(buy|compra)$/.test(type) ? 'C' : /^(sell|venda)$/.test(type) ? 'V' : null;
+            const quantity = parseImportNumber(record.volume);
+            // Balance and credit lines share the table and have no buy/sell type.
+            if (!when || !side || !(quantity > 0)) return null;
+            const commission = parseImportNumber(record.commission);
+            const fee = parseImportNumber(record.fee);
+            const hasFees = !isNaN(commission) || !isNaN(fee);
+            return {
+                ...when, side, asset: record.asset.toUpperCase(), quantity, price: parseImportNumber(record.price),
+                // MT5 reports costs as negative amounts.
+                ...(hasFees ? { fees: -((isNaN(commission) ? 0 : commission) + (isNaN(fee) ? 0 : fee)) } : {}),
+            };
+        },
+    },
+    {
+        // Trade list ("Negócios") exported from Tryd.
+        name: 'Tryd',
+        columns: {
+            asset: ['ativo', 'papel'],
+            side: ['c/v', 'lado'],
+            quantity: ['qtde', 'quantidade', 'qtd'],
+            price: ['preco'],
+            date: ['data', 'data/hora'],
+            time: ['hora'],
+        },
+        required: ['asset', 'side', 'quantity', 'price', 'date'],
+        toExecution: record => {
+            const when = parseImportDateTime(record.time ? `${record.date} ${record.time}` : record.date);
+            const quantity = parseImportNumber(record.quantity);
+            const side = normalizeHeader(record.side).charAt(0);
+            if (!when || !(quantity > 0) || (side !== 'c' && side !== 'v')) return null;
+            return { ...when, side: side === 'c' ? 'C' : 'V', asset: record.asset.toUpperCase(), quantity, price: parseImportNumber(record.price) };
+        },
+    },
+];
+
+// The adapter's column indexes when the row is its header, with every required column.
+const matchImportHeader = (adapter: ImportAdapter, row: string[]): { [key: string]: number } | null => {
+    const header = row.map(normalizeHeader);
+    const columnIndexes: { [key: string]: number } = {};
+    Object.entries(adapter.columns).forEach(([key, names]) => {
+        const index = names.map(name => header.indexOf(name)).find(i => i >= 0);
+        if (index !== undefined) columnIndexes[key] = index;
+    });
+    return adapter.required.every(key => key in columnIndexes) ? columnIndexes : null;
+};
+
+// Finds the first adapter whose required columns appear together in a row.
+const detectImportAdapter = (rows: string[][]): { adapter: ImportAdapter; headerIndex: number; columnIndexes: { [key: string]: number } } | null => {
+    for (const adapter of IMPORT_ADAPTERS) {
+        for (let headerIndex = 0; headerIndex < rows.length; headerIndex++) {
+            const columnIndexes = matchImportHeader(adapter, rows[headerIndex]);
+            if (columnIndexes) return { adapter, headerIndex, columnIndexes };
         }
-        const canvas = await html2canvas(dashboardElement, {
-            scale: 2, // Higher resolution for better PDF quality
-            backgroundColor: '#1e1e1e', // Match the card background color
-            useCORS: true,
-        });
-        const imgData = canvas.toDataURL('image/png');
+    }
+    return null;
+};
+
+// The table ends at the next section title (a row with a single filled cell, like MT5's
+// "Orders" or "Results") or at the next header row.
+const isImportSectionBreak = (row: string[]): boolean =>
+    row.filter(cell => cell.trim()).length === 1 || IMPORT_ADAPTERS.some(adapter => matchImportHeader(adapter, row) !== null);
+
+const readPlatformExecutions = (rows: string[][]): { adapter: ImportAdapter; executions: Execution[] } | null => {
+    const detected = detectImportAdapter(rows);
+    if (!detected) return null;
+    const { adapter, headerIndex, columnIndexes } = detected;
+    const tableEnd = rows.findIndex((row, index) => index > headerIndex && isImportSectionBreak(row));
+    const executions = rows.slice(headerIndex + 1, tableEnd === -1 ? undefined : tableEnd)
+        .map(row => {
+            const record: { [key: string]: string } = {};
+            Object.entries(columnIndexes).forEach(([key, index]) => { record[key] = (row[index] || '').trim(); });
+            return record.asset ? adapter.toExecution(record) : null;
+        })
+        .filter((execution): execution is Execution => execution !== null && !isNaN(execution.price));
+    return { adapter, executions };
+};
+
+// Returns false when the file is not a platform report, so the caller can fall back to the app's CSV.
+const importPlatformExecutions = (text: string): boolean => {
+    const isHtml = /<(html|table)[\s>]/i.test(text);
+    const report = readPlatformExecutions(isHtml ? readHtmlTableRows(text) : parseCsv(text));
+    if (!report) return false;
+
+    const { adapter, executions } = report;
+    if (executions.length === 0) {
+        alert(`Relatório do ${adapter.name} reconhecido, mas nenhuma execução foi encontrada.`);
+        return true;
+    }
+    const { roundTrips, unmatchedContracts } = matchRoundTrips(executions);
+    const importedTrades = roundTrips.map(roundTrip => buildImportedTrade(roundTrip, `Importada do relatório de execuções do ${adapter.name}.`));
+    const newTrades = mergeImportedTrades(importedTrades, true);
+
+    alert([
+        `Relatório do ${adapter.name}: ${executions.length} execução(ões) em ${roundTrips.length} operação(ões).`,
+        `${newTrades.length} nova(s) operação(ões) importada(s), ${roundTrips.length - newTrades.length} já existente(s).`,
+        unmatchedContracts > 0 ? `${unmatchedContracts} contrato(s) sem zeragem no mesmo dia foram ignorados.` : '',
+        'As operações importadas ficam pendentes de classificação (Região, Estrutura e Gatilho).',
+    ].filter(Boolean).join('\n'));
+    return true;
+};
 
-        // --- 2. Get AI Analysis ---
-        const tradesSummary = trades.map(t =>
-            `- Op #${t.tradeNumber}: ${t.asset}, ${t.side}, Resultado: R$ ${t.result.toFixed(2)}, Gatilho: ${t.trigger}`
-        ).join('\n');
+// --- PERFORMANCE STATISTICS ---
+// Computed from the filtered trades and following the gross/net toggle. Sharpe and Sortino
+// use the daily results in R$ as returns, annualized over 252 sessions with a zero
+// risk-free rate; the percentage returns on the account balance come from getBalanceCurve.
+const TRADING_DAYS_PER_YEAR = 252;
+
+const compareTradesChronologically = (a: Trade, b: Trade) =>
+    a.date.localeCompare(b.date)
+    || (a.entryTime || '').localeCompare(b.entryTime || '')
+    || a.tradeNumber - b.tradeNumber;
+
+const getDailyResults = (data: Trade[]): DailyResult[] => {
+    const byDay: { [date: string]: DailyResult } = {};
+    data.forEach(trade => {
+        const day = byDay[trade.date] = byDay[trade.date] || { date: trade.date, result: 0, points: 0, tradeCount: 0 };
+        day.result += getTradeResult(trade);
+        day.points += trade.points;
+        day.tradeCount++;
+    });
+    return Object.keys(byDay).sort().map(date => byDay[date]);
+};
 
-        const prompt = `
-            Você é um coach de traders profissional e amigável. Analise o seguinte histórico de operações de um trader e gere um relatório de performance detalhado.
+const calculatePerformanceStats = (data: Trade[]): PerformanceStats => {
+    const sum = (values: number[]) => values.reduce((acc, v) => acc + v, 0);
+    const mean = (values: number[]) => values.length > 0 ? sum(values) / values.length : 0;
+
+    const results = [...data].sort(compareTradesChronologically).map(getTradeResult);
+    const wins = results.filter(r => r > 0);
+    const losses = results.filter(r => r < 0);
+    const totalResult = sum(results);
+    const grossProfit = sum(wins);
+    const grossLoss = -sum(losses);
+    const averageGain = mean(wins);
+    const averageLoss = mean(losses);
+
+    // A breakeven trade ends both streaks. Drawdown is measured from the running
+    // peak of the accumulated result, which starts at zero.
+    let winStreak = 0, lossStreak = 0, maxConsecutiveWins = 0, maxConsecutiveLosses = 0;
+    let equity = 0, peak = 0, maxDrawdown = 0;
+    let maxDrawdownPercent: number | null = null;
+    results.forEach(r => {
+        winStreak = r > 0 ? winStreak + 1 : 0;
+        lossStreak = r < 0 ? lossStreak + 1 : 0;
+        maxConsecutiveWins = Math.max(maxConsecutiveWins, winStreak);
+        maxConsecutiveLosses = Math.max(maxConsecutiveLosses, lossStreak);
+
+        equity += r;
+        peak = Math.max(peak, equity);
+        if (peak - equity > maxDrawdown) {
+            maxDrawdown = peak - equity;
+            maxDrawdownPercent = peak > 0 ? (maxDrawdown / peak) * 100 : null;
+        }
+    });
 
-            Histórico de Operações:
-            ${tradesSummary}
+    const dailyResults = getDailyResults(data).map(d => d.result);
+    const dailyMean = mean(dailyResults);
+    const dailyStdDev = dailyResults.length > 1
+        ? Math.sqrt(sum(dailyResults.map(r => (r - dailyMean) ** 2)) / (dailyResults.length - 1))
+        : 0;
+    const downsideDeviation = Math.sqrt(mean(dailyResults.map(r => Math.min(0, r) ** 2)));
+    const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+    return {
+        tradeCount: results.length,
+        winCount: wins.length,
+        lossCount: losses.length,
+        totalResult,
+        grossProfit,
+        grossLoss,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+        payoffRatio: averageLoss < 0 ? averageGain / -averageLoss : null,
+        expectancy: mean(results),
+        averageGain,
+        averageLoss,
+        largestWin: wins.length > 0 ? Math.max(...wins) : 0,
+        largestLoss: losses.length > 0 ? Math.min(...losses) : 0,
+        maxConsecutiveWins,
+        maxConsecutiveLosses,
+        maxDrawdown,
+        maxDrawdownPercent,
+        recoveryFactor: maxDrawdown > 0 ? totalResult / maxDrawdown : null,
+        sharpeRatio: dailyStdDev > 0 ? (dailyMean / dailyStdDev) * annualize : null,
+        sortinoRatio: downsideDeviation > 0 ? (dailyMean / downsideDeviation) * annualize : null,
+        tradingDays: dailyResults.length,
+        positiveDaysPercent: dailyResults.length > 0 ? (dailyResults.filter(r => r > 0).length / dailyResults.length) * 100 : 0,
+    };
+};
 
-            Instruções para o relatório:
-            1. **Linguagem:** Use uma linguagem amigável, encorajadora e fácil de entender, como se estivesse conversando com o trader.
-            2. **Estrutura:** Organize o conteúdo em seções claras com títulos (usando markdown). Sugestões de seções:
-                - **Análise da Performance:** Um resumo dos resultados gerais (lucro/prejuízo, taxa de acerto), explicando o que os números significam.
-                - **Seus Pontos Fortes:** Identifique padrões positivos, como os gatilhos mais lucrativos ou ativos com maior sucesso. Elogie o que está funcionando.
-                - **Pontos de Melhoria:** Identifique com cuidado os padrões que estão causando perdas. Seja construtivo.
-                - **Análise por Gatilho:** Faça uma análise breve sobre a performance dos gatilhos utilizados.
-            3. **Resumo e Próximos Passos:** Termine com um resumo conciso e forneça 2 ou 3 pontos de ação claros e práticos para o trader focar.
+// Equity curve over calendar periods; weeks start on Monday and are keyed by that date.
+const getPeriodKey = (date: string, granularity: 'day' | 'week' | 'month'): string => {
+    if (granularity === 'month') return date.slice(0, 7);
+    if (granularity === 'day') return date;
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+    return day.toISOString().split('T')[0];
+};
 
-            O relatório deve ser completo, mas direto ao ponto. Use markdown para formatação (títulos com '##', listas com '-', negrito com '**').
-        `;
+const formatPeriodLabel = (period: string, granularity: 'day' | 'week' | 'month'): string => {
+    if (granularity === 'month') return formatMonthLabel(period);
+    const date = new Date(`${period}T00:00:00`).toLocaleDateString('pt-BR');
+    return granularity === 'week' ? `Sem. ${date}` : date;
+};
 
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: prompt,
-        });
-        const reportText = response.text;
+// Every period from the first to the last, so the periods without trades keep their place on
+// the charts' axis instead of closing the gap between the trading days around them.
+const getPeriodRange = (first: string, last: string, granularity: 'day' | 'week' | 'month'): string[] => {
+    const periods: string[] = [];
+    for (let period = first; period <= last; period = getNextPeriodKey(period, granularity)) periods.push(period);
+    return periods;
+};
 
-        // --- 3. Assemble the PDF ---
-        const pdf = new jsPDF('p', 'mm', 'a4');
-        const pageHeight = pdf.internal.pageSize.getHeight();
-        const pageWidth = pdf.internal.pageSize.getWidth();
-        const margin = 15;
-        let y = margin;
+const getNextPeriodKey = (period: string, granularity: 'day' | 'week' | 'month'): string => {
+    if (granularity === 'month') {
+        const [year, month] = period.split('-').map(Number);
+        return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+    }
+    const day = new Date(`${period}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + (granularity === 'week' ? 7 : 1));
+    return day.toISOString().split('T')[0];
+};
 
-        // Add the dashboard image first
-        const imgProps = pdf.getImageProperties(imgData);
-        const pdfWidth = pageWidth - margin * 2;
-        const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
-        pdf.addImage(imgData, 'PNG', margin, y, pdfWidth, pdfHeight);
-        y += pdfHeight + 15; // Update y position to be below the image with padding
+const getEquityCurve = (data: Trade[], granularity: 'day' | 'week' | 'month'): EquityPoint[] => {
+    const resultByPeriod: { [period: string]: number } = {};
+    getDailyResults(data).forEach(day => {
+        const period = getPeriodKey(day.date, granularity);
+        resultByPeriod[period] = (resultByPeriod[period] || 0) + day.result;
+    });
 
-        const checkPageEnd = (currentY: number) => {
-            if (currentY > pageHeight - margin) {
-                pdf.addPage();
-                return margin;
-            }
-            return currentY;
+    const periods = Object.keys(resultByPeriod).sort();
+    if (periods.length === 0) return [];
+    let equity = 0;
+    let peak = 0;
+    return getPeriodRange(periods[0], periods[periods.length - 1], granularity).map(period => {
+        const result = resultByPeriod[period] || 0;
+        equity += result;
+        peak = Math.max(peak, equity);
+        return {
+            period,
+            label: formatPeriodLabel(period, granularity),
+            result: parseFloat(result.toFixed(2)),
+            equity: parseFloat(equity.toFixed(2)),
+            drawdown: parseFloat((equity - peak).toFixed(2)),
         };
+    });
+};
 
-        y = checkPageEnd(y); // Check if we need a new page for the text
-
-        pdf.line(margin, y - 8, pageWidth - margin, y - 8);
-        
-        const lines = reportText.split('\n');
-        const lineHeight = 5;
-        const maxWidth = pageWidth - margin * 2;
+// Balance of the accounts in view, day by day: the initial capital, the cash movements and
+// the net result of every trade. It is the money actually in the accounts, so it ignores the
+// filters and the gross/net toggle; the date filter only picks the window shown. Deposits and
+// withdrawals count from the start of their day and are not returns; platform fees are.
+const getBalanceCurve = (): BalancePoint[] => {
+    const scope = getAccountsInView();
+    const accountIds = new Set(scope.map(a => a.id));
+    const days: { [date: string]: { flow: number; fees: number; result: number } } = {};
+    const getDay = (date: string) => days[date] = days[date] || { flow: 0, fees: 0, result: 0 };
+    trades.filter(t => accountIds.has(t.accountId)).forEach(t => { getDay(t.date).result += t.netResult; });
+    cashMovements.filter(m => accountIds.has(m.accountId)).forEach(m => {
+        const day = getDay(m.date);
+        if (m.type === 'fee') day.fees += m.amount;
+        else day.flow += m.type === 'deposit' ? m.amount : -m.amount;
+    });
 
-        for (const line of lines) {
-            y = checkPageEnd(y);
-            // Clean emojis and trim whitespace
-            const processedLine = line.replace(/([\u2700-\u27BF]|[\uE000-\uF8FF]|\uD83C[\uDC00-\uDFFF]|\uD83D[\uDC00-\uDFFF]|[\u2011-\u26FF]|\uD83E[\uDD10-\uDDFF])/g, '').trim();
+    let balance = scope.reduce((acc, a) => acc + a.initialCapital, 0);
+    let growth = 1;
+    let peak = 1;
+    const points: BalancePoint[] = [];
+    Object.keys(days).sort().forEach(date => {
+        const { flow, fees, result } = days[date];
+        const invested = balance + flow;
+        balance = invested + result - fees;
+        if ((filters.startDate && date < filters.startDate) || (filters.endDate && date > filters.endDate)) return;
+
+        // Without money in the account there is nothing to measure a return against.
+        const dailyReturn = invested > 0 ? (result - fees) / invested : null;
+        if (dailyReturn !== null) growth *= 1 + dailyReturn;
+        peak = Math.max(peak, growth);
+        points.push({
+            date,
+            flow,
+            fees,
+            result: parseFloat(result.toFixed(2)),
+            balance: parseFloat(balance.toFixed(2)),
+            returnPercent: dailyReturn === null ? null : dailyReturn * 100,
+            cumulativeReturnPercent: (growth - 1) * 100,
+            drawdownPercent: (growth / peak - 1) * 100,
+        });
+    });
+    return points;
+};
 
-            if (processedLine === '') {
-                y += lineHeight;
-                continue;
-            }
+// Time-weighted return of each period: the daily returns inside it, compounded.
+const getPeriodReturns = (curve: BalancePoint[], granularity: 'day' | 'week' | 'month'): { period: string; label: string; returnPercent: number }[] => {
+    const growthByPeriod: { [period: string]: number } = {};
+    curve.forEach(point => {
+        if (point.returnPercent === null) return;
+        const period = getPeriodKey(point.date, granularity);
+        growthByPeriod[period] = (growthByPeriod[period] ?? 1) * (1 + point.returnPercent / 100);
+    });
+    return Object.keys(growthByPeriod).sort().map(period => ({
+        period,
+        label: formatPeriodLabel(period, granularity),
+        returnPercent: (growthByPeriod[period] - 1) * 100,
+    }));
+};
 
-            if (processedLine.startsWith('## ')) {
-                y += lineHeight * 1.5;
-                y = checkPageEnd(y);
-                pdf.setFontSize(14);
-                pdf.setFont('helvetica', 'bold');
-                const title = processedLine.substring(3).replace(/\*\*/g, '');
-                const splitTitle = pdf.splitTextToSize(title, maxWidth);
-                pdf.text(splitTitle, margin, y);
-                y += splitTitle.length * (lineHeight + 2);
-            } else if (processedLine.startsWith('- ')) {
-                pdf.setFontSize(11);
-                const bulletPoint = '• ';
-                const bulletWidth = pdf.getStringUnitWidth(bulletPoint) * pdf.getFontSize() / pdf.internal.scaleFactor;
-                pdf.text(bulletPoint, margin + 5, y);
-                
-                const itemText = processedLine.substring(2).trim();
-                y = addWrappedTextWithBold(pdf, itemText, margin + 5 + bulletWidth, y, maxWidth - 5 - bulletWidth, lineHeight);
-                y += lineHeight;
-            } else {
-                pdf.setFontSize(11);
-                y = addWrappedTextWithBold(pdf, processedLine, margin, y, maxWidth, lineHeight);
-                y += lineHeight;
+// Deepest point under water and the longest stretch from a peak until a new one,
+// measured in calendar days. A drawdown still open at the end counts up to the last point.
+const getDrawdownMarkers = (curve: EquityPoint[]): DrawdownMarkers => {
+    const markers: DrawdownMarkers = { deepestIndex: null, recoveryStart: null, recoveryEnd: null, recoveryDays: 0, recovered: false };
+    const periodTime = (period: string) => new Date(`${period.length === 7 ? `${period}-01` : period}T00:00:00Z`).getTime();
+    let spanStart: number | null = null;
+
+    curve.forEach((point, i) => {
+        const underwater = point.drawdown < 0;
+        if (underwater) {
+            if (markers.deepestIndex === null || point.drawdown < curve[markers.deepestIndex].drawdown) markers.deepestIndex = i;
+            if (spanStart === null) spanStart = Math.max(0, i - 1);
+        }
+        if (spanStart !== null && (!underwater || i === curve.length - 1)) {
+            const days = Math.round((periodTime(point.period) - periodTime(curve[spanStart].period)) / 86400000);
+            if (days > markers.recoveryDays) {
+                Object.assign(markers, { recoveryStart: spanStart, recoveryEnd: i, recoveryDays: days, recovered: !underwater });
             }
+            spanStart = null;
         }
-        
-        pdf.save(`relatorio-ia-trades_${new Date().toISOString().split('T')[0]}.pdf`);
-
-    } catch (error) {
-        console.error("Error generating AI PDF report:", error);
-        alert('Falha ao gerar o relatório com IA. Verifique o console para mais detalhes.');
-    } finally {
-        exportButton.textContent = 'Exportar Relatório IA';
-        exportButton.removeAttribute('disabled');
-    }
+    });
+    return markers;
 };
 
+// REG combinations: one entry per distinct value tuple of the chosen dimensions.
+const REG_DIMENSIONS: { key: 'region' | 'structure' | 'trigger'; label: string }[] = [
+    { key: 'region', label: 'Região' },
+    { key: 'structure', label: 'Estrutura' },
+    { key: 'trigger', label: 'Gatilho' },
+];
+const REG_MATRIX_MIN_SAMPLE = 10;
+
+const calculateRegCombinations = (data: Trade[], dimensions: ('region' | 'structure' | 'trigger')[]): RegCombination[] => {
+    const groups: { [key: string]: Trade[] } = {};
+    data.forEach(trade => {
+        const key = JSON.stringify(dimensions.map(d => trade[d]));
+        (groups[key] = groups[key] || []).push(trade);
+    });
 
-const handleImport = (event: Event) => {
-    const input = event.target as HTMLInputElement;
-    const file = input.files?.[0];
-    if (!file) return;
+    return Object.values(groups).map(group => {
+        const values: RegCombination['values'] = {};
+        dimensions.forEach(d => { values[d] = group[0][d]; });
+        const results = group.map(getTradeResult);
+        const wins = results.filter(r => r > 0);
+        const losses = results.filter(r => r <= 0);
+        const winRate = wins.length / group.length;
+        const averageGain = wins.length > 0 ? wins.reduce((acc, r) => acc + r, 0) / wins.length : 0;
+        const averageLoss = losses.length > 0 ? losses.reduce((acc, r) => acc + r, 0) / losses.length : 0;
+        return {
+            values,
+            count: group.length,
+            winRate: winRate * 100,
+            total: results.reduce((acc, r) => acc + r, 0),
+            averagePoints: group.reduce((acc, t) => acc + t.points, 0) / group.length,
+            expectancy: winRate * averageGain + (1 - winRate) * averageLoss,
+        };
+    });
+};
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const text = e.target?.result as string;
-        if (!text) {
-            alert("O arquivo está vazio ou não pôde ser lido.");
-            return;
-        }
+// The matrix as a pivot: one row per combination of the dimensions shown but the last, one column
+// per value of the last, and the totals of each row and column on the margins.
+const calculateRegPivot = (data: Trade[], dimensions: ('region' | 'structure' | 'trigger')[]): RegPivot => {
+    const rowDimensions = dimensions.slice(0, -1);
+    const columnDimension = dimensions[dimensions.length - 1];
+    const cells = new Map(calculateRegCombinations(data, dimensions).map(c => [JSON.stringify(dimensions.map(d => c.values[d])), c]));
+    const columnTotals = calculateRegCombinations(data, [columnDimension])
+        .sort((a, b) => a.values[columnDimension]!.localeCompare(b.values[columnDimension]!, 'pt-BR'));
+    const columns = columnTotals.map(c => c.values[columnDimension]!);
+    return {
+        rowDimensions,
+        columnDimension,
+        columns,
+        rows: calculateRegCombinations(data, rowDimensions).map(total => ({
+            total,
+            cells: columns.map(column => cells.get(JSON.stringify([...rowDimensions.map(d => total.values[d]), column])) || null),
+        })),
+        columnTotals,
+        total: calculateRegCombinations(data, [])[0] || null,
+    };
+};
 
-        try {
-            const lines = text.trim().split(/\r?\n/);
-            const headerLine = lines.shift();
-            if (!headerLine) throw new Error("CSV inválido: Sem cabeçalhos.");
-
-            const importHeaderMapping: { [key: string]: keyof Omit<Trade, 'notes'> } = {
-                'Resultado Monetário/R$': 'result',
-                'Resultado Pontos': 'points',
-                'Contratos/Quantidade': 'lots'
-            };
+// Label/value pairs shared by the statistics table, the PDF report and the AI prompts.
+const getPerformanceStatsLines = (stats: PerformanceStats): [string, string][] => {
+    const formatRatio = (value: number | null) => value === null ? '-' : value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatPercent = (value: number | null) => value === null ? '-' : `${value.toFixed(1)}%`;
+    return [
+        ['Operações (gains / losses)', `${stats.tradeCount} (${stats.winCount} / ${stats.lossCount})`],
+        ['Resultado total', formatCurrency(stats.totalResult)],
+        ['Lucro bruto / Prejuízo bruto', `${formatCurrency(stats.grossProfit)} / ${formatCurrency(-stats.grossLoss)}`],
+        ['Fator de lucro', stats.profitFactor === null && stats.grossProfit > 0 ? '∞' : formatRatio(stats.profitFactor)],
+        ['Payoff (ganho médio / perda média)', formatRatio(stats.payoffRatio)],
+        ['Expectativa por operação', formatCurrency(stats.expectancy)],
+        ['Ganho médio', formatCurrency(stats.averageGain)],
+        ['Perda média', formatCurrency(stats.averageLoss)],
+        ['Maior gain', formatCurrency(stats.largestWin)],
+        ['Maior loss', formatCurrency(stats.largestLoss)],
+        ['Máx. gains consecutivos', String(stats.maxConsecutiveWins)],
+        ['Máx. losses consecutivos', String(stats.maxConsecutiveLosses)],
+        ['Drawdown máximo', formatCurrency(-stats.maxDrawdown)],
+        ['Drawdown máximo (% do pico)', formatPercent(stats.maxDrawdownPercent)],
+        ['Fator de recuperação', formatRatio(stats.recoveryFactor)],
+        ['Sharpe (diário, anualizado)', formatRatio(stats.sharpeRatio)],
+        ['Sortino (diário, anualizado)', formatRatio(stats.sortinoRatio)],
+        ['Dias operados', String(stats.tradingDays)],
+        ['Dias positivos', formatPercent(stats.tradingDays > 0 ? stats.positiveDaysPercent : null)],
+    ];
+};
 
-            const headers = headerLine.split(',').map(h => {
-                const trimmedHeader = h.trim();
-                return importHeaderMapping[trimmedHeader] || (trimmedHeader as keyof Trade);
-            });
+// --- TAXES (IR DAY TRADE) ---
+// Monthly day-trade income tax: 20% over the net monthly profit after offsetting
+// accumulated losses, minus the 1% IRRF withheld on each profitable day. DARFs under
+// R$ 10,00 are not paid; the amount rolls into the next month's DARF.
+const DAY_TRADE_TAX_RATE = 0.2;
+const DAY_TRADE_IRRF_RATE = 0.01;
+const DARF_MINIMUM = 10;
+const DARF_CODE = '6015';
+
+const calculateMonthlyTaxes = (data: Trade[]): MonthlyTax[] => {
+    const tradesByMonth: { [month: string]: Trade[] } = {};
+    data.forEach(trade => {
+        const month = trade.date.slice(0, 7);
+        (tradesByMonth[month] = tradesByMonth[month] || []).push(trade);
+    });
 
-            const importedTrades = lines.map((line, index) => {
-                const values = line.split(',');
-                if (values.length !== headers.length) {
-                    console.warn(`Pulando linha mal formada ${index + 2}: ${line}`);
-                    return null;
-                }
-                const tradeObject: { [key: string]: any } = {};
-                headers.forEach((header, i) => {
-                    tradeObject[header] = values[i].trim();
-                });
-                
-                return {
-                    id: parseInt(tradeObject.id, 10),
-                    asset: tradeObject.asset,
-                    tradeNumber: parseInt(tradeObject.tradeNumber, 10),
-                    side: tradeObject.side as 'Compra' | 'Venda',
-                    date: tradeObject.date,
-                    lots: parseFloat(tradeObject.lots),
-                    entryPrice: parseFloat(tradeObject.entryPrice),
-                    exitPrice: parseFloat(tradeObject.exitPrice),
-                    points: parseFloat(tradeObject.points),
-                    result: parseFloat(tradeObject.result),
-                    region: tradeObject.region,
-                    structure: tradeObject.structure,
-                    trigger: tradeObject.trigger,
-                };
-            }).filter((trade): trade is Trade => trade !== null && !isNaN(trade.id));
-
-            const existingIds = new Set(trades.map(t => t.id));
-            const newTrades = importedTrades.filter(t => !existingIds.has(t.id));
-
-            if (newTrades.length > 0) {
-                trades = [...trades, ...newTrades].sort((a, b) => a.id - b.id);
-                saveState();
-                if (googleAuthState.isSignedIn) {
-                    syncToSheet({ silent: true });
-                }
-                render();
-                alert(`${newTrades.length} nova(s) operação(ões) importada(s) com sucesso!`);
-            } else {
-                alert("Nenhuma nova operação encontrada no arquivo importado.");
-            }
-        } catch (error) {
-            console.error("Erro ao importar CSV:", error);
-            alert("Falha ao importar CSV. Verifique o formato do arquivo e o console para erros.");
-        } finally {
-            input.value = '';
+    let lossCarry = 0;
+    let irrfCredit = 0;
+    let pendingDarf = 0;
+    const round = (value: number) => parseFloat(value.toFixed(2));
+
+    return Object.keys(tradesByMonth).sort().map(month => {
+        const monthTrades = tradesByMonth[month];
+        const grossResult = monthTrades.reduce((acc, t) => acc + t.grossResult, 0);
+        const costs = monthTrades.reduce((acc, t) => acc + t.costs, 0);
+        const netResult = monthTrades.reduce((acc, t) => acc + t.netResult, 0);
+
+        const netByDay: { [date: string]: number } = {};
+        monthTrades.forEach(t => { netByDay[t.date] = (netByDay[t.date] || 0) + t.netResult; });
+        const irrf = round(Object.values(netByDay).reduce((acc, dayNet) => acc + Math.max(0, dayNet) * DAY_TRADE_IRRF_RATE, 0));
+
+        const lossCarryIn = lossCarry;
+        let taxableBase = 0;
+        if (netResult < 0) {
+            lossCarry = round(lossCarry - netResult);
+        } else {
+            const offset = Math.min(lossCarry, netResult);
+            lossCarry = round(lossCarry - offset);
+            taxableBase = round(netResult - offset);
         }
-    };
-    reader.onerror = () => {
-        alert("Erro ao ler o arquivo.");
-        input.value = '';
-    };
-    reader.readAsText(file);
+
+        const taxDue = round(taxableBase * DAY_TRADE_TAX_RATE);
+        const availableIrrf = irrfCredit + irrf;
+        const irrfUsed = round(Math.min(availableIrrf, taxDue));
+        irrfCredit = round(availableIrrf - irrfUsed);
+
+        const carriedFromPrevious = pendingDarf;
+        const payable = round(taxDue - irrfUsed + pendingDarf);
+        const darfAmount = payable >= DARF_MINIMUM ? payable : 0;
+        pendingDarf = payable >= DARF_MINIMUM ? 0 : payable;
+
+        return {
+            month,
+            tradeCount: monthTrades.length,
+            grossResult: round(grossResult),
+            costs: round(costs),
+            netResult: round(netResult),
+            lossCarryIn,
+            taxableBase,
+            taxDue,
+            irrf,
+            irrfUsed,
+            carriedFromPrevious,
+            darfAmount,
+            carriedToNext: pendingDarf,
+            lossCarryOut: lossCarry,
+            dueDate: getDarfDueDate(month),
+        };
+    });
 };
 
+// DARF 6015 is due on the last business day of the following month (holidays not considered).
+const getDarfDueDate = (month: string): string => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const dueDate = new Date(year, monthNumber + 1, 0);
+    while (dueDate.getDay() === 0 || dueDate.getDay() === 6) {
+        dueDate.setDate(dueDate.getDate() - 1);
+    }
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${dueDate.getFullYear()}-${pad(dueDate.getMonth() + 1)}-${pad(dueDate.getDate())}`;
+};
 
-const applyFilters = (): Trade[] => {
-    return trades.filter(trade => {
-        const assetMatch = !filters.asset || trade.asset.toLowerCase().includes(filters.asset.toLowerCase());
-        const sideMatch = filters.side === 'Todos' || trade.side === filters.side;
-        const dateMatch = (!filters.startDate || trade.date >= filters.startDate) && (!filters.endDate || trade.date <= filters.endDate);
-        const resultMatch = filters.result === 'Todos' || (filters.result === 'Gain' && trade.result > 0) || (filters.result === 'Loss' && trade.result <= 0);
-        const regionMatch = filters.region === 'Todos' || trade.region === filters.region;
-        const structureMatch = filters.structure === 'Todos' || trade.structure === filters.structure;
-        const triggerMatch = filters.trigger === 'Todos' || trade.trigger === filters.trigger;
-        return assetMatch && sideMatch && dateMatch && resultMatch && regionMatch && structureMatch && triggerMatch;
-    });
+const formatMonthLabel = (month: string): string => {
+    const label = new Date(`${month}-01T00:00:00`).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+    return label.charAt(0).toUpperCase() + label.slice(1);
 };
 
-const updateFilters = (event: Event) => {
-    const el = event.target as HTMLInputElement | HTMLSelectElement;
-    (filters as any)[el.name] = el.value;
-    
-    // Debounce text input to prevent re-render on every keystroke
-    if (el.type === 'text') {
-        debouncedRender();
-    } else {
-        render(); // Render immediately for selects and date picker
+const formatCurrency = (value: number): string => value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+const getTaxStatementLines = (tax: MonthlyTax): [string, string][] => [
+    ['Operações', String(tax.tradeCount)],
+    ['Resultado bruto', formatCurrency(tax.grossResult)],
+    ['Custos operacionais', formatCurrency(tax.costs)],
+    ['Resultado líquido', formatCurrency(tax.netResult)],
+    ['Prejuízo a compensar (início do mês)', formatCurrency(tax.lossCarryIn)],
+    ['Base de cálculo', formatCurrency(tax.taxableBase)],
+    [`Imposto devido (${DAY_TRADE_TAX_RATE * 100}%)`, formatCurrency(tax.taxDue)],
+    ['IRRF retido (1%)', formatCurrency(tax.irrf)],
+    ['IRRF compensado', formatCurrency(tax.irrfUsed)],
+    ['DARF abaixo do mínimo de meses anteriores', formatCurrency(tax.carriedFromPrevious)],
+    [`DARF a pagar (código ${DARF_CODE})`, formatCurrency(tax.darfAmount)],
+    ['Vencimento', new Date(`${tax.dueDate}T00:00:00`).toLocaleDateString('pt-BR')],
+    ['Valor transferido para o próximo mês', formatCurrency(tax.carriedToNext)],
+    ['Prejuízo a compensar (fim do mês)', formatCurrency(tax.lossCarryOut)],
+];
+
+const exportTaxStatementCSV = (month: string) => {
+    const tax = calculateMonthlyTaxes(getTaxableTrades()).find(t => t.month === month);
+    if (!tax) return;
+
+    const quote = (value: string | number) => `"${String(value).replace(/"/g, '""')}"`;
+    const summaryRows = getTaxStatementLines(tax).map(([label, value]) => [label, value].map(quote).join(';'));
+    const tradeRows = getTaxableTrades()
+        .filter(t => t.date.startsWith(month))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(t => [t.date, t.asset, t.side, t.lots, t.grossResult, t.costs, t.netResult].map(v => quote(typeof v === 'number' ? String(v).replace('.', ',') : v)).join(';'));
+
+    const content = [
+        quote(`Apuração IR Day Trade - ${formatMonthLabel(month)}`),
+        ...summaryRows,
+        '',
+        ['Data', 'Ativo', 'Lado', 'Lotes', 'Resultado Bruto', 'Custos', 'Resultado Líquido'].map(quote).join(';'),
+        ...tradeRows,
+    ].join('\n');
+
+    downloadCsv(content, `ir-day-trade_${month}.csv`);
+};
+
+const exportTaxStatementPDF = (month: string) => {
+    const tax = calculateMonthlyTaxes(getTaxableTrades()).find(t => t.month === month);
+    if (!tax) return;
+
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const margin = 15;
+    const lineHeight = 6;
+    let y = margin;
+
+    const checkPageEnd = (currentY: number) => {
+        if (currentY > pageHeight - margin) {
+            pdf.addPage();
+            return margin;
+        }
+        return currentY;
+    };
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text(`Apuração de IR Day Trade - ${formatMonthLabel(month)}`, margin, y);
+    y += lineHeight * 2;
+
+    pdf.setFontSize(11);
+    for (const [label, value] of getTaxStatementLines(tax)) {
+        y = checkPageEnd(y);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(label, margin, y);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(value, pageWidth - margin, y, { align: 'right' });
+        y += lineHeight;
     }
+
+    y += lineHeight;
+    pdf.line(margin, y - 4, pageWidth - margin, y - 4);
+    pdf.setFontSize(9);
+    const columns = [margin, margin + 25, margin + 55, margin + 75, margin + 95, margin + 130, margin + 155];
+    const header = ['Data', 'Ativo', 'Lado', 'Lotes', 'Bruto (R$)', 'Custos', 'Líquido (R$)'];
+    pdf.setFont('helvetica', 'bold');
+    header.forEach((text, i) => pdf.text(text, columns[i], y));
+    y += lineHeight;
+
+    pdf.setFont('helvetica', 'normal');
+    getTaxableTrades()
+        .filter(t => t.date.startsWith(month))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(t => {
+            y = checkPageEnd(y);
+            const cells = [
+                new Date(`${t.date}T00:00:00`).toLocaleDateString('pt-BR'),
+                t.asset,
+                t.side,
+                String(t.lots),
+                t.grossResult.toLocaleString('pt-BR', { minimumFractionDigits: 2 }),
+                t.costs.toLocaleString('pt-BR', { minimumFractionDigits: 2 }),
+                t.netResult.toLocaleString('pt-BR', { minimumFractionDigits: 2 }),
+            ];
+            cells.forEach((text, i) => pdf.text(text, columns[i], y));
+            y += lineHeight;
+        });
+
+    y = checkPageEnd(y + lineHeight);
+    pdf.setFontSize(8);
+    pdf.text('Valores estimados a partir do diário. Confira com as notas de corretagem antes de emitir o DARF.', margin, y);
+
+    pdf.save(`ir-day-trade_${month}.pdf`);
 };
 
 // --- RENDERING ---
@@ -1364,6 +5572,155 @@ const renderAIInsightCard = () => {
 };
 
 
+const renderJournalView = (filteredTrades: Trade[], dateSubtitle: string) => `
+        <div class="card" id="performance-dashboard-card">
+             <div class="dashboard-header">
+                <h2>Dashboard de Performance ${dateSubtitle}</h2>
+                <div class="result-mode-toggle" role="group" aria-label="Resultado bruto ou líquido">
+                    <button type="button" class="btn ${resultMode === 'gross' ? 'btn-primary' : 'btn-secondary'}" data-result-mode="gross" aria-pressed="${resultMode === 'gross'}">Bruto</button>
+                    <button type="button" class="btn ${resultMode === 'net' ? 'btn-primary' : 'btn-secondary'}" data-result-mode="net" aria-pressed="${resultMode === 'net'}">Líquido</button>
+                </div>
+                <button type="button" id="open-risk-rules" class="btn btn-secondary">Regras de Risco</button>
+                <button type="button" id="open-cash-ledger" class="btn btn-secondary">Caixa</button>
+             </div>
+             ${renderDashboardStats(filteredTrades)}
+             ${renderStatisticsTable(filteredTrades)}
+             <div class="charts">
+                <div class="equity-chart">
+                    <div class="equity-granularity-toggle" role="group" aria-label="Agrupamento da curva de resultado">
+                        ${([['day', 'Dia'], ['week', 'Semana'], ['month', 'Mês']] as const).map(([granularity, label]) => `
+                            <button type="button" class="btn ${equityGranularity === granularity ? 'btn-primary' : 'btn-secondary'}" data-equity-granularity="${granularity}" aria-pressed="${equityGranularity === granularity}">${label}</button>
+                        `).join('')}
+                    </div>
+                    <div class="equity-chart-canvas"><canvas id="pnlChart" role="img" aria-label="Gráfico de linha do resultado acumulado por data"></canvas></div>
+                </div>
+                <div><canvas id="balanceChart" role="img" aria-label="Gráfico de linha do saldo da conta por data"></canvas></div>
+                <div><canvas id="returnsChart" role="img" aria-label="Gráfico de barras do retorno percentual por período"></canvas></div>
+                <div><canvas id="underwaterChart" role="img" aria-label="Gráfico de drawdown a partir do pico do resultado acumulado"></canvas></div>
+                <div><canvas id="winLossChart" role="img" aria-label="Gráfico de rosca da taxa de acertos e erros"></canvas></div>
+                <div><canvas id="triggerChart" role="img" aria-label="Gráfico de barras da taxa de acerto por gatilho"></canvas></div>
+                <div class="time-heatmap">${renderTimeHeatmap(filteredTrades)}</div>
+                <div><canvas id="durationChart" role="img" aria-label="Gráfico de dispersão da duração pelo resultado"></canvas></div>
+                <div><canvas id="sessionChart" role="img" aria-label="Gráfico de barras do resultado por sessão da B3"></canvas></div>
+                <div><canvas id="rMultipleChart" role="img" aria-label="Histograma da distribuição de R-múltiplos"></canvas></div>
+             </div>
+        </div>
+        ${renderAccountsSummary(filteredTrades)}
+        ${renderCalendar()}
+        ${renderRegMatrix()}
+        ${renderMistakesReport(filteredTrades)}
+        <div class="card">
+            <h2>Histórico de Operações</h2>
+            ${renderFilters()}
+            <div class="trade-history">
+                ${renderTradeHistory(filteredTrades)}
+            </div>
+            <div class="actions-footer">
+                <button id="export-pdf" class="btn btn-secondary" ${!ai ? 'disabled title="Funcionalidade de IA desativada. Forneça uma chave de API."' : ''}>Exportar Relatório IA</button>
+                <button id="export-csv" class="btn btn-secondary">Exportar CSV</button>
+                <select id="csv-delimiter" class="csv-delimiter-select" title="Separador do CSV exportado" aria-label="Separador do CSV exportado">
+                    <option value=";" ${csvDelimiter === ';' ? 'selected' : ''}>Ponto e vírgula (Excel)</option>
+                    <option value="," ${csvDelimiter === ',' ? 'selected' : ''}>Vírgula</option>
+                </select>
+                <label for="import-csv-input" class="btn btn-secondary" title="CSV exportado pelo diário ou relatório de execuções do Profit Pro, Tryd ou MetaTrader 5">Importar CSV</label>
+                <input type="file" id="import-csv-input" accept=".csv,.txt,.html,.htm" style="display: none;">
+                <label for="import-note-input" class="btn btn-secondary">Importar Nota (PDF)</label>
+                <input type="file" id="import-note-input" accept=".pdf,application/pdf" style="display: none;">
+                <button id="export-backup" class="btn btn-secondary" title="Diário completo com opções REG e configurações">Exportar Backup</button>
+                <label for="restore-backup-input" class="btn btn-secondary">Restaurar Backup</label>
+                <input type="file" id="restore-backup-input" accept=".json,application/json" style="display: none;">
+            </div>
+        </div>
+`;
+
+const renderViewTabs = () => `
+    <div class="view-tabs" role="tablist" aria-label="Seções do diário">
+        <button type="button" role="tab" class="btn ${activeView === 'journal' ? 'btn-primary' : 'btn-secondary'}" data-view="journal" aria-selected="${activeView === 'journal'}">Diário</button>
+        <button type="button" role="tab" class="btn ${activeView === 'taxes' ? 'btn-primary' : 'btn-secondary'}" data-view="taxes" aria-selected="${activeView === 'taxes'}">Impostos</button>
+    </div>
+`;
+
+const renderTaxView = () => {
+    const monthlyTaxes = calculateMonthlyTaxes(getTaxableTrades());
+    if (monthlyTaxes.length === 0) {
+        return `
+            <div class="card">
+                <h2>Impostos (IR Day Trade)</h2>
+                <p class="empty-state">Nenhuma operação registrada para apurar o imposto.</p>
+            </div>
+        `;
+    }
+
+    const formatAmount = (value: number) => value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const latest = monthlyTaxes[monthlyTaxes.length - 1];
+    const totalDarf = monthlyTaxes.reduce((acc, t) => acc + t.darfAmount, 0);
+    const totalIrrf = monthlyTaxes.reduce((acc, t) => acc + t.irrf, 0);
+
+    return `
+        <div class="card">
+            <h2>Impostos (IR Day Trade)</h2>
+            <div class="dashboard">
+                <div class="stat-card">
+                    <h3>DARF ${DARF_CODE} · ${formatMonthLabel(latest.month)}</h3>
+                    <p>${formatCurrency(latest.darfAmount)}</p>
+                </div>
+                <div class="stat-card">
+                    <h3>Prejuízo a Compensar</h3>
+                    <p class="${latest.lossCarryOut > 0 ? 'loss' : ''}">${formatCurrency(latest.lossCarryOut)}</p>
+                </div>
+                <div class="stat-card">
+                    <h3>Total em DARFs</h3>
+                    <p>${formatCurrency(totalDarf)}</p>
+                </div>
+                <div class="stat-card">
+                    <h3>IRRF Retido</h3>
+                    <p>${formatCurrency(totalIrrf)}</p>
+                </div>
+            </div>
+            <p class="form-hint">Alíquota de ${DAY_TRADE_TAX_RATE * 100}% sobre o resultado líquido de custos, com compensação de prejuízos e do IRRF de 1%. DARFs abaixo de ${formatCurrency(DARF_MINIMUM)} são somados ao mês seguinte. Vencimento no último dia útil do mês seguinte, sem considerar feriados. Inclui todas as contas reais e de mesa proprietária; as de simulador ficam de fora.</p>
+            <div class="trade-history tax-history">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Mês</th>
+                            <th>Ops</th>
+                            <th>Líquido (R$)</th>
+                            <th>Prejuízo Compensado</th>
+                            <th>Base de Cálculo</th>
+                            <th>Imposto (20%)</th>
+                            <th>IRRF</th>
+                            <th>DARF</th>
+                            <th>Vencimento</th>
+                            <th>Relatório</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${[...monthlyTaxes].reverse().map(tax => `
+                            <tr>
+                                <td>${formatMonthLabel(tax.month)}</td>
+                                <td>${tax.tradeCount}</td>
+                                <td class="${tax.netResult >= 0 ? 'gain' : 'loss'}">${formatAmount(tax.netResult)}</td>
+                                <td>${formatAmount(Math.max(0, tax.lossCarryIn - tax.lossCarryOut))}</td>
+                                <td>${formatAmount(tax.taxableBase)}</td>
+                                <td>${formatAmount(tax.taxDue)}</td>
+                                <td>${formatAmount(tax.irrfUsed)}</td>
+                                <td title="${tax.carriedToNext > 0 ? `${formatCurrency(tax.carriedToNext)} abaixo do mínimo, transferido para o mês seguinte` : ''}">
+                                    ${tax.darfAmount > 0 ? `<strong>${formatAmount(tax.darfAmount)}</strong>` : (tax.carriedToNext > 0 ? `<small>${formatAmount(tax.carriedToNext)} →</small>` : '-')}
+                                </td>
+                                <td>${tax.darfAmount > 0 ? new Date(`${tax.dueDate}T00:00:00`).toLocaleDateString('pt-BR') : '-'}</td>
+                                <td class="actions-cell">
+                                    <button type="button" class="btn btn-secondary" data-tax-export="pdf" data-month="${tax.month}" title="Baixar demonstrativo em PDF">PDF</button>
+                                    <button type="button" class="btn btn-secondary" data-tax-export="csv" data-month="${tax.month}" title="Baixar demonstrativo em CSV">CSV</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+};
+
 // FIX: Converted 'render' from a const arrow function to a standard function declaration.
 // This hoists the function, making it available for the 'debouncedRender' constant initialization
 // and fixing the "used before declaration" error.
@@ -1410,32 +5767,24 @@ function render() {
              ${renderAIInsightCard()}
         </div>
         <div class="right-panel">
-            <div class="card" id="performance-dashboard-card">
-                 <h2>Dashboard de Performance ${dateSubtitle}</h2>
-                 ${renderDashboardStats(filteredTrades)}
-                 <div class="charts">
-                    <div><canvas id="pnlChart" role="img" aria-label="Gráfico de linha do resultado acumulado"></canvas></div>
-                    <div><canvas id="winLossChart" role="img" aria-label="Gráfico de rosca da taxa de acertos e erros"></canvas></div>
-                    <div><canvas id="triggerChart" role="img" aria-label="Gráfico de barras da taxa de acerto por gatilho"></canvas></div>
-                 </div>
-            </div>
-            <div class="card">
-                <h2>Histórico de Operações</h2>
-                ${renderFilters()}
-                <div class="trade-history">
-                    ${renderTradeHistory(filteredTrades)}
-                </div>
-                <div class="actions-footer">
-                    <button id="export-pdf" class="btn btn-secondary" ${!ai ? 'disabled title="Funcionalidade de IA desativada. Forneça uma chave de API."' : ''}>Exportar Relatório IA</button>
-                    <button id="export-csv" class="btn btn-secondary">Exportar CSV</button>
-                    <label for="import-csv-input" class="btn btn-secondary">Importar CSV</label>
-                    <input type="file" id="import-csv-input" accept=".csv" style="display: none;">
-                </div>
-            </div>
+            ${renderViewTabs()}
+            ${activeView === 'taxes' ? renderTaxView() : renderJournalView(filteredTrades, dateSubtitle)}
         </div>
         <div id="modal-container">
             ${renderDeleteModal()}
             ${renderManageOptionsModal()}
+            ${renderManageInstrumentsModal()}
+            ${renderManageCostProfilesModal()}
+            ${renderManageAccountsModal()}
+            ${renderCashLedgerModal()}
+            ${renderManageTagsModal()}
+            ${renderManageJournalsModal()}
+            ${renderRiskRulesModal()}
+            ${renderRuleOverrideModal()}
+            ${renderScreenshotLightbox()}
+            ${renderImportWizardModal()}
+            ${renderRestoreBackupModal()}
+            ${renderSyncConflictsModal()}
         </div>
     `;
     renderGoogleAuthHeader();
@@ -1443,32 +5792,141 @@ function render() {
     attachEventListeners();
 }
 
+const formatRetryTime = (at: number) => new Date(at).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const renderSyncStatus = () => {
+    const adapter = getStorageAdapter();
+    if (!adapter.isRemote) {
+        return `<span id="sync-status" class="status-text sync-status sync-status-local" role="status" title="As operações deste diário ficam somente neste navegador">Somente local</span>`;
+    }
+
+    const pending = syncOutbox.length;
+    const lastSync = lastSyncAt ? new Date(lastSyncAt) : null;
+    let state = 'synced';
+    let text = lastSync
+        ? `Sincronizado ${lastSync.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`
+        : 'Nunca sincronizado';
+
+    if (isSyncing) {
+        state = 'syncing';
+        text = 'Sincronizando...';
+    } else if (pending > 0) {
+        const unavailableReason = adapter.unavailableReason();
+        state = syncError ? 'error' : 'pending';
+        text = `${pending} pendente(s)`;
+        if (unavailableReason) text += ` · ${unavailableReason}`;
+        else if (!navigator.onLine) text += ' · offline';
+        else if (outboxRetry.nextAttemptAt) text += ` · nova tentativa às ${formatRetryTime(outboxRetry.nextAttemptAt)}`;
+    } else if (screenshotUploadError) {
+        state = 'error';
+        text = `${screenshots.filter(s => !s.driveFileId).length} imagem(ns) pendente(s)`;
+        if (screenshotUploadRetry.nextAttemptAt) text += ` · nova tentativa às ${formatRetryTime(screenshotUploadRetry.nextAttemptAt)}`;
+    }
+
+    const title = [
+        lastSync ? `Última sincronização: ${lastSync.toLocaleString('pt-BR')}` : 'Nenhuma sincronização concluída',
+        syncError,
+        screenshotUploadError,
+    ].filter(Boolean).join('\n');
+    return `<span id="sync-status" class="status-text sync-status sync-status-${state}" role="status" title="${escapeHtml(title)}">${text}</span>`;
+};
+
+// Refreshes only the indicator, so background syncs do not re-render the page.
+const updateSyncStatus = () => {
+    const statusEl = document.getElementById('sync-status');
+    if (statusEl) statusEl.outerHTML = renderSyncStatus();
+};
+
+const renderAccountSwitcher = () => `
+    <select id="account-select" class="account-select" aria-label="Conta exibida" title="Conta exibida">
+        <option value="${ALL_ACCOUNTS}" ${selectedAccountId === ALL_ACCOUNTS ? 'selected' : ''}>Todas as contas</option>
+        ${accounts.map(a => `<option value="${a.id}" ${a.id === selectedAccountId ? 'selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+    </select>
+    <button id="manage-accounts" class="btn-icon" title="Contas" aria-label="Gerenciar contas">🏦</button>
+`;
+
 const renderGoogleAuthHeader = () => {
     const container = document.getElementById('google-auth-container');
     if (!container) return;
 
     const isConnected = googleAuthState.isSignedIn;
     const disabled = !isGapiReady || !isGisReady;
+    const { backend, spreadsheetId, serverUrl } = getActiveJournal();
+    const journalSwitcher = `
+        <select id="journal-select" class="journal-select" aria-label="Diário ativo" title="Diário ativo">
+            ${journals.map(j => `<option value="${j.id}" ${j.id === activeJournalId ? 'selected' : ''}>${escapeHtml(j.name)}</option>`).join('')}
+        </select>
+        <button id="manage-journals" class="btn-icon" title="Diários e Planilhas" aria-label="Gerenciar diários e planilhas">⚙️</button>
+    `;
     let content = '';
 
-    if (disabled) {
+    if (backend !== 'sheets') {
+        // A local journal has nothing to connect to; the status already says so.
+        content = backend === 'server' ? `
+            <span class="status-text" title="${escapeHtml(serverUrl)}">Servidor</span>
+            <button id="load-history" class="btn btn-secondary" title="Carregar histórico do servidor">Carregar Histórico</button>
+            <button id="sync-journal" class="btn btn-primary" title="Sincronizar com o servidor">Sincronizar</button>
+        ` : '';
+    } else if (disabled) {
         content = `<p class="status-text">Inicializando...</p>`;
     } else if (isConnected) {
         content = `
             <span class="status-text" title="Conectado ao Google Sheets">${googleAuthState.user}</span>
-            <button id="load-sheets" class="btn btn-secondary" title="Carregar histórico da planilha">Carregar Histórico</button>
-            <button id="sync-sheets" class="btn btn-primary" title="Sincronizar com Google Sheets">Sincronizar</button>
+            <button id="load-history" class="btn btn-secondary" title="Carregar histórico da planilha">Carregar Histórico</button>
+            <button id="sync-journal" class="btn btn-primary" title="Sincronizar com Google Sheets">Sincronizar</button>
             <button id="signout-sheets" class="btn btn-secondary" title="Desconectar do Google">Desconectar</button>
         `;
     } else {
         content = `
-            <a href="https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit" target="_blank" rel="noopener noreferrer" class="status-text" style="text-decoration: none; color: var(--text-secondary-color);" title="Ver planilha de destino">Ver Planilha</a>
+            ${spreadsheetId
+                ? `<a href="https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit" target="_blank" rel="noopener noreferrer" class="status-text" style="text-decoration: none; color: var(--text-secondary-color);" title="Ver planilha de destino">Ver Planilha</a>`
+                : `<span class="status-text" title="Vincule uma planilha em Diários e Planilhas">Sem planilha</span>`}
             <button id="auth-sheets" class="btn btn-secondary" title="Conectar com Google Sheets para sincronizar">Conectar ao Google</button>
         `;
     }
-    container.innerHTML = content;
+    container.innerHTML = journalSwitcher + renderAccountSwitcher() + renderSyncStatus() + content;
+};
+
+
+const renderLegRow = (type: 'entry' | 'exit', leg?: Partial<TradeLeg>) => {
+    const label = type === 'entry' ? 'entrada' : 'saída';
+    const formatValue = (value?: number) => value === undefined || isNaN(value) ? '' : String(value).replace('.', ',');
+    return `
+        <div class="leg-row" data-leg-type="${type}">
+            <input type="text" inputmode="decimal" name="${type}-price" placeholder="Preço" aria-label="Preço da ${label}" value="${formatValue(leg?.price)}">
+            <input type="text" inputmode="decimal" name="${type}-quantity" placeholder="Qtd." aria-label="Quantidade da ${label}" value="${formatValue(leg?.quantity)}">
+            <input type="time" name="${type}-time" aria-label="Horário da ${label}" value="${leg?.time || ''}">
+            <button type="button" class="btn-icon remove-leg-btn" title="Remover ${label}" aria-label="Remover ${label}">✖️</button>
+        </div>
+    `;
 };
 
+const renderLegsEditor = (type: 'entry' | 'exit', legs: TradeLeg[]) => `
+    <div class="form-group legs-editor" data-leg-type="${type}">
+        <label>${type === 'entry' ? 'Entradas' : 'Saídas'} <small>(preço · quantidade · horário)</small></label>
+        <div class="leg-rows">
+            ${legs.map(leg => renderLegRow(type, leg)).join('')}
+        </div>
+        <button type="button" class="btn btn-secondary add-leg-btn" data-leg-type="${type}">+ ${type === 'entry' ? 'Entrada' : 'Saída'} parcial</button>
+        <div class="error-message" id="${type}-legs-error"></div>
+    </div>
+`;
+
+const renderFormScreenshots = () => formScreenshots.map((s, i) => `
+    <li class="screenshot-thumbnail">
+        <img src="${getScreenshotUrl(s)}" alt="Imagem ${i + 1} anexada">
+        <button type="button" class="btn-icon btn-remove-screenshot" data-id="${s.id}" title="Remover" aria-label="Remover a imagem ${i + 1}">&times;</button>
+    </li>
+`).join('');
+
+const renderTagChip = (name: string) => `
+    <li class="tag-chip ${isMistakeTag(name) ? 'is-mistake' : ''}">
+        <input type="hidden" name="tags" value="${escapeHtml(name)}">
+        ${escapeHtml(name)}
+        <button type="button" class="btn-remove-tag" aria-label="Remover a tag ${escapeHtml(name)}">&times;</button>
+    </li>
+`;
+
 
 const renderFormFields = (tradeData: Partial<Trade>) => {
     const renderRegSelect = (type: 'region' | 'structure' | 'trigger', label: string, options: string[], selectedValue?: string) => `
@@ -1483,11 +5941,26 @@ const renderFormFields = (tradeData: Partial<Trade>) => {
             <div class="error-message" id="${type}-error"></div>
         </div>
     `;
+    // New trades start with one leg per side sized by the default lots.
+    const entries = tradeData.entries ?? [{ price: tradeData.entryPrice ?? NaN, quantity: tradeData.lots ?? 1 }];
+    const exits = tradeData.exits ?? [{ price: tradeData.exitPrice ?? NaN, quantity: tradeData.lots ?? 1 }];
+    const accountId = tradeData.accountId || getDefaultAccountId();
     
     return `
+        ${accounts.length > 1 ? `
+            <div class="form-group">
+                <label for="account">Conta</label>
+                <select id="account" name="account">
+                    ${accounts.map(a => `<option value="${a.id}" ${a.id === accountId ? 'selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                </select>
+            </div>
+        ` : ''}
         <div class="form-group">
-            <label for="asset">Ativo</label>
+            <label for="asset">
+                Ativo <span role="button" tabindex="0" class="manage-reg-icon manage-instruments-icon" title="Gerenciar Instrumentos">⚙️</span>
+            </label>
             <input type="text" id="asset" name="asset" required value="${tradeData.asset || ''}">
+            <div class="form-hint" id="asset-instrument-hint">${describeInstrument(resolveInstrument(tradeData.asset || ''))}</div>
             <div class="error-message" id="asset-error"></div>
         </div>
         <div class="form-group">
@@ -1496,40 +5969,70 @@ const renderFormFields = (tradeData: Partial<Trade>) => {
             <div class="error-message" id="date-error"></div>
         </div>
         
+        <div class="form-group">
+            <label for="side">Lado</label>
+            <select id="side" name="side">
+                <option value="Compra" ${tradeData.side === 'Compra' ? 'selected' : ''}>Compra</option>
+                <option value="Venda" ${tradeData.side === 'Venda' ? 'selected' : ''}>Venda</option>
+            </select>
+        </div>
+
+        ${renderLegsEditor('entry', entries)}
+        ${renderLegsEditor('exit', exits)}
+        <div class="form-hint legs-summary" id="legs-summary">${describeLegs(entries, exits)}</div>
+
         <div class="form-grid">
             <div class="form-group">
-                <label for="side">Lado</label>
-                <select id="side" name="side">
-                    <option value="Compra" ${tradeData.side === 'Compra' ? 'selected' : ''}>Compra</option>
-                    <option value="Venda" ${tradeData.side === 'Venda' ? 'selected' : ''}>Venda</option>
-                </select>
-            </div>
-            <div class="form-group">
-                <label for="lots">Lotes (Qtd.)</label>
-                <input type="text" inputmode="decimal" id="lots" name="lots" required value="${String(tradeData.lots ?? 1).replace('.', ',')}">
-                <div class="error-message" id="lots-error"></div>
-            </div>
-            <div class="form-group">
-                <label for="entry-price">Preço Entrada</label>
-                <input type="text" inputmode="decimal" id="entry-price" name="entry-price" required value="${String(tradeData.entryPrice ?? '').replace('.', ',')}">
-                <div class="error-message" id="entry-price-error"></div>
+                <label for="stop-price">Stop Planejado</label>
+                <input type="text" inputmode="decimal" id="stop-price" name="stop-price" placeholder="Opcional" value="${String(tradeData.stopPrice ?? '').replace('.', ',')}">
+                <div class="error-message" id="stop-price-error"></div>
             </div>
             <div class="form-group">
-                <label for="exit-price">Preço Saída</label>
-                <input type="text" inputmode="decimal" id="exit-price" name="exit-price" required value="${String(tradeData.exitPrice ?? '').replace('.', ',')}">
-                <div class="error-message" id="exit-price-error"></div>
+                <label for="target-price">Alvo Planejado</label>
+                <input type="text" inputmode="decimal" id="target-price" name="target-price" placeholder="Opcional" value="${String(tradeData.targetPrice ?? '').replace('.', ',')}">
+                <div class="error-message" id="target-price-error"></div>
             </div>
         </div>
         
+        <div class="form-group">
+            <label for="costs">
+                Custos (R$) <span role="button" tabindex="0" class="manage-reg-icon manage-cost-profiles-icon" title="Gerenciar Perfis de Custos">⚙️</span>
+            </label>
+            <input type="text" inputmode="decimal" id="costs" name="costs" placeholder="Automático: ${getActiveCostProfile()?.name || 'sem perfil'}" value="${tradeData.costsOverridden ? String(tradeData.costs ?? '').replace('.', ',') : ''}">
+            <div class="form-hint">Deixe em branco para calcular corretagem, emolumentos e ISS pelo perfil ativo.</div>
+            <div class="error-message" id="costs-error"></div>
+        </div>
+
         <div class="form-section-title">Estratégia REG</div>
         ${renderRegSelect('region', 'Região', regOptions.regions, tradeData.region)}
         ${renderRegSelect('structure', 'Estrutura', regOptions.structures, tradeData.structure)}
         ${renderRegSelect('trigger', 'Gatilho', regOptions.triggers, tradeData.trigger)}
         
+        <div class="form-group">
+            <label for="tag-input">
+                Tags <span role="button" tabindex="0" class="manage-reg-icon manage-tags-icon" title="Gerenciar Tags">⚙️</span>
+            </label>
+            <ul class="tag-chips" id="form-tags">${(tradeData.tags || []).map(renderTagChip).join('')}</ul>
+            <input type="text" id="tag-input" name="tag-input" list="tag-suggestions" placeholder="FOMO, seguiu o plano..." autocomplete="off">
+            <datalist id="tag-suggestions">
+                ${getAllTags().map(t => `<option value="${escapeHtml(t.name)}">${t.isMistake ? 'Erro' : ''}</option>`).join('')}
+            </datalist>
+            <div class="form-hint">Enter ou vírgula adiciona a tag.</div>
+        </div>
+
         <div class="form-group">
             <label for="notes">Notas Adicionais (IA)</label>
             <textarea id="notes" name="notes" rows="4">${tradeData.notes || ''}</textarea>
         </div>
+
+        <div class="form-group">
+            <label for="screenshot-input">Imagens do Gráfico</label>
+            <div class="screenshot-dropzone" id="screenshot-dropzone">
+                <input type="file" id="screenshot-input" accept="image/*" multiple>
+                <span class="form-hint">ou cole (Ctrl+V) ou arraste as imagens para cá</span>
+            </div>
+            <ul class="screenshot-thumbnails" id="form-screenshots">${renderFormScreenshots()}</ul>
+        </div>
     `;
 };
 
@@ -1602,30 +6105,893 @@ const renderManageOptionsModal = () => {
     `;
 };
 
+const renderManageInstrumentsModal = () => {
+    if (!isManagingInstruments) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="manage-instruments-title">
+                <div class="modal-header">
+                    <h2 id="manage-instruments-title">Gerenciar Instrumentos</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">O primeiro instrumento cujo padrão corresponder ao ativo é usado no cálculo. Padrões aceitam * (qualquer sequência), ? (um caractere) e # (um dígito).</p>
+                    <ul class="options-list instruments-list">
+                        ${instruments.map(i => `
+                            <li>
+                                <span>
+                                    <strong>${i.symbol}</strong> ${i.name}
+                                    <small>${i.patterns.join(', ')} · ${i.pointValue.toLocaleString('pt-BR', { maximumFractionDigits: 4 })} ${i.currency}/ponto · tick ${i.tickSize.toLocaleString('pt-BR')}</small>
+                                </span>
+                                <span>
+                                    <button class="btn-icon btn-edit-instrument" data-symbol="${i.symbol}" title="Editar" aria-label="Editar ${i.symbol}">✏️</button>
+                                    <button class="btn-icon btn-delete-option btn-delete-instrument" data-symbol="${i.symbol}" title="Excluir" aria-label="Excluir ${i.symbol}">🗑️</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                        ${instruments.length === 0 ? '<li class="empty-state">Nenhum instrumento cadastrado.</li>' : ''}
+                    </ul>
+                    <form id="instrument-form" novalidate>
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="instrument-symbol">Símbolo</label>
+                                <input type="text" id="instrument-symbol" name="instrument-symbol" placeholder="WDO" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="instrument-name">Nome</label>
+                                <input type="text" id="instrument-name" name="instrument-name" placeholder="Mini Dólar">
+                            </div>
+                            <div class="form-group">
+                                <label for="instrument-patterns">Padrões</label>
+                                <input type="text" id="instrument-patterns" name="instrument-patterns" placeholder="WDO*, WDOFUT" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="instrument-currency">Moeda</label>
+                                <input type="text" id="instrument-currency" name="instrument-currency" value="BRL" maxlength="3" readonly title="Os resultados do diário são calculados em reais">
+                            </div>
+                            <div class="form-group">
+                                <label for="instrument-point-value">Valor do Ponto</label>
+                                <input type="text" inputmode="decimal" id="instrument-point-value" name="instrument-point-value" placeholder="10" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="instrument-tick-size">Tick</label>
+                                <input type="text" inputmode="decimal" id="instrument-tick-size" name="instrument-tick-size" placeholder="0,5" required>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="instrument-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Salvar Instrumento</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderManageJournalsModal = () => {
+    if (!isManagingJournals) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="manage-journals-title">
+                <div class="modal-header">
+                    <h2 id="manage-journals-title">Diários e Planilhas</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">Cada diário guarda as próprias operações neste navegador e sincroniza com a própria planilha do Google ou com um servidor de sincronização da equipe. Use diários separados para conta real e simulador, por exemplo.</p>
+                    <ul class="options-list journals-list">
+                        ${journals.map(j => `
+                            <li>
+                                <span>
+                                    <strong>${escapeHtml(j.name)}</strong> ${j.id === activeJournalId ? '<em>(ativo)</em>' : ''}
+                                    <small>
+                                        ${j.backend === 'server' ? `Servidor ${escapeHtml(j.serverUrl)} · diário "${escapeHtml(j.serverJournal)}"` : ''}
+                                        ${j.backend === 'local' ? 'Somente neste navegador' : ''}
+                                        ${j.backend === 'sheets' ? `
+                                            ${j.spreadsheetId
+                                                ? `<a href="https://docs.google.com/spreadsheets/d/${j.spreadsheetId}/edit" target="_blank" rel="noopener noreferrer">Abrir planilha</a>`
+                                                : 'Sem planilha vinculada'}
+                                            · abas "${escapeHtml(j.tradesSheetName)}" e "${escapeHtml(j.configSheetName)}"
+                                        ` : ''}
+                                    </small>
+                                </span>
+                                <span>
+                                    ${j.id !== activeJournalId ? `<button class="btn-icon btn-activate-journal" data-id="${j.id}" title="Ativar" aria-label="Ativar ${escapeHtml(j.name)}">✅</button>` : ''}
+                                    <button class="btn-icon btn-edit-journal" data-id="${j.id}" title="Editar" aria-label="Editar ${escapeHtml(j.name)}">✏️</button>
+                                    ${j.id !== activeJournalId ? `<button class="btn-icon btn-delete-option btn-delete-journal" data-id="${j.id}" title="Excluir" aria-label="Excluir ${escapeHtml(j.name)}">🗑️</button>` : ''}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <form id="journal-form" novalidate>
+                        <input type="hidden" name="journal-id" value="">
+                        <div class="form-group">
+                            <label for="journal-name">Nome</label>
+                            <input type="text" id="journal-name" name="journal-name" placeholder="Conta real" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="journal-backend">Sincronizar com</label>
+                            <select id="journal-backend" name="journal-backend">
+                                <option value="sheets">Planilha do Google</option>
+                                <option value="server">Servidor de sincronização</option>
+                                <option value="local">Nada (somente neste navegador)</option>
+                            </select>
+                        </div>
+                        <div data-backend-fields="sheets">
+                            <div class="form-group">
+                                <label for="journal-spreadsheet">Planilha <small>(URL ou ID; deixe em branco para criar uma nova)</small></label>
+                                <input type="text" id="journal-spreadsheet" name="journal-spreadsheet" placeholder="https://docs.google.com/spreadsheets/d/...">
+                            </div>
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label for="journal-trades-sheet">Aba de operações</label>
+                                    <input type="text" id="journal-trades-sheet" name="journal-trades-sheet" value="${DEFAULT_TRADES_SHEET_NAME}">
+                                </div>
+                                <div class="form-group">
+                                    <label for="journal-config-sheet">Aba de configuração</label>
+                                    <input type="text" id="journal-config-sheet" name="journal-config-sheet" value="${DEFAULT_CONFIG_SHEET_NAME}">
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="journal-drive-screenshots" name="journal-drive-screenshots">
+                                    Enviar as imagens das operações para o Google Drive
+                                </label>
+                                <div class="form-hint">Cada operação ganha uma pasta, com o link na linha da planilha.</div>
+                            </div>
+                        </div>
+                        <div data-backend-fields="server" hidden>
+                            <div class="form-group">
+                                <label for="journal-server-url">Endereço do servidor</label>
+                                <input type="url" id="journal-server-url" name="journal-server-url" placeholder="http://localhost:8787">
+                            </div>
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label for="journal-server-journal">Diário no servidor <small>(o mesmo nome para toda a equipe)</small></label>
+                                    <input type="text" id="journal-server-journal" name="journal-server-journal" placeholder="conta-real">
+                                </div>
+                                <div class="form-group">
+                                    <label for="journal-server-token">Token de acesso <small>(se o servidor exigir)</small></label>
+                                    <input type="password" id="journal-server-token" name="journal-server-token" autocomplete="off">
+                                </div>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="journal-form-error"></div>
+                        </div>
+                        <div class="journal-form-actions">
+                            <button type="submit" class="btn btn-primary">Salvar Diário</button>
+                            <button type="button" id="create-journal-spreadsheet" class="btn btn-secondary" data-backend-fields="sheets" ${googleAuthState.isSignedIn ? '' : 'disabled'} title="${googleAuthState.isSignedIn ? 'Cria no seu Google Drive uma planilha com as abas do diário' : 'Conecte-se ao Google para criar a planilha'}">Criar Planilha Nova</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderManageCostProfilesModal = () => {
+    if (!isManagingCostProfiles) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const brokerageLabels = { 'per-contract': 'por contrato', 'per-order': 'por ordem', 'percentage': '% do volume' };
+    const exchangeFeeLabels = { 'per-contract': 'por contrato', 'percentage': '% do volume' };
+    const formatNumber = (value: number) => value.toLocaleString('pt-BR', { maximumFractionDigits: 4 });
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="manage-cost-profiles-title">
+                <div class="modal-header">
+                    <h2 id="manage-cost-profiles-title">Perfis de Custos</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">Custos de ida e volta: corretagem, emolumentos/registro B3 e ISS sobre a corretagem. Ao ativar um perfil, as operações sem custos manuais são recalculadas.</p>
+                    <ul class="options-list cost-profiles-list">
+                        ${costProfiles.map(p => `
+                            <li>
+                                <span>
+                                    <strong>${p.name}</strong> ${p.id === activeCostProfileId ? '<em>(ativo)</em>' : ''}
+                                    <small>Corretagem ${formatNumber(p.brokerage)} ${brokerageLabels[p.brokerageType]} · B3 ${formatNumber(p.exchangeFee)} ${exchangeFeeLabels[p.exchangeFeeType]} · ISS ${formatNumber(p.issRate)}%</small>
+                                </span>
+                                <span>
+                                    ${p.id !== activeCostProfileId ? `<button class="btn-icon btn-activate-cost-profile" data-id="${p.id}" title="Ativar" aria-label="Ativar ${p.name}">✅</button>` : ''}
+                                    <button class="btn-icon btn-edit-cost-profile" data-id="${p.id}" title="Editar" aria-label="Editar ${p.name}">✏️</button>
+                                    <button class="btn-icon btn-delete-option btn-delete-cost-profile" data-id="${p.id}" title="Excluir" aria-label="Excluir ${p.name}">🗑️</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <form id="cost-profile-form" novalidate>
+                        <input type="hidden" name="cost-profile-id" value="">
+                        <div class="form-group">
+                            <label for="cost-profile-name">Nome</label>
+                            <input type="text" id="cost-profile-name" name="cost-profile-name" placeholder="Minha corretora" required>
+                        </div>
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="cost-profile-brokerage-type">Corretagem</label>
+                                <select id="cost-profile-brokerage-type" name="cost-profile-brokerage-type">
+                                    <option value="per-contract">Por contrato</option>
+                                    <option value="per-order">Por ordem</option>
+                                    <option value="percentage">% do volume</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="cost-profile-brokerage">Valor</label>
+                                <input type="text" inputmode="decimal" id="cost-profile-brokerage" name="cost-profile-brokerage" value="0">
+                            </div>
+                            <div class="form-group">
+                                <label for="cost-profile-exchange-fee-type">Emolumentos B3</label>
+                                <select id="cost-profile-exchange-fee-type" name="cost-profile-exchange-fee-type">
+                                    <option value="per-contract">Por contrato</option>
+                                    <option value="percentage">% do volume</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="cost-profile-exchange-fee">Valor</label>
+                                <input type="text" inputmode="decimal" id="cost-profile-exchange-fee" name="cost-profile-exchange-fee" value="0">
+                            </div>
+                            <div class="form-group">
+                                <label for="cost-profile-iss">ISS (%)</label>
+                                <input type="text" inputmode="decimal" id="cost-profile-iss" name="cost-profile-iss" value="0">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="cost-profile-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Salvar Perfil</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderManageTagsModal = () => {
+    if (!isManagingTags) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="manage-tags-title">
+                <div class="modal-header">
+                    <h2 id="manage-tags-title">Tags</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">Marque como erro as tags que descrevem falhas de execução, como "FOMO" ou "entrada antecipada". O quanto cada erro custou aparece no relatório Custo dos Erros.</p>
+                    <ul class="options-list tags-list">
+                        ${getAllTags().map(t => `
+                            <li>
+                                <span>
+                                    <strong>${escapeHtml(t.name)}</strong>
+                                    <small>${trades.filter(trade => hasTag(trade, t.name)).length} operação(ões)</small>
+                                </span>
+                                <span>
+                                    <label>
+                                        <input type="checkbox" class="tag-mistake-toggle" data-tag="${escapeHtml(t.name)}" ${t.isMistake ? 'checked' : ''}>
+                                        Erro
+                                    </label>
+                                    <button class="btn-icon btn-delete-option btn-delete-tag" data-tag="${escapeHtml(t.name)}" title="Excluir" aria-label="Excluir ${escapeHtml(t.name)}">🗑️</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                        ${getAllTags().length === 0 ? '<li class="empty-state">Nenhuma tag cadastrada.</li>' : ''}
+                    </ul>
+                    <form id="tag-form" novalidate>
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="tag-name">Nova tag</label>
+                                <input type="text" id="tag-name" name="tag-name" placeholder="Seguiu o plano, notícia..." required>
+                            </div>
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="tag-mistake" name="tag-mistake">
+                                    É um erro
+                                </label>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="tag-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Adicionar Tag</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+
+const renderManageAccountsModal = () => {
+    if (!isManagingAccounts) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="manage-accounts-title">
+                <div class="modal-header">
+                    <h2 id="manage-accounts-title">Contas</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">Cada operação pertence a uma conta. Escolha a conta no cabeçalho para ver as estatísticas só dela, ou "Todas as contas" para o consolidado. Operações de simulador ficam fora da apuração do IR.</p>
+                    <ul class="options-list accounts-list">
+                        ${accounts.map(a => `
+                            <li>
+                                <span>
+                                    <strong>${escapeHtml(a.name)}</strong> <em>(${ACCOUNT_TYPE_LABELS[a.type]})</em>
+                                    <small>${a.broker ? `${escapeHtml(a.broker)} · ` : ''}Capital inicial ${a.initialCapital.toLocaleString('pt-BR', { style: 'currency', currency: a.currency })} · ${trades.filter(t => t.accountId === a.id).length} operação(ões)</small>
+                                </span>
+                                <span>
+                                    <button class="btn-icon btn-edit-account" data-id="${a.id}" title="Editar" aria-label="Editar ${escapeHtml(a.name)}">✏️</button>
+                                    ${a.id !== DEFAULT_ACCOUNT_ID ? `<button class="btn-icon btn-delete-option btn-delete-account" data-id="${a.id}" title="Excluir" aria-label="Excluir ${escapeHtml(a.name)}">🗑️</button>` : ''}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <form id="account-form" novalidate>
+                        <input type="hidden" name="account-id" value="">
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="account-name">Nome</label>
+                                <input type="text" id="account-name" name="account-name" placeholder="Conta real, Simulador, Mesa..." required>
+                            </div>
+                            <div class="form-group">
+                                <label for="account-broker">Corretora / Mesa</label>
+                                <input type="text" id="account-broker" name="account-broker" placeholder="Opcional">
+                            </div>
+                            <div class="form-group">
+                                <label for="account-type">Tipo</label>
+                                <select id="account-type" name="account-type">
+                                    ${Object.entries(ACCOUNT_TYPE_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="account-initial-capital">Capital Inicial</label>
+                                <input type="text" inputmode="decimal" id="account-initial-capital" name="account-initial-capital" value="0">
+                            </div>
+                            <div class="form-group">
+                                <label for="account-currency">Moeda</label>
+                                <input type="text" id="account-currency" name="account-currency" value="BRL" maxlength="3" readonly title="Os resultados do diário são calculados em reais">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="account-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Salvar Conta</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderCashLedgerModal = () => {
+    if (!isManagingCashLedger) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const scope = getAccountsInView();
+    const movements = cashMovements.filter(m => scope.some(a => a.id === m.accountId));
+    const formatMoney = (value: number, accountId: string) =>
+        value.toLocaleString('pt-BR', { style: 'currency', currency: getAccount(accountId)?.currency || 'BRL' });
+    const defaultAccountId = getDefaultAccountId();
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="cash-ledger-title">
+                <div class="modal-header">
+                    <h2 id="cash-ledger-title">Caixa da Conta</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">O saldo parte do capital inicial de cada conta (em Contas 🏦) e soma aportes, retiradas, taxas da plataforma e o resultado líquido das operações. Aportes e retiradas não contam como retorno; as taxas sim.</p>
+                    <ul class="options-list cash-ledger-list">
+                        ${scope.map(a => `
+                            <li>
+                                <span>
+                                    <strong>Capital inicial</strong>${accounts.length > 1 ? ` · ${escapeHtml(a.name)}` : ''}
+                                </span>
+                                <span>${formatMoney(a.initialCapital, a.id)}</span>
+                            </li>
+                        `).join('')}
+                        ${[...movements].reverse().map(m => `
+                            <li>
+                                <span>
+                                    <strong>${CASH_MOVEMENT_LABELS[m.type]}</strong> ${new Date(`${m.date}T00:00:00`).toLocaleDateString('pt-BR')}${accounts.length > 1 ? ` · ${escapeHtml(getAccount(m.accountId)?.name || '')}` : ''}
+                                    ${m.notes ? `<small>${escapeHtml(m.notes)}</small>` : ''}
+                                </span>
+                                <span>
+                                    <span class="${m.type === 'deposit' ? 'gain' : 'loss'}">${m.type === 'deposit' ? '+' : '−'}${formatMoney(m.amount, m.accountId)}</span>
+                                    <button class="btn-icon btn-delete-option btn-delete-cash-movement" data-id="${m.id}" title="Excluir" aria-label="Excluir ${CASH_MOVEMENT_LABELS[m.type].toLowerCase()} de ${m.date}">🗑️</button>
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <form id="cash-movement-form" novalidate>
+                        <div class="form-grid">
+                            ${accounts.length > 1 ? `
+                                <div class="form-group">
+                                    <label for="cash-movement-account">Conta</label>
+                                    <select id="cash-movement-account" name="cash-movement-account">
+                                        ${accounts.map(a => `<option value="${a.id}" ${a.id === defaultAccountId ? 'selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                                    </select>
+                                </div>
+                            ` : ''}
+                            <div class="form-group">
+                                <label for="cash-movement-type">Tipo</label>
+                                <select id="cash-movement-type" name="cash-movement-type">
+                                    ${Object.entries(CASH_MOVEMENT_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="cash-movement-date">Data</label>
+                                <input type="date" id="cash-movement-date" name="cash-movement-date" value="${new Date().toISOString().split('T')[0]}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="cash-movement-amount">Valor</label>
+                                <input type="text" inputmode="decimal" id="cash-movement-amount" name="cash-movement-amount" required>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="cash-movement-notes">Observação</label>
+                            <input type="text" id="cash-movement-notes" name="cash-movement-notes" placeholder="Opcional">
+                        </div>
+                        <div class="form-group">
+                            <div class="error-message" id="cash-movement-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Registrar Movimentação</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderScreenshotLightbox = () => {
+    if (!screenshotLightbox) return '';
+    const { tradeId, index } = screenshotLightbox;
+    const trade = trades.find(t => t.id === tradeId);
+    const tradeScreenshots = getTradeScreenshots(tradeId);
+    if (!trade || !tradeScreenshots[index]) return '';
+
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card screenshot-lightbox" role="dialog" aria-modal="true" aria-labelledby="screenshot-lightbox-title">
+                <div class="modal-header">
+                    <h2 id="screenshot-lightbox-title">Operação #${trade.tradeNumber} · ${escapeHtml(trade.asset)} · ${new Date(trade.date + 'T00:00:00').toLocaleDateString('pt-BR')}</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <img class="screenshot-lightbox-image" src="${getScreenshotUrl(tradeScreenshots[index])}" alt="Imagem ${index + 1} de ${tradeScreenshots.length} da operação ${trade.tradeNumber}">
+                </div>
+                ${tradeScreenshots.length > 1 ? `
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary" data-lightbox-step="-1">‹ Anterior</button>
+                        <span>${index + 1} / ${tradeScreenshots.length}</span>
+                        <button type="button" class="btn btn-secondary" data-lightbox-step="1">Próxima ›</button>
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+};
+
+const renderRuleOverrideModal = () => {
+    if (!pendingRuleOverride) return '';
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="alertdialog" aria-modal="true" aria-labelledby="rule-override-title">
+                <div class="modal-header">
+                    <h2 id="rule-override-title">Limite de Risco Atingido</h2>
+                </div>
+                <form id="rule-override-form" novalidate>
+                    <div class="modal-body">
+                        <ul class="rule-violations">
+                            ${pendingRuleOverride.violations.map(v => `<li>${v}</li>`).join('')}
+                        </ul>
+                        <p>Pelas suas regras, você deveria parar de operar hoje. Para registrar a operação mesmo assim, explique por que está ignorando o limite. A justificativa fica salva na operação.</p>
+                        <div class="form-group">
+                            <label for="override-justification">Justificativa</label>
+                            <textarea id="override-justification" name="override-justification" rows="4" required></textarea>
+                            <div class="error-message" id="override-justification-error"></div>
+                        </div>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary btn-cancel-override">Cancelar</button>
+                        <button type="submit" class="btn btn-danger">Registrar Mesmo Assim</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+};
+
+const renderRiskRulesModal = () => {
+    if (!isManagingRiskRules) return '';
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const formatLimit = (value: number | null) => value === null ? '' : String(value).replace('.', ',');
+    const todayAccountId = getDefaultAccountId();
+    const todayViolations = evaluateRiskRules(new Date().toISOString().split('T')[0], todayAccountId);
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="risk-rules-title">
+                <div class="modal-header">
+                    <h2 id="risk-rules-title">Regras de Risco</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="form-hint">Ao registrar uma operação em um dia que já atingiu um limite, o diário pede uma justificativa antes de salvar. Deixe em branco para desativar a regra.</p>
+                    <form id="risk-rules-form" novalidate>
+                        <div class="form-grid">
+                            <div class="form-group">
+                                <label for="daily-max-loss">Perda Diária Máxima</label>
+                                <input type="text" inputmode="decimal" id="daily-max-loss" name="daily-max-loss" value="${formatLimit(riskRules.dailyMaxLoss)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="daily-max-loss-unit">Unidade</label>
+                                <select id="daily-max-loss-unit" name="daily-max-loss-unit">
+                                    <option value="money" ${riskRules.dailyMaxLossUnit === 'money' ? 'selected' : ''}>R$ (líquido)</option>
+                                    <option value="points" ${riskRules.dailyMaxLossUnit === 'points' ? 'selected' : ''}>Pontos</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="max-trades-per-day">Máx. Operações por Dia</label>
+                                <input type="text" inputmode="numeric" id="max-trades-per-day" name="max-trades-per-day" value="${formatLimit(riskRules.maxTradesPerDay)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="max-consecutive-losses">Máx. Perdas Seguidas</label>
+                                <input type="text" inputmode="numeric" id="max-consecutive-losses" name="max-consecutive-losses" value="${formatLimit(riskRules.maxConsecutiveLosses)}">
+                            </div>
+                        </div>
+                        <p class="form-hint">Hoje em ${escapeHtml(getAccount(todayAccountId)?.name || '')}: ${todayViolations.length > 0 ? todayViolations.join(' ') : 'nenhum limite atingido.'}</p>
+                        <div class="form-group">
+                            <div class="error-message" id="risk-rules-form-error"></div>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Salvar Regras</button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderImportMappingStep = (wizard: ImportWizard) => {
+    const profile = importProfiles.find(p => p.id === wizard.profileId);
+    return `
+        <div class="modal-body">
+            <p class="form-hint">Associe cada coluna do arquivo a um campo do diário. Colunas ignoradas não são importadas. Salve o mapeamento como perfil para reutilizá-lo em arquivos com as mesmas colunas.</p>
+            <div class="import-profile-bar">
+                <select id="import-profile-select" aria-label="Perfil de mapeamento">
+                    <option value="">Perfil de mapeamento...</option>
+                    ${importProfiles.map(p => `<option value="${p.id}" ${p.id === wizard.profileId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+                </select>
+                ${profile ? '<button type="button" id="delete-import-profile" class="btn btn-secondary">Excluir Perfil</button>' : ''}
+                <input type="text" id="import-profile-name" placeholder="Nome do perfil" aria-label="Nome do perfil" value="${profile ? escapeHtml(profile.name) : ''}">
+                <button type="button" id="save-import-profile" class="btn btn-secondary">Salvar Perfil</button>
+            </div>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr><th>Coluna do Arquivo</th><th>Exemplo</th><th>Campo do Diário</th></tr>
+                    </thead>
+                    <tbody>
+                        ${wizard.header.map((label, i) => `
+                            <tr>
+                                <td>${escapeHtml(label)}</td>
+                                <td class="import-sample">${escapeHtml(wizard.rows[0]?.[i] || '')}</td>
+                                <td>
+                                    <select data-import-column="${i}" aria-label="Campo para a coluna ${escapeHtml(label)}">
+                                        <option value="">— Ignorar —</option>
+                                        ${CSV_COLUMNS.map(c => `<option value="${c.key}" ${wizard.mapping[i] === c.key ? 'selected' : ''}>${c.title}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="error-message" id="import-mapping-error"></div>
+        </div>
+        <div class="modal-actions">
+            <button type="button" class="btn btn-secondary btn-cancel-import">Cancelar</button>
+            <button type="button" id="import-wizard-next" class="btn btn-primary">Pré-visualizar</button>
+        </div>
+    `;
+};
+
+const renderImportPreviewStep = (wizard: ImportWizard) => {
+    const preview = getImportPreview(wizard);
+    const valid = preview.filter(row => row.trade !== null);
+    const duplicates = valid.filter(row => row.isDuplicate).length;
+    const confirmedCount = valid.filter(row => !wizard.excludedRows.includes(row.index)).length;
+    const duplicateActions = { skip: 'será ignorada', overwrite: 'substituirá a existente', new: 'entrará como nova' };
+
+    return `
+        <div class="modal-body">
+            <p>${preview.length} registro(s): ${valid.length} válido(s), ${preview.length - valid.length} com erro e ${duplicates} já existente(s). Desmarque as linhas que não devem ser importadas.</p>
+            <div class="form-group">
+                <label for="import-duplicate-mode">Operações já existentes</label>
+                <select id="import-duplicate-mode">
+                    <option value="skip" ${wizard.duplicateMode === 'skip' ? 'selected' : ''}>Ignorar</option>
+                    <option value="overwrite" ${wizard.duplicateMode === 'overwrite' ? 'selected' : ''}>Sobrescrever</option>
+                    <option value="new" ${wizard.duplicateMode === 'new' ? 'selected' : ''}>Importar como nova</option>
+                </select>
+            </div>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr><th><span class="sr-only">Importar</span></th><th>Nº</th><th>Data</th><th>Ativo</th><th>Lado</th><th>Contratos</th><th>Resultado (R$)</th><th>Situação</th></tr>
+                    </thead>
+                    <tbody>
+                        ${preview.map(row => {
+                            const trade = row.trade;
+                            const status = !trade
+                                ? `<ul class="import-errors">${row.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`
+                                : row.isDuplicate ? `Duplicada: ${duplicateActions[wizard.duplicateMode]}` : 'OK';
+                            return `
+                            <tr class="${!trade ? 'import-row-invalid' : row.isDuplicate ? 'import-row-duplicate' : ''}">
+                                <td><input type="checkbox" class="import-row-toggle" data-import-row="${row.index}" aria-label="Importar registro ${row.index + 1}" ${trade && !wizard.excludedRows.includes(row.index) ? 'checked' : ''} ${trade ? '' : 'disabled'}></td>
+                                <td>${row.index + 1}</td>
+                                <td>${trade ? new Date(`${trade.date}T00:00:00`).toLocaleDateString('pt-BR') : ''}</td>
+                                <td>${trade ? escapeHtml(trade.asset) : ''}</td>
+                                <td>${trade ? trade.side : ''}</td>
+                                <td>${trade ? trade.lots : ''}</td>
+                                <td class="${trade ? (getTradeResult(trade) >= 0 ? 'gain' : 'loss') : ''}">${trade ? getTradeResult(trade).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : ''}</td>
+                                <td>${status}</td>
+                            </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        <div class="modal-actions">
+            <button type="button" id="import-wizard-back" class="btn btn-secondary">Voltar</button>
+            <button type="button" class="btn btn-secondary btn-cancel-import">Cancelar</button>
+            <button type="button" id="import-wizard-confirm" class="btn btn-primary" ${confirmedCount === 0 ? 'disabled' : ''}>Importar ${confirmedCount} Registro(s)</button>
+        </div>
+    `;
+};
+
+const renderImportSummaryStep = (summary: ImportSummary) => `
+    <div class="modal-body">
+        <ul class="import-summary">
+            <li><strong>${summary.imported}</strong> operação(ões) importada(s)</li>
+            <li><strong>${summary.overwritten}</strong> operação(ões) sobrescrita(s)</li>
+            <li><strong>${summary.skipped}</strong> duplicada(s) ignorada(s)</li>
+            <li><strong>${summary.invalid}</strong> registro(s) com erro</li>
+            <li><strong>${summary.excluded}</strong> registro(s) desmarcado(s)</li>
+        </ul>
+        ${summary.imported + summary.overwritten > 0 ? '<p class="form-hint">Operações sem Região, Estrutura ou Gatilho ficam pendentes de classificação.</p>' : ''}
+    </div>
+    <div class="modal-actions">
+        <button type="button" id="import-wizard-done" class="btn btn-primary">Concluir</button>
+    </div>
+`;
+
+const renderImportWizardModal = () => {
+    if (!importWizard) return '';
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const wizard = importWizard;
+    const steps: [ImportWizard['step'], string][] = [['mapping', 'Mapeamento'], ['preview', 'Pré-visualização'], ['summary', 'Resumo']];
+    const body = wizard.step === 'mapping' ? renderImportMappingStep(wizard)
+        : wizard.step === 'preview' ? renderImportPreviewStep(wizard)
+        : renderImportSummaryStep(wizard.summary!);
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content modal-wide card" role="dialog" aria-modal="true" aria-labelledby="import-wizard-title">
+                <div class="modal-header">
+                    <h2 id="import-wizard-title">Importar ${escapeHtml(wizard.fileName)}</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <ol class="import-steps">
+                    ${steps.map(([step, label]) => `<li class="${step === wizard.step ? 'is-current' : ''}" ${step === wizard.step ? 'aria-current="step"' : ''}>${label}</li>`).join('')}
+                </ol>
+                ${body}
+            </div>
+        </div>
+    `;
+};
+
+const renderSyncConflictsModal = () => {
+    if (!syncConflicts) return '';
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const renderValue = (value?: string) => value ? escapeHtml(value) : '<em>vazio</em>';
+    const describeVersion = (trade: Trade) => {
+        const when = trade.updatedAt && !isNaN(Date.parse(trade.updatedAt)) ? `, ${new Date(trade.updatedAt).toLocaleString('pt-BR')}` : '';
+        return `revisão ${trade.revision ?? 0}${when}`;
+    };
+
+    const renderConflict = (conflict: SyncConflict) => {
+        const { id, local, remote, base } = conflict;
+        const localSnapshot = toSyncSnapshot(local);
+        const remoteSnapshot = toSyncSnapshot(remote);
+        const rows = SYNC_FIELDS.filter(field => conflict.fields.includes(field.key)).map(field => {
+            const changedOnBothSides = conflict.remoteChanged.includes(field.key) && localSnapshot[field.key] !== base[field.key];
+            const pickRemote = conflict.remoteChanged.includes(field.key) && !changedOnBothSides;
+            const name = `conflict-${id}-${field.key}`;
+            return `
+                <tr class="${changedOnBothSides ? 'sync-field-conflict' : ''}">
+                    <th scope="row">${field.label}</th>
+                    <td>${renderValue(base[field.key])}</td>
+                    <td><label><input type="radio" name="${name}" value="local" data-conflict-id="${id}" ${pickRemote ? '' : 'checked'}> ${renderValue(localSnapshot[field.key])}</label></td>
+                    <td><label><input type="radio" name="${name}" value="remote" data-conflict-id="${id}" ${pickRemote ? 'checked' : ''}> ${renderValue(remoteSnapshot[field.key])}</label></td>
+                </tr>
+            `;
+        }).join('');
+        return `
+            <section class="sync-conflict">
+                <h3>${new Date(`${local.date}T00:00:00`).toLocaleDateString('pt-BR')} · nº ${local.tradeNumber} · ${escapeHtml(local.asset)} ${local.side}</h3>
+                <div class="sync-conflict-picks">
+                    <button type="button" class="btn btn-secondary" data-conflict-pick="local" data-conflict-id="${id}">Tudo deste aparelho</button>
+                    <button type="button" class="btn btn-secondary" data-conflict-pick="remote" data-conflict-id="${id}">Tudo da planilha</button>
+                </div>
+                <div class="table-container">
+                    <table class="sync-conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Campo</th>
+                                <th>Última sincronização</th>
+                                <th>Neste aparelho <small>(${describeVersion(local)})</small></th>
+                                <th>Na planilha <small>(${describeVersion(remote)})</small></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    };
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content modal-wide card" role="dialog" aria-modal="true" aria-labelledby="sync-conflicts-title">
+                <div class="modal-header">
+                    <h2 id="sync-conflicts-title">Conflitos de Sincronização</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <form id="sync-conflicts-form" novalidate>
+                    <div class="modal-body">
+                        <p>${syncConflicts.length} operação(ões) mudaram neste aparelho e na planilha desde a última sincronização. Escolha, campo a campo, a versão que fica; os campos alterados dos dois lados estão destacados.</p>
+                        ${syncConflicts.map(renderConflict).join('')}
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary btn-cancel-conflicts">Decidir Depois</button>
+                        <button type="submit" class="btn btn-primary">Aplicar e Sincronizar</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+};
+
+const renderRestoreBackupModal = () => {
+    if (!pendingRestore) return '';
+    const mainContent = document.querySelector('main');
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+
+    const restore = pendingRestore;
+    const diff = diffBackupTrades(restore);
+    const describeTrade = (trade: Trade) => `${new Date(`${trade.date}T00:00:00`).toLocaleDateString('pt-BR')} · nº ${trade.tradeNumber} · ${escapeHtml(trade.asset)} ${trade.side}`;
+    const renderDiffGroup = (label: string, list: Trade[]) => list.length === 0
+        ? `<li><strong>0</strong> ${label}</li>`
+        : `<li><details><summary><strong>${list.length}</strong> ${label}</summary><ul>${list.map(t => `<li>${describeTrade(t)}</li>`).join('')}</ul></details></li>`;
+
+    return `
+        <div class="modal-overlay">
+            <div class="modal-content card" role="dialog" aria-modal="true" aria-labelledby="restore-backup-title">
+                <div class="modal-header">
+                    <h2 id="restore-backup-title">Restaurar Backup</h2>
+                    <button class="btn-close-modal" aria-label="Fechar modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>${escapeHtml(restore.fileName)}: ${restore.trades.length} operação(ões) e ${restore.screenshots.length} imagem(ns), exportado em ${new Date(restore.exportedAt).toLocaleString('pt-BR')}.</p>
+                    <fieldset class="restore-mode">
+                        <legend>Modo</legend>
+                        <label>
+                            <input type="radio" name="restore-mode" value="merge" ${restore.mode === 'merge' ? 'checked' : ''}>
+                            <span><strong>Mesclar</strong> <small>Mantém as operações e configurações locais. Operações e imagens do backup substituem as de mesmo ID; opções REG, instrumentos e perfis ausentes são adicionados.</small></span>
+                        </label>
+                        <label>
+                            <input type="radio" name="restore-mode" value="replace" ${restore.mode === 'replace' ? 'checked' : ''}>
+                            <span><strong>Substituir</strong> <small>O diário e as configurações passam a ser exatamente os do backup.</small></span>
+                        </label>
+                    </fieldset>
+                    <ul class="backup-diff">
+                        ${renderDiffGroup('operação(ões) adicionada(s)', diff.added)}
+                        ${renderDiffGroup('operação(ões) alterada(s)', diff.changed)}
+                        ${renderDiffGroup('operação(ões) removida(s)', diff.removed)}
+                    </ul>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary btn-cancel-restore">Cancelar</button>
+                    <button type="button" id="confirm-restore" class="btn ${diff.removed.length > 0 ? 'btn-danger' : 'btn-primary'}">Restaurar</button>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
 const renderDashboardStats = (data: Trade[]) => {
-    const totalResult = data.reduce((acc, t) => acc + t.result, 0);
+    const totalResult = data.reduce((acc, t) => acc + getTradeResult(t), 0);
+    const totalCosts = data.reduce((acc, t) => acc + t.costs, 0);
     
-    let averageDailyPoints = 0;
-    if (data.length > 0) {
-        const pointsByDay: { [date: string]: number } = data.reduce((acc: { [date: string]: number }, trade) => {
-            acc[trade.date] = (acc[trade.date] || 0) + trade.points;
-            return acc;
-        }, {});
-        const dailyTotals = Object.values(pointsByDay);
-        const sumOfDailyTotals = dailyTotals.reduce((acc, total) => acc + total, 0);
-        averageDailyPoints = dailyTotals.length > 0 ? sumOfDailyTotals / dailyTotals.length : 0;
-    }
-
-    const gains = data.filter(t => t.result > 0).length;
+    const dailyResults = getDailyResults(data);
+    const averageDailyPoints = dailyResults.length > 0
+        ? dailyResults.reduce((acc, day) => acc + day.points, 0) / dailyResults.length
+        : 0;
+
+    const gains = data.filter(t => getTradeResult(t) > 0).length;
     const totalTrades = data.length;
     const winRate = totalTrades > 0 ? (gains / totalTrades) * 100 : 0;
 
+    // R-multiples only exist for trades with a planned stop.
+    const rMultiples = data.map(getTradeRMultiple).filter((r): r is number => r !== undefined);
+    const average = (values: number[]) => values.length > 0 ? values.reduce((acc, v) => acc + v, 0) / values.length : 0;
+    const winningR = rMultiples.filter(r => r > 0);
+    const losingR = rMultiples.filter(r => r <= 0);
+    const expectancyR = rMultiples.length > 0
+        ? (winningR.length / rMultiples.length) * average(winningR) + (losingR.length / rMultiples.length) * average(losingR)
+        : 0;
+    const formatR = (value: number) => `${value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}R`;
+    const tradesWithStop = data.filter(t => t.stopViolated !== undefined).length;
+    const stopViolations = data.filter(t => t.stopViolated).length;
+    const overrides = data.filter(t => t.ruleOverride).length;
+    const discipline = totalTrades > 0 ? ((totalTrades - overrides) / totalTrades) * 100 : 100;
+
+    const balanceCurve = getBalanceCurve();
+    const hasCapital = balanceCurve.some(point => point.returnPercent !== null);
+    const balance = balanceCurve.length > 0
+        ? balanceCurve[balanceCurve.length - 1].balance
+        : getAccountsInView().reduce((acc, a) => acc + a.initialCapital, 0);
+    const twr = hasCapital ? balanceCurve[balanceCurve.length - 1].cumulativeReturnPercent : 0;
+    const averageMonthlyReturn = average(getPeriodReturns(balanceCurve, 'month').map(period => period.returnPercent));
+    const maxDrawdownPercent = Math.min(0, ...balanceCurve.map(point => point.drawdownPercent));
+    const formatReturn = (value: number) => hasCapital ? `${value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%` : '-';
+    const noCapitalHint = hasCapital ? '' : 'title="Informe o capital inicial ou os aportes da conta no Caixa"';
+
     return `
         <div class="dashboard">
             <div class="stat-card">
-                <h3>Resultado (R$)</h3>
+                <h3>Resultado ${resultMode === 'net' ? 'Líquido' : 'Bruto'} (R$)</h3>
                 <p class="${totalResult >= 0 ? 'gain' : 'loss'}">${totalResult.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}</p>
             </div>
+            <div class="stat-card">
+                <h3>Custos (R$)</h3>
+                <p class="${totalCosts > 0 ? 'loss' : ''}">${totalCosts.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}</p>
+            </div>
             <div class="stat-card">
                 <h3>Média de Pontos / Dia</h3>
                 <p class="${averageDailyPoints >= 0 ? 'gain' : 'loss'}">${averageDailyPoints.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
@@ -1638,11 +7004,59 @@ const renderDashboardStats = (data: Trade[]) => {
                 <h3>Nº de Operações</h3>
                 <p>${totalTrades}</p>
             </div>
+            <div class="stat-card">
+                <h3>R Médio (Gain / Loss)</h3>
+                <p>${rMultiples.length > 0 ? `<span class="gain">${formatR(average(winningR))}</span> / <span class="loss">${formatR(average(losingR))}</span>` : '-'}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Expectativa (R)</h3>
+                <p class="${expectancyR >= 0 ? 'gain' : 'loss'}" title="${rMultiples.length} operação(ões) com stop planejado">${rMultiples.length > 0 ? formatR(expectancyR) : '-'}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Stops Violados</h3>
+                <p class="${stopViolations > 0 ? 'loss' : ''}">${stopViolations} / ${tradesWithStop}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Disciplina</h3>
+                <p class="${overrides > 0 ? 'loss' : 'gain'}" title="${overrides} operação(ões) registrada(s) acima dos limites de risco">${discipline.toFixed(1)}%</p>
+            </div>
+            <div class="stat-card">
+                <h3>Saldo da Conta</h3>
+                <p title="Capital inicial, aportes, retiradas, taxas e resultado líquido das operações">${formatCurrency(balance)}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Retorno (TWR)</h3>
+                <p class="${twr >= 0 ? 'gain' : 'loss'}" ${noCapitalHint}>${formatReturn(twr)}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Retorno Mensal Médio</h3>
+                <p class="${averageMonthlyReturn >= 0 ? 'gain' : 'loss'}" ${noCapitalHint}>${formatReturn(averageMonthlyReturn)}</p>
+            </div>
+            <div class="stat-card">
+                <h3>Drawdown Máx. (% Patrimônio)</h3>
+                <p class="${maxDrawdownPercent < 0 ? 'loss' : ''}" ${noCapitalHint}>${formatReturn(maxDrawdownPercent)}</p>
+            </div>
         </div>
     `;
 };
 
 
+const renderStatisticsTable = (data: Trade[]) => `
+    <details class="stats-details" ${isStatsTableExpanded ? 'open' : ''}>
+        <summary>Estatísticas Detalhadas (${resultMode === 'net' ? 'Líquido' : 'Bruto'})</summary>
+        <table class="stats-table">
+            <tbody>
+                ${getPerformanceStatsLines(calculatePerformanceStats(data)).map(([label, value]) => `
+                    <tr>
+                        <th scope="row">${label}</th>
+                        <td>${value}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </details>
+`;
+
 const renderFilters = () => {
     return `
         <div class="filters">
@@ -1675,23 +7089,111 @@ const renderFilters = () => {
                 <option value="Todos" ${filters.trigger === 'Todos' ? 'selected' : ''}>Todos Gatilhos</option>
                 ${regOptions.triggers.map(o => `<option value="${o}" ${filters.trigger === o ? 'selected' : ''}>${o}</option>`).join('')}
             </select>
+            <select name="session" class="filter-input">
+                <option value="Todos" ${filters.session === 'Todos' ? 'selected' : ''}>Todas Sessões</option>
+                ${B3_SESSIONS.map(s => `<option value="${s.id}" ${filters.session === s.id ? 'selected' : ''}>${s.label}</option>`).join('')}
+            </select>
+            <select name="stop" class="filter-input">
+                <option value="Todos" ${filters.stop === 'Todos' ? 'selected' : ''}>Todos Stops</option>
+                <option value="violated" ${filters.stop === 'violated' ? 'selected' : ''}>Stop Violado</option>
+                <option value="respected" ${filters.stop === 'respected' ? 'selected' : ''}>Stop Respeitado</option>
+                <option value="none" ${filters.stop === 'none' ? 'selected' : ''}>Sem Stop</option>
+            </select>
+            <select name="classification" class="filter-input">
+                <option value="Todos" ${filters.classification === 'Todos' ? 'selected' : ''}>Todas Classificações</option>
+                <option value="pending" ${filters.classification === 'pending' ? 'selected' : ''}>Pendentes de Classificação</option>
+            </select>
+            <select name="weekday" class="filter-input">
+                <option value="Todos" ${filters.weekday === 'Todos' ? 'selected' : ''}>Todos os Dias</option>
+                ${[1, 2, 3, 4, 5, 6, 0].map(d => `<option value="${d}" ${filters.weekday === String(d) ? 'selected' : ''}>${WEEKDAY_LABELS[d]}</option>`).join('')}
+            </select>
+            <div class="filter-date-range">
+                <label for="filter-start-time">Entre:</label>
+                <input type="time" id="filter-start-time" name="startTime" value="${filters.startTime}" class="filter-input">
+                <label for="filter-end-time">e:</label>
+                <input type="time" id="filter-end-time" name="endTime" value="${filters.endTime}" class="filter-input">
+            </div>
+            ${getAllTags().length > 0 ? `
+                <details class="filter-tags" ${isTagFilterExpanded ? 'open' : ''}>
+                    <summary>Tags${filters.tags.length > 0 ? ` (${filters.tags.length})` : ''}</summary>
+                    <select name="tagMode" class="filter-input" aria-label="Como combinar as tags">
+                        <option value="any" ${filters.tagMode === 'any' ? 'selected' : ''}>Com qualquer uma</option>
+                        <option value="all" ${filters.tagMode === 'all' ? 'selected' : ''}>Com todas</option>
+                        <option value="none" ${filters.tagMode === 'none' ? 'selected' : ''}>Sem nenhuma</option>
+                    </select>
+                    <div class="filter-tags-options">
+                        ${getAllTags().map(t => `
+                            <label class="${t.isMistake ? 'is-mistake' : ''}">
+                                <input type="checkbox" data-filter-tag="${escapeHtml(t.name)}" ${filters.tags.includes(t.name) ? 'checked' : ''}>
+                                ${escapeHtml(t.name)}
+                            </label>
+                        `).join('')}
+                    </div>
+                </details>
+            ` : ''}
         </div>
     `;
 }
 
 const getTradeStatus = (trade: Trade): { status: 'Gain' | 'Loss' | 'Zero a Zero', className: 'gain' | 'loss' | 'zero' } => {
-    if (trade.result > 0) return { status: 'Gain', className: 'gain' };
-    if (trade.result < 0) return { status: 'Loss', className: 'loss' };
+    const tradeResult = getTradeResult(trade);
+    if (tradeResult > 0) return { status: 'Gain', className: 'gain' };
+    if (tradeResult < 0) return { status: 'Loss', className: 'loss' };
     return { status: 'Zero a Zero', className: 'zero' };
 };
 
+// Expanded legs of a multi-fill trade, shown below its row in the history.
+const renderTradeLegsRow = (trade: Trade) => {
+    const formatNumber = (value: number) => value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const { entries, exits } = calculateLegResults(trade);
+    const renderLeg = (label: string, leg: TradeLeg & { points: number; result: number }) => `
+        <li>
+            <span class="leg-label">${label}</span>
+            ${leg.quantity} @ ${formatNumber(leg.price)}${leg.time ? ` <small>${leg.time}</small>` : ''}
+            <span class="${leg.points >= 0 ? 'gain' : 'loss'}">${formatNumber(leg.points)} pts · R$ ${formatNumber(leg.result)}</span>
+        </li>
+    `;
+    return `
+        <tr class="legs-detail">
+            <td></td>
+            <td colspan="13">
+                <ul class="legs-list">
+                    ${entries.map(leg => renderLeg('Entrada', leg)).join('')}
+                    ${exits.map(leg => renderLeg('Saída', leg)).join('')}
+                </ul>
+            </td>
+        </tr>
+    `;
+};
+
+const renderTradeScreenshotsRow = (trade: Trade) => `
+    <tr class="screenshots-detail">
+        <td></td>
+        <td colspan="13">
+            <ul class="screenshot-thumbnails">
+                ${getTradeScreenshots(trade.id).map((s, i) => `
+                    <li class="screenshot-thumbnail">
+                        <button type="button" class="btn-open-screenshot" data-trade-id="${trade.id}" data-index="${i}" aria-label="Ampliar a imagem ${i + 1} da operação ${trade.tradeNumber}">
+                            <img src="${getScreenshotUrl(s)}" alt="">
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${trade.screenshotsFolderUrl ? `<a href="${escapeHtml(trade.screenshotsFolderUrl)}" target="_blank" rel="noopener noreferrer">Imagens no Google Drive</a>` : ''}
+        </td>
+    </tr>
+`;
+
 const renderTradeHistory = (data: Trade[]) => {
-    const hasActiveFilters = filters.asset !== '' || filters.side !== 'Todos' || filters.startDate !== '' || filters.endDate !== '' || filters.result !== 'Todos' || filters.region !== 'Todos' || filters.structure !== 'Todos' || filters.trigger !== 'Todos';
+    const hasActiveFilters = filters.asset !== '' || filters.side !== 'Todos' || filters.startDate !== '' || filters.endDate !== '' || filters.result !== 'Todos' || filters.region !== 'Todos' || filters.structure !== 'Todos' || filters.trigger !== 'Todos' || filters.session !== 'Todos' || filters.weekday !== 'Todos' || filters.startTime !== '' || filters.endTime !== '' || filters.stop !== 'Todos' || filters.classification !== 'Todos' || filters.tags.length > 0;
+    const mistakeTagNames = getAllTags().filter(t => t.isMistake).map(t => t.name.toLowerCase());
     const emptyMessage = hasActiveFilters 
         ? 'Nenhuma operação encontrada para os filtros aplicados.' 
         : 'Nenhuma operação registrada.';
         
     const sortedData = [...data].sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+    // The consolidated view tells the accounts apart.
+    const showAccount = selectedAccountId === ALL_ACCOUNTS && accounts.length > 1;
 
     return `
         <table>
@@ -1706,7 +7208,9 @@ const renderTradeHistory = (data: Trade[]) => {
                     <th>Saída</th>
                     <th>Gatilho</th>
                     <th>Pontos</th>
-                    <th>Resultado (R$)</th>
+                    <th>R</th>
+                    <th>Custos (R$)</th>
+                    <th>Resultado ${resultMode === 'net' ? 'Líquido' : 'Bruto'} (R$)</th>
                     <th>Situação</th>
                     <th>Ações</th>
                 </tr>
@@ -1716,53 +7220,421 @@ const renderTradeHistory = (data: Trade[]) => {
                     sortedData.length > 0
                     ? sortedData.map(trade => {
                         const { status, className } = getTradeStatus(trade);
+                        const tradeResult = getTradeResult(trade);
+                        const tradeR = getTradeRMultiple(trade);
                         const tradeIdentifier = `operação ${trade.tradeNumber} do ativo ${trade.asset}`;
                         return `
                         <tr>
-                            <td>${trade.tradeNumber}</td>
-                            <td>${new Date(trade.date + 'T00:00:00').toLocaleDateString('pt-BR')}</td>
-                            <td>${trade.asset}</td>
+                            <td>${trade.tradeNumber}${trade.ruleOverride ? ` <span class="rule-override-flag" title="Limite de risco ignorado: ${trade.ruleOverride.justification.replace(/"/g, '&quot;')}">🚩</span>` : ''}</td>
+                            <td>${new Date(trade.date + 'T00:00:00').toLocaleDateString('pt-BR')}${trade.entryTime ? `<br><small title="${trade.durationMinutes !== undefined ? `Duração: ${trade.durationMinutes} min` : ''}">${trade.entryTime}${trade.exitTime ? `–${trade.exitTime}` : ''}</small>` : ''}</td>
+                            <td>${trade.asset}${showAccount ? `<br><small>${escapeHtml(getAccount(trade.accountId)?.name || '')}</small>` : ''}</td>
                             <td class="side-${trade.side === 'Compra' ? 'buy' : 'sell'}">${trade.side}</td>
                             <td>${trade.lots}</td>
-                            <td>${trade.entryPrice.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                            <td>${trade.exitPrice.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                            <td>${trade.trigger}</td>
+                            <td title="${isMultiLegTrade(trade) ? 'Preço médio de entrada' : ''}">${trade.entryPrice.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td title="${isMultiLegTrade(trade) ? 'Preço médio de saída' : ''}">${trade.exitPrice.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td>${trade.pendingClassification ? '<span class="pending-classification-badge" title="Importada sem Região, Estrutura e Gatilho">Pendente de classificação</span>' : trade.trigger}${trade.tags?.length ? `<br>${trade.tags.map(name => `<span class="tag-badge ${mistakeTagNames.includes(name.toLowerCase()) ? 'is-mistake' : ''}">${escapeHtml(name)}</span>`).join(' ')}` : ''}</td>
                             <td class="${trade.points >= 0 ? 'gain' : 'loss'}">${trade.points.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                            <td class="${trade.result >= 0 ? 'gain' : 'loss'}">${trade.result.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td class="${tradeR === undefined ? '' : (tradeR >= 0 ? 'gain' : 'loss')}" title="${trade.riskAmount !== undefined ? `Stop ${trade.stopPrice?.toLocaleString('pt-BR')} · risco de R$ ${trade.riskAmount.toFixed(2)}${trade.plannedRMultiple !== undefined ? ` · alvo de ${trade.plannedRMultiple}R` : ''}` : 'Sem stop planejado'}">
+                                ${tradeR === undefined ? '-' : tradeR.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}${trade.stopViolated ? ' <span class="stop-violated" title="Stop violado">⚠️</span>' : ''}
+                            </td>
+                            <td title="${trade.costsOverridden ? 'Custos informados manualmente' : 'Custos calculados pelo perfil'}">${trade.costs.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td class="${tradeResult >= 0 ? 'gain' : 'loss'}">${tradeResult.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
                             <td class="${className}">${status}</td>
                             <td class="actions-cell">
                                 <button class="btn-icon btn-edit" data-id="${trade.id}" title="Editar" aria-label="Editar ${tradeIdentifier}">✏️</button>
                                 <button class="btn-icon btn-delete" data-id="${trade.id}" title="Excluir" aria-label="Excluir ${tradeIdentifier}">🗑️</button>
                             </td>
                         </tr>
+                        ${isMultiLegTrade(trade) ? renderTradeLegsRow(trade) : ''}
+                        ${getTradeScreenshots(trade.id).length > 0 || trade.screenshotsFolderUrl ? renderTradeScreenshotsRow(trade) : ''}
                     `}).join('')
-                    : `<tr><td colspan="12" class="empty-state">${emptyMessage}</td></tr>`
+                    : `<tr><td colspan="14" class="empty-state">${emptyMessage}</td></tr>`
                 }
             </tbody>
         </table>
     `;
 };
 
+// Result by entry hour (rows) and weekday (columns); clicking a cell filters that window.
+const renderTimeHeatmap = (data: Trade[]) => {
+    const timedTrades = data.filter(t => t.entryTime);
+    if (timedTrades.length === 0) {
+        return `<p class="empty-state">Informe os horários das entradas e saídas para ver o resultado por hora e dia da semana.</p>`;
+    }
+
+    const cells: { [key: string]: { total: number; count: number } } = {};
+    timedTrades.forEach(trade => {
+        const key = `${parseInt(trade.entryTime!, 10)}-${getTradeWeekday(trade)}`;
+        if (!cells[key]) cells[key] = { total: 0, count: 0 };
+        cells[key].total += getTradeResult(trade);
+        cells[key].count++;
+    });
+
+    const tradeHours = timedTrades.map(t => parseInt(t.entryTime!, 10));
+    const hours: number[] = [];
+    for (let hour = Math.min(...tradeHours); hour <= Math.max(...tradeHours); hour++) hours.push(hour);
+    const hasWeekend = timedTrades.some(t => [0, 6].includes(getTradeWeekday(t)));
+    const weekdays = hasWeekend ? [1, 2, 3, 4, 5, 6, 0] : [1, 2, 3, 4, 5];
+    const maxAbsTotal = Math.max(...Object.values(cells).map(c => Math.abs(c.total)), 1);
+
+    const renderCell = (hour: number, weekday: number) => {
+        const cell = cells[`${hour}-${weekday}`];
+        if (!cell) return '<td class="heatmap-cell"></td>';
+        const alpha = (0.15 + 0.85 * Math.abs(cell.total) / maxAbsTotal).toFixed(2);
+        const color = cell.total >= 0 ? `rgba(38, 166, 154, ${alpha})` : `rgba(239, 83, 80, ${alpha})`;
+        const total = cell.total.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `<td class="heatmap-cell" style="background-color: ${color};" data-hour="${hour}" data-weekday="${weekday}" title="${WEEKDAY_LABELS[weekday]}, ${hour}h: ${cell.count} operação(ões), R$ ${total}">${Math.round(cell.total)}</td>`;
+    };
+
+    return `
+        <table class="heatmap-table">
+            <caption>Resultado por Hora × Dia da Semana (R$)</caption>
+            <thead>
+                <tr><th></th>${weekdays.map(d => `<th>${WEEKDAY_LABELS[d].slice(0, 3)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${hours.map(hour => `<tr><th>${String(hour).padStart(2, '0')}h</th>${weekdays.map(d => renderCell(hour, d)).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+};
+
+// Month calendar of daily results, weeks starting on Monday with weekly totals in the
+// right margin and the month total in the footer. Weekends only show up when traded.
+const renderCalendar = () => {
+    const data = applyFilters(['startDate', 'endDate']);
+    const month = getCalendarMonth(data);
+    const [year, monthIndex] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    const leadingDays = (new Date(Date.UTC(year, monthIndex - 1, 1)).getUTCDay() + 6) % 7;
+
+    const days: { [date: string]: DailyResult } = {};
+    getDailyResults(data).filter(d => d.date.startsWith(month)).forEach(d => { days[d.date] = d; });
+    const monthDays = Object.values(days);
+    const hasWeekend = monthDays.some(d => [0, 6].includes(new Date(`${d.date}T00:00:00Z`).getUTCDay()));
+    const columns = hasWeekend ? [0, 1, 2, 3, 4, 5, 6] : [0, 1, 2, 3, 4]; // Monday-based
+    const maxAbsResult = Math.max(...monthDays.map(d => Math.abs(d.result)), 1);
+    const selectedDate = filters.startDate && filters.startDate === filters.endDate ? filters.startDate : '';
+
+    const weeks: (string | null)[][] = [];
+    for (let cell = 0; cell < Math.ceil((leadingDays + daysInMonth) / 7) * 7; cell++) {
+        const dayNumber = cell - leadingDays + 1;
+        if (cell % 7 === 0) weeks.push([]);
+        weeks[weeks.length - 1].push(dayNumber >= 1 && dayNumber <= daysInMonth ? `${month}-${String(dayNumber).padStart(2, '0')}` : null);
+    }
+
+    const formatTotal = (result: number, tradeCount: number) => `
+        <span class="${result >= 0 ? 'gain' : 'loss'}">${formatCurrency(result)}</span>
+        <small>${tradeCount} op.</small>
+    `;
+
+    const renderDay = (date: string | null) => {
+        if (!date) return '<td class="calendar-day calendar-day-outside"></td>';
+        const dayNumber = Number(date.slice(8));
+        const day = days[date];
+        if (!day) return `<td class="calendar-day"><span class="calendar-day-number">${dayNumber}</span></td>`;
+        const alpha = (0.15 + 0.85 * Math.abs(day.result) / maxAbsResult).toFixed(2);
+        const color = day.result >= 0 ? `rgba(38, 166, 154, ${alpha})` : `rgba(239, 83, 80, ${alpha})`;
+        return `
+            <td class="calendar-day ${date === selectedDate ? 'is-selected' : ''}" style="background-color: ${color};" data-date="${date}" title="Filtrar o dia ${new Date(`${date}T00:00:00`).toLocaleDateString('pt-BR')}">
+                <span class="calendar-day-number">${dayNumber}</span>
+                <span class="calendar-day-result">${formatCurrency(day.result)}</span>
+                <small>${day.tradeCount} op.</small>
+            </td>
+        `;
+    };
+
+    const renderWeek = (week: (string | null)[]) => {
+        const weekDays = week.filter((date): date is string => date !== null && !!days[date]).map(date => days[date]);
+        return `
+            <tr>
+                ${columns.map(column => renderDay(week[column])).join('')}
+                <td class="calendar-total">${weekDays.length > 0 ? formatTotal(weekDays.reduce((acc, d) => acc + d.result, 0), weekDays.reduce((acc, d) => acc + d.tradeCount, 0)) : ''}</td>
+            </tr>
+        `;
+    };
+
+    const monthResult = monthDays.reduce((acc, d) => acc + d.result, 0);
+    const monthTrades = monthDays.reduce((acc, d) => acc + d.tradeCount, 0);
+    const positiveDays = monthDays.filter(d => d.result > 0).length;
+
+    return `
+        <div class="card">
+            <div class="calendar-header">
+                <button type="button" class="btn btn-secondary" data-calendar-nav="-1" aria-label="Mês anterior">&lsaquo;</button>
+                <h2>Calendário de Resultados - ${formatMonthLabel(month)}</h2>
+                <button type="button" class="btn btn-secondary" data-calendar-nav="1" aria-label="Próximo mês">&rsaquo;</button>
+            </div>
+            <table class="calendar-table">
+                <thead>
+                    <tr>
+                        ${columns.map(column => `<th>${WEEKDAY_LABELS[(column + 1) % 7].slice(0, 3)}</th>`).join('')}
+                        <th>Semana</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${weeks.filter(week => columns.some(column => week[column])).map(renderWeek).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="${columns.length}">Total do mês · ${positiveDays} de ${monthDays.length} dia(s) positivo(s)</th>
+                        <td class="calendar-total">${formatTotal(monthResult, monthTrades)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+    `;
+};
+
+// The filters of the dimensions shown are left out, so the other cells stay in view once one is
+// clicked; every other filter applies, a hidden REG dimension included.
+const renderRegMatrix = () => {
+    const pivot = calculateRegPivot(applyFilters(regMatrixDimensions), regMatrixDimensions);
+    const rowDimensions = REG_DIMENSIONS.filter(d => pivot.rowDimensions.includes(d.key));
+    const columnDimension = REG_DIMENSIONS.find(d => d.key === pivot.columnDimension)!;
+    const { key: sortKey, direction } = regMatrixSort;
+    const rows = [...pivot.rows]
+        .sort((a, b) => (direction === 'desc' ? b.total[sortKey] - a.total[sortKey] : a.total[sortKey] - b.total[sortKey]) || b.total.count - a.total.count);
+    const metrics: { key: typeof sortKey; label: string }[] = [
+        { key: 'count', label: 'Operações' },
+        { key: 'winRate', label: 'Taxa de Acerto' },
+        { key: 'total', label: 'Resultado (R$)' },
+        { key: 'averagePoints', label: 'Média de Pontos' },
+        { key: 'expectancy', label: 'Expectativa (R$/op.)' },
+    ];
+    const formatNumber = (value: number) => value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatValue = (value?: string) => value ? escapeHtml(value) : '<span class="pending-classification-badge">pendente</span>';
+
+    // Clicking a cell filters the values it was computed for: a row total its row, a column total its column.
+    const renderCell = (combination: RegCombination | null, className = '') => {
+        if (!combination) return `<td class="reg-pivot-cell is-empty ${className}">—</td>`;
+        const dimensions = Object.keys(combination.values) as ('region' | 'structure' | 'trigger')[];
+        const isSelected = dimensions.length > 0 && dimensions.every(d => filters[d] === combination.values[d]);
+        const isLowSample = combination.count < REG_MATRIX_MIN_SAMPLE;
+        const clickable = dimensions.length === 0 ? '' : `data-combination='${JSON.stringify(combination.values).replace(/'/g, '&#39;')}' title="${isLowSample ? `Amostra pequena: menos de ${REG_MATRIX_MIN_SAMPLE} operações. ` : ''}Clique para filtrar esta combinação"`;
+        return `
+            <td class="reg-pivot-cell ${className} ${isLowSample ? 'low-sample' : ''} ${isSelected ? 'is-selected' : ''}" ${clickable}>
+                <strong class="${combination.total >= 0 ? 'gain' : 'loss'}">${formatNumber(combination.total)}</strong>
+                <small>${combination.count} op. · ${combination.winRate.toFixed(1)}% de acerto</small>
+                <small>${formatNumber(combination.averagePoints)} pts/op. · expectativa ${formatNumber(combination.expectancy)}</small>
+            </td>
+        `;
+    };
+
+    return `
+        <div class="card">
+            <h2>Matriz REG</h2>
+            <div class="reg-matrix-dimensions" role="group" aria-label="Dimensões da matriz">
+                ${REG_DIMENSIONS.map(d => `
+                    <label>
+                        <input type="checkbox" data-reg-dimension="${d.key}" ${regMatrixDimensions.includes(d.key) ? 'checked' : ''} ${regMatrixDimensions.includes(d.key) && regMatrixDimensions.length <= 2 ? 'disabled' : ''}>
+                        ${d.label}
+                    </label>
+                `).join('')}
+                <span class="form-hint">Combinações com menos de ${REG_MATRIX_MIN_SAMPLE} operações aparecem destacadas.</span>
+            </div>
+            <div class="reg-matrix-dimensions" role="group" aria-label="Ordenar linhas">
+                <span>Ordenar linhas por</span>
+                ${metrics.map(m => `
+                    <button type="button" class="reg-matrix-sort ${m.key === sortKey ? 'is-active' : ''}" data-reg-sort="${m.key}" aria-pressed="${m.key === sortKey}">${m.label}${m.key === sortKey ? (direction === 'desc' ? ' ▼' : ' ▲') : ''}</button>
+                `).join('')}
+            </div>
+            <div class="reg-matrix">
+                <table class="reg-matrix-table">
+                    <caption>Linhas: ${rowDimensions.map(d => d.label).join(' × ')} · Colunas: ${columnDimension.label}</caption>
+                    <thead>
+                        <tr>
+                            ${rowDimensions.map(d => `<th scope="col">${d.label}</th>`).join('')}
+                            ${pivot.columns.map(value => `<th scope="col">${formatValue(value)}</th>`).join('')}
+                            <th scope="col">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.length > 0
+                            ? rows.map(row => `
+                                <tr>
+                                    ${rowDimensions.map(d => `<th scope="row">${formatValue(row.total.values[d.key])}</th>`).join('')}
+                                    ${row.cells.map(cell => renderCell(cell)).join('')}
+                                    ${renderCell(row.total, 'is-total')}
+                                </tr>
+                            `).join('')
+                            : `<tr><td colspan="${rowDimensions.length + 1}" class="empty-state">Nenhuma operação encontrada para os filtros aplicados.</td></tr>`}
+                    </tbody>
+                    ${rows.length > 0 ? `
+                        <tfoot>
+                            <tr>
+                                <th scope="row" colspan="${rowDimensions.length}">Total</th>
+                                ${pivot.columnTotals.map(total => renderCell(total, 'is-total')).join('')}
+                                ${renderCell(pivot.total, 'is-total')}
+                            </tr>
+                        </tfoot>
+                    ` : ''}
+                </table>
+            </div>
+        </div>
+    `;
+};
+
+// What each mistake tag cost in the filtered trades, following the gross/net toggle.
+const renderMistakesReport = (data: Trade[]) => {
+    const { rows } = getMistakeCosts(data);
+    const formatNumber = (value: number) => value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    return `
+        <div class="card">
+            <h2>Custo dos Erros</h2>
+            ${rows.length === 0 ? `
+                <p class="empty-state">Nenhuma operação com tags de erro. Marque as tags que são erros no gerenciador de tags (⚙️ ao lado de Tags no formulário).</p>
+            ` : `
+                <div class="mistakes-report">
+                    <table class="mistakes-table">
+                        <thead>
+                            <tr>
+                                <th>Erro</th>
+                                <th>Operações</th>
+                                <th>Com Perda</th>
+                                <th>Perdido (R$)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td>${escapeHtml(row.tag)}</td>
+                                    <td>${row.count}</td>
+                                    <td>${row.losingCount}</td>
+                                    <td class="${row.cost < 0 ? 'loss' : ''}">${formatNumber(row.cost)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="mistakes-chart"><canvas id="mistakesChart" role="img" aria-label="Gráfico de barras do valor perdido por erro em cada mês"></canvas></div>
+                </div>
+                <p class="form-hint">Soma das operações com prejuízo marcadas com cada erro. Uma operação com dois erros conta nos dois.</p>
+            `}
+        </div>
+    `;
+};
+
+
+// Consolidated view only: one row per account, following the filters and the gross/net
+// toggle. Clicking a row switches to that account.
+const renderAccountsSummary = (data: Trade[]) => {
+    if (selectedAccountId !== ALL_ACCOUNTS || accounts.length < 2) return '';
+    const formatNumber = (value: number) => value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    return `
+        <div class="card">
+            <h2>Resultado por Conta</h2>
+            <div class="accounts-summary">
+                <table class="accounts-summary-table">
+                    <thead>
+                        <tr>
+                            <th>Conta</th>
+                            <th>Tipo</th>
+                            <th>Operações</th>
+                            <th>Taxa de Acerto</th>
+                            <th>Resultado (R$)</th>
+                            <th>Capital Inicial</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${accounts.map(account => {
+                            const stats = calculatePerformanceStats(data.filter(t => t.accountId === account.id));
+                            const winRate = stats.tradeCount > 0 ? (stats.winCount / stats.tradeCount) * 100 : 0;
+                            return `
+                                <tr class="accounts-summary-row" data-account-id="${account.id}" title="Clique para ver só esta conta">
+                                    <td>${escapeHtml(account.name)}${account.broker ? `<br><small>${escapeHtml(account.broker)}</small>` : ''}</td>
+                                    <td>${ACCOUNT_TYPE_LABELS[account.type]}</td>
+                                    <td>${stats.tradeCount}</td>
+                                    <td>${winRate.toFixed(1)}%</td>
+                                    <td class="${stats.totalResult >= 0 ? 'gain' : 'loss'}">${formatNumber(stats.totalResult)}</td>
+                                    <td>${account.initialCapital.toLocaleString('pt-BR', { style: 'currency', currency: account.currency })}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+};
+
 const renderCharts = (data: Trade[]) => {
     Object.values(charts).forEach(chart => chart.destroy());
 
+    const equityCurve = getEquityCurve(data, equityGranularity);
+    const equityLabels = equityCurve.map(point => point.label);
+
     const pnlCtx = document.getElementById('pnlChart') as HTMLCanvasElement;
     if (pnlCtx) {
-        let accumulatedPnl = 0;
-        const pnlData = data.map(trade => {
-            accumulatedPnl += trade.result;
-            return accumulatedPnl;
-        });
         charts.pnlChart = new Chart(pnlCtx, {
             type: 'line',
-            data: { labels: data.map((_, i) => `Op ${i + 1}`), datasets: [{ label: 'Resultado Acumulado (R$)', data: pnlData, borderColor: '#00aaff', backgroundColor: 'rgba(0, 170, 255, 0.1)', fill: true, tension: 0.1 }] },
+            data: { labels: equityLabels, datasets: [{ label: `Resultado ${resultMode === 'net' ? 'Líquido' : 'Bruto'} Acumulado (R$)`, data: equityCurve.map(point => point.equity), borderColor: '#00aaff', backgroundColor: 'rgba(0, 170, 255, 0.1)', fill: true, tension: 0.1 }] },
+            options: { responsive: true, maintainAspectRatio: false }
+        });
+    }
+
+    const balanceCurve = getBalanceCurve();
+    const granularityLabel = { day: 'Diário', week: 'Semanal', month: 'Mensal' }[equityGranularity];
+
+    const balanceCtx = document.getElementById('balanceChart') as HTMLCanvasElement;
+    if (balanceCtx) {
+        // Balance at the end of each period.
+        const balanceByPeriod: { [period: string]: number } = {};
+        balanceCurve.forEach(point => { balanceByPeriod[getPeriodKey(point.date, equityGranularity)] = point.balance; });
+        // A period without movements keeps the balance of the one before it.
+        const balancePeriods = Object.keys(balanceByPeriod).sort();
+        const periods = balancePeriods.length === 0 ? [] : getPeriodRange(balancePeriods[0], balancePeriods[balancePeriods.length - 1], equityGranularity);
+        let lastBalance = 0;
+        const balances = periods.map(period => lastBalance = balanceByPeriod[period] ?? lastBalance);
+        charts.balanceChart = new Chart(balanceCtx, {
+            type: 'line',
+            data: { labels: periods.map(period => formatPeriodLabel(period, equityGranularity)), datasets: [{ label: 'Saldo da Conta (R$)', data: balances, borderColor: '#26a69a', backgroundColor: 'rgba(38, 166, 154, 0.1)', fill: true, tension: 0.1 }] },
+            options: { responsive: true, maintainAspectRatio: false }
+        });
+    }
+
+    const returnsCtx = document.getElementById('returnsChart') as HTMLCanvasElement;
+    if (returnsCtx) {
+        const periodReturns = getPeriodReturns(balanceCurve, equityGranularity);
+        charts.returnsChart = new Chart(returnsCtx, {
+            type: 'bar',
+            data: { labels: periodReturns.map(period => period.label), datasets: [{ label: `Retorno ${granularityLabel} (%)`, data: periodReturns.map(period => period.returnPercent), backgroundColor: periodReturns.map(period => period.returnPercent >= 0 ? '#26a69a' : '#ef5350') }] },
             options: { responsive: true, maintainAspectRatio: false }
         });
     }
 
+    const underwaterCtx = document.getElementById('underwaterChart') as HTMLCanvasElement;
+    if (underwaterCtx) {
+        const { deepestIndex, recoveryStart, recoveryEnd, recoveryDays, recovered } = getDrawdownMarkers(equityCurve);
+        const deepestMarker = deepestIndex === null ? [] : [{
+            label: `Drawdown máximo (${formatCurrency(equityCurve[deepestIndex].drawdown)})`,
+            data: equityCurve.map((point, i) => i === deepestIndex ? point.drawdown : null),
+            borderColor: '#ffca28', backgroundColor: '#ffca28', pointStyle: 'triangle', pointRadius: 7, showLine: false,
+        }];
+        // The longest recovery is drawn as a bar along the zero line, from the old peak to the new one.
+        const recoveryMarker = recoveryStart === null || recoveryEnd === null ? [] : [{
+            label: `Maior recuperação (${recoveryDays} dias${recovered ? '' : ', em andamento'})`,
+            data: equityCurve.map((_, i) => i >= recoveryStart && i <= recoveryEnd ? 0 : null),
+            borderColor: '#00aaff', borderWidth: 5, pointRadius: 0,
+        }];
+        charts.underwaterChart = new Chart(underwaterCtx, {
+            type: 'line',
+            data: {
+                labels: equityLabels,
+                datasets: [
+                    { label: 'Drawdown a partir do pico (R$)', data: equityCurve.map(point => point.drawdown), borderColor: '#ef5350', backgroundColor: 'rgba(239, 83, 80, 0.2)', fill: true, tension: 0.1, pointRadius: 0 },
+                    ...deepestMarker,
+                    ...recoveryMarker,
+                ],
+            },
+            options: { responsive: true, maintainAspectRatio: false, scales: { y: { max: 0 } } }
+        });
+    }
+
     const winLossCtx = document.getElementById('winLossChart') as HTMLCanvasElement;
     if (winLossCtx) {
-        const gains = data.filter(t => t.result > 0).length;
+        const gains = data.filter(t => getTradeResult(t) > 0).length;
         const losses = data.length - gains;
         charts.winLossChart = new Chart(winLossCtx, {
             type: 'doughnut',
@@ -1777,7 +7649,7 @@ const renderCharts = (data: Trade[]) => {
         data.forEach(trade => {
             if (!triggerStats[trade.trigger]) triggerStats[trade.trigger] = { gains: 0, total: 0 };
             triggerStats[trade.trigger].total++;
-            if (trade.result > 0) triggerStats[trade.trigger].gains++;
+            if (getTradeResult(trade) > 0) triggerStats[trade.trigger].gains++;
         });
         const labels = Object.keys(triggerStats);
         const winRates = labels.map(t => (triggerStats[t].gains / triggerStats[t].total) * 100);
@@ -1788,6 +7660,58 @@ const renderCharts = (data: Trade[]) => {
             options: { responsive: true, maintainAspectRatio: false, indexAxis: 'y' }
         });
     }
+
+    const durationCtx = document.getElementById('durationChart') as HTMLCanvasElement;
+    if (durationCtx) {
+        const timedTrades = data.filter(t => t.durationMinutes !== undefined);
+        charts.durationChart = new Chart(durationCtx, {
+            type: 'scatter',
+            data: { datasets: [{ label: 'Duração (min) × Resultado (R$)', data: timedTrades.map(t => ({ x: t.durationMinutes!, y: getTradeResult(t) })), backgroundColor: timedTrades.map(t => getTradeResult(t) >= 0 ? '#26a69a' : '#ef5350') }] },
+            options: { responsive: true, maintainAspectRatio: false, scales: { x: { title: { display: true, text: 'Duração (min)' } }, y: { title: { display: true, text: 'Resultado (R$)' } } } }
+        });
+    }
+
+    const sessionCtx = document.getElementById('sessionChart') as HTMLCanvasElement;
+    if (sessionCtx) {
+        const sessionResults = B3_SESSIONS.map(session => data
+            .filter(t => getTradeSession(t)?.id === session.id)
+            .reduce((acc, t) => acc + getTradeResult(t), 0));
+        charts.sessionChart = new Chart(sessionCtx, {
+            type: 'bar',
+            data: { labels: B3_SESSIONS.map(s => s.label), datasets: [{ label: 'Resultado por Sessão (R$)', data: sessionResults, backgroundColor: sessionResults.map(r => r >= 0 ? '#26a69a' : '#ef5350') }] },
+            options: { responsive: true, maintainAspectRatio: false }
+        });
+    }
+
+    const rMultipleCtx = document.getElementById('rMultipleChart') as HTMLCanvasElement;
+    if (rMultipleCtx) {
+        // 1R buckets from -3R to 3R, with the tails grouped at both ends.
+        const labels = ['< -3R', '-3R a -2R', '-2R a -1R', '-1R a 0R', '0R a 1R', '1R a 2R', '2R a 3R', '≥ 3R'];
+        const counts = labels.map(() => 0);
+        data.map(getTradeRMultiple).forEach(r => {
+            if (r === undefined) return;
+            counts[Math.min(Math.max(Math.floor(r) + 4, 0), labels.length - 1)]++;
+        });
+        charts.rMultipleChart = new Chart(rMultipleCtx, {
+            type: 'bar',
+            data: { labels, datasets: [{ label: 'Distribuição de R-Múltiplos (operações)', data: counts, backgroundColor: labels.map((_, i) => i < 4 ? '#ef5350' : '#26a69a') }] },
+            options: { responsive: true, maintainAspectRatio: false }
+        });
+    }
+
+    const mistakesCtx = document.getElementById('mistakesChart') as HTMLCanvasElement;
+    if (mistakesCtx) {
+        const { months, rows } = getMistakeCosts(data);
+        const colors = ['#ef5350', '#ffca28', '#ab47bc', '#ff7043', '#00aaff', '#8d6e63'];
+        charts.mistakesChart = new Chart(mistakesCtx, {
+            type: 'bar',
+            data: {
+                labels: months.map(month => formatPeriodLabel(month, 'month')),
+                datasets: rows.map((row, i) => ({ label: row.tag, data: row.byMonth, backgroundColor: colors[i % colors.length] })),
+            },
+            options: { responsive: true, maintainAspectRatio: false, scales: { x: { stacked: true }, y: { stacked: true } } }
+        });
+    }
 };
 
 const attachModalEventListeners = (modal: Element) => {
@@ -1812,6 +7736,165 @@ const attachModalEventListeners = (modal: Element) => {
                 deleteRegOption(optionType, optionValue);
             }
         });
+    } else if (modal.querySelector('#manage-instruments-title')) {
+        modal.querySelector('#instrument-form')?.addEventListener('submit', saveInstrument);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeManageInstrumentsModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeManageInstrumentsModal();
+        });
+        modal.querySelector('.instruments-list')?.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const editButton = target.closest('.btn-edit-instrument') as HTMLElement | null;
+            const deleteButton = target.closest('.btn-delete-instrument') as HTMLElement | null;
+            if (editButton) fillInstrumentForm(editButton.dataset.symbol!);
+            if (deleteButton) deleteInstrument(deleteButton.dataset.symbol!);
+        });
+    } else if (modal.querySelector('#manage-cost-profiles-title')) {
+        modal.querySelector('#cost-profile-form')?.addEventListener('submit', saveCostProfile);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeManageCostProfilesModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeManageCostProfilesModal();
+        });
+        modal.querySelector('.cost-profiles-list')?.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const activateButton = target.closest('.btn-activate-cost-profile') as HTMLElement | null;
+            const editButton = target.closest('.btn-edit-cost-profile') as HTMLElement | null;
+            const deleteButton = target.closest('.btn-delete-cost-profile') as HTMLElement | null;
+            if (activateButton) activateCostProfile(activateButton.dataset.id!);
+            if (editButton) fillCostProfileForm(editButton.dataset.id!);
+            if (deleteButton) deleteCostProfile(deleteButton.dataset.id!);
+        });
+    } else if (modal.querySelector('#manage-accounts-title')) {
+        modal.querySelector('#account-form')?.addEventListener('submit', saveAccount);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeManageAccountsModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeManageAccountsModal();
+        });
+        modal.querySelector('.accounts-list')?.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const editButton = target.closest('.btn-edit-account') as HTMLElement | null;
+            const deleteButton = target.closest('.btn-delete-account') as HTMLElement | null;
+            if (editButton) fillAccountForm(editButton.dataset.id!);
+            if (deleteButton) deleteAccount(deleteButton.dataset.id!);
+        });
+    } else if (modal.querySelector('#manage-tags-title')) {
+        modal.querySelector('#tag-form')?.addEventListener('submit', saveTag);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeManageTagsModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeManageTagsModal();
+        });
+        modal.querySelectorAll('.tag-mistake-toggle').forEach(input => {
+            input.addEventListener('change', () => setTagMistake((input as HTMLInputElement).dataset.tag!, (input as HTMLInputElement).checked));
+        });
+        modal.querySelector('.tags-list')?.addEventListener('click', (e) => {
+            const deleteButton = (e.target as HTMLElement).closest('.btn-delete-tag') as HTMLElement | null;
+            if (deleteButton) deleteTag(deleteButton.dataset.tag!);
+        });
+    } else if (modal.querySelector('#cash-ledger-title')) {
+        modal.querySelector('#cash-movement-form')?.addEventListener('submit', saveCashMovement);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeCashLedgerModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeCashLedgerModal();
+        });
+        modal.querySelector('.cash-ledger-list')?.addEventListener('click', (e) => {
+            const deleteButton = (e.target as HTMLElement).closest('.btn-delete-cash-movement') as HTMLElement | null;
+            if (deleteButton) deleteCashMovement(deleteButton.dataset.id!);
+        });
+    } else if (modal.querySelector('#manage-journals-title')) {
+        modal.querySelector('#journal-form')?.addEventListener('submit', saveJournal);
+        modal.querySelector('#create-journal-spreadsheet')?.addEventListener('click', createJournalFromTemplate);
+        modal.querySelector('#journal-backend')?.addEventListener('change', (e) => {
+            toggleJournalBackendFields((e.target as HTMLSelectElement).form!);
+        });
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeManageJournalsModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeManageJournalsModal();
+        });
+        modal.querySelector('.journals-list')?.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const activateButton = target.closest('.btn-activate-journal') as HTMLElement | null;
+            const editButton = target.closest('.btn-edit-journal') as HTMLElement | null;
+            const deleteButton = target.closest('.btn-delete-journal') as HTMLElement | null;
+            if (activateButton) {
+                isManagingJournals = false;
+                switchJournal(activateButton.dataset.id!);
+            }
+            if (editButton) fillJournalForm(editButton.dataset.id!);
+            if (deleteButton) deleteJournal(deleteButton.dataset.id!);
+        });
+    } else if (modal.querySelector('#risk-rules-title')) {
+        modal.querySelector('#risk-rules-form')?.addEventListener('submit', saveRiskRules);
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeRiskRulesModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeRiskRulesModal();
+        });
+    } else if (modal.querySelector('#rule-override-title')) {
+        modal.querySelector('#rule-override-form')?.addEventListener('submit', confirmRuleOverride);
+        modal.querySelector('.btn-cancel-override')?.addEventListener('click', cancelRuleOverride);
+    } else if (modal.querySelector('#screenshot-lightbox-title')) {
+        modal.querySelector('.btn-close-modal')?.addEventListener('click', closeScreenshotLightbox);
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeScreenshotLightbox();
+        });
+        modal.querySelectorAll('[data-lightbox-step]').forEach(button => {
+            button.addEventListener('click', () => stepScreenshotLightbox(Number((button as HTMLElement).dataset.lightboxStep)));
+        });
+        modal.addEventListener('keydown', (e) => {
+            const key = (e as KeyboardEvent).key;
+            if (key === 'ArrowLeft') stepScreenshotLightbox(-1);
+            if (key === 'ArrowRight') stepScreenshotLightbox(1);
+            if (key === 'Escape') closeScreenshotLightbox();
+        });
+    } else if (modal.querySelector('#import-wizard-title')) {
+        modal.querySelectorAll('.btn-close-modal, .btn-cancel-import, #import-wizard-done').forEach(button => {
+            button.addEventListener('click', closeImportWizard);
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeImportWizard();
+        });
+        modal.querySelectorAll('[data-import-column]').forEach(select => {
+            select.addEventListener('change', () => setImportColumnMapping(Number((select as HTMLElement).dataset.importColumn), (select as HTMLSelectElement).value));
+        });
+        modal.querySelector('#import-profile-select')?.addEventListener('change', (e) => applyImportProfile((e.target as HTMLSelectElement).value));
+        modal.querySelector('#save-import-profile')?.addEventListener('click', () => {
+            saveImportProfile((modal.querySelector('#import-profile-name') as HTMLInputElement).value);
+        });
+        modal.querySelector('#delete-import-profile')?.addEventListener('click', () => {
+            if (importWizard?.profileId) deleteImportProfile(importWizard.profileId);
+        });
+        modal.querySelector('#import-wizard-next')?.addEventListener('click', showImportPreview);
+        modal.querySelector('#import-wizard-back')?.addEventListener('click', showImportMapping);
+        modal.querySelector('#import-duplicate-mode')?.addEventListener('change', (e) => {
+            setImportDuplicateMode((e.target as HTMLSelectElement).value as ImportWizard['duplicateMode']);
+        });
+        modal.querySelectorAll('.import-row-toggle').forEach(checkbox => {
+            checkbox.addEventListener('change', () => toggleImportRow(Number((checkbox as HTMLElement).dataset.importRow), (checkbox as HTMLInputElement).checked));
+        });
+        modal.querySelector('#import-wizard-confirm')?.addEventListener('click', confirmImportWizard);
+    } else if (modal.querySelector('#restore-backup-title')) {
+        modal.querySelectorAll('.btn-close-modal, .btn-cancel-restore').forEach(button => {
+            button.addEventListener('click', cancelRestore);
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) cancelRestore();
+        });
+        modal.querySelectorAll('input[name="restore-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => setRestoreMode((radio as HTMLInputElement).value as PendingRestore['mode']));
+        });
+        modal.querySelector('#confirm-restore')?.addEventListener('click', confirmRestore);
+    } else if (modal.querySelector('#sync-conflicts-title')) {
+        modal.querySelector('#sync-conflicts-form')?.addEventListener('submit', resolveSyncConflicts);
+        modal.querySelectorAll('.btn-close-modal, .btn-cancel-conflicts').forEach(button => {
+            button.addEventListener('click', closeSyncConflicts);
+        });
+        modal.querySelectorAll('[data-conflict-pick]').forEach(button => {
+            button.addEventListener('click', () => {
+                const { conflictPick, conflictId } = (button as HTMLElement).dataset;
+                modal.querySelectorAll(`input[data-conflict-id="${conflictId}"][value="${conflictPick}"]`).forEach(radio => {
+                    (radio as HTMLInputElement).checked = true;
+                });
+            });
+        });
     }
 }
 
@@ -1821,19 +7904,141 @@ const attachEventListeners = () => {
     document.getElementById('edit-trade-form')?.addEventListener('submit', updateTrade);
     document.getElementById('cancel-edit-btn')?.addEventListener('click', cancelEditing);
     document.getElementById('export-csv')?.addEventListener('click', exportToCSV);
+    document.getElementById('csv-delimiter')?.addEventListener('change', (e) => setCsvDelimiter((e.target as HTMLSelectElement).value as ';' | ','));
     document.getElementById('export-pdf')?.addEventListener('click', exportToPDF);
     document.getElementById('import-csv-input')?.addEventListener('change', handleImport);
+    document.getElementById('import-note-input')?.addEventListener('change', handleBrokerNoteImport);
+    document.getElementById('export-backup')?.addEventListener('click', exportBackup);
+    document.getElementById('restore-backup-input')?.addEventListener('change', handleBackupRestore);
     document.getElementById('api-key-form')?.addEventListener('submit', handleApiKeySubmit);
+    document.getElementById('asset')?.addEventListener('input', (e) => {
+        const hint = document.getElementById('asset-instrument-hint');
+        if (hint) hint.textContent = describeInstrument(resolveInstrument((e.target as HTMLInputElement).value));
+    });
+
+    document.querySelectorAll('.legs-editor').forEach(editor => {
+        const type = (editor as HTMLElement).dataset.legType as 'entry' | 'exit';
+        const form = editor.closest('form') as HTMLFormElement;
+        const updateLegsSummary = () => {
+            const summary = document.getElementById('legs-summary');
+            const formData = new FormData(form);
+            const isComplete = (leg: TradeLeg) => !isNaN(leg.price) && !isNaN(leg.quantity);
+            const entries = readLegsFromForm(formData, 'entry').filter(isComplete);
+            const exits = readLegsFromForm(formData, 'exit').filter(isComplete);
+            if (summary) summary.textContent = describeLegs(entries, exits);
+        };
+
+        editor.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const rows = editor.querySelector('.leg-rows')!;
+            if (target.closest('.add-leg-btn')) {
+                // A new exit is pre-filled with the quantity still open.
+                const formData = new FormData(form);
+                const openQuantity = sumLegQuantity(readLegsFromForm(formData, 'entry').filter(leg => !isNaN(leg.quantity)))
+                    - sumLegQuantity(readLegsFromForm(formData, 'exit').filter(leg => !isNaN(leg.quantity)));
+                rows.insertAdjacentHTML('beforeend', renderLegRow(type, type === 'exit' && openQuantity > 0 ? { quantity: openQuantity } : undefined));
+                (rows.lastElementChild?.querySelector(`[name="${type}-price"]`) as HTMLInputElement | null)?.focus();
+                return;
+            }
+            const removeButton = target.closest('.remove-leg-btn');
+            if (removeButton && rows.querySelectorAll('.leg-row').length > 1) {
+                removeButton.closest('.leg-row')?.remove();
+                updateLegsSummary();
+            }
+        });
+        editor.addEventListener('input', updateLegsSummary);
+    });
+    
+    const screenshotDropzone = document.getElementById('screenshot-dropzone');
+    screenshotDropzone?.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        screenshotDropzone.classList.add('is-dragging');
+    });
+    screenshotDropzone?.addEventListener('dragleave', () => screenshotDropzone.classList.remove('is-dragging'));
+    screenshotDropzone?.addEventListener('drop', (e) => {
+        e.preventDefault();
+        screenshotDropzone.classList.remove('is-dragging');
+        addFormScreenshots(Array.from(e.dataTransfer?.files || []));
+    });
+    document.getElementById('screenshot-input')?.addEventListener('change', (e) => {
+        const input = e.target as HTMLInputElement;
+        addFormScreenshots(Array.from(input.files || []));
+        input.value = '';
+    });
+    document.getElementById('form-screenshots')?.addEventListener('click', (e) => {
+        const removeButton = (e.target as HTMLElement).closest('.btn-remove-screenshot') as HTMLElement | null;
+        if (removeButton) removeFormScreenshot(removeButton.dataset.id!);
+    });
+
+    const tagInput = document.getElementById('tag-input') as HTMLInputElement | null;
+    tagInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault(); // Enter would submit the trade form
+            addFormTags(tagInput);
+        }
+    });
+    // Choosing a suggestion from the list adds it right away.
+    tagInput?.addEventListener('change', () => {
+        if (findTag(tagInput.value)) addFormTags(tagInput);
+    });
+    document.getElementById('form-tags')?.addEventListener('click', (e) => {
+        (e.target as HTMLElement).closest('.btn-remove-tag')?.closest('.tag-chip')?.remove();
+    });
     
     document.querySelectorAll('.filter-input').forEach(input => {
         input.addEventListener('input', updateFilters);
         input.addEventListener('change', updateFilters);
     });
+    document.querySelectorAll('[data-filter-tag]').forEach(input => {
+        input.addEventListener('change', () => toggleTagFilter((input as HTMLElement).dataset.filterTag!));
+    });
+    document.querySelector('.filter-tags')?.addEventListener('toggle', (e) => {
+        isTagFilterExpanded = (e.currentTarget as HTMLDetailsElement).open;
+    });
+
+    document.querySelector('.time-heatmap')?.addEventListener('click', (e) => {
+        const cell = (e.target as HTMLElement).closest('.heatmap-cell[data-hour]') as HTMLElement | null;
+        if (!cell) return;
+        const hour = cell.dataset.hour!.padStart(2, '0');
+        filters.weekday = cell.dataset.weekday!;
+        filters.startTime = `${hour}:00`;
+        filters.endTime = `${hour}:59`;
+        render();
+    });
+
+    document.querySelector('.calendar-table')?.addEventListener('click', (e) => {
+        const cell = (e.target as HTMLElement).closest('.calendar-day[data-date]') as HTMLElement | null;
+        if (cell) selectCalendarDay(cell.dataset.date!);
+    });
+
+    document.querySelectorAll('[data-reg-dimension]').forEach(input => {
+        input.addEventListener('change', () => toggleRegMatrixDimension((input as HTMLElement).dataset.regDimension as 'region' | 'structure' | 'trigger'));
+    });
+
+    document.querySelectorAll('[data-reg-sort]').forEach(button => {
+        button.addEventListener('click', () => sortRegMatrix((button as HTMLElement).dataset.regSort as 'count' | 'winRate' | 'total' | 'averagePoints' | 'expectancy'));
+    });
+
+    document.querySelector('.reg-matrix-table')?.addEventListener('click', (e) => {
+        const cell = (e.target as HTMLElement).closest('.reg-pivot-cell[data-combination]') as HTMLElement | null;
+        if (cell) applyRegCombinationFilters(JSON.parse(cell.dataset.combination!));
+    });
+
+    document.querySelector('.accounts-summary-table tbody')?.addEventListener('click', (e) => {
+        const row = (e.target as HTMLElement).closest('.accounts-summary-row') as HTMLElement | null;
+        if (row) selectAccount(row.dataset.accountId!);
+    });
+
+    document.querySelectorAll('[data-calendar-nav]').forEach(button => {
+        button.addEventListener('click', () => shiftCalendarMonth(Number((button as HTMLElement).dataset.calendarNav)));
+    });
 
     document.querySelector('.trade-history')?.addEventListener('click', (e) => {
         const target = e.target as HTMLElement;
         const editButton = target.closest('.btn-edit');
         const deleteButton = target.closest('.btn-delete');
+        const screenshotButton = target.closest('.btn-open-screenshot') as HTMLElement | null;
+        if (screenshotButton) openScreenshotLightbox(parseInt(screenshotButton.dataset.tradeId!, 10), Number(screenshotButton.dataset.index));
         if (editButton) {
             const id = parseInt(editButton.getAttribute('data-id')!, 10);
             startEditingTrade(id);
@@ -1847,6 +8052,18 @@ const attachEventListeners = () => {
     document.querySelectorAll('.manage-reg-icon').forEach(icon => {
         const handler = (e: Event) => {
             e.stopPropagation();
+            if ((e.currentTarget as HTMLElement).classList.contains('manage-instruments-icon')) {
+                openManageInstrumentsModal();
+                return;
+            }
+            if ((e.currentTarget as HTMLElement).classList.contains('manage-cost-profiles-icon')) {
+                openManageCostProfilesModal();
+                return;
+            }
+            if ((e.currentTarget as HTMLElement).classList.contains('manage-tags-icon')) {
+                openManageTagsModal();
+                return;
+            }
             const optionType = (e.currentTarget as HTMLElement).dataset.optionType as 'regions' | 'structures' | 'triggers';
             openManageOptionsModal(optionType);
         };
@@ -1867,12 +8084,80 @@ const attachEventListeners = () => {
     const optionsModal = document.querySelector('.modal-overlay:has(#manage-options-title)');
     if (optionsModal) attachModalEventListeners(optionsModal);
 
+    const instrumentsModal = document.querySelector('.modal-overlay:has(#manage-instruments-title)');
+    if (instrumentsModal) attachModalEventListeners(instrumentsModal);
+
+    const costProfilesModal = document.querySelector('.modal-overlay:has(#manage-cost-profiles-title)');
+    if (costProfilesModal) attachModalEventListeners(costProfilesModal);
+
+    const accountsModal = document.querySelector('.modal-overlay:has(#manage-accounts-title)');
+    if (accountsModal) attachModalEventListeners(accountsModal);
+
+    const cashLedgerModal = document.querySelector('.modal-overlay:has(#cash-ledger-title)');
+    if (cashLedgerModal) attachModalEventListeners(cashLedgerModal);
+
+    const tagsModal = document.querySelector('.modal-overlay:has(#manage-tags-title)');
+    if (tagsModal) attachModalEventListeners(tagsModal);
+
+    const journalsModal = document.querySelector('.modal-overlay:has(#manage-journals-title)');
+    if (journalsModal) attachModalEventListeners(journalsModal);
+
+    const riskRulesModal = document.querySelector('.modal-overlay:has(#risk-rules-title)');
+    if (riskRulesModal) attachModalEventListeners(riskRulesModal);
+
+    const ruleOverrideModal = document.querySelector('.modal-overlay:has(#rule-override-title)');
+    if (ruleOverrideModal) attachModalEventListeners(ruleOverrideModal);
+
+    const screenshotLightboxModal = document.querySelector('.modal-overlay:has(#screenshot-lightbox-title)');
+    if (screenshotLightboxModal) attachModalEventListeners(screenshotLightboxModal);
+
+    const importWizardModal = document.querySelector('.modal-overlay:has(#import-wizard-title)');
+    if (importWizardModal) attachModalEventListeners(importWizardModal);
+
+    const restoreBackupModal = document.querySelector('.modal-overlay:has(#restore-backup-title)');
+    if (restoreBackupModal) attachModalEventListeners(restoreBackupModal);
+
+    const syncConflictsModal = document.querySelector('.modal-overlay:has(#sync-conflicts-title)');
+    if (syncConflictsModal) attachModalEventListeners(syncConflictsModal);
+
+    document.getElementById('open-risk-rules')?.addEventListener('click', openRiskRulesModal);
+    document.getElementById('open-cash-ledger')?.addEventListener('click', openCashLedgerModal);
+
+    document.querySelectorAll('[data-result-mode]').forEach(button => {
+        button.addEventListener('click', () => setResultMode((button as HTMLElement).dataset.resultMode as 'gross' | 'net'));
+    });
+
+    document.querySelector('.stats-details')?.addEventListener('toggle', (e) => {
+        isStatsTableExpanded = (e.currentTarget as HTMLDetailsElement).open;
+    });
+
+    document.querySelectorAll('[data-equity-granularity]').forEach(button => {
+        button.addEventListener('click', () => setEquityGranularity((button as HTMLElement).dataset.equityGranularity as 'day' | 'week' | 'month'));
+    });
+
+    document.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => setActiveView((button as HTMLElement).dataset.view as 'journal' | 'taxes'));
+    });
+
+    document.querySelectorAll('[data-tax-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { taxExport, month } = (button as HTMLElement).dataset;
+            if (!month) return;
+            if (taxExport === 'pdf') exportTaxStatementPDF(month);
+            else exportTaxStatementCSV(month);
+        });
+    });
+
 
     // Google Sheets listeners
+    document.getElementById('journal-select')?.addEventListener('change', (e) => switchJournal((e.target as HTMLSelectElement).value));
+    document.getElementById('manage-journals')?.addEventListener('click', openManageJournalsModal);
+    document.getElementById('account-select')?.addEventListener('change', (e) => selectAccount((e.target as HTMLSelectElement).value));
+    document.getElementById('manage-accounts')?.addEventListener('click', openManageAccountsModal);
     document.getElementById('auth-sheets')?.addEventListener('click', handleAuthClick);
     document.getElementById('signout-sheets')?.addEventListener('click', handleSignoutClick);
-    document.getElementById('sync-sheets')?.addEventListener('click', () => syncToSheet());
-    document.getElementById('load-sheets')?.addEventListener('click', loadTradesFromSheet);
+    document.getElementById('sync-journal')?.addEventListener('click', () => syncJournal());
+    document.getElementById('load-history')?.addEventListener('click', loadTradesFromStorage);
 };
 
 const loadGoogleApiScripts = () => {
@@ -1893,12 +8178,19 @@ const loadGoogleApiScripts = () => {
 
 // --- APP START ---
 const initializeApp = async () => {
-    loadState();
+    await loadState();
     loadGoogleApiScripts();
+    window.addEventListener('online', flushOutbox);
+    window.addEventListener('online', uploadPendingScreenshots);
+    window.addEventListener('offline', updateSyncStatus);
+    document.addEventListener('paste', handleScreenshotPaste);
     
     await attemptAiInitialization();
 
     render();
+    // Journals synced with Google wait for the sign-in instead.
+    fetchRegOptions();
+    flushOutbox();
 };
 
 initializeApp();
\ No newline at end of file
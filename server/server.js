@@ -0,0 +1,340 @@
+// Reference sync server for Diário de Trades journals: the HTTP/JSON backend of the
+// "Servidor de sincronização" storage option. Node built-ins only; see README.md.
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1'; // only this machine; set HOST=0.0.0.0 (with a TOKEN) to serve the network
+const DATA_DIR = path.resolve(process.env.DATA_DIR || './data');
+const STORAGE = process.env.STORAGE || 'file'; // 'file' or 'sqlite'
+const TOKEN = process.env.TOKEN || ''; // when set, every /journals request needs "Authorization: Bearer <TOKEN>"
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const JOURNAL_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * @typedef {object} StoredTrade
+ * @property {number} seq - sequence number of the last write, the cursor of the change feed
+ * @property {object} trade - the trade as the app sent it
+ */
+
+/**
+ * Every write to a journal takes the next number of its sequence, so `changes?since=N` is
+ * every trade written after the write numbered N. Deleting keeps a tombstone (`deleted: true`)
+ * so other devices learn about it.
+ * @typedef {object} Store
+ * @property {(journal: string, since: number) => Promise<{ trades: object[]; cursor: string }>} listTrades
+ * @property {(journal: string, id: number) => Promise<object | null>} getTrade
+ * @property {(journal: string, trades: object[]) => Promise<string>} putTrades - resolves to the new cursor
+ * @property {(journal: string, id: number) => Promise<string | null>} deleteTrade - null when the trade does not exist
+ * @property {(journal: string) => Promise<object | null>} getOptions
+ * @property {(journal: string, options: object) => Promise<void>} putOptions
+ */
+
+const tombstone = (trade) => ({ ...trade, deleted: true, updatedAt: new Date().toISOString(), revision: (trade.revision || 0) + 1 });
+
+// One JSON file per journal, rewritten through a temporary file so a crash never leaves it
+// half written. Writes to the same journal are queued one after the other.
+/** @returns {Store} */
+const createFileStore = (dataDir) => {
+    const journals = new Map(); // journal -> { seq, trades: { [id]: StoredTrade }, options }
+    const queues = new Map(); // journal -> promise of the last queued operation
+
+    const filePath = (journal) => path.join(dataDir, `${journal}.json`);
+
+    const load = async (journal) => {
+        if (!journals.has(journal)) {
+            try {
+                journals.set(journal, JSON.parse(await fs.readFile(filePath(journal), 'utf8')));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                journals.set(journal, { seq: 0, trades: {}, options: null });
+            }
+        }
+        return journals.get(journal);
+    };
+
+    const persist = async (journal, data) => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tempPath = `${filePath(journal)}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, filePath(journal));
+    };
+
+    const queue = (journal, operation) => {
+        const result = (queues.get(journal) || Promise.resolve()).then(operation);
+        queues.set(journal, result.catch(() => {}));
+        return result;
+    };
+
+    return {
+        listTrades: (journal, since) => queue(journal, async () => {
+            const data = await load(journal);
+            const trades = Object.values(data.trades).filter(stored => stored.seq > since).map(stored => stored.trade);
+            return { trades, cursor: String(data.seq) };
+        }),
+        getTrade: (journal, id) => queue(journal, async () => {
+            const data = await load(journal);
+            return data.trades[id]?.trade || null;
+        }),
+        putTrades: (journal, trades) => queue(journal, async () => {
+            const data = await load(journal);
+            trades.forEach(trade => {
+                data.seq++;
+                data.trades[trade.id] = { seq: data.seq, trade };
+            });
+            await persist(journal, data);
+            return String(data.seq);
+        }),
+        deleteTrade: (journal, id) => queue(journal, async () => {
+            const data = await load(journal);
+            const stored = data.trades[id];
+            if (!stored) return null;
+            data.seq++;
+            data.trades[id] = { seq: data.seq, trade: tombstone(stored.trade) };
+            await persist(journal, data);
+            return String(data.seq);
+        }),
+        getOptions: (journal) => queue(journal, async () => (await load(journal)).options),
+        putOptions: (journal, options) => queue(journal, async () => {
+            const data = await load(journal);
+            data.options = options;
+            await persist(journal, data);
+        }),
+    };
+};
+
+// A single SQLite database for all journals, through the node:sqlite module (Node 22.5 or newer).
+/** @returns {Promise<Store>} */
+const createSqliteStore = async (dataDir) => {
+    const { DatabaseSync } = await import('node:sqlite').catch(() => {
+        throw new Error(`STORAGE=sqlite precisa do módulo node:sqlite (Node 22.5 ou mais novo); este é o Node ${process.versions.node}. Atualize o Node ou use STORAGE=file.`);
+    });
+    await fs.mkdir(dataDir, { recursive: true });
+    const db = new DatabaseSync(path.join(dataDir, 'journals.sqlite'));
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS journals (name TEXT PRIMARY KEY, seq INTEGER NOT NULL, options TEXT);
+        CREATE TABLE IF NOT EXISTS trades (
+            journal TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            seq INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (journal, id)
+        );
+        CREATE INDEX IF NOT EXISTS trades_by_seq ON trades (journal, seq);
+    `);
+
+    const ensureJournal = db.prepare('INSERT OR IGNORE INTO journals (name, seq) VALUES (?, 0)');
+    const selectJournal = db.prepare('SELECT seq, options FROM journals WHERE name = ?');
+    const updateSeq = db.prepare('UPDATE journals SET seq = ? WHERE name = ?');
+    const updateOptions = db.prepare('UPDATE journals SET options = ? WHERE name = ?');
+    const selectChanges = db.prepare('SELECT data FROM trades WHERE journal = ? AND seq > ? ORDER BY seq');
+    const selectTrade = db.prepare('SELECT data FROM trades WHERE journal = ? AND id = ?');
+    const upsertTrade = db.prepare(`
+        INSERT INTO trades (journal, id, seq, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (journal, id) DO UPDATE SET seq = excluded.seq, data = excluded.data
+    `);
+
+    const getJournal = (journal) => {
+        ensureJournal.run(journal);
+        return selectJournal.get(journal);
+    };
+
+    // The statements are synchronous, so a transaction is never interleaved with another request.
+    const transaction = (operation) => {
+        db.exec('BEGIN');
+        try {
+            const result = operation();
+            db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    };
+
+    const writeTrades = (journal, trades) => {
+        let { seq } = getJournal(journal);
+        trades.forEach(trade => {
+            seq++;
+            upsertTrade.run(journal, trade.id, seq, JSON.stringify(trade));
+        });
+        updateSeq.run(seq, journal);
+        return String(seq);
+    };
+
+    return {
+        listTrades: async (journal, since) => transaction(() => ({
+            trades: selectChanges.all(journal, since).map(row => JSON.parse(row.data)),
+            cursor: String(getJournal(journal).seq),
+        })),
+        getTrade: async (journal, id) => {
+            const row = selectTrade.get(journal, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+        putTrades: async (journal, trades) => transaction(() => writeTrades(journal, trades)),
+        deleteTrade: async (journal, id) => transaction(() => {
+            const row = selectTrade.get(journal, id);
+            return row ? writeTrades(journal, [tombstone(JSON.parse(row.data))]) : null;
+        }),
+        getOptions: async (journal) => {
+            const { options } = getJournal(journal);
+            return options ? JSON.parse(options) : null;
+        },
+        putOptions: async (journal, options) => {
+            getJournal(journal);
+            updateOptions.run(JSON.stringify(options), journal);
+        },
+    };
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Corpo da requisição grande demais.'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(new HttpError(400, 'O corpo da requisição não é um JSON válido.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+const parseTradeId = (value) => {
+    const id = Number(value);
+    if (!Number.isSafeInteger(id)) throw new HttpError(400, `ID de operação inválido: ${value}`);
+    return id;
+};
+
+const isTrade = (trade) => typeof trade === 'object' && trade !== null && Number.isSafeInteger(trade.id);
+
+// The REG options, plus the journal's account and tag registries when the app sends them.
+const isJournalOptions = (options) => typeof options === 'object' && options !== null &&
+    ['regions', 'structures', 'triggers'].every(key => Array.isArray(options[key]) && options[key].every(value => typeof value === 'string')) &&
+    (options.accounts === undefined || (Array.isArray(options.accounts) && options.accounts.every(account => typeof account?.id === 'string'))) &&
+    (options.tags === undefined || (Array.isArray(options.tags) && options.tags.every(tag => typeof tag?.name === 'string' && typeof tag.isMistake === 'boolean')));
+
+/**
+ * Routes of a journal, all relative to /journals/<name>. Resolves to [status, body].
+ * @param {Store} store
+ */
+const handleJournalRequest = async (store, req, journal, rest, url) => {
+    const method = req.method;
+    if (rest === '/trades' && method === 'GET') {
+        return [200, await store.listTrades(journal, 0)];
+    }
+    if (rest === '/trades' && method === 'PUT') {
+        const body = await readJsonBody(req);
+        if (!Array.isArray(body?.trades) || !body.trades.every(isTrade)) {
+            throw new HttpError(400, 'Envie { "trades": [...] }, cada operação com um "id" inteiro.');
+        }
+        return [200, { cursor: await store.putTrades(journal, body.trades) }];
+    }
+    const tradeMatch = rest.match(/^\/trades\/([^/]+)$/);
+    if (tradeMatch && method === 'GET') {
+        const trade = await store.getTrade(journal, parseTradeId(tradeMatch[1]));
+        if (!trade) throw new HttpError(404, 'Operação não encontrada.');
+        return [200, trade];
+    }
+    if (tradeMatch && method === 'DELETE') {
+        const cursor = await store.deleteTrade(journal, parseTradeId(tradeMatch[1]));
+        if (cursor === null) throw new HttpError(404, 'Operação não encontrada.');
+        return [200, { cursor }];
+    }
+    if (rest === '/options' && method === 'GET') {
+        const options = await store.getOptions(journal);
+        if (!options) throw new HttpError(404, 'Nenhuma opção de REG salva para este diário.');
+        return [200, options];
+    }
+    if (rest === '/options' && method === 'PUT') {
+        const options = await readJsonBody(req);
+        if (!isJournalOptions(options)) {
+            throw new HttpError(400, 'Envie { "regions": [...], "structures": [...], "triggers": [...] } com textos e, opcionalmente, "accounts": [...] com um "id" em cada conta e "tags": [...] com "name" e "isMistake" em cada tag.');
+        }
+        await store.putOptions(journal, options);
+        return [204, null];
+    }
+    if (rest === '/changes' && method === 'GET') {
+        const since = Number(url.searchParams.get('since') || 0);
+        if (!Number.isSafeInteger(since) || since < 0) throw new HttpError(400, 'Cursor "since" inválido.');
+        return [200, await store.listTrades(journal, since)];
+    }
+    throw new HttpError(404, 'Rota não encontrada.');
+};
+
+const decodeJournalName = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, 'Nome de diário inválido: use letras, números, "-" e "_".');
+    }
+};
+
+const createServer = (store) => http.createServer(async (req, res) => {
+    const send = (status, body) => {
+        res.writeHead(status, {
+            'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+            'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+        });
+        res.end(body === null ? undefined : JSON.stringify(body));
+    };
+
+    try {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        if (req.method === 'OPTIONS') return send(204, null);
+        if (url.pathname === '/health' && req.method === 'GET') return send(200, { ok: true, storage: STORAGE });
+
+        const journalMatch = url.pathname.match(/^\/journals\/([^/]+)(\/.*)$/);
+        if (!journalMatch) throw new HttpError(404, 'Rota não encontrada.');
+        if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) throw new HttpError(401, 'Token de acesso inválido.');
+        const journal = decodeJournalName(journalMatch[1]);
+        if (!JOURNAL_PATTERN.test(journal)) throw new HttpError(400, 'Nome de diário inválido: use letras, números, "-" e "_".');
+
+        const [status, body] = await handleJournalRequest(store, req, journal, journalMatch[2], url);
+        send(status, body);
+    } catch (error) {
+        if (!(error instanceof HttpError)) console.error(`${req.method} ${req.url} falhou:`, error);
+        const status = error instanceof HttpError ? error.status : 500;
+        send(status, { error: error instanceof HttpError ? error.message : 'Erro interno do servidor.' });
+    }
+});
+
+if (STORAGE !== 'file' && STORAGE !== 'sqlite') {
+    console.error(`STORAGE inválido: "${STORAGE}". Use "file" ou "sqlite".`);
+    process.exit(1);
+}
+if (!TOKEN && !LOOPBACK_HOSTS.has(HOST)) {
+    console.error(`HOST=${HOST} deixaria os diários abertos a toda a rede sem autenticação. Defina TOKEN ou use HOST=127.0.0.1.`);
+    process.exit(1);
+}
+let store;
+try {
+    store = STORAGE === 'sqlite' ? await createSqliteStore(DATA_DIR) : createFileStore(DATA_DIR);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+createServer(store).listen(PORT, HOST, () => {
+    console.log(`Servidor de sincronização em http://${HOST}:${PORT} (armazenamento: ${STORAGE}, dados em ${DATA_DIR})`);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+const TRADE_ID = 1704189600000;
+const IMAGE_BYTES = Array.from({ length: 70000 }, (_, i) => i % 256);
+
+// A journal kept in this browser, so restoring has nothing to sync.
+const setup = () => {
+    const app = loadApp();
+    app(`journals = [{ id: DEFAULT_JOURNAL_ID, name: 'Principal', ...DEFAULT_JOURNAL_STORAGE, backend: 'local' }]`);
+    app('render = () => {}');
+    return app;
+};
+
+const addTradeWithImage = (app, imageId, bytes) => app(`(bytes) => {
+    trades = [touchTrade({
+        id: ${TRADE_ID}, accountId: DEFAULT_ACCOUNT_ID, asset: 'WDOF24', tradeNumber: 1, side: 'Compra', date: '2024-01-02',
+        ...calculateTradeMetrics('WDOF24', 'Compra', singleLeg(4900, 1), singleLeg(4910, 1)),
+        costsOverridden: false, notes: '', region: 'Topo', structure: 'Pivô', trigger: 'Candle',
+    })];
+    screenshots = [...screenshots, { id: '${imageId}', tradeId: ${TRADE_ID}, blob: new Blob([new Uint8Array(bytes)], { type: 'image/jpeg' }),
+        width: 800, height: 600, createdAt: '2024-01-02T21:00:00.000Z', driveFileId: 'no-drive' }];
+}`)(bytes);
+
+const exportText = async (app) => JSON.stringify(await app('buildBackup()'));
+
+const imageBytes = async (screenshot) => Array.from(new Uint8Array(await screenshot.blob.arrayBuffer()));
+
+const restore = async (app, text, mode) => {
+    const backup = await app('readBackup')(text);
+    app('(backup, mode) => { pendingRestore = { fileName: "backup.json", ...backup, mode }; }')(backup, mode);
+    app('confirmRestore()');
+};
+
+test('exports the images with their own checksum and reads them back', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', IMAGE_BYTES);
+    const text = await exportText(source);
+
+    const backup = JSON.parse(text);
+    assert.equal(backup.version, 2);
+    assert.equal(typeof backup.checksums.screenshots, 'string');
+    assert.equal(backup.data.screenshots[0].driveFileId, undefined);
+
+    const { screenshots } = await setup()('readBackup')(text);
+    assert.equal(screenshots.length, 1);
+    assert.equal(screenshots[0].tradeId, TRADE_ID);
+    assert.equal(screenshots[0].blob.type, 'image/jpeg');
+    assert.deepStrictEqual(await imageBytes(screenshots[0]), IMAGE_BYTES);
+});
+
+test('rejects a backup whose images were altered', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', [1, 2, 3]);
+    const backup = JSON.parse(await exportText(source));
+    backup.data.screenshots[0].data = 'AAAA';
+
+    await assert.rejects(setup()('readBackup')(JSON.stringify(backup)), /checksum não confere/);
+});
+
+test('still reads a version 1 backup, which has no images', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', [1, 2, 3]);
+    const backup = JSON.parse(await exportText(source));
+    backup.version = 1;
+    delete backup.data.screenshots;
+    delete backup.checksums.screenshots;
+
+    const read = await setup()('readBackup')(JSON.stringify(backup));
+    assert.equal(read.trades.length, 1);
+    assert.deepStrictEqual(plain(read.screenshots), []);
+});
+
+test('merging adds the backup images and keeps the local ones', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', [1, 2, 3]);
+    const target = setup();
+    addTradeWithImage(target, 'local', [4, 5, 6]);
+
+    await restore(target, await exportText(source), 'merge');
+
+    assert.deepStrictEqual(plain(target('screenshots.map(s => s.id)')), ['local', 'grafico']);
+    assert.deepStrictEqual(await imageBytes(target('screenshots[1]')), [1, 2, 3]);
+});
+
+test('replacing leaves exactly the backup images, keeping the Drive copy of an image already here', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', [1, 2, 3]);
+    const text = await exportText(source);
+    const target = setup();
+    addTradeWithImage(target, 'local', [4, 5, 6]);
+    addTradeWithImage(target, 'grafico', [1, 2, 3]);
+    target('screenshots[1].driveFileId = "arquivo-no-drive"');
+
+    await restore(target, text, 'replace');
+
+    assert.deepStrictEqual(plain(target('screenshots.map(s => [s.id, s.driveFileId])')), [['grafico', 'arquivo-no-drive']]);
+});
+
+test('restoring an older backup relabels its instruments in reais, the currency their results were summed in', async () => {
+    const source = setup();
+    addTradeWithImage(source, 'grafico', [1, 2, 3]);
+    source(`instruments = instruments.map(i => i.symbol === 'CRIPTO' ? { ...i, currency: 'USD' } : i)`);
+    const target = setup();
+
+    await restore(target, await exportText(source), 'replace');
+
+    assert.deepStrictEqual(plain(target('[...new Set(instruments.map(i => i.currency))]')), ['BRL']);
+    assert.equal(target('instruments.find(i => i.symbol === "CRIPTO").pointValue'), 1);
+});
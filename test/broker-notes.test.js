@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadApp, plain } from './load-app.js';
+
+// The fixtures hold the text lines extractPdfPages rebuilds from a note, one page per form feed.
+const readPages = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+    .split('\f')
+    .map(page => page.split('\n').map(line => line.trim()).filter(Boolean));
+
+const app = loadApp();
+const parseBrokerNotes = app('parseBrokerNotes');
+const noteExecutionsToTrades = app('noteExecutionsToTrades');
+
+test('reads a note with the commodity and the series in separate columns', () => {
+    const notes = parseBrokerNotes(readPages('sinacor-split-series.txt'));
+
+    assert.deepStrictEqual(plain(notes), [{
+        number: '52341',
+        date: '2024-01-02',
+        layout: 'Mercadoria e série separadas',
+        executions: [
+            { date: '2024-01-02', side: 'C', asset: 'WDOF24', quantity: 2, price: 4905.5, dayTrade: true },
+            { date: '2024-01-02', side: 'V', asset: 'WDOF24', quantity: 2, price: 4915, dayTrade: true },
+            { date: '2024-01-02', side: 'C', asset: 'WDOF24', quantity: 1, price: 4920, dayTrade: false },
+        ],
+        fees: 4.2,
+    }]);
+});
+
+test('reads a note with the full contract code spread over two pages', () => {
+    const notes = parseBrokerNotes(readPages('sinacor-full-code.txt'));
+
+    assert.equal(notes.length, 1);
+    assert.deepStrictEqual(plain(notes[0]), {
+        number: '7781',
+        date: '2024-01-03',
+        layout: 'Código do contrato completo',
+        executions: [
+            { date: '2024-01-03', side: 'V', asset: 'WING24', quantity: 1, price: 132100, dayTrade: true },
+            { date: '2024-01-03', side: 'C', asset: 'WING24', quantity: 1, price: 132000, dayTrade: true },
+            { date: '2024-01-03', side: 'C', asset: 'WING24', quantity: 2, price: 131900, dayTrade: true },
+            { date: '2024-01-03', side: 'V', asset: 'WING24', quantity: 2, price: 131950, dayTrade: true },
+        ],
+        fees: 1.65,
+    });
+});
+
+test('pairs the day trades and spreads the fees by quantity', () => {
+    const { trades, unmatchedContracts, swingExecutions } = noteExecutionsToTrades(parseBrokerNotes(readPages('sinacor-split-series.txt')));
+
+    assert.equal(unmatchedContracts, 0);
+    assert.equal(swingExecutions, 1);
+    assert.equal(trades.length, 1);
+    const [trade] = trades;
+    assert.equal(trade.asset, 'WDOF24');
+    assert.equal(trade.side, 'Compra');
+    assert.equal(trade.lots, 2);
+    assert.equal(trade.entryPrice, 4905.5);
+    assert.equal(trade.exitPrice, 4915);
+    assert.equal(trade.grossResult, 190);
+    // 4,20 over the 5 contracts of the note, 4 of them in this round trip.
+    assert.equal(trade.costs, 3.36);
+    assert.equal(trade.netResult, 186.64);
+    assert.equal(trade.costsOverridden, true);
+    assert.equal(trade.pendingClassification, true);
+});
+
+test('pairs each round trip of the day on its own', () => {
+    const { trades } = noteExecutionsToTrades(parseBrokerNotes(readPages('sinacor-full-code.txt')));
+
+    assert.deepStrictEqual(plain(trades.map(t => [t.side, t.lots, t.entryPrice, t.exitPrice, t.grossResult, t.costs])), [
+        ['Venda', 1, 132100, 132000, 20, 0.55],
+        ['Compra', 2, 131900, 131950, 20, 1.1],
+    ]);
+});
+
+test('gives a trade the same id whether the file covers one day or more', () => {
+    const daily = noteExecutionsToTrades(parseBrokerNotes(readPages('sinacor-full-code.txt'))).trades;
+    const combined = noteExecutionsToTrades(parseBrokerNotes([
+        ...readPages('sinacor-split-series.txt'),
+        ...readPages('sinacor-full-code.txt'),
+    ])).trades;
+
+    assert.deepStrictEqual(combined.slice(1).map(t => t.id), daily.map(t => t.id));
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+// Two accounts: "conta" starts with R$ 10.000 and "zerada" with nothing. Each trade only carries
+// what the ledger reads.
+const setup = () => {
+    const app = loadApp();
+    app(`accounts = [
+        { id: 'conta', name: 'Conta', broker: '', type: 'real', initialCapital: 10000, currency: 'BRL' },
+        { id: 'zerada', name: 'Zerada', broker: '', type: 'real', initialCapital: 0, currency: 'BRL' },
+    ]`);
+    app(`trades = [
+        { id: 1, accountId: 'conta', date: '2024-01-02', netResult: 100 },
+        { id: 2, accountId: 'conta', date: '2024-01-03', netResult: 151 },
+        { id: 3, accountId: 'conta', date: '2024-01-04', netResult: -140 },
+        { id: 4, accountId: 'zerada', date: '2024-01-03', netResult: 50 },
+        { id: 5, accountId: 'zerada', date: '2024-01-04', netResult: 10.5 },
+    ]`);
+    app(`cashMovements = [
+        { id: 'a', accountId: 'conta', date: '2024-01-03', type: 'deposit', amount: 5000 },
+        { id: 'b', accountId: 'conta', date: '2024-01-04', type: 'withdrawal', amount: 1251 },
+        { id: 'c', accountId: 'conta', date: '2024-01-05', type: 'fee', amount: 138.6 },
+        { id: 'd', accountId: 'zerada', date: '2024-01-04', type: 'deposit', amount: 1000 },
+    ]`);
+    return app;
+};
+
+const round = (value) => value === null ? null : Math.round(value * 10000) / 10000;
+
+// [date, balance, return of the day, cumulative return, drawdown], percentages to 4 places.
+const describe = (curve) => plain(curve).map(p =>
+    [p.date, p.balance, round(p.returnPercent), round(p.cumulativeReturnPercent), round(p.drawdownPercent)]);
+
+test('measures each day over the balance after its deposits and withdrawals, from the start of the window', () => {
+    const app = setup();
+    app(`selectedAccountId = 'conta'; filters = { ...DEFAULT_FILTERS, startDate: '2024-01-03' }`);
+
+    // The first day is outside the window: it moves the balance but not the returns.
+    assert.deepStrictEqual(describe(app('getBalanceCurve()')), [
+        ['2024-01-03', 15251, 1, 1, 0],
+        ['2024-01-04', 13860, -1, -0.01, -1],
+        // A day with only a platform fee loses on the balance like a losing trade.
+        ['2024-01-05', 13721.4, -1, -1.0099, -1.99],
+    ]);
+});
+
+test('leaves the return out while the account has no capital', () => {
+    const app = setup();
+    app(`selectedAccountId = 'zerada'`);
+
+    assert.deepStrictEqual(describe(app('getBalanceCurve()')), [
+        ['2024-01-03', 50, null, 0, 0],
+        ['2024-01-04', 1060.5, 1, 1, 0],
+    ]);
+});
+
+test('compounds the daily returns of each period', () => {
+    const app = setup();
+    app(`selectedAccountId = 'conta'; filters = { ...DEFAULT_FILTERS, startDate: '2024-01-03' }`);
+    const curve = app('getBalanceCurve()');
+
+    const returns = (granularity) => plain(app('getPeriodReturns')(curve, granularity)).map(r => [r.period, round(r.returnPercent)]);
+    assert.deepStrictEqual(returns('day'), [['2024-01-03', 1], ['2024-01-04', -1], ['2024-01-05', -1]]);
+    assert.deepStrictEqual(returns('month'), [['2024-01', -1.0099]]);
+});
+
+test('a zero-capital day does not break the period return', () => {
+    const app = setup();
+    app(`selectedAccountId = 'zerada'`);
+
+    assert.deepStrictEqual(plain(app('getPeriodReturns(getBalanceCurve(), "month")')).map(r => [r.period, round(r.returnPercent)]), [['2024-01', 1]]);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+// A Friday, the Monday after it and a day in late January, across the turn of the year.
+const DATA = [
+    { date: '2023-12-29', netResult: 100, grossResult: 100, points: 10 },
+    { date: '2024-01-01', netResult: -40, grossResult: -40, points: -4 },
+    { date: '2024-01-22', netResult: 30, grossResult: 30, points: 3 },
+];
+
+const curve = (granularity, data = DATA) => plain(loadApp()('getEquityCurve')(data, granularity)).map(p => [p.period, p.result, p.equity]);
+
+test('keeps the days without trades on the daily curve, flat', () => {
+    const days = curve('day');
+
+    assert.equal(days.length, 25);
+    assert.deepStrictEqual(days.slice(0, 4), [['2023-12-29', 100, 100], ['2023-12-30', 0, 100], ['2023-12-31', 0, 100], ['2024-01-01', -40, 60]]);
+    assert.deepStrictEqual(days[days.length - 1], ['2024-01-22', 30, 90]);
+});
+
+test('keeps the weeks and months without trades', () => {
+    assert.deepStrictEqual(curve('week'), [
+        ['2023-12-25', 100, 100],
+        ['2024-01-01', -40, 60],
+        ['2024-01-08', 0, 60],
+        ['2024-01-15', 0, 60],
+        ['2024-01-22', 30, 90],
+    ]);
+    assert.deepStrictEqual(curve('month'), [['2023-12', 100, 100], ['2024-01', -10, 90]]);
+    assert.deepStrictEqual(curve('month', [DATA[0], { ...DATA[2], date: '2024-03-04' }]), [
+        ['2023-12', 100, 100],
+        ['2024-01', 0, 100],
+        ['2024-02', 0, 100],
+        ['2024-03', 30, 130],
+    ]);
+});
+
+test('an empty selection has no curve', () => {
+    assert.deepStrictEqual(plain(loadApp()('getEquityCurve')([], 'day')), []);
+});
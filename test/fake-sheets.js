@@ -0,0 +1,72 @@
+// In-memory stand-in for gapi.client.sheets.spreadsheets, for a single spreadsheet. Like the
+// real API, values are read back as the text a pt_BR sheet shows: numbers with a decimal comma.
+// Rows are copied with Array.from so they belong to this realm, not the app's sandbox.
+
+// "'Trades'!A5" -> { title: 'Trades', row: 5 }
+const parseRange = (range) => {
+    const match = range.match(/^'((?:[^']|'')*)'(?:!A(\d+))?/);
+    if (!match) throw new Error(`Range not supported by the fake: ${range}`);
+    return { title: match[1].replace(/''/g, "'"), row: match[2] ? Number(match[2]) : null };
+};
+
+const toCellText = (value) => typeof value === 'number' ? String(value).replace('.', ',') : String(value ?? '');
+
+/**
+ * @param {{ [title: string]: any[][] }} [tabs] - initial rows of each tab, header included
+ */
+export const createFakeSheets = (tabs = {}) => {
+    const sheets = new Map(Object.entries(tabs).map(([title, rows]) => [title, rows.map(row => Array.from(row, toCellText))]));
+
+    const getTab = (title) => {
+        if (!sheets.has(title)) throw { result: { error: { code: 400, message: `Unable to parse range: ${title}` } } };
+        return sheets.get(title);
+    };
+
+    const writeRows = (range, values) => {
+        const { title, row } = parseRange(range);
+        const rows = getTab(title);
+        values.forEach((rowValues, offset) => {
+            rows[row - 1 + offset] = Array.from(rowValues, toCellText);
+        });
+    };
+
+    const spreadsheets = {
+        get: async () => {
+            return { result: { sheets: [...sheets.keys()].map(title => ({ properties: { title } })) } };
+        },
+        batchUpdate: async ({ resource }) => {
+            resource.requests.forEach(request => {
+                if (request.addSheet) sheets.set(request.addSheet.properties.title, []);
+            });
+            return { result: {} };
+        },
+        values: {
+            get: async ({ range }) => {
+                const rows = getTab(parseRange(range).title);
+                return { result: { values: rows.length > 0 ? rows.map(row => [...row]) : undefined } };
+            },
+            update: async ({ range, resource }) => {
+                writeRows(range, resource.values);
+                return { result: {} };
+            },
+            batchUpdate: async ({ resource }) => {
+                resource.data.forEach(({ range, values }) => writeRows(range, values));
+                return { result: {} };
+            },
+            append: async ({ range, resource }) => {
+                getTab(parseRange(range).title).push(...Array.from(resource.values, row => Array.from(row, toCellText)));
+                return { result: {} };
+            },
+            clear: async ({ range }) => {
+                sheets.set(parseRange(range).title, []);
+                return { result: {} };
+            },
+        },
+    };
+
+    return {
+        gapi: { client: { sheets: { spreadsheets } } },
+        /** Rows of a tab as the sheet shows them, header included. */
+        rows: (title) => sheets.get(title),
+    };
+};
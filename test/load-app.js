@@ -0,0 +1,70 @@
+// Loads index.js in a sandbox with just enough of the browser for the logic under test.
+// The app is a single script, so its bindings are reached through the returned function,
+// which evaluates an expression in the app's own scope: app('trades'), app('trades = []').
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const SOURCE = fs.readFileSync(new URL('../index.js', import.meta.url), 'utf8')
+    .replace(/^import .*$/gm, '')
+    .replace(/^initializeApp\(\);$/m, '');
+
+// Stand-ins for the packages of the importmap; the logic under test does not use them.
+const PACKAGE_STUBS = `
+const GoogleGenAI = class {};
+const marked = { parse: text => text };
+const Chart = class { static register() {} destroy() {} };
+const registerables = [];
+const jsPDF = class {};
+const html2canvas = async () => null;
+`;
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+    };
+};
+
+const elementStub = () => ({
+    addEventListener() {},
+    setAttribute() {},
+    removeAttribute() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    classList: { add() {}, remove() {}, toggle() {} },
+    dataset: {},
+    style: {},
+});
+
+/**
+ * @param {object} [globals] - extra browser globals, such as `gapi` or `alert`
+ * @returns {(expression: string) => any}
+ */
+export const loadApp = (globals = {}) => {
+    const context = vm.createContext({
+        console, setTimeout, clearTimeout, URL, Blob, TextEncoder, TextDecoder, fetch, crypto, btoa, atob,
+        structuredClone, AbortController,
+        process: { env: {} },
+        navigator: { onLine: true },
+        localStorage: createStorage(),
+        document: {
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {},
+            createElement: elementStub,
+            body: elementStub(),
+        },
+        alert: () => {},
+        confirm: () => true,
+        ...globals,
+    });
+    context.window = context;
+    return vm.runInContext(`${PACKAGE_STUBS}${SOURCE}\n(expression => eval(expression))`, context, { filename: 'index.js' });
+};
+
+// Values built inside the sandbox have its own Array and Object prototypes; strict deep
+// equality needs them as plain data of this realm.
+export const plain = (value) => JSON.parse(JSON.stringify(value));
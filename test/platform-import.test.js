@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { loadApp, plain } from './load-app.js';
+
+const readFixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Just enough of DOMParser for readHtmlTableRows: the rows of the tables and the text of their cells.
+class DOMParser {
+    parseFromString(html) {
+        const text = (cell) => cell.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+        const rows = [...html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)].map(([, row]) => ({
+            querySelectorAll: () => [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/g)].map(([, cell]) => ({ textContent: text(cell) })),
+        }));
+        return { querySelectorAll: () => rows };
+    }
+}
+
+const app = loadApp({ DOMParser });
+const readPlatformExecutions = app('readPlatformExecutions');
+const matchRoundTrips = app('matchRoundTrips');
+
+// [side, entries, exits, fees] of each round trip, legs as "quantity@price time".
+const describe = (roundTrips) => plain(roundTrips).map(trip => [
+    trip.side,
+    trip.entries.map(leg => `${leg.quantity}@${leg.price} ${leg.time}`),
+    trip.exits.map(leg => `${leg.quantity}@${leg.price} ${leg.time}`),
+    trip.fees,
+]);
+
+test('reads a Profit Pro order list listed newest first and matches it FIFO', () => {
+    const report = readPlatformExecutions(app('parseCsv')(readFixture('profit-ordens.csv')));
+
+    assert.equal(report.adapter.name, 'Profit Pro');
+    // The cancelled order has nothing executed.
+    assert.equal(report.executions.length, 6);
+    assert.equal(report.executions[0].time, '10:10:05');
+
+    const { roundTrips, unmatchedContracts } = matchRoundTrips(report.executions);
+    assert.equal(unmatchedContracts, 0);
+    assert.deepStrictEqual(describe(roundTrips), [
+        // A partial close: the fills of the same minute go by their seconds, not the file order.
+        ['Compra', ['2@5000 09:01'], ['1@5005 09:01', '1@5010 09:01'], undefined],
+        // The buy of 2 closes the short and opens a long with the rest.
+        ['Venda', ['1@5020 10:00'], ['1@5015 10:05'], undefined],
+        ['Compra', ['1@5015 10:05'], ['1@5025 10:10'], undefined],
+    ]);
+});
+
+test('reads a Tryd trade list and reports the position left open', () => {
+    const report = readPlatformExecutions(app('parseCsv')(readFixture('tryd-negocios.csv')));
+
+    assert.equal(report.adapter.name, 'Tryd');
+    const { roundTrips, unmatchedContracts } = matchRoundTrips(report.executions);
+    assert.equal(unmatchedContracts, 1);
+    assert.deepStrictEqual(describe(roundTrips), [
+        ['Venda', ['3@131000 09:10'], ['1@130900 09:12', '2@130800 09:15'], undefined],
+    ]);
+});
+
+test('reads only the deals of an MT5 history report, with their fees', () => {
+    const report = readPlatformExecutions(app('readHtmlTableRows')(readFixture('mt5-report.html')));
+
+    assert.equal(report.adapter.name, 'MetaTrader 5');
+    // The positions and orders tables come first; the balance and totals rows are not fills.
+    assert.deepStrictEqual(plain(report.executions), [
+        { date: '2024-01-02', time: '09:05:12', side: 'C', asset: 'WING24', quantity: 2, price: 132000, fees: 1.2 },
+        { date: '2024-01-02', time: '09:20:45', side: 'V', asset: 'WING24', quantity: 2, price: 132100, fees: 1.2 },
+    ]);
+
+    const { roundTrips, unmatchedContracts } = matchRoundTrips(report.executions);
+    assert.equal(unmatchedContracts, 0);
+    assert.deepStrictEqual(describe(roundTrips), [['Compra', ['2@132000 09:05'], ['2@132100 09:20'], 2.4]]);
+});
+
+test('matches each contract and day on its own', () => {
+    const fill = (date, asset, side, quantity, price) => ({ date, asset, side, quantity, price });
+    const { roundTrips, unmatchedContracts } = matchRoundTrips([
+        fill('2024-01-02', 'WDOF24', 'C', 1, 5000),
+        fill('2024-01-02', 'WING24', 'V', 1, 132000),
+        fill('2024-01-03', 'WDOF24', 'V', 1, 5010),
+        fill('2024-01-02', 'WING24', 'C', 1, 131900),
+    ]);
+
+    assert.equal(unmatchedContracts, 2);
+    assert.deepStrictEqual(plain(roundTrips).map(t => [t.date, t.asset, t.side, t.sequence]), [['2024-01-02', 'WING24', 'Venda', 0]]);
+});
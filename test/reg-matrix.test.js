@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+// [id, region, structure, trigger, net result]
+const TRADES = [
+    [1, 'Topo', 'Pivô', 'Candle', 100],
+    [2, 'Topo', 'Pivô', 'Rompimento', -40],
+    [3, 'Topo', 'Canal', 'Candle', 60],
+    [4, 'Fundo', 'Pivô', 'Candle', -20],
+];
+
+const setup = () => {
+    const app = loadApp();
+    app('(rows) => { trades = rows.map(([id, region, structure, trigger, netResult]) => ({ id, accountId: DEFAULT_ACCOUNT_ID, asset: "WDOF24", side: "Compra", date: "2024-01-02", region, structure, trigger, netResult, grossResult: netResult, points: netResult / 10 })); }')(TRADES);
+    return app;
+};
+
+// The result and count of a cell, or null for a combination without trades.
+const describe = (combination) => combination && [combination.total, combination.count];
+
+test('lays the matrix out with a row per value of the first dimensions and a column per value of the last', () => {
+    const pivot = plain(setup()('calculateRegPivot(trades, ["region", "trigger"])'));
+
+    assert.deepStrictEqual(pivot.columns, ['Candle', 'Rompimento']);
+    assert.deepStrictEqual(pivot.rows.map(r => [r.total.values.region, describe(r.total), r.cells.map(describe)]), [
+        ['Topo', [120, 3], [[160, 2], [-40, 1]]],
+        ['Fundo', [-20, 1], [[-20, 1], null]],
+    ]);
+    assert.deepStrictEqual(pivot.columnTotals.map(describe), [[140, 3], [-40, 1]]);
+    assert.deepStrictEqual(describe(pivot.total), [100, 4]);
+});
+
+test('crosses two row dimensions with the column one', () => {
+    const pivot = plain(setup()('calculateRegPivot(trades, ["region", "structure", "trigger"])'));
+
+    assert.deepStrictEqual(pivot.rows.map(r => [r.total.values.region, r.total.values.structure, r.cells.map(describe)]), [
+        ['Topo', 'Pivô', [[100, 1], [-40, 1]]],
+        ['Topo', 'Canal', [[60, 1], null]],
+        ['Fundo', 'Pivô', [[-20, 1], null]],
+    ]);
+});
+
+test('applies the filter of a dimension the matrix does not show', () => {
+    const app = setup();
+    app('regMatrixDimensions = ["region", "trigger"]; filters = { ...DEFAULT_FILTERS, structure: "Canal", region: "Fundo" }');
+
+    const cells = [...app('renderRegMatrix()').matchAll(/data-combination='([^']*)'/g)].map(([, values]) => JSON.parse(values));
+
+    // Only trade 3 has the Canal structure; the region filter, shown in the matrix, leaves Topo in view.
+    assert.deepStrictEqual(cells, [
+        { region: 'Topo', trigger: 'Candle' },
+        { region: 'Topo' },
+        { trigger: 'Candle' },
+    ]);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+const TRADE_ID = 1704189600000;
+
+// A signed-in sheets journal that copies images to Drive, with one trade whose Drive folder
+// already exists and one image not uploaded yet. `upload` answers the multipart upload.
+const setup = (upload) => {
+    const alerts = [];
+    const app = loadApp({
+        gapi: { client: { getToken: () => ({ access_token: 'token' }) } },
+        fetch: upload,
+        alert: message => alerts.push(message),
+    });
+    app(`journals = [{ id: DEFAULT_JOURNAL_ID, name: 'Principal', ...DEFAULT_JOURNAL_STORAGE, spreadsheetId: 'planilha',
+        driveScreenshots: true, driveFolderId: 'diario' }]`);
+    app(`googleAuthState = { isSignedIn: true, user: 'trader@example.com' }`);
+    app(`trades = [{ id: ${TRADE_ID}, asset: 'WDOF24', tradeNumber: 1, date: '2024-01-02', screenshotsFolderUrl: getDriveFolderUrl('operacao') }]`);
+    app(`screenshots = [{ id: 'grafico', tradeId: ${TRADE_ID}, blob: new Blob(['jpeg'], { type: 'image/jpeg' }), width: 1, height: 1, createdAt: '' }]`);
+    return { app, alerts };
+};
+
+const offline = async () => {
+    throw new TypeError('Failed to fetch');
+};
+
+test('reports a failed upload in the header status instead of an alert', async () => {
+    const { app, alerts } = setup(offline);
+
+    await app('uploadPendingScreenshots()');
+
+    assert.deepStrictEqual(alerts, []);
+    assert.match(app('screenshotUploadError'), /Failed to fetch/);
+    const status = app('renderSyncStatus()');
+    assert.match(status, /sync-status-error/);
+    assert.match(status, /1 imagem\(ns\) pendente\(s\) · nova tentativa às/);
+    app('resetScreenshotUploadRetry()');
+});
+
+test('retries a failed upload with the outbox backoff', async () => {
+    const { app } = setup(offline);
+    const delays = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const before = Date.now();
+        await app('uploadPendingScreenshots()');
+        delays.push(Math.round((app('screenshotUploadRetry.nextAttemptAt') - before) / 1000));
+    }
+
+    const base = app('OUTBOX_RETRY_BASE_MS') / 1000;
+    assert.deepStrictEqual(delays, [base, base * 2, base * 4]);
+    app('resetScreenshotUploadRetry()');
+});
+
+test('clears the error once the upload goes through', async () => {
+    let uploads = offline;
+    const { app } = setup((...args) => uploads(...args));
+    await app('uploadPendingScreenshots()');
+
+    uploads = async () => new Response(JSON.stringify({ id: 'arquivo' }), { status: 200 });
+    await app('uploadPendingScreenshots()');
+
+    assert.equal(app('screenshots[0].driveFileId'), 'arquivo');
+    assert.equal(app('screenshotUploadError'), '');
+    assert.equal(app('screenshotUploadRetry.timer'), null);
+});
+
+test('uploads an image saved while another upload was running', async () => {
+    let uploads = 0;
+    const { app } = setup(async () => {
+        uploads++;
+        if (uploads === 1) {
+            app(`screenshots = [...screenshots, { id: 'outro', tradeId: ${TRADE_ID}, blob: new Blob(['jpeg'], { type: 'image/jpeg' }), width: 1, height: 1, createdAt: '' }]`);
+            // Returns at once: the upload in progress has to find the new image.
+            await app('uploadPendingScreenshots()');
+        }
+        return new Response(JSON.stringify({ id: `arquivo-${uploads}` }), { status: 200 });
+    });
+
+    await app('uploadPendingScreenshots()');
+
+    assert.deepStrictEqual(plain(app('screenshots.map(s => s.driveFileId)')), ['arquivo-1', 'arquivo-2']);
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { loadApp, plain } from './load-app.js';
+
+const TOKEN = 'segredo-de-teste';
+let server;
+let serverUrl;
+let dataDir;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Runs server/server.js as documented, with file storage in a temporary directory.
+before(async () => {
+    const port = await freePort();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diario-sync-'));
+    serverUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [new URL('../server/server.js', import.meta.url).pathname], {
+        env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', DATA_DIR: dataDir, TOKEN },
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    await new Promise((resolve, reject) => {
+        server.once('exit', code => reject(new Error(`server.js saiu com o código ${code}`)));
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes(serverUrl)) resolve();
+        });
+    });
+});
+
+after(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const journalFor = (serverJournal, serverToken = TOKEN) => ({
+    id: 'diario', name: 'Equipe', backend: 'server', serverUrl, serverJournal, serverToken,
+});
+
+const createAdapter = (app, serverJournal, serverToken) => app('createServerAdapter')(journalFor(serverJournal, serverToken));
+
+const createTrade = (app, id, fields = {}) => app(`(id, fields) => touchTrade({
+    id, accountId: DEFAULT_ACCOUNT_ID, asset: 'WINJ24', tradeNumber: 1, side: 'Venda', date: '2024-04-02',
+    ...calculateTradeMetrics('WINJ24', 'Venda', singleLeg(130000, 1), singleLeg(129900, 1)),
+    costsOverridden: false, notes: '', region: 'Topo', structure: 'Pivô', trigger: 'Candle',
+    ...fields,
+})`)(id, fields);
+
+test('stores trades and reads them back from the change feed', async () => {
+    const app = loadApp();
+    const adapter = createAdapter(app, 'feed');
+    const first = createTrade(app, 1, { notes: 'primeira' });
+    const second = createTrade(app, 2);
+
+    await adapter.putTrades([first, second]);
+    const all = await adapter.changesSince(null);
+    assert.equal(all.complete, true);
+    assert.deepStrictEqual(plain(all.trades), plain([first, second]));
+
+    await adapter.putTrades([app('touchTrade')({ ...second, deleted: true })]);
+    const changes = await adapter.changesSince(all.cursor);
+    assert.equal(changes.complete, false);
+    assert.deepStrictEqual(changes.trades.map(t => [t.id, t.deleted]), [[2, true]]);
+    assert.notEqual(changes.cursor, all.cursor);
+
+    assert.deepStrictEqual(plain(await adapter.changesSince(changes.cursor)).trades, []);
+});
+
+test('lists, reads and deletes single trades', async () => {
+    const app = loadApp();
+    const adapter = createAdapter(app, 'operacoes');
+    const trade = createTrade(app, 3, { notes: 'avulsa' });
+
+    await adapter.putTrades([trade]);
+    assert.deepStrictEqual(plain(await adapter.listTrades()), plain([trade]));
+    assert.deepStrictEqual(plain(await adapter.getTrade(3)), plain(trade));
+    assert.equal(await adapter.getTrade(4), null);
+
+    await adapter.deleteTrade(3);
+    assert.equal((await adapter.getTrade(3)).deleted, true);
+    // Deleting a trade the server never had is not an error.
+    await adapter.deleteTrade(4);
+});
+
+test('stores the REG options of a journal', async () => {
+    const app = loadApp();
+    const adapter = createAdapter(app, 'opcoes');
+    const options = { regions: ['Fundo', 'Topo'], structures: ['Pivô'], triggers: ['Candle'] };
+
+    assert.equal(await adapter.getOptions(), null);
+    await adapter.putOptions(options);
+    assert.deepStrictEqual(plain(await adapter.getOptions()), options);
+});
+
+test('stores the account and tag registries with the options and rejects malformed entries', async () => {
+    const app = loadApp();
+    const adapter = createAdapter(app, 'contas');
+    const account = { id: 'simulador', name: 'Simulador XP', broker: 'XP', type: 'simulator', initialCapital: 5000, currency: 'BRL' };
+    const options = { regions: ['Topo'], structures: ['Pivô'], triggers: ['Candle'], accounts: [account], tags: [{ name: 'FOMO', isMistake: true }] };
+
+    await adapter.putOptions(options);
+    assert.deepStrictEqual(plain(await adapter.getOptions()), options);
+    await assert.rejects(adapter.putOptions({ ...options, accounts: [{ name: 'Sem id' }] }), /"id" em cada conta/);
+    await assert.rejects(adapter.putOptions({ ...options, tags: [{ name: 'FOMO' }] }), /"isMistake" em cada tag/);
+});
+
+test('reports the error the server sends back', async () => {
+    const app = loadApp();
+
+    await assert.rejects(createAdapter(app, 'feed', 'token-errado').changesSince(null), { message: 'Token de acesso inválido.' });
+});
+
+test('syncs a journal between two devices through the server', async () => {
+    const setup = () => {
+        const app = loadApp();
+        app('(journal) => { journals = [{ ...DEFAULT_JOURNAL_STORAGE, ...journal, id: DEFAULT_JOURNAL_ID }]; }')(journalFor('compartilhado'));
+        app('render = () => {}');
+        return app;
+    };
+    const desktop = setup();
+    const phone = setup();
+
+    desktop('(trade) => { trades = [trade]; }')(createTrade(desktop, 10, { notes: 'do computador' }));
+    assert.equal(await desktop('syncJournal({ silent: true })'), true);
+
+    assert.equal(await phone('syncJournal({ silent: true })'), true);
+    assert.deepStrictEqual(plain(phone('trades')).map(t => [t.id, t.notes]), [[10, 'do computador']]);
+
+    phone('trades = trades.map(t => touchTrade({ ...t, notes: "revisada no celular" }))');
+    assert.equal(await phone('syncJournal({ silent: true })'), true);
+    assert.equal(await desktop('syncJournal({ silent: true })'), true);
+    assert.equal(desktop('trades[0].notes'), 'revisada no celular');
+    assert.equal(desktop('syncConflicts'), null);
+});
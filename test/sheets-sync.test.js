@@ -0,0 +1,242 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+import { createFakeSheets } from './fake-sheets.js';
+
+const TAB = 'Trades';
+const TRADE_ID = 1704189600000;
+
+// A signed-in app whose active journal syncs with the fake spreadsheet; pass `sheets` to
+// have a second device share the spreadsheet of the first.
+const setup = (tabs = {}, sheets = createFakeSheets(tabs)) => {
+    const app = loadApp({ gapi: sheets.gapi });
+    app(`journals = [{ id: DEFAULT_JOURNAL_ID, name: 'Principal', ...DEFAULT_JOURNAL_STORAGE, spreadsheetId: 'planilha' }]`);
+    app(`googleAuthState = { isSignedIn: true, user: 'trader@example.com' }`);
+    app('render = () => {}');
+    return { app, sheets, sync: () => app('syncJournal({ silent: true })') };
+};
+
+const createTrade = (app, fields = {}) => app(`(fields) => touchTrade({
+    id: ${TRADE_ID}, accountId: DEFAULT_ACCOUNT_ID, asset: 'WDOF24', tradeNumber: 1, side: 'Compra', date: '2024-01-02',
+    ...calculateTradeMetrics('WDOF24', 'Compra', singleLeg(4900, 1), singleLeg(4910, 1)),
+    costsOverridden: false, notes: '', region: 'Topo', structure: 'Pivô', trigger: 'Candle',
+    ...fields,
+})`)(fields);
+
+// Pushes one trade, so both sides start from the same synced version.
+const setupSynced = async () => {
+    const context = setup({ [TAB]: [] });
+    context.app('(trade) => { trades = [trade]; }')(createTrade(context.app));
+    return context;
+};
+
+const editLocal = (app, fields) => app('(fields) => { trades = trades.map(t => touchTrade({ ...t, ...fields })); }')(fields);
+
+const column = (app, label) => app('SHEET_HEADER_ROW').indexOf(label);
+
+test('pushes a local trade to an empty sheet, with the header', async () => {
+    const { app, sheets, sync } = setup({ [TAB]: [] });
+    app('(trade) => { trades = [trade]; }')(createTrade(app, { notes: 'rompimento' }));
+
+    assert.equal(await sync(), true);
+
+    const rows = sheets.rows(TAB);
+    assert.deepStrictEqual(rows[0], plain(app('SHEET_HEADER_ROW')));
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1][0], String(TRADE_ID));
+    assert.equal(rows[1][column(app, 'Notas')], 'rompimento');
+    assert.ok(app(`syncBase['${TRADE_ID}']`));
+});
+
+test('pulls a trade added to the sheet on another device', async () => {
+    const other = loadApp();
+    const row = other('tradeToSheetRow')(createTrade(other, { notes: 'do celular' }));
+    const { app, sync } = setup({ [TAB]: [other('SHEET_HEADER_ROW'), row] });
+
+    assert.equal(await sync(), true);
+
+    const trades = plain(app('trades'));
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].id, TRADE_ID);
+    assert.equal(trades[0].notes, 'do celular');
+    assert.equal(trades[0].grossResult, 100);
+});
+
+test('merges changes to different fields made on both sides', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+
+    sheets.rows(TAB)[1][column(app, 'Região')] = 'Fundo';
+    editLocal(app, { notes: 'nota local' });
+    assert.equal(await sync(), true);
+
+    const [trade] = plain(app('trades'));
+    assert.equal(trade.region, 'Fundo');
+    assert.equal(trade.notes, 'nota local');
+    const row = sheets.rows(TAB)[1];
+    assert.equal(row[column(app, 'Região')], 'Fundo');
+    assert.equal(row[column(app, 'Notas')], 'nota local');
+    assert.equal(app('syncConflicts'), null);
+});
+
+test('leaves a field changed on both sides as a conflict', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+
+    sheets.rows(TAB)[1][column(app, 'Notas')] = 'nota da planilha';
+    editLocal(app, { notes: 'nota local' });
+    app(`syncOutbox = [{ tradeId: ${TRADE_ID}, queuedAt: new Date().toISOString() }]`);
+    assert.equal(await sync(), true);
+
+    const conflicts = plain(app('syncConflicts'));
+    assert.equal(conflicts.length, 1);
+    assert.deepStrictEqual(conflicts[0].fields, ['notes']);
+    assert.equal(conflicts[0].local.notes, 'nota local');
+    assert.equal(conflicts[0].remote.notes, 'nota da planilha');
+    // Neither side is overwritten, the base stays at the last synced version and the change stays queued.
+    assert.equal(app('trades[0].notes'), 'nota local');
+    assert.equal(sheets.rows(TAB)[1][column(app, 'Notas')], 'nota da planilha');
+    assert.equal(app(`syncBase['${TRADE_ID}'].notes`), '');
+    assert.equal(app('syncOutbox.length'), 1);
+});
+
+test('sends a local deletion as a tombstone row', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+
+    app('deletedTrades = [touchTrade({ ...trades[0], deleted: true })]; trades = [];');
+    assert.equal(await sync(), true);
+
+    assert.equal(sheets.rows(TAB)[1][column(app, 'Excluída')], 'Sim');
+    assert.equal(app('deletedTrades.length'), 0);
+    assert.equal(app('trades.length'), 0);
+});
+
+test('drops the images of a trade deleted on another device', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    app(`screenshots = [{ id: 'grafico', tradeId: ${TRADE_ID}, blob: new Blob(['jpeg'], { type: 'image/jpeg' }), width: 1, height: 1, createdAt: '' }]`);
+    await sync();
+
+    sheets.rows(TAB)[1][column(app, 'Excluída')] = 'Sim';
+    assert.equal(await sync(), true);
+
+    assert.equal(app('trades.length'), 0);
+    assert.equal(app('screenshots.length'), 0);
+});
+
+test('leaves a local deletion of a trade edited on the sheet as a conflict', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+
+    sheets.rows(TAB)[1][column(app, 'Notas')] = 'revisada na planilha';
+    app('deletedTrades = [touchTrade({ ...trades[0], deleted: true })]; trades = [];');
+    assert.equal(await sync(), true);
+
+    const conflicts = plain(app('syncConflicts'));
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].local.deleted, true);
+    assert.equal(conflicts[0].remote.notes, 'revisada na planilha');
+    assert.equal(sheets.rows(TAB)[1][column(app, 'Excluída')], '');
+    assert.equal(app('deletedTrades.length'), 1);
+});
+
+test('sends the costs recomputed by another cost profile', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+    const before = plain(app('trades[0]'));
+
+    app('activateCostProfile("por-ordem")');
+    assert.deepStrictEqual(plain(app('syncOutbox')).map(entry => entry.tradeId), [TRADE_ID]);
+    assert.ok(app('trades[0].costs') > before.costs);
+    assert.equal(await sync(), true);
+
+    assert.equal(app('parseLocaleNumber')(sheets.rows(TAB)[1][column(app, 'Custos R$')]), app('trades[0].costs'));
+});
+
+test('reads a sheet whose header is from an older version and rewrites the header', async () => {
+    const oldHeader = ['ID', 'Ativo', '# Operação', 'Lado', 'Data', 'Lotes', 'Preço Entrada',
+        'Preço Saída', 'Pontos', 'Resultado R$', 'Região', 'Estrutura', 'Gatilho', 'Notas'];
+    const oldRow = [String(TRADE_ID), 'WDOF24', '1', 'Compra', '02/01/2024', '1', '4900', '4910', '10', '100', 'Topo', 'Pivô', 'Candle', 'antiga'];
+    const { app, sheets, sync } = setup({ [TAB]: [oldHeader, oldRow] });
+
+    assert.equal(await sync(), true);
+
+    const [trade] = plain(app('trades'));
+    assert.equal(trade.date, '2024-01-02');
+    assert.equal(trade.notes, 'antiga');
+    assert.deepStrictEqual(trade.entries, [{ price: 4900, quantity: 1 }]);
+    assert.equal(trade.grossResult, 100);
+    assert.deepStrictEqual(sheets.rows(TAB)[0], plain(app('SHEET_HEADER_ROW')));
+
+    // The old row is then rewritten in place with every column.
+    editLocal(app, { notes: 'atualizada' });
+    assert.equal(await sync(), true);
+    const rows = sheets.rows(TAB);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1].length, app('SHEET_HEADER_ROW.length'));
+    assert.equal(rows[1][column(app, 'Notas')], 'atualizada');
+});
+
+test('deletes on the sheet the trades a backup restored in replace mode drops', async () => {
+    const { app, sheets, sync } = await setupSynced();
+    await sync();
+    const backup = JSON.stringify(await app('buildBackup()'));
+    app('(trade) => { trades = [...trades, trade]; }')(createTrade(app, { id: TRADE_ID + 1, tradeNumber: 2 }));
+    await sync();
+    assert.equal(sheets.rows(TAB).length, 3);
+
+    const read = await app('readBackup')(backup);
+    app('(backup) => { pendingRestore = { fileName: "backup.json", ...backup, mode: "replace" }; }')(read);
+    app('confirmRestore()');
+    assert.equal(await sync(), true);
+
+    assert.deepStrictEqual(plain(app('trades.map(t => t.id)')), [TRADE_ID]);
+    assert.equal(app('deletedTrades.length'), 0);
+    const excluded = column(app, 'Excluída');
+    assert.deepStrictEqual(sheets.rows(TAB).slice(1).map(row => [row[0], row[excluded]]), [[String(TRADE_ID), ''], [String(TRADE_ID + 1), 'Sim']]);
+});
+
+test('shares the account registry through the config tab, replacing the stand-in of another device', async () => {
+    const { app, sheets, sync } = setup({ [TAB]: [], Config: [] });
+    const account = { id: 'simulador', name: 'Simulador XP', broker: 'XP', type: 'simulator', initialCapital: 5000, currency: 'BRL',
+        updatedAt: '2024-01-02T10:00:00.000Z' };
+    app('(account) => { accounts = [...accounts, account]; }')(account);
+    app('(trade) => { trades = [trade]; }')(createTrade(app, { accountId: 'simulador' }));
+    await sync();
+    await app('pushRegOptions()');
+
+    const { app: phone, sync: syncPhone } = setup({}, sheets);
+    assert.equal(await syncPhone(), true);
+    assert.equal(phone('getAccount("simulador").name'), 'simulador');
+
+    await phone('fetchRegOptions()');
+
+    assert.deepStrictEqual(plain(phone('getAccount("simulador")')), account);
+    // A simulator trade stays out of the taxes once the device knows the account.
+    assert.deepStrictEqual(plain(phone('getTaxableTrades()')), []);
+});
+
+test('keeps a synced account in reais even when the config tab names another currency', async () => {
+    const header = loadApp()('getConfigSheetRows({ regions: [], structures: [], triggers: [] })')[0];
+    const { app } = setup({ [TAB]: [], Config: [header, ['', '', '', '', 'dolar', 'Conta em dólar', '', 'Real', '1000', 'USD', '2024-01-02T10:00:00.000Z']] });
+
+    await app('fetchRegOptions()');
+
+    assert.equal(app('getAccount("dolar").name'), 'Conta em dólar');
+    assert.equal(app('getAccount("dolar").currency'), 'BRL');
+});
+
+test('shares which tags are mistakes through the config tab', async () => {
+    const { app, sheets } = setup({ [TAB]: [], Config: [] });
+    app('setTagMistake("Notícia", true)');
+    await app('pushRegOptions()');
+
+    const { app: phone } = setup({}, sheets);
+    phone('(trade) => { trades = [trade]; }')(createTrade(phone, { tags: ['Notícia'], grossResult: -100, netResult: -100 }));
+    assert.deepStrictEqual(plain(phone('getMistakeCosts(trades)')).rows, []);
+
+    await phone('fetchRegOptions()');
+
+    assert.equal(phone('isMistakeTag("Notícia")'), true);
+    assert.deepStrictEqual(plain(phone('getMistakeCosts(trades)')).rows.map(r => [r.tag, r.cost]), [['Notícia', -100]]);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+import { createFakeSheets } from './fake-sheets.js';
+
+const createTrade = (app, id, fields = {}) => app(`(id, fields) => touchTrade({
+    id, accountId: DEFAULT_ACCOUNT_ID, asset: 'WDOF24', tradeNumber: 1, side: 'Compra', date: '2024-01-02',
+    ...calculateTradeMetrics('WDOF24', 'Compra', singleLeg(4900, 1), singleLeg(4910, 1)),
+    costsOverridden: false, notes: '', region: 'Topo', structure: 'Pivô', trigger: 'Candle',
+    ...fields,
+})`)(id, fields);
+
+test('the local adapter reads and writes the app state', async () => {
+    const app = loadApp();
+    app('render = () => {}');
+    const adapter = app('createLocalAdapter()');
+
+    await adapter.putTrades([createTrade(app, 2), createTrade(app, 1, { notes: 'primeira' })]);
+    assert.deepStrictEqual(plain(await adapter.listTrades()).map(t => t.id), [1, 2]);
+    assert.equal((await adapter.getTrade(1)).notes, 'primeira');
+
+    await adapter.deleteTrade(1);
+    assert.deepStrictEqual(plain(app('trades')).map(t => t.id), [2]);
+    assert.equal((await adapter.getTrade(1)).deleted, true);
+    assert.equal(await adapter.getTrade(3), null);
+
+    await adapter.putOptions({ regions: ['Fundo'], structures: [], triggers: [] });
+    assert.deepStrictEqual(plain(app('regOptions')), { regions: ['Fundo'], structures: [], triggers: [] });
+    assert.deepStrictEqual(plain(await adapter.getOptions()).regions, ['Fundo']);
+});
+
+test('the sheets adapter reads single trades and deletes them as tombstone rows', async () => {
+    const sheets = createFakeSheets({ Trades: [] });
+    const app = loadApp({ gapi: sheets.gapi });
+    app(`googleAuthState = { isSignedIn: true, user: 'trader@example.com' }`);
+    const adapter = app(`createSheetsAdapter({ id: DEFAULT_JOURNAL_ID, name: 'Principal', ...DEFAULT_JOURNAL_STORAGE, spreadsheetId: 'planilha' })`);
+
+    await adapter.putTrades([createTrade(app, 1), createTrade(app, 2, { notes: 'segunda' })]);
+    assert.deepStrictEqual(plain(await adapter.listTrades()).map(t => t.id), [1, 2]);
+    assert.equal((await adapter.getTrade(2)).notes, 'segunda');
+    assert.equal(await adapter.getTrade(3), null);
+
+    await adapter.deleteTrade(2);
+    assert.equal(sheets.rows('Trades').length, 3);
+    assert.equal((await adapter.getTrade(2)).deleted, true);
+});
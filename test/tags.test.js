@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, plain } from './load-app.js';
+
+// [id, date, net result, tags]; the second trade spells FOMO in lower case, as a sheet might.
+const TRADES = [
+    [1, '2024-01-02', -100, ['FOMO']],
+    [2, '2024-02-05', -50, ['fomo', 'Notícia']],
+    [3, '2024-02-06', 80, ['Notícia']],
+    [4, '2024-02-07', -30, []],
+    [5, '2024-02-08', 20, ['Entrada antecipada']],
+];
+
+const setup = () => {
+    const app = loadApp();
+    app('(rows) => { trades = rows.map(([id, date, netResult, tags]) => ({ id, accountId: DEFAULT_ACCOUNT_ID, asset: "WDOF24", side: "Compra", date, netResult, grossResult: netResult, tags })); }')(TRADES);
+    return app;
+};
+
+const filteredIds = (app, tags, tagMode) =>
+    plain(app('(tags, tagMode) => { filters = { ...DEFAULT_FILTERS, tags, tagMode }; return applyFilters().map(t => t.id); }')(tags, tagMode));
+
+test('filters the trades with any, all or none of the chosen tags, ignoring case', () => {
+    const app = setup();
+
+    assert.deepStrictEqual(filteredIds(app, ['FOMO', 'Entrada antecipada'], 'any'), [1, 2, 5]);
+    assert.deepStrictEqual(filteredIds(app, ['FOMO', 'Notícia'], 'all'), [2]);
+    assert.deepStrictEqual(filteredIds(app, ['FOMO', 'Notícia'], 'none'), [4, 5]);
+    assert.deepStrictEqual(filteredIds(app, [], 'none'), [1, 2, 3, 4, 5]);
+});
+
+test('adds up the losses of each mistake tag by month, costliest first', () => {
+    const app = setup();
+
+    const { months, rows } = plain(app('getMistakeCosts(trades)'));
+
+    assert.deepStrictEqual(months, ['2024-01', '2024-02']);
+    assert.deepStrictEqual(rows, [
+        { tag: 'FOMO', count: 2, losingCount: 2, cost: -150, byMonth: [-100, -50] },
+        // A winning trade with a mistake is counted but costs nothing.
+        { tag: 'Entrada antecipada', count: 1, losingCount: 0, cost: 0, byMonth: [0, 0] },
+    ]);
+});
+
+test('leaves out the tags not marked as mistakes', () => {
+    const app = setup();
+    app('tags = tags.map(t => t.name === "FOMO" ? { ...t, isMistake: false } : t)');
+
+    assert.deepStrictEqual(plain(app('getMistakeCosts(trades)')).rows.map(r => r.tag), ['Entrada antecipada']);
+});